@@ -6,9 +6,13 @@ import { stateManager, initializeState } from './core/state.js';
 import { setupDragAndDrop } from './utils/drag-drop.js';
 import { Column } from './components/Column.js';
 import { Card } from './components/Card.js';
+import { Swimlane } from './components/Swimlane.js';
 import { NextSteps } from './components/NextSteps.js';
 import { Settings } from './components/Settings.js';
+import './components/FlowCharts.js';
 import { apiService } from './services/api.js';
+import { showMessage } from './utils/messages.js';
+import { getSwimlanes, getCardLaneId, getLanes } from './utils/swimlanes.js';
 
 // Global component references
 let nextSteps;
@@ -79,37 +83,6 @@ function showError(message) {
     showMessage(message, 'error');
 }
 
-/**
- * Show message to user with customizable options
- * @param {string} message - The message to display
- * @param {string} type - Message type (success, error, info)
- * @param {Object} options - Additional options
- * @param {number} options.duration - Duration in milliseconds (default: 3000)
- * @param {string} options.width - CSS width value (default: auto)
- */
-function showMessage(message, type = 'info', options = {}) {
-    const { duration = 3000, width = null } = options;
-    
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message message-${type}`;
-    messageDiv.textContent = message;
-    
-    // Apply custom width if provided
-    if (width) {
-        messageDiv.style.width = width;
-    }
-    
-    document.body.appendChild(messageDiv);
-    
-    // Remove after specified duration
-    setTimeout(() => {
-        messageDiv.classList.add('fade-out');
-        setTimeout(() => {
-            messageDiv.remove();
-        }, 300);
-    }, duration);
-}
-
 // Setup UI event listeners
 function setupEventListeners() {
     // We've removed the project name click-to-edit functionality
@@ -199,6 +172,53 @@ function setupEventListeners() {
         }
     });
     
+    // Undo (Ctrl+Z) and redo (Ctrl+Shift+Z or Ctrl+Y) board changes
+    document.addEventListener('keydown', async (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        
+        const key = event.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        
+        // Leave text editing and open dialogs to the browser
+        if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        if (document.querySelector('.modal:not(.hidden)')) return;
+        
+        event.preventDefault();
+        const direction = key === 'y' || event.shiftKey ? 'redo' : 'undo';
+        
+        try {
+            const result = direction === 'undo' ? await stateManager.undo() : await stateManager.redo();
+            showMessage(direction === 'undo'
+                ? `Undid change by ${result.operation.actor}`
+                : `Redid change by ${result.operation.actor}`, 'success');
+        } catch (error) {
+            if (error.code === 'NOTHING_TO_UNDO' || error.code === 'NOTHING_TO_REDO') {
+                showMessage(`Nothing to ${direction}`, 'info');
+            } else {
+                showMessage(error.message || `Failed to ${direction}`, 'error');
+            }
+        }
+    });
+    
+    // Swimlane grouping
+    document.getElementById('swimlane-selector').addEventListener('change', async (event) => {
+        const groupBy = event.target.value || null;
+        const state = stateManager.getState();
+        
+        // Grouping by defined lanes needs at least one lane
+        if (groupBy === 'lane' && !state.swimlanes?.lanes?.length) {
+            const name = prompt('Enter a name for the first lane:');
+            if (name) {
+                await stateManager.addLane(name);
+            } else {
+                event.target.value = getSwimlanes(state)?.groupBy || '';
+            }
+            return;
+        }
+        
+        await stateManager.setSwimlaneGrouping(groupBy);
+    });
+    
     // Initialize modal backdrop if it doesn't exist
     if (!document.getElementById('modal-backdrop')) {
         const backdrop = document.createElement('div');
@@ -220,21 +240,14 @@ function renderBoard() {
     // Clear existing columns
     board.innerHTML = '';
     
-    // Render columns
-    for (let index = 0; index < state.columns.length; index++) {
-        const columnData = state.columns[index];
-        const column = new Column(columnData, index);
-        board.appendChild(column.render());
-        
-        // Render cards for this column based on the card-first architecture
-        const columnCards = state.cards
-            .filter(card => card.columnId === columnData.id)
-            .sort((a, b) => a.position - b.position);
-        
-        for (const cardData of columnCards) {
-            const card = new Card(cardData, index);
-            column.addCard(card);
-        }
+    const swimlanes = getSwimlanes(state);
+    document.getElementById('swimlane-selector').value = swimlanes?.groupBy || '';
+    board.classList.toggle('has-swimlanes', Boolean(swimlanes));
+    
+    if (swimlanes) {
+        renderSwimlanes(board, state, swimlanes);
+    } else {
+        renderColumns(board, state);
     }
     
     // Add "Add Column" button as the last element
@@ -244,6 +257,11 @@ function renderBoard() {
         <button id="add-column-btn" class="circular-btn" title="Add Column">
             <i class="fas fa-plus"></i>
         </button>
+        ${swimlanes?.groupBy === 'lane' ? `
+            <button id="add-lane-btn" class="circular-btn" title="Add Lane">
+                <i class="fas fa-grip-lines"></i>
+            </button>
+        ` : ''}
     `;
     board.appendChild(addColumnBtn);
     
@@ -260,6 +278,68 @@ function renderBoard() {
             await stateManager.addColumn(name);
         }
     });
+    
+    document.getElementById('add-lane-btn')?.addEventListener('click', async () => {
+        const name = prompt('Enter lane name:');
+        if (name) {
+            await stateManager.addLane(name);
+        }
+    });
+}
+
+// Render a column with its cards for each of the board's columns
+function renderColumns(board, state) {
+    // Render columns
+    for (let index = 0; index < state.columns.length; index++) {
+        const columnData = state.columns[index];
+        const column = new Column(columnData, index);
+        board.appendChild(column.render());
+        
+        // Render cards for this column based on the card-first architecture
+        const columnCards = state.cards
+            .filter(card => card.columnId === columnData.id)
+            .sort((a, b) => a.position - b.position);
+        
+        for (const cardData of columnCards) {
+            const card = new Card(cardData, index);
+            column.addCard(card);
+        }
+    }
+}
+
+// Render the board as horizontal swimlanes, each with a cell for every column
+function renderSwimlanes(board, state, swimlanes) {
+    const cardsByLane = new Map();
+    for (const card of state.cards) {
+        const laneId = getCardLaneId(card, swimlanes);
+        if (!cardsByLane.has(laneId)) cardsByLane.set(laneId, []);
+        cardsByLane.get(laneId).push(card);
+    }
+    
+    const lanes = getLanes(state);
+    for (const laneData of lanes) {
+        const laneCards = cardsByLane.get(laneData.id) || [];
+        
+        // The lane for cards in no lane is only shown while it holds cards, or if it is the only lane
+        if (laneData.id === null && !laneCards.length && lanes.length > 1) continue;
+        
+        const lane = new Swimlane(laneData, laneCards.length, swimlanes.groupBy === 'lane');
+        board.appendChild(lane.render());
+        
+        for (let index = 0; index < state.columns.length; index++) {
+            const columnData = state.columns[index];
+            const column = new Column(columnData, index, laneData);
+            lane.addColumn(column.render());
+            
+            const columnCards = laneCards
+                .filter(card => card.columnId === columnData.id)
+                .sort((a, b) => a.position - b.position);
+            
+            for (const cardData of columnCards) {
+                column.addCard(new Card(cardData, index));
+            }
+        }
+    }
 }
 
 // Start the application
@@ -2,9 +2,47 @@
  * @fileoverview Card component representing a task in the kanban board
  * @module components/Card
  * @requires ../core/state
+ * @requires ../services/api
+ * @requires ./CardEditor
+ * @requires ../utils/subtasks
+ * @requires ../utils/markdown
+ * @requires ../utils/dates
+ * @requires ../utils/hierarchy
+ * @requires ../utils/links
  */
 
 import { stateManager } from '../core/state.js';
+import { apiService } from '../services/api.js';
+import { cardEditor, PRIORITIES } from './CardEditor.js';
+import { normalizeSubtasks, subtaskProgress } from '../utils/subtasks.js';
+import { escapeHtml, renderMarkdown } from '../utils/markdown.js';
+import { getDueStatus, formatCardDate } from '../utils/dates.js';
+import { getChildCards, childProgress } from '../utils/hierarchy.js';
+import { LINK_TYPES, groupCardLinks } from '../utils/links.js';
+
+/**
+ * IDs of cards whose history panel is open, kept across board re-renders
+ * @type {Set<string>}
+ */
+const openHistoryPanels = new Set();
+
+/**
+ * IDs of cards whose list of child cards is expanded, kept across board re-renders
+ * @type {Set<string>}
+ */
+const openChildLists = new Set();
+
+/**
+ * Labels for history actions
+ * @type {Object<string, string>}
+ */
+const HISTORY_ACTION_LABELS = {
+    created: 'Created',
+    updated: 'Updated',
+    moved: 'Moved',
+    completed: 'Completed',
+    deleted: 'Deleted'
+};
 
 /**
  * Class representing a card in the kanban board
@@ -20,9 +58,16 @@ export class Card {
      * @param {string} data.title - Card title
      * @param {string} [data.content] - Markdown content for card description
      * @param {boolean} [data.collapsed=false] - Whether the card is collapsed
-     * @param {Array<string>} [data.subtasks] - List of subtasks
+     * @param {Array<Object|string>} [data.subtasks] - List of subtasks
      * @param {Array<string>} [data.tags] - List of tags
      * @param {Array<string>} [data.dependencies] - List of dependency card IDs
+     * @param {string} [data.priority] - Priority: low, medium or high
+     * @param {string} [data.assignee] - Who the card is assigned to
+     * @param {string} [data.start_date] - When work on the card starts (ISO timestamp or YYYY-MM-DD)
+     * @param {string} [data.due_date] - When the card is due (ISO timestamp or YYYY-MM-DD)
+     * @param {Object} [data.claim] - Lease held by whoever is working on the card: owner, claimed_at and expires_at
+     * @param {string} [data.parentId] - ID of the card this one is a child of
+     * @param {Array<Object>} [data.links] - Typed links to other cards: type and cardId
      * @param {number} columnIndex - Parent column index
      */
     constructor(data, columnIndex) {
@@ -48,14 +93,18 @@ export class Card {
      */
     render() {
         const card = document.createElement('div');
-        card.className = `card ${this.isCollapsed ? 'collapsed' : ''}`;
+        const dueStatus = getDueStatus(this.data);
+        card.className = `card ${this.isCollapsed ? 'collapsed' : ''} ${dueStatus || ''}`;
         card.draggable = true;
         card.dataset.id = this.data.id;
         
         card.innerHTML = `
             <div class="card-header">
-                <h3>${this.data.title}</h3>
+                <h3>${escapeHtml(this.data.title)}</h3>
                 <div class="card-actions">
+                    <button class="history-btn" title="Card History">
+                        <i class="fas fa-history"></i>
+                    </button>
                     <button class="delete-card-btn" title="Delete Card">
                         <i class="fas fa-trash"></i>
                     </button>
@@ -64,39 +113,275 @@ export class Card {
                     </button>
                 </div>
             </div>
+            ${this.renderClaim()}
+            ${this.renderDates(dueStatus)}
+            ${this.renderSubtaskProgress()}
+            ${this.renderChildProgress()}
             <div class="card-content ${this.isCollapsed ? 'collapsed' : ''}">
-                <div class="description">
-                    ${this.data.content ? marked.parse(this.data.content) : '<em>No description</em>'}
+                ${this.renderParent()}
+                <div class="description markdown-body">
+                    ${this.renderDescription()}
                 </div>
                 ${this.renderSubtasks()}
+                ${this.renderChildren()}
                 ${this.renderDependencies()}
                 ${this.renderTags()}
+                <div class="card-history"></div>
             </div>
         `;
 
         this.element = card;
         this.setupEventListeners();
+        
+        if (openHistoryPanels.has(this.data.id)) {
+            this.loadHistory();
+        }
+        
         return card;
     }
 
     /**
-     * Render subtasks section
+     * Open or close the history panel
+     */
+    toggleHistory() {
+        if (openHistoryPanels.has(this.data.id)) {
+            openHistoryPanels.delete(this.data.id);
+            const panel = this.element?.querySelector('.card-history');
+            if (panel) {
+                panel.classList.remove('open');
+                panel.replaceChildren();
+            }
+        } else {
+            openHistoryPanels.add(this.data.id);
+            this.loadHistory();
+        }
+    }
+
+    /**
+     * Fetch the card's change history and show it in the history panel
+     * @async
+     */
+    async loadHistory() {
+        const panel = this.element?.querySelector('.card-history');
+        if (!panel) return;
+        
+        panel.classList.add('open');
+        panel.textContent = 'Loading history...';
+        
+        try {
+            const boardId = stateManager.getState().id;
+            const entries = await apiService.getCardHistory(boardId, this.data.id);
+            this.renderHistory(panel, entries);
+        } catch (error) {
+            console.error('Failed to load card history:', error);
+            panel.textContent = 'Failed to load history';
+        }
+    }
+
+    /**
+     * Render history entries into the history panel.
+     * Built with DOM nodes rather than HTML strings since values come from arbitrary card content.
+     * @param {HTMLElement} panel - History panel element
+     * @param {Array<Object>} entries - History entries, most recent first
+     */
+    renderHistory(panel, entries) {
+        const heading = document.createElement('h4');
+        heading.textContent = 'History';
+        
+        if (!entries.length) {
+            const empty = document.createElement('em');
+            empty.textContent = 'No recorded changes';
+            panel.replaceChildren(heading, empty);
+            return;
+        }
+        
+        const list = document.createElement('ul');
+        for (const entry of entries) {
+            const item = document.createElement('li');
+            
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            meta.textContent = `${HISTORY_ACTION_LABELS[entry.action] || entry.action} by ${entry.actor} · ${new Date(entry.timestamp).toLocaleString()}`;
+            item.appendChild(meta);
+            
+            if (entry.action === 'updated' || entry.action === 'moved') {
+                const changes = document.createElement('ul');
+                changes.className = 'history-changes';
+                for (const change of entry.changes) {
+                    const line = document.createElement('li');
+                    line.textContent = `${change.field}: ${this.formatHistoryValue(change.field, change.from)} → ${this.formatHistoryValue(change.field, change.to)}`;
+                    changes.appendChild(line);
+                }
+                item.appendChild(changes);
+            }
+            
+            list.appendChild(item);
+        }
+        
+        panel.replaceChildren(heading, list);
+    }
+
+    /**
+     * Format a history value for display
+     * @param {string} field - Name of the changed field
+     * @param {*} value - Field value
+     * @returns {string} Short display text
+     */
+    formatHistoryValue(field, value) {
+        if (value === null || value === undefined || value === '') return '—';
+        
+        if (field === 'columnId') {
+            const column = stateManager.getState().columns?.find(col => col.id === value);
+            if (column) return column.name;
+        }
+        
+        if ((field === 'start_date' || field === 'due_date') && typeof value === 'string') {
+            return formatCardDate(value) || value;
+        }
+        
+        if (field === 'subtasks' && Array.isArray(value)) {
+            value = normalizeSubtasks(value).map(subtask => `${subtask.done ? '✓ ' : ''}${subtask.text}`);
+        }
+        
+        const text = Array.isArray(value) ? value.join(', ') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    }
+
+    /**
+     * Render the markdown description, with [[card-id]] references linked to those cards
+     * @returns {string}
+     */
+    renderDescription() {
+        if (!this.data.content) return '<em>No description</em>';
+        
+        return renderMarkdown(this.data.content, {
+            resolveCardLink: id => this.getDependencyTitle(id) || null
+        });
+    }
+
+    /**
+     * Render the start and due date badges, shown even when the card is collapsed
+     * @param {'overdue'|'due-soon'|null} dueStatus - How urgent the due date is
+     * @returns {string}
+     */
+    renderDates(dueStatus) {
+        const start = formatCardDate(this.data.start_date);
+        const due = formatCardDate(this.data.due_date);
+        if (!start && !due) return '';
+        
+        const dueTitle = dueStatus === 'overdue' ? 'Overdue' : dueStatus === 'due-soon' ? 'Due soon' : 'Due date';
+        const startBadge = start
+            ? `<span class="date-badge start-date" title="Start date"><i class="fas fa-play"></i> ${escapeHtml(start)}</span>`
+            : '';
+        const dueBadge = due
+            ? `<span class="date-badge due-date ${dueStatus || ''}" title="${dueTitle}"><i class="fas fa-calendar-day"></i> ${escapeHtml(due)}</span>`
+            : '';
+        
+        return `<div class="card-dates">${startBadge}${dueBadge}</div>`;
+    }
+
+    /**
+     * Render who has claimed the card, shown even when the card is collapsed.
+     * Claims whose lease has run out are left out.
+     * @returns {string}
+     */
+    renderClaim() {
+        const claim = this.data.claim;
+        const expiresAt = claim ? new Date(claim.expires_at) : null;
+        if (!expiresAt || !(expiresAt > new Date())) return '';
+        
+        return `
+            <div class="card-claim" title="Claimed by ${escapeHtml(claim.owner)} until ${escapeHtml(expiresAt.toLocaleString())}">
+                <i class="fas fa-user-lock"></i> ${escapeHtml(claim.owner)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the subtask progress bar, shown even when the card is collapsed
+     * @returns {string}
+     */
+    renderSubtaskProgress() {
+        const { done, total } = subtaskProgress(this.data.subtasks);
+        if (!total) return '';
+        
+        return `
+            <div class="subtask-progress ${done === total ? 'complete' : ''}" title="${done} of ${total} subtasks done">
+                <div class="subtask-progress-bar"><span style="width: ${Math.round(done / total * 100)}%"></span></div>
+                <span class="subtask-progress-count">${done}/${total}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the progress of the cards below this one, shown even when the card is collapsed
+     * @returns {string}
+     */
+    renderChildProgress() {
+        const { done, total } = childProgress(stateManager.getState().cards || [], this.data.id);
+        if (!total) return '';
+        
+        return `
+            <div class="subtask-progress child-progress ${done === total ? 'complete' : ''}" title="${done} of ${total} sub-cards done">
+                <i class="fas fa-sitemap"></i>
+                <div class="subtask-progress-bar"><span style="width: ${Math.round(done / total * 100)}%"></span></div>
+                <span class="subtask-progress-count">${done}/${total}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a link to the card's parent
+     * @returns {string}
+     */
+    renderParent() {
+        if (!this.data.parentId) return '';
+        
+        const title = this.getDependencyTitle(this.data.parentId);
+        // A parent that was deleted is shown so it can be cleared in the editor
+        if (!title) {
+            return `<div class="parent-card missing" title="${escapeHtml(this.data.parentId)}">Missing parent card</div>`;
+        }
+        return `<div class="parent-card" data-id="${escapeHtml(this.data.parentId)}" title="Parent card">${escapeHtml(title)}</div>`;
+    }
+
+    /**
+     * Render the list of child cards, which can be expanded and collapsed
+     * @returns {string}
+     */
+    renderChildren() {
+        const children = getChildCards(stateManager.getState().cards || [], this.data.id);
+        if (!children.length) return '';
+        
+        const open = openChildLists.has(this.data.id);
+        const childList = children
+            .map(child => `<li data-id="${escapeHtml(child.id)}"${child.completed_at ? ' class="done"' : ''}>${escapeHtml(child.title)}</li>`)
+            .join('');
+        
+        return `
+            <div class="child-cards">
+                <h4 class="child-cards-toggle" title="Show or hide the sub-cards">
+                    <i class="fas fa-chevron-${open ? 'down' : 'right'}"></i> Sub-cards (${children.length})
+                </h4>
+                <ul class="${open ? '' : 'hidden'}">${childList}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Render subtasks section as a checklist
      * @returns {string}
      */
     renderSubtasks() {
         if (!this.data.subtasks?.length) return '';
         
-        const subtasksList = this.data.subtasks
-            .map(task => {
-                const isChecked = task.startsWith('✓');
-                const text = isChecked ? task.substring(1).trim() : task;
-                
-                return `
-                    <li class="subtask ${isChecked ? 'checked' : ''}">
-                        <span class="status-dot"></span>
-                        <span class="text">${text}</span>
-                    </li>`;
-            })
+        const subtasksList = normalizeSubtasks(this.data.subtasks)
+            .map(subtask => `
+                    <li class="subtask ${subtask.done ? 'checked' : ''}">
+                        <input type="checkbox" data-subtask-id="${escapeHtml(subtask.id)}" ${subtask.done ? 'checked' : ''} title="Mark ${subtask.done ? 'not done' : 'done'}">
+                        <span class="text">${escapeHtml(subtask.text)}</span>
+                        ${subtask.assignee ? `<span class="subtask-assignee">@${escapeHtml(subtask.assignee)}</span>` : ''}
+                    </li>`)
             .join('');
             
         return `
@@ -108,42 +393,56 @@ export class Card {
     }
 
     /**
-     * Render dependencies section
+     * Render the dependencies and the typed links to other cards, grouped by type.
+     * Links other cards added to this one are shown as the inverse type.
      * @returns {string}
      */
     renderDependencies() {
-        if (!this.data.dependencies?.length) return '';
+        const cards = stateManager.getState().cards || [];
+        const groups = [
+            ['Dependencies', this.data.dependencies || []],
+            ...[...groupCardLinks(cards, this.data)].map(([type, ids]) => [LINK_TYPES[type].label, ids])
+        ].filter(([, ids]) => ids.length > 0);
+        if (!groups.length) return '';
         
-        const dependenciesList = this.data.dependencies
-            .map(id => {
-                const title = this.getDependencyTitle(id);
-                return title ? `<li data-id="${id}">${title}</li>` : '';
-            })
-            .filter(Boolean)
-            .join('');
-            
-        if (!dependenciesList) return '';
+        const renderItem = id => {
+            const card = cards.find(card => card.id === id);
+            // Links to deleted cards are shown so they can be removed
+            if (!card) {
+                return `<li class="missing" title="${escapeHtml(id)}">Missing card</li>`;
+            }
+            return `<li data-id="${escapeHtml(id)}"${card.completed_at ? ' class="done"' : ''}>${escapeHtml(card.title)}</li>`;
+        };
             
         return `
             <div class="dependencies">
-                <h4>Dependencies</h4>
-                <ul>${dependenciesList}</ul>
+                ${groups.map(([label, ids]) => `
+                    <h4>${label}</h4>
+                    <ul>${ids.map(renderItem).join('')}</ul>
+                `).join('')}
             </div>
         `;
     }
 
     /**
-     * Render tags section
+     * Render tags section, led by the priority and assignee badges
      * @returns {string}
      */
     renderTags() {
-        if (!this.data.tags?.length) return '';
+        const priority = PRIORITIES.includes(this.data.priority) ? this.data.priority : null;
+        if (!this.data.tags?.length && !priority && !this.data.assignee) return '';
         
-        const tagsList = this.data.tags
-            .map(tag => `<span class="tag">${tag}</span>`)
+        const tagsList = (this.data.tags || [])
+            .map(tag => `<span class="tag">${escapeHtml(tag)}</span>`)
             .join('');
+        const priorityBadge = priority
+            ? `<span class="tag priority priority-${priority}" title="Priority">${priority}</span>`
+            : '';
+        const assigneeBadge = this.data.assignee
+            ? `<span class="tag assignee" title="Assignee">@${escapeHtml(this.data.assignee)}</span>`
+            : '';
             
-        return `<div class="tags">${tagsList}</div>`;
+        return `<div class="tags">${priorityBadge}${assigneeBadge}${tagsList}</div>`;
     }
 
     /**
@@ -192,6 +491,16 @@ export class Card {
             });
         }
         
+        // History button
+        const historyBtn = this.element.querySelector('.history-btn');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleHistory();
+            });
+        }
+        
         // Delete card button
         const deleteBtn = this.element.querySelector('.delete-card-btn');
         if (deleteBtn) {
@@ -204,63 +513,99 @@ export class Card {
             });
         }
 
-        // Double click to edit
+        // Subtask checkboxes
+        this.element.querySelectorAll('.subtask input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('click', (e) => e.stopPropagation());
+            checkbox.addEventListener('change', async () => {
+                await stateManager.toggleSubtask(this.data.id, checkbox.dataset.subtaskId);
+            });
+        });
+
+        // Double click to open the card editor
         this.element.addEventListener('dblclick', (e) => {
             // Don't trigger if clicking buttons
-            if (e.target.closest('.collapse-btn') || e.target.closest('.delete-card-btn')) return;
+            if (e.target.closest('.collapse-btn') || e.target.closest('.delete-card-btn') ||
+                e.target.closest('.history-btn') || e.target.closest('.card-history') ||
+                e.target.closest('.subtask input')) return;
             
-            const title = prompt('Edit card title:', this.data.title);
-            if (title && title !== this.data.title) {
-                this.data.title = title;
-                stateManager.notifyListeners();
-            }
+            cardEditor.open(this.data.id);
+        });
+
+        // Dependency, parent and child card clicks
+        this.element.querySelectorAll('.dependencies li[data-id], .child-cards li[data-id], .parent-card[data-id]').forEach(link => {
+            link.addEventListener('click', () => Card.highlightCard(link.dataset.id));
         });
 
-        // Dependency click
-        this.element.querySelectorAll('.dependencies li').forEach(li => {
-            li.addEventListener('click', () => {
-                const id = li.dataset.id;
-                // Search across all columns
-                const targetCard = document.querySelector(`.card[data-id="${id}"]`);
-                if (targetCard) {
-                    // Remove highlight from any previously highlighted cards
-                    document.querySelectorAll('.card.highlight-dependency').forEach(card => {
-                        card.classList.remove('highlight-dependency');
-                        // Also remove any pending timeouts
-                        const timeoutId = card.dataset.highlightTimeout;
-                        if (timeoutId) {
-                            clearTimeout(parseInt(timeoutId));
-                            delete card.dataset.highlightTimeout;
-                        }
-                    });
-                    
-                    // Add highlight to target card
-                    targetCard.classList.add('highlight-dependency');
-                    
-                    // Store timeout ID to allow cleanup
-                    const timeoutId = setTimeout(() => {
-                        targetCard.classList.remove('highlight-dependency');
-                        delete targetCard.dataset.highlightTimeout;
-                    }, 3000);
-                    targetCard.dataset.highlightTimeout = timeoutId;
-                    
-                    // Get the column container and scroll it into view
-                    const column = targetCard.closest('.column');
-                    if (column) {
-                        column.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-                        // After column is in view, scroll the card container to show the card
-                        setTimeout(() => {
-                            const cardContainer = targetCard.closest('.cards');
-                            if (cardContainer) {
-                                targetCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                            }
-                        }, 300);
-                    }
+        // Expand or collapse the child card list
+        const childToggle = this.element.querySelector('.child-cards-toggle');
+        if (childToggle) {
+            childToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const open = !openChildLists.has(this.data.id);
+                if (open) {
+                    openChildLists.add(this.data.id);
+                } else {
+                    openChildLists.delete(this.data.id);
                 }
+                childToggle.nextElementSibling.classList.toggle('hidden', !open);
+                childToggle.querySelector('i').className = `fas fa-chevron-${open ? 'down' : 'right'}`;
+            });
+        }
+
+        // Links to other cards in the description
+        this.element.querySelectorAll('.description a.card-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                Card.highlightCard(link.dataset.cardId);
             });
         });
 
         // We'll rely on the central DragDropManager to handle drag events
         // and not add duplicate event listeners here
     }
+
+    /**
+     * Scroll a card into view and highlight it for a few seconds
+     * @param {string} id - ID of the card to highlight
+     */
+    static highlightCard(id) {
+        // Search across all columns
+        const targetCard = document.querySelector(`.card[data-id="${CSS.escape(id)}"]`);
+        if (!targetCard) return;
+        
+        // Remove highlight from any previously highlighted cards
+        document.querySelectorAll('.card.highlight-dependency').forEach(card => {
+            card.classList.remove('highlight-dependency');
+            // Also remove any pending timeouts
+            const timeoutId = card.dataset.highlightTimeout;
+            if (timeoutId) {
+                clearTimeout(parseInt(timeoutId));
+                delete card.dataset.highlightTimeout;
+            }
+        });
+        
+        // Add highlight to target card
+        targetCard.classList.add('highlight-dependency');
+        
+        // Store timeout ID to allow cleanup
+        const timeoutId = setTimeout(() => {
+            targetCard.classList.remove('highlight-dependency');
+            delete targetCard.dataset.highlightTimeout;
+        }, 3000);
+        targetCard.dataset.highlightTimeout = timeoutId;
+        
+        // Get the column container and scroll it into view
+        const column = targetCard.closest('.column');
+        if (column) {
+            column.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            // After column is in view, scroll the card container to show the card
+            setTimeout(() => {
+                const cardContainer = targetCard.closest('.cards');
+                if (cardContainer) {
+                    targetCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+            }, 300);
+        }
+    }
 }
@@ -0,0 +1,523 @@
+/**
+ * @fileoverview Modal editor for all the fields of a card
+ * @module components/CardEditor
+ * @requires ../core/state
+ * @requires ./Modal
+ * @requires ../utils/subtasks
+ * @requires ../utils/markdown
+ * @requires ../utils/swimlanes
+ * @requires ../utils/dates
+ * @requires ../utils/hierarchy
+ */
+
+import { stateManager } from '../core/state.js';
+import { Modal } from './Modal.js';
+import { normalizeSubtasks } from '../utils/subtasks.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import { getSwimlanes, getLanes } from '../utils/swimlanes.js';
+import { getCardDateTime, toDateInputValue } from '../utils/dates.js';
+import { getDescendantIds } from '../utils/hierarchy.js';
+
+/**
+ * Priorities a card can have, lowest first
+ * @type {Array<string>}
+ */
+export const PRIORITIES = ['low', 'medium', 'high'];
+
+/**
+ * Class representing the card editor modal
+ * @class
+ * @classdesc Creates cards and edits their title, markdown content, priority, assignee, lane, start and due dates, subtasks, tags, dependencies and parent card
+ * @category Components
+ */
+export class CardEditor {
+    /**
+     * Create the card editor
+     */
+    constructor() {
+        this.modal = new Modal('card-editor-modal');
+
+        /**
+         * ID of the card being edited
+         * @type {string|null}
+         */
+        this.cardId = null;
+
+        /**
+         * Index of the column a new card is created in, or null when editing an existing card
+         * @type {number|null}
+         */
+        this.newCardColumnIndex = null;
+
+        /**
+         * Edited values, written to the card on save
+         * @type {{subtasks: Array<{id: string, text: string, done: boolean}>, tags: Array<string>, dependencies: Array<string>, dates: Object<string, string>}}
+         */
+        this.draft = { subtasks: [], tags: [], dependencies: [], dates: {} };
+
+        this.form = document.getElementById('card-editor-form');
+        this.heading = document.getElementById('card-editor-heading');
+        this.titleInput = document.getElementById('card-editor-title');
+        this.prioritySelect = document.getElementById('card-editor-priority');
+        this.assigneeInput = document.getElementById('card-editor-assignee');
+        this.laneGroup = document.getElementById('card-editor-lane-group');
+        this.laneSelect = document.getElementById('card-editor-lane');
+        this.startDateInput = document.getElementById('card-editor-start-date');
+        this.dueDateInput = document.getElementById('card-editor-due-date');
+        this.contentInput = document.getElementById('card-editor-content');
+        this.preview = document.getElementById('card-editor-preview');
+        this.subtaskList = document.getElementById('card-editor-subtasks');
+        this.subtaskInput = document.getElementById('card-editor-new-subtask');
+        this.tagContainer = document.getElementById('card-editor-tags');
+        this.tagInput = document.getElementById('card-editor-tag-input');
+        this.dependencyContainer = document.getElementById('card-editor-dependencies');
+        this.dependencySelect = document.getElementById('card-editor-dependency');
+        this.parentSelect = document.getElementById('card-editor-parent');
+        this.errorElement = document.getElementById('card-editor-error');
+
+        if (this.form) {
+            this.setupEventListeners();
+        }
+    }
+
+    /**
+     * Set up the editor's event listeners
+     */
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+
+        // Live markdown preview
+        this.contentInput.addEventListener('input', () => this.renderPreview());
+
+        // Tags are added with Enter or a comma; Backspace in the empty input removes the last one
+        this.tagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                this.addTag(this.tagInput.value);
+            } else if (e.key === 'Backspace' && !this.tagInput.value && this.draft.tags.length) {
+                this.draft.tags.pop();
+                this.renderTags();
+            }
+        });
+        this.tagInput.addEventListener('blur', () => this.addTag(this.tagInput.value));
+
+        // New subtasks
+        document.getElementById('card-editor-add-subtask')?.addEventListener('click', () => this.addSubtask());
+        this.subtaskInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addSubtask();
+            }
+        });
+
+        // Dependency picker
+        this.dependencySelect.addEventListener('change', () => {
+            const id = this.dependencySelect.value;
+            if (id && !this.draft.dependencies.includes(id)) {
+                this.draft.dependencies.push(id);
+                this.renderDependencies();
+            }
+        });
+    }
+
+    /**
+     * Open the editor for a card
+     * @param {string} cardId - ID of the card to edit
+     */
+    open(cardId) {
+        const card = stateManager.getState().cards?.find(c => c.id === cardId);
+        if (!card || !this.form) return;
+
+        this.cardId = cardId;
+        this.newCardColumnIndex = null;
+        this.heading.textContent = 'Edit Card';
+        this.populate(card);
+    }
+
+    /**
+     * Open the editor to create a card
+     * @param {number} columnIndex - Index of the column to add the card to
+     * @param {Object} [fields={}] - Initial card fields, e.g. from quick add
+     */
+    openNew(columnIndex, fields = {}) {
+        if (!this.form) return;
+
+        this.cardId = null;
+        this.newCardColumnIndex = columnIndex;
+        this.heading.textContent = 'New Card';
+        this.populate(fields);
+    }
+
+    /**
+     * Fill the form with a card's fields and show the editor
+     * @param {Object} card - Card fields
+     */
+    populate(card) {
+        this.draft = {
+            // Copies, so cancelling leaves the card untouched; IDs, completion times and assignees are kept
+            subtasks: normalizeSubtasks(card.subtasks),
+            tags: [...(card.tags || [])],
+            dependencies: [...(card.dependencies || [])],
+            // The dates as stored, so timestamps the date inputs cannot show are kept unless changed
+            dates: { start_date: card.start_date, due_date: card.due_date }
+        };
+
+        this.titleInput.value = card.title || '';
+        this.prioritySelect.value = PRIORITIES.includes(card.priority) ? card.priority : '';
+        this.assigneeInput.value = card.assignee || '';
+        this.renderLanes(card.laneId);
+        this.startDateInput.value = toDateInputValue(card.start_date);
+        this.dueDateInput.value = toDateInputValue(card.due_date);
+        this.contentInput.value = card.content || '';
+        this.tagInput.value = '';
+        this.subtaskInput.value = '';
+        this.showError('');
+
+        this.renderPreview();
+        this.renderSubtasks();
+        this.renderTags();
+        this.renderDependencies();
+        this.renderParents(card.parentId);
+
+        this.modal.open();
+        this.titleInput.focus();
+    }
+
+    /**
+     * Fill the lane picker, which is shown on boards grouped by defined lanes
+     * @param {string} [laneId] - ID of the card's lane
+     */
+    renderLanes(laneId) {
+        if (!this.laneSelect) return;
+
+        const state = stateManager.getState();
+        const byLane = getSwimlanes(state)?.groupBy === 'lane';
+        this.laneGroup.classList.toggle('hidden', !byLane);
+        if (!byLane) return;
+
+        this.laneSelect.innerHTML = '';
+        for (const lane of getLanes(state)) {
+            this.laneSelect.add(new Option(lane.name, lane.id ?? ''));
+        }
+        this.laneSelect.value = getLanes(state).some(lane => lane.id === laneId) ? laneId : '';
+    }
+
+    /**
+     * Render the markdown preview of the content
+     */
+    renderPreview() {
+        const content = this.contentInput.value;
+        if (content.trim()) {
+            const cards = stateManager.getState().cards || [];
+            this.preview.innerHTML = renderMarkdown(content, {
+                resolveCardLink: id => cards.find(card => card.id === id)?.title || null
+            });
+        } else {
+            this.preview.innerHTML = '<em>No description</em>';
+        }
+    }
+
+    /**
+     * Render the editable subtask list
+     */
+    renderSubtasks() {
+        const items = this.draft.subtasks.map((subtask, index) => {
+            const item = document.createElement('li');
+            item.className = 'card-editor-subtask';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = subtask.done;
+            checkbox.title = 'Done';
+            checkbox.addEventListener('change', () => {
+                subtask.done = checkbox.checked;
+            });
+
+            const text = document.createElement('input');
+            text.type = 'text';
+            text.value = subtask.text;
+            text.addEventListener('input', () => {
+                subtask.text = text.value;
+            });
+
+            const moveUp = this.createIconButton('fa-arrow-up', 'Move Up', () => this.moveSubtask(index, -1));
+            moveUp.disabled = index === 0;
+            const moveDown = this.createIconButton('fa-arrow-down', 'Move Down', () => this.moveSubtask(index, 1));
+            moveDown.disabled = index === this.draft.subtasks.length - 1;
+            const remove = this.createIconButton('fa-times', 'Remove Subtask', () => {
+                this.draft.subtasks.splice(index, 1);
+                this.renderSubtasks();
+            });
+
+            item.append(checkbox, text, moveUp, moveDown, remove);
+            return item;
+        });
+
+        this.subtaskList.replaceChildren(...items);
+    }
+
+    /**
+     * Add the subtask typed in the new subtask input
+     */
+    addSubtask() {
+        const text = this.subtaskInput.value.trim();
+        if (!text) return;
+
+        this.draft.subtasks.push({ id: stateManager.generateUUID(), text, done: false, completed_at: null });
+        this.subtaskInput.value = '';
+        this.renderSubtasks();
+    }
+
+    /**
+     * Move a subtask up or down the list
+     * @param {number} index - Index of the subtask
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveSubtask(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.draft.subtasks.length) return;
+
+        const [subtask] = this.draft.subtasks.splice(index, 1);
+        this.draft.subtasks.splice(target, 0, subtask);
+        this.renderSubtasks();
+    }
+
+    /**
+     * Add one or more comma-separated tags
+     * @param {string} value - Tag text
+     */
+    addTag(value) {
+        const tags = value.split(',').map(tag => tag.trim()).filter(tag => tag && !this.draft.tags.includes(tag));
+        this.tagInput.value = '';
+        // Only re-render when something changed, so blurring the input doesn't swallow a click on a chip
+        if (!tags.length) return;
+
+        this.draft.tags.push(...new Set(tags));
+        this.renderTags();
+    }
+
+    /**
+     * Render the tag chips, followed by the tag input
+     */
+    renderTags() {
+        const chips = this.draft.tags.map((tag, index) => this.createChip(tag, () => {
+            this.draft.tags.splice(index, 1);
+            this.renderTags();
+        }));
+
+        this.tagContainer.replaceChildren(...chips, this.tagInput);
+    }
+
+    /**
+     * Render the dependency chips and the cards that can still be picked.
+     * Dependencies on cards that no longer exist are kept but marked as missing.
+     */
+    renderDependencies() {
+        const { cards = [], columns = [] } = stateManager.getState();
+
+        const chips = this.draft.dependencies.map((id, index) => {
+            const card = cards.find(c => c.id === id);
+            const chip = this.createChip(card ? card.title : `Missing card ${id}`, () => {
+                this.draft.dependencies.splice(index, 1);
+                this.renderDependencies();
+            });
+            if (!card) chip.classList.add('missing');
+            return chip;
+        });
+        this.dependencyContainer.replaceChildren(...chips);
+
+        // Offer every other card on the board, grouped by column, except the cards that
+        // depend on this one: depending on them would make a cycle, which the server rejects
+        const dependents = this.findDependents(cards);
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Add a dependency...';
+
+        const groups = columns.map(column => {
+            const group = document.createElement('optgroup');
+            group.label = column.name;
+            for (const card of stateManager.getCardsInColumn(column.id)) {
+                if (card.id === this.cardId || this.draft.dependencies.includes(card.id) || dependents.has(card.id)) continue;
+                const option = document.createElement('option');
+                option.value = card.id;
+                option.textContent = card.title;
+                group.appendChild(option);
+            }
+            return group;
+        }).filter(group => group.children.length > 0);
+
+        this.dependencySelect.replaceChildren(placeholder, ...groups);
+        this.dependencySelect.value = '';
+    }
+
+    /**
+     * Fill the parent card picker with every card the edited card can be put under: all
+     * cards except itself and the cards below it, which would make a cycle the server rejects
+     * @param {string} [parentId] - ID of the card's parent
+     */
+    renderParents(parentId) {
+        if (!this.parentSelect) return;
+
+        const { cards = [], columns = [] } = stateManager.getState();
+        const descendants = this.cardId ? getDescendantIds(cards, this.cardId) : new Set();
+        const options = [new Option('None', '')];
+        // A parent that was deleted stays selected until it is changed
+        if (parentId && !cards.some(card => card.id === parentId)) {
+            options.push(new Option(`Missing card ${parentId}`, parentId));
+        }
+
+        const groups = columns.map(column => {
+            const group = document.createElement('optgroup');
+            group.label = column.name;
+            for (const card of stateManager.getCardsInColumn(column.id)) {
+                if (card.id === this.cardId || descendants.has(card.id)) continue;
+                group.appendChild(new Option(card.title, card.id));
+            }
+            return group;
+        }).filter(group => group.children.length > 0);
+
+        this.parentSelect.replaceChildren(...options, ...groups);
+        this.parentSelect.value = parentId || '';
+    }
+
+    /**
+     * Find the cards that depend on the edited card, directly or through other cards
+     * @param {Array<Object>} cards - Cards on the board
+     * @returns {Set<string>} IDs of the dependent cards
+     */
+    findDependents(cards) {
+        const dependents = new Set();
+        const queue = this.cardId ? [this.cardId] : [];
+        while (queue.length) {
+            const id = queue.shift();
+            for (const card of cards) {
+                if (!dependents.has(card.id) && card.dependencies?.includes(id)) {
+                    dependents.add(card.id);
+                    queue.push(card.id);
+                }
+            }
+        }
+        return dependents;
+    }
+
+    /**
+     * Create a removable chip
+     * @param {string} label - Chip text
+     * @param {Function} onRemove - Called when the chip's remove button is clicked
+     * @returns {HTMLElement} Chip element
+     */
+    createChip(label, onRemove) {
+        const chip = document.createElement('span');
+        chip.className = 'tag chip';
+        chip.textContent = label;
+        chip.appendChild(this.createIconButton('fa-times', `Remove ${label}`, onRemove));
+        return chip;
+    }
+
+    /**
+     * Create a small icon button
+     * @param {string} icon - Font Awesome icon class
+     * @param {string} title - Button tooltip
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button element
+     */
+    createIconButton(icon, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'icon-btn';
+        button.title = title;
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Show an error in the editor, or clear it
+     * @param {string} message - Error message (empty to clear)
+     */
+    showError(message) {
+        if (!this.errorElement) return;
+        this.errorElement.textContent = message;
+        this.errorElement.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Get the value of a date input to save, keeping the stored date if the input still shows it
+     * @param {HTMLInputElement} input - Date input
+     * @param {'start_date'|'due_date'} field - Card field the input edits
+     * @returns {string|undefined} Date to save, or undefined for none
+     */
+    getDateValue(input, field) {
+        const stored = this.draft.dates[field];
+        if (stored && input.value === toDateInputValue(stored)) return stored;
+        return input.value || undefined;
+    }
+
+    /**
+     * Write the edited values to the card and save the board
+     * @async
+     */
+    async save() {
+        const title = this.titleInput.value.trim();
+        if (!title) {
+            this.showError('A card needs a title');
+            this.titleInput.focus();
+            return;
+        }
+
+        const startDate = this.getDateValue(this.startDateInput, 'start_date');
+        const dueDate = this.getDateValue(this.dueDateInput, 'due_date');
+        if (startDate && dueDate && getCardDateTime(startDate) > getCardDateTime(dueDate, true)) {
+            this.showError('The start date cannot be after the due date');
+            this.startDateInput.focus();
+            return;
+        }
+
+        // Pick up a tag that was typed but not yet added
+        this.addTag(this.tagInput.value);
+
+        const changes = {
+            title,
+            content: this.contentInput.value,
+            priority: this.prioritySelect.value || undefined,
+            assignee: this.assigneeInput.value.trim() || undefined,
+            ...(this.laneSelect && !this.laneGroup.classList.contains('hidden')
+                ? { laneId: this.laneSelect.value || undefined }
+                : {}),
+            start_date: startDate,
+            due_date: dueDate,
+            subtasks: this.draft.subtasks
+                .filter(subtask => subtask.text.trim())
+                .map(subtask => ({
+                    ...subtask,
+                    text: subtask.text.trim(),
+                    completed_at: subtask.done ? subtask.completed_at || new Date().toISOString() : null
+                })),
+            tags: [...this.draft.tags],
+            dependencies: [...this.draft.dependencies],
+            ...(this.parentSelect ? { parentId: this.parentSelect.value || undefined } : {})
+        };
+
+        try {
+            const card = this.newCardColumnIndex !== null
+                ? await stateManager.addCard(this.newCardColumnIndex, changes)
+                : await stateManager.updateCard(this.cardId, changes);
+            if (!card) {
+                this.showError(this.newCardColumnIndex !== null ? 'This column no longer exists' : 'This card no longer exists');
+                return;
+            }
+            this.modal.close();
+        } catch (error) {
+            console.error('Failed to save card:', error);
+            this.showError(error.status === 409
+                ? 'The board was changed elsewhere and has been reloaded. Please review and save again.'
+                : `Failed to save card: ${error.message}`);
+        }
+    }
+}
+
+// Create and export singleton instance
+export const cardEditor = new CardEditor();
@@ -5,6 +5,11 @@
 
 import { stateManager } from '../core/state.js';
 import { Card } from './Card.js';
+import { cardEditor } from './CardEditor.js';
+import { parseQuickAdd } from '../utils/quick-add.js';
+import { escapeHtml } from '../utils/markdown.js';
+import { showMessage } from '../utils/messages.js';
+import { getSwimlanes, getLaneChanges } from '../utils/swimlanes.js';
 
 const COLUMN_TYPES = {
     TODO: ['todo', 'to do', 'backlog', 'pending', 'new'],
@@ -18,10 +23,12 @@ export class Column {
      * Create a new Column
      * @param {Object} data - Column data
      * @param {number} index - Column index
+     * @param {{id: string|null, name: string}} [lane=null] - Swimlane this column cell belongs to, on boards with lanes
      */
-    constructor(data, index) {
+    constructor(data, index, lane = null) {
         this.data = data;
         this.index = index;
+        this.lane = lane;
         this.element = null;
         this.isCollapsed = false;
         this.isDragging = false;
@@ -58,11 +65,16 @@ export class Column {
         column.dataset.index = this.index;
         column.dataset.type = this.getType();
         column.dataset.id = this.data.id;
-        column.draggable = true;
+        // Columns are reordered by dragging them, which only works without lanes
+        column.draggable = !this.lane;
+        if (this.lane) {
+            column.dataset.laneId = this.lane.id ?? '';
+        }
         
         column.innerHTML = `
             <div class="column-header">
-                <h2>${this.data.name}</h2>
+                <h2>${escapeHtml(this.data.name)}</h2>
+                ${this.renderWipBadge()}
                 <div class="column-actions">
                     <button class="delete-column-btn" title="Delete Column">
                         <i class="fas fa-trash"></i>
@@ -75,8 +87,13 @@ export class Column {
                     </button>
                 </div>
             </div>
-            <!-- button class="add-card-btn">+ Add Card</button -->
             <div class="cards"></div>
+            <form class="quick-add" autocomplete="off">
+                <input type="text" class="quick-add-input" placeholder="+ Add a card" title="Add a card: #tag sets a tag, !high / !medium / !low the priority, @name the assignee" />
+                <button type="button" class="quick-add-expand" title="Open in Card Editor">
+                    <i class="fas fa-up-right-and-down-left-from-center"></i>
+                </button>
+            </form>
         `;
 
         this.element = column;
@@ -84,6 +101,43 @@ export class Column {
         return column;
     }
 
+    /**
+     * Render the badge with the column's card count and WIP limit.
+     * It turns red when the column holds more cards than its limit.
+     * @returns {string}
+     */
+    renderWipBadge() {
+        const { count, limit, exceeded } = stateManager.getWipStatus(this.data.id);
+        const title = limit === null
+            ? 'No WIP limit (click to set one)'
+            : `WIP limit ${limit}${exceeded ? ', exceeded' : ''} (click to change)`;
+        
+        return `
+            <button type="button" class="wip-badge${exceeded ? ' over' : ''}${limit === null ? ' no-limit' : ''}" title="${title}">
+                ${limit === null ? count : `${count}/${limit}`}
+            </button>
+        `;
+    }
+
+    /**
+     * Ask for a new WIP limit for the column; an empty answer removes the limit
+     * @async
+     */
+    async editWipLimit() {
+        const { limit } = stateManager.getWipStatus(this.data.id);
+        const answer = prompt('WIP limit for this column (leave empty for no limit):', limit ?? '');
+        if (answer === null) return;
+        
+        const trimmed = answer.trim();
+        const newLimit = trimmed === '' ? null : Number(trimmed);
+        if (newLimit !== null && (!Number.isInteger(newLimit) || newLimit < 1)) {
+            showMessage('The WIP limit must be a whole number of at least 1', 'error');
+            return;
+        }
+        
+        await stateManager.setColumnWipLimit(this.data.id, newLimit);
+    }
+
     /**
      * Add a card to the column
      * @param {Card} card - Card instance
@@ -93,6 +147,44 @@ export class Column {
         cardContainer.appendChild(card.render());
     }
 
+    /**
+     * Parse the quick add input, putting the card in this cell's lane
+     * @param {string} text - Quick add text
+     * @returns {Object} Card fields
+     */
+    quickAddFields(text) {
+        const fields = parseQuickAdd(text);
+        const swimlanes = getSwimlanes(stateManager.getState());
+        if (!this.lane || !swimlanes || this.lane.id === null) return fields;
+
+        return { ...fields, ...getLaneChanges(fields, swimlanes, this.lane.id) };
+    }
+
+    /**
+     * Create a card from the quick add input
+     * @async
+     */
+    async quickAddCard() {
+        const input = this.element.querySelector('.quick-add-input');
+        const fields = this.quickAddFields(input.value);
+        if (!fields.title) return;
+        
+        try {
+            await stateManager.addCard(this.index, fields);
+        } catch (error) {
+            // Keep the text so the card can be added once there is room; rejected saves are already reported
+            if (!error.status) {
+                showMessage(error.message, 'error');
+            }
+            return;
+        }
+        input.value = '';
+        
+        // The board re-renders after saving; keep typing in this column's input
+        const laneSelector = this.lane ? `[data-lane-id="${CSS.escape(this.lane.id ?? '')}"]` : '';
+        document.querySelector(`.column[data-id="${CSS.escape(this.data.id)}"]${laneSelector} .quick-add-input`)?.focus();
+    }
+
     /**
      * Set collapse state for all cards in the column
      * @param {boolean} collapsed - Whether to collapse the cards
@@ -148,6 +240,23 @@ export class Column {
             this.setAllCardsCollapsed(false);
         });
         
+        // Quick add: Enter creates the card, the expand button finishes it in the card editor
+        const quickAddForm = this.element.querySelector('.quick-add');
+        quickAddForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.quickAddCard();
+        });
+        
+        quickAddForm.querySelector('.quick-add-expand').addEventListener('click', () => {
+            const input = quickAddForm.querySelector('.quick-add-input');
+            const fields = this.quickAddFields(input.value);
+            input.value = '';
+            cardEditor.openNew(this.index, fields);
+        });
+        
+        // WIP limit badge
+        this.element.querySelector('.wip-badge').addEventListener('click', () => this.editWipLimit());
+        
         // Column Title edit on double click
         this.element.querySelector('.column-header h2').addEventListener('dblclick', (e) => {
             const newName = prompt('Enter column name:', this.data.name);
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Modal with the cumulative flow diagram and burnup/burndown chart of the current board
+ * @module components/FlowCharts
+ * @requires ../core/state
+ * @requires ../services/api
+ * @requires ./Modal
+ * @requires ../utils/charts
+ * @requires ../utils/markdown
+ */
+
+import { stateManager } from '../core/state.js';
+import { apiService } from '../services/api.js';
+import { Modal } from './Modal.js';
+import { CHART_COLORS, renderStackedAreaChart, renderLineChart, renderLegend } from '../utils/charts.js';
+import { escapeHtml } from '../utils/markdown.js';
+
+/**
+ * Milliseconds in a day
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Class representing the flow charts modal
+ * @class
+ * @classdesc Shows how many cards each column held on each day, so work piling up in a column
+ * stands out, and how the board's scope, completed and remaining cards changed
+ * @category Components
+ */
+export class FlowCharts {
+    /**
+     * Create the flow charts modal
+     */
+    constructor() {
+        this.modal = new Modal('flow-charts-modal');
+        this.openButton = document.getElementById('flow-charts-btn');
+        this.rangeSelect = document.getElementById('flow-charts-range');
+        this.notice = document.getElementById('flow-charts-notice');
+        this.cumulativeFlow = document.getElementById('flow-charts-cfd');
+        this.burnChart = document.getElementById('flow-charts-burn');
+
+        this.openButton?.addEventListener('click', () => this.open());
+        this.rangeSelect?.addEventListener('change', () => this.load());
+    }
+
+    /**
+     * Open the modal with the charts of the current board
+     */
+    open() {
+        this.modal.open();
+        this.load();
+    }
+
+    /**
+     * Load the series of the selected range of days and draw the charts
+     */
+    async load() {
+        const boardId = stateManager.getState().id;
+        if (!boardId) return;
+
+        const days = parseInt(this.rangeSelect?.value, 10) || 30;
+        const from = new Date(Date.now() - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+
+        try {
+            this.render(await apiService.getFlowSeries(boardId, { from }));
+        } catch (error) {
+            this.notice.textContent = 'Failed to load flow charts';
+            this.notice.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Draw the charts
+     * @param {Object} flow - Series returned by the flow endpoint
+     */
+    render(flow) {
+        // Stacked with the last column at the bottom, so finished work forms the base
+        const columnSeries = flow.columns
+            .map((column, i) => ({ label: column.name, values: column.counts, color: CHART_COLORS[i % CHART_COLORS.length] }))
+            .reverse();
+        this.cumulativeFlow.innerHTML =
+            renderStackedAreaChart(flow.dates, columnSeries, 'Cards in each column per day') +
+            renderLegend([...columnSeries].reverse());
+
+        const burnSeries = [
+            { label: 'Scope', values: flow.burnup.scope, color: '#8e8e93' },
+            { label: 'Completed', values: flow.burnup.completed, color: '#30d158' },
+            { label: 'Remaining', values: flow.burndown.remaining, color: '#4a9eff' },
+            { label: 'Ideal', values: flow.burndown.ideal, color: '#ff9f43', dashed: true }
+        ];
+        this.burnChart.innerHTML =
+            renderLineChart(flow.dates, burnSeries, 'Scope, completed and remaining cards per day') +
+            renderLegend(burnSeries);
+
+        const partial = !flow.recordedFrom || flow.recordedFrom > flow.from;
+        this.notice.innerHTML = partial
+            ? `Column counts are recorded when the board is saved${flow.recordedFrom ? `, starting ${escapeHtml(flow.recordedFrom)}` : ''}. Earlier days show no cards.`
+            : '';
+        this.notice.classList.toggle('hidden', !partial);
+    }
+}
+
+// Create and export singleton instance
+export const flowCharts = new FlowCharts();
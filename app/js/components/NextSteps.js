@@ -2,6 +2,8 @@
  * NextSteps Component
  * Manages the next steps sidebar in the kanban board
  */
+import { renderMarkdown } from '../utils/markdown.js';
+
 export class NextSteps {
     constructor() {
         this.element = document.querySelector('.next-steps-sidebar');
@@ -21,7 +23,7 @@ export class NextSteps {
 
     /**
      * Update the next steps list
-     * @param {string[]} steps - Array of next step items
+     * @param {string[]} steps - Array of next step items, as inline markdown
      */
     update(steps) {
         console.log('Updating next steps with:', steps);
@@ -30,7 +32,7 @@ export class NextSteps {
             return;
         }
         this.list.innerHTML = steps
-            .map(step => `<li>${step}</li>`)
+            .map(step => `<li>${renderMarkdown(String(step), { inline: true })}</li>`)
             .join('');
         console.log('Next steps updated');
     }
@@ -6,6 +6,7 @@
 import { apiService } from '../services/api.js';
 import { stateManager } from '../core/state.js';
 import { Modal } from './Modal.js';
+import { escapeHtml } from '../utils/markdown.js';
 
 export class Settings {
     /**
@@ -23,6 +24,8 @@ export class Settings {
         this.webhooks = [];
         this.archives = [];
         this.selectedArchive = null;
+        this.backups = [];
+        this.selectedBackup = null;
         
         // Initialize without opening the modal
         this.initialize();
@@ -123,6 +126,16 @@ export class Settings {
             });
         }
         
+        // Restore backup button
+        const restoreBackupBtn = document.getElementById('restore-backup-btn');
+        if (restoreBackupBtn) {
+            restoreBackupBtn.addEventListener('click', () => {
+                if (this.selectedBackup) {
+                    this.restoreBackup(this.selectedBackup.id);
+                }
+            });
+        }
+        
         // Export board button
         const exportBoardBtn = document.getElementById('export-board-btn');
         if (exportBoardBtn) {
@@ -173,6 +186,8 @@ export class Settings {
         this.modal.open();
         // Default to boards tab
         this.modal.switchTab('boards');
+        // Backups belong to the current board, which may have changed since last opened
+        this.loadBackups();
     }
     
     /**
@@ -306,15 +321,15 @@ export class Settings {
             }
             
             boardItem.innerHTML = `
-                <div class="board-name">${board.name}</div>
+                <div class="board-name">${escapeHtml(board.name)}</div>
                 <div class="board-actions">
-                    <button class="icon-btn board-action-btn" data-action="load" data-board-id="${board.id}" title="Load Board">
+                    <button class="icon-btn board-action-btn" data-action="load" data-board-id="${escapeHtml(board.id)}" title="Load Board">
                         <i class="fas fa-undo"></i>
                     </button>
-                    <button class="icon-btn board-action-btn" data-action="archive" data-board-id="${board.id}" title="Archive Board">
+                    <button class="icon-btn board-action-btn" data-action="archive" data-board-id="${escapeHtml(board.id)}" title="Archive Board">
                         <i class="fas fa-archive"></i>
                     </button>
-                    <button class="icon-btn board-action-btn" data-action="delete" data-board-id="${board.id}" title="Delete Board">
+                    <button class="icon-btn board-action-btn" data-action="delete" data-board-id="${escapeHtml(board.id)}" title="Delete Board">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
@@ -602,7 +617,7 @@ export class Settings {
             }
             
             archiveItem.innerHTML = `
-                <div class="board-name">${archive.name}</div>
+                <div class="board-name">${escapeHtml(archive.name)}</div>
                 <div class="board-info">
                     <span class="archive-date">${new Date(archive.archivedAt).toLocaleDateString()} </br> ${new Date(archive.archivedAt).toLocaleTimeString()}</span>
                 </div>
@@ -724,6 +739,161 @@ export class Settings {
         }
     }
     
+    /**
+     * Load the backups of the current board
+     */
+    async loadBackups() {
+        const boardId = stateManager.getState().id;
+        this.selectedBackup = null;
+        
+        try {
+            const { backups, retention } = boardId
+                ? await apiService.getBackups(boardId)
+                : { backups: [], retention: null };
+            this.backups = backups;
+            
+            const retentionElement = document.getElementById('backup-retention');
+            if (retentionElement && retention) {
+                const count = retention.maxCount ? `the ${retention.maxCount} most recent` : 'all';
+                const age = retention.maxAgeDays ? ` from the last ${retention.maxAgeDays} days` : '';
+                retentionElement.textContent = `Keeping ${count} snapshots${age}.`;
+            }
+        } catch (error) {
+            console.error('Failed to load backups:', error);
+            this.showMessage('Failed to load backups', 'error');
+            this.backups = [];
+        }
+        
+        this.updateBackupList();
+    }
+    
+    /**
+     * Update backup list in UI
+     */
+    updateBackupList() {
+        const backupList = document.getElementById('backup-list');
+        if (!backupList) return;
+        
+        backupList.innerHTML = '';
+        
+        const selectedNameElement = document.getElementById('selected-backup-name');
+        const changesElement = document.getElementById('selected-backup-changes');
+        const restoreButton = document.getElementById('restore-backup-btn');
+        if (!this.selectedBackup) {
+            if (selectedNameElement) selectedNameElement.textContent = 'No snapshot selected';
+            if (changesElement) changesElement.textContent = '';
+            if (restoreButton) restoreButton.disabled = true;
+        }
+        
+        if (this.backups.length === 0) {
+            const emptyMessage = document.createElement('div');
+            emptyMessage.className = 'board-item';
+            emptyMessage.textContent = 'No snapshots of this board yet.';
+            backupList.appendChild(emptyMessage);
+            return;
+        }
+        
+        for (const backup of this.backups) {
+            const backupItem = document.createElement('div');
+            backupItem.className = 'board-item';
+            backupItem.dataset.backupId = backup.id;
+            
+            if (this.selectedBackup && this.selectedBackup.id === backup.id) {
+                backupItem.classList.add('selected');
+            }
+            
+            const createdAt = new Date(backup.created_at);
+            const name = document.createElement('div');
+            name.className = 'board-name';
+            name.textContent = this.formatBackupOperation(backup.operation);
+            const info = document.createElement('div');
+            info.className = 'board-info';
+            const date = document.createElement('span');
+            date.className = 'archive-date';
+            date.textContent = `${createdAt.toLocaleDateString()} ${createdAt.toLocaleTimeString()}`;
+            info.appendChild(date);
+            backupItem.append(name, info);
+            
+            backupItem.addEventListener('click', () => {
+                this.selectBackup(backup);
+            });
+            
+            backupList.appendChild(backupItem);
+        }
+    }
+    
+    /**
+     * Turn a backup operation such as 'pre_card_move' into a label
+     * @param {string} operation - Operation the backup was taken before
+     * @returns {string} Readable label
+     */
+    formatBackupOperation(operation) {
+        const label = operation.replace(/^pre_/, 'before ').replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+    
+    /**
+     * Select a backup to potentially restore, and show what restoring it would revert
+     * @param {Object} backup - Backup to select
+     */
+    async selectBackup(backup) {
+        this.selectedBackup = backup;
+        
+        for (const item of document.querySelectorAll('#backup-list .board-item')) {
+            item.classList.toggle('selected', item.dataset.backupId === backup.id);
+        }
+        
+        const selectedNameElement = document.getElementById('selected-backup-name');
+        if (selectedNameElement) {
+            selectedNameElement.textContent = `${this.formatBackupOperation(backup.operation)}, ${new Date(backup.created_at).toLocaleString()}`;
+        }
+        
+        const restoreButton = document.getElementById('restore-backup-btn');
+        if (restoreButton) {
+            restoreButton.disabled = false;
+        }
+        
+        const changesElement = document.getElementById('selected-backup-changes');
+        if (!changesElement) return;
+        changesElement.textContent = '';
+        
+        try {
+            const { changesSinceBackup } = await apiService.getBackup(stateManager.getState().id, backup.id);
+            // Ignore the answer if another snapshot was selected meanwhile
+            if (this.selectedBackup !== backup) return;
+            
+            const changes = Object.entries(changesSinceBackup).map(([type, count]) => `${count} ${type.replace('.', ' ')}`);
+            changesElement.textContent = changes.length > 0
+                ? `Changes since this snapshot: ${changes.join(', ')}`
+                : 'The board has not changed since this snapshot.';
+        } catch (error) {
+            console.error('Failed to load backup details:', error);
+        }
+    }
+    
+    /**
+     * Restore the current board to one of its backups
+     * @param {string} backupId - ID of the backup to restore
+     */
+    async restoreBackup(backupId) {
+        if (!confirm('Restore this snapshot? Changes made since it was taken will be replaced (you can undo this).')) {
+            return;
+        }
+        
+        try {
+            // Let pending edits reach the server before they are replaced
+            await stateManager.saveQueue.catch(() => {});
+            await apiService.restoreBackup(stateManager.getState().id, backupId);
+            await stateManager.resyncBoard();
+            
+            this.showMessage('Snapshot restored successfully!', 'success');
+            await this.loadBackups();
+        } catch (error) {
+            console.error('Failed to restore backup:', error);
+            this.showMessage(`Failed to restore snapshot: ${error.message}`, 'error');
+        }
+    }
+    
     /**
      * Show a message to the user
      * @param {string} message - Message to display
@@ -785,15 +955,15 @@ export class Settings {
             
             webhookItem.innerHTML = `
                 <div class="webhook-info">
-                    <div class="webhook-name">${webhook.name}</div>
-                    <div class="webhook-url">${webhook.url}</div>
-                    <div class="webhook-event"><span class="event-badge">${webhook.event}</span></div>
+                    <div class="webhook-name">${escapeHtml(webhook.name)}</div>
+                    <div class="webhook-url">${escapeHtml(webhook.url)}</div>
+                    <div class="webhook-event"><span class="event-badge">${escapeHtml(webhook.event)}</span></div>
                 </div>
                 <div class="webhook-actions">
-                    <button class="icon-btn webhook-action-btn" data-action="test" data-webhook-id="${webhook.id}" title="Test Webhook">
+                    <button class="icon-btn webhook-action-btn" data-action="test" data-webhook-id="${escapeHtml(webhook.id)}" title="Test Webhook">
                         <i class="fas fa-vial"></i>
                     </button>
-                    <button class="icon-btn webhook-action-btn" data-action="delete" data-webhook-id="${webhook.id}" title="Delete Webhook">
+                    <button class="icon-btn webhook-action-btn" data-action="delete" data-webhook-id="${escapeHtml(webhook.id)}" title="Delete Webhook">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
@@ -812,6 +982,7 @@ export class Settings {
     async addWebhook() {
         const nameInput = document.getElementById('webhook-name');
         const urlInput = document.getElementById('webhook-url');
+        const secretInput = document.getElementById('webhook-secret');
         const eventSelect = document.getElementById('webhook-event');
         
         if (!nameInput || !urlInput || !eventSelect) {
@@ -822,6 +993,7 @@ export class Settings {
         const name = nameInput.value.trim();
         const url = urlInput.value.trim();
         const event = eventSelect.value;
+        const secret = secretInput ? secretInput.value.trim() : '';
         
         if (!name || !url || !event) {
             this.showMessage('Please fill in all webhook fields', 'error');
@@ -829,7 +1001,7 @@ export class Settings {
         }
         
         try {
-            const newWebhook = await apiService.createWebhook({ name, url, event });
+            const newWebhook = await apiService.createWebhook({ name, url, event, ...(secret ? { secret } : {}) });
             
             // Add to local list
             this.webhooks.push(newWebhook);
@@ -840,6 +1012,7 @@ export class Settings {
             // Clear form
             nameInput.value = '';
             urlInput.value = '';
+            if (secretInput) secretInput.value = '';
             eventSelect.selectedIndex = 0;
             
             this.showMessage(`Webhook "${name}" created successfully!`, 'success');
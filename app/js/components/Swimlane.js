@@ -0,0 +1,105 @@
+/**
+ * Swimlane Component
+ * A horizontal lane of the board, holding a cell of every column for the cards in the lane
+ */
+
+import { stateManager } from '../core/state.js';
+import { escapeHtml } from '../utils/markdown.js';
+
+/**
+ * Keys of the lanes collapsed in this session, kept across re-renders
+ * @type {Set<string>}
+ */
+const collapsedLanes = new Set();
+
+export class Swimlane {
+    /**
+     * Create a new Swimlane
+     * @param {{id: string|null, name: string}} data - Lane data; a null ID is the lane for cards in no lane
+     * @param {number} cardCount - Number of cards in the lane
+     * @param {boolean} editable - Whether the lane is one of the board's defined lanes, which can be renamed and deleted
+     */
+    constructor(data, cardCount, editable) {
+        this.data = data;
+        this.cardCount = cardCount;
+        this.editable = editable && data.id !== null;
+        this.element = null;
+    }
+
+    /**
+     * Key identifying the lane in the collapsed lane set
+     * @returns {string}
+     */
+    get key() {
+        return `${stateManager.getState().swimlanes?.groupBy}:${this.data.id ?? ''}`;
+    }
+
+    /**
+     * Render the lane
+     * @returns {HTMLElement}
+     */
+    render() {
+        const lane = document.createElement('section');
+        lane.className = 'swimlane';
+        lane.dataset.laneId = this.data.id ?? '';
+        lane.classList.toggle('collapsed', collapsedLanes.has(this.key));
+        lane.classList.toggle('no-lane', this.data.id === null);
+
+        lane.innerHTML = `
+            <div class="swimlane-header">
+                <button type="button" class="swimlane-toggle" title="Collapse Lane">
+                    <i class="fas fa-chevron-down"></i>
+                </button>
+                <h3 ${this.editable ? 'title="Double-click to rename"' : ''}>${escapeHtml(this.data.name)}</h3>
+                <span class="swimlane-count">${this.cardCount}</span>
+                ${this.editable ? `
+                    <button type="button" class="delete-lane-btn" title="Delete Lane">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                ` : ''}
+            </div>
+            <div class="swimlane-columns"></div>
+        `;
+
+        this.element = lane;
+        this.setupEventListeners();
+        return lane;
+    }
+
+    /**
+     * Add a column cell to the lane
+     * @param {HTMLElement} columnElement - Rendered column
+     */
+    addColumn(columnElement) {
+        this.element.querySelector('.swimlane-columns').appendChild(columnElement);
+    }
+
+    /**
+     * Setup event listeners for the lane
+     */
+    setupEventListeners() {
+        this.element.querySelector('.swimlane-toggle').addEventListener('click', () => {
+            const collapsed = this.element.classList.toggle('collapsed');
+            if (collapsed) {
+                collapsedLanes.add(this.key);
+            } else {
+                collapsedLanes.delete(this.key);
+            }
+        });
+
+        if (!this.editable) return;
+
+        this.element.querySelector('.swimlane-header h3').addEventListener('dblclick', async () => {
+            const name = prompt('Enter lane name:', this.data.name);
+            if (name && name !== this.data.name) {
+                await stateManager.renameLane(this.data.id, name);
+            }
+        });
+
+        this.element.querySelector('.delete-lane-btn').addEventListener('click', async () => {
+            if (confirm(`Delete the lane "${this.data.name}"? Its cards are kept and move to "No lane".`)) {
+                await stateManager.removeLane(this.data.id);
+            }
+        });
+    }
+}
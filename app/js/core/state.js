@@ -2,9 +2,15 @@
  * @fileoverview Centralized state management for the kanban board
  * @module core/state
  * @requires ../services/api
+ * @requires ../utils/subtasks
+ * @requires ../utils/swimlanes
+ * @requires ../utils/messages
  */
 
 import { apiService } from '../services/api.js';
+import { normalizeSubtasks } from '../utils/subtasks.js';
+import { getSwimlanes, getCardLaneId, getLaneChanges } from '../utils/swimlanes.js';
+import { showMessage } from '../utils/messages.js';
 
 /**
  * Class for managing application state
@@ -24,6 +30,7 @@ class StateManager {
          * @property {Array<Column>} columns - Column definitions in the board
          * @property {Array<Card>} cards - All cards in the board
          * @property {boolean} isDragging - Whether a drag operation is in progress
+         * @property {number} [revision] - Server revision the local state is based on
          */
         this.state = {
             projectName: 'My Kanban Board',
@@ -38,6 +45,27 @@ class StateManager {
          * @private
          */
         this.listeners = new Set();
+        
+        /**
+         * Open real-time event stream for the current board
+         * @type {EventSource|null}
+         * @private
+         */
+        this.eventSource = null;
+        
+        /**
+         * ID of the board the event stream is connected to
+         * @type {string|null}
+         * @private
+         */
+        this.eventBoardId = null;
+        
+        /**
+         * Chain of pending saves, so each save is based on the revision the previous one returned
+         * @type {Promise<void>}
+         * @private
+         */
+        this.saveQueue = Promise.resolve();
     }
 
     /**
@@ -58,6 +86,7 @@ class StateManager {
             }
             
             this.notifyListeners();
+            this.connectToBoardEvents();
         } catch (error) {
             console.error('Failed to initialize state:', error);
             // Create default columns and cards if loading fails
@@ -217,14 +246,152 @@ class StateManager {
         await this.saveState();
     }
 
+    /**
+     * Get the card count and WIP limit of a column
+     * @param {string} columnId - Column ID
+     * @returns {{count: number, limit: number|null, exceeded: boolean}} WIP status of the column
+     */
+    getWipStatus(columnId) {
+        const column = this.state.columns.find(col => col.id === columnId);
+        const count = this.getCardsInColumn(columnId).length;
+        const limit = Number.isInteger(column?.wipLimit) ? column.wipLimit : null;
+        return { count, limit, exceeded: limit !== null && count > limit };
+    }
+
+    /**
+     * Check that another card can be put in a column. Boards that allow exceeding
+     * WIP limits take the card anyway, and the column shows as over its limit.
+     * @param {string} columnId - Column ID
+     * @throws {Error} With code WIP_LIMIT_EXCEEDED if the column is at its WIP limit
+     * @private
+     */
+    checkWipLimit(columnId) {
+        const { count, limit } = this.getWipStatus(columnId);
+        if (limit === null || count < limit || this.state.settings?.allowWipLimitExceeding) return;
+
+        const column = this.state.columns.find(col => col.id === columnId);
+        const error = new Error(`Column "${column.name}" is at its WIP limit (${count}/${limit})`);
+        error.code = 'WIP_LIMIT_EXCEEDED';
+        throw error;
+    }
+
+    /**
+     * Set or remove the WIP limit of a column
+     * @param {string} columnId - Column ID
+     * @param {number|null} limit - Maximum number of cards, or null to remove the limit
+     */
+    async setColumnWipLimit(columnId, limit) {
+        const column = this.state.columns.find(col => col.id === columnId);
+        if (!column) return;
+
+        if (limit === null) {
+            delete column.wipLimit;
+        } else {
+            column.wipLimit = limit;
+        }
+        await this.saveState();
+    }
+
+    /**
+     * Turn swimlanes on or off, or change how cards are grouped into lanes.
+     * Defined lanes are kept when switching to another grouping.
+     * @param {string|null} groupBy - 'lane', 'tag', 'priority' or 'assignee', or null for no swimlanes
+     */
+    async setSwimlaneGrouping(groupBy) {
+        if (groupBy === null && !this.state.swimlanes?.lanes?.length) {
+            delete this.state.swimlanes;
+        } else {
+            // Without a grouping, defined lanes are kept for when they are turned back on
+            this.state.swimlanes = { ...this.state.swimlanes, groupBy };
+        }
+        await this.saveState();
+    }
+
+    /**
+     * Add a lane to the board's defined lanes
+     * @param {string} name - Lane name
+     * @returns {Promise<Object>} The new lane
+     */
+    async addLane(name) {
+        const lane = { id: this.generateUUID(), name };
+        this.state.swimlanes = {
+            ...this.state.swimlanes,
+            groupBy: 'lane',
+            lanes: [...(this.state.swimlanes?.lanes || []), lane]
+        };
+        await this.saveState();
+        return lane;
+    }
+
+    /**
+     * Rename one of the board's defined lanes
+     * @param {string} laneId - Lane ID
+     * @param {string} name - New name
+     */
+    async renameLane(laneId, name) {
+        const lane = this.state.swimlanes?.lanes?.find(l => l.id === laneId);
+        if (!lane) return;
+
+        lane.name = name;
+        await this.saveState();
+    }
+
+    /**
+     * Remove one of the board's defined lanes. Its cards move to the lane for cards in no lane.
+     * @param {string} laneId - Lane ID
+     */
+    async removeLane(laneId) {
+        const lanes = this.state.swimlanes?.lanes;
+        if (!lanes?.some(l => l.id === laneId)) return;
+
+        this.state.swimlanes.lanes = lanes.filter(l => l.id !== laneId);
+        for (const card of this.state.cards) {
+            if (card.laneId === laneId) delete card.laneId;
+        }
+        await this.saveState();
+    }
+
+    /**
+     * Move a card to another lane, and to a position in a column, in a single save
+     * @param {string} cardId - Card ID
+     * @param {string|null} laneId - ID of the target lane (null for the lane of cards in no lane)
+     * @param {number} targetColumnIndex - Target column index
+     * @param {number} newIndex - New position index within the column
+     * @throws {Error} With code WIP_LIMIT_EXCEEDED if the target column is at its WIP limit
+     */
+    async moveCardToLane(cardId, laneId, targetColumnIndex, newIndex) {
+        const card = this.state.cards.find(c => c.id === cardId);
+        const swimlanes = getSwimlanes(this.state);
+        const targetColumn = this.state.columns[targetColumnIndex];
+        if (!card || !swimlanes || !targetColumn) return;
+
+        // Check before changing the card, so a rejected move leaves it untouched
+        if (card.columnId !== targetColumn.id) {
+            this.checkWipLimit(targetColumn.id);
+        }
+
+        if (getCardLaneId(card, swimlanes) !== laneId) {
+            Object.assign(card, getLaneChanges(card, swimlanes, laneId), { updated_at: new Date().toISOString() });
+        }
+
+        if (card.columnId === targetColumn.id) {
+            await this.reorderCard(cardId, targetColumnIndex, newIndex);
+        } else {
+            const sourceColumnIndex = this.state.columns.findIndex(col => col.id === card.columnId);
+            await this.moveCard(cardId, sourceColumnIndex, targetColumnIndex, newIndex);
+        }
+    }
+
     /**
      * Add a card to a column
      * @param {number} columnIndex - Target column index
      * @param {Object} card - Card data
+     * @throws {Error} With code WIP_LIMIT_EXCEEDED if the column is at its WIP limit
      */
     async addCard(columnIndex, card) {
         if (columnIndex >= 0 && columnIndex < this.state.columns.length) {
             const columnId = this.state.columns[columnIndex].id;
+            this.checkWipLimit(columnId);
             
             // Calculate highest position value for this column
             const position = this.getCardsInColumn(columnId).length;
@@ -307,6 +474,7 @@ class StateManager {
      * @param {number} sourceColumnIndex - Source column index
      * @param {number} targetColumnIndex - Target column index
      * @param {number} newIndex - New position index (optional)
+     * @throws {Error} With code WIP_LIMIT_EXCEEDED if the target column is at its WIP limit
      */
     async moveCard(cardId, sourceColumnIndex, targetColumnIndex, newIndex = -1) {
         const cardIndex = this.state.cards.findIndex(card => card.id === cardId);
@@ -317,6 +485,9 @@ class StateManager {
         const targetColumnId = this.state.columns[targetColumnIndex]?.id;
         
         if (!sourceColumnId || !targetColumnId) return;
+        if (this.state.cards[cardIndex].columnId !== targetColumnId) {
+            this.checkWipLimit(targetColumnId);
+        }
         
         // Update columnId
         this.state.cards[cardIndex].columnId = targetColumnId;
@@ -352,6 +523,43 @@ class StateManager {
         await this.saveState();
     }
     
+    /**
+     * Update the fields of a card
+     * @param {string} cardId - Card ID
+     * @param {Object} changes - Fields to change; fields set to undefined are removed when saved
+     * @returns {Promise<Object|null>} The updated card, or null if the card does not exist
+     */
+    async updateCard(cardId, changes) {
+        const card = this.state.cards.find(c => c.id === cardId);
+        if (!card) return null;
+
+        Object.assign(card, changes, { updated_at: new Date().toISOString() });
+        await this.saveState();
+        return card;
+    }
+
+    /**
+     * Tick or untick one subtask of a card
+     * @param {string} cardId - Card ID
+     * @param {string} subtaskId - Subtask ID
+     * @returns {Promise<Object|null>} The updated subtask, or null if the card or subtask does not exist
+     */
+    async toggleSubtask(cardId, subtaskId) {
+        const card = this.state.cards.find(c => c.id === cardId);
+        if (!card) return null;
+
+        const subtasks = normalizeSubtasks(card.subtasks);
+        const subtask = subtasks.find(s => s.id === subtaskId);
+        if (!subtask) return null;
+
+        subtask.done = !subtask.done;
+        subtask.completed_at = subtask.done ? new Date().toISOString() : null;
+        card.subtasks = subtasks;
+        card.updated_at = new Date().toISOString();
+        await this.saveState();
+        return subtask;
+    }
+
     /**
      * Remove a card
      * @param {string} cardId - Card ID
@@ -379,17 +587,80 @@ class StateManager {
 
     /**
      * Save current state to server
+     * @returns {Promise<void>} Resolves once this save (and any queued before it) has completed
+     */
+    saveState() {
+        this.saveQueue = this.saveQueue
+            .catch(() => {})
+            .then(() => this.persistState());
+        return this.saveQueue;
+    }
+    
+    /**
+     * Post the current state to the server. If the board was changed elsewhere
+     * since it was loaded, or the server rejected the change, the latest version
+     * is reloaded, the user is told their change was not saved, and the error rethrown.
+     * @async
+     * @private
      */
-    async saveState() {
+    async persistState() {
         try {
-            await apiService.saveBoard(this.state);
+            const result = await apiService.saveBoard(this.state);
+            if (result && Number.isInteger(result.revision)) {
+                this.state.revision = result.revision;
+                this.state.last_updated = result.last_updated;
+            }
             this.notifyListeners();
         } catch (error) {
+            if (error.status === 409) {
+                console.warn('Board was modified elsewhere, reloading the latest version:', error.conflict);
+                await this.resyncBoard();
+                showMessage('The board was changed elsewhere and has been reloaded. Your last change was not saved.', 'error', { duration: 6000 });
+            } else if (error.status === 422) {
+                // The server rejected the change, e.g. for taking a column over its WIP limit; drop it
+                await this.resyncBoard();
+                showMessage(`Your last change was not saved: ${error.message}`, 'error', { duration: 6000 });
+            }
             console.error('Failed to save state:', error);
             throw error;
         }
     }
     
+    /**
+     * Undo the most recent change to the board
+     * @async
+     * @returns {Promise<Object>} Result returned by the server
+     */
+    async undo() {
+        return this.revertLastOperation('undo');
+    }
+    
+    /**
+     * Redo the most recently undone change to the board
+     * @async
+     * @returns {Promise<Object>} Result returned by the server
+     */
+    async redo() {
+        return this.revertLastOperation('redo');
+    }
+    
+    /**
+     * Apply undo or redo on the server once pending saves have landed, then reload the board
+     * @async
+     * @private
+     * @param {'undo'|'redo'} direction - Which change to apply
+     * @returns {Promise<Object>} Result returned by the server
+     */
+    async revertLastOperation(direction) {
+        await this.saveQueue.catch(() => {});
+        
+        try {
+            return await apiService.revertLastOperation(this.state.id, direction);
+        } finally {
+            await this.resyncBoard();
+        }
+    }
+    
     /**
      * Load a specific board
      * @param {string|Object} boardNameOrData - Name of the board to load or board data object
@@ -409,6 +680,7 @@ class StateManager {
         }
         
         this.notifyListeners();
+        this.connectToBoardEvents();
         return boardNameOrData;
       }
       
@@ -433,6 +705,7 @@ class StateManager {
           }
           
           this.notifyListeners();
+          this.connectToBoardEvents();
           return data;
         } catch (apiError) {
           console.warn('Could not load board from API, trying local fetch:', apiError);
@@ -531,6 +804,164 @@ class StateManager {
       }
     }
 
+    /**
+     * Connect to the server's real-time event stream for the current board.
+     * Reuses the open connection if it already targets the current board.
+     */
+    connectToBoardEvents() {
+        const boardId = this.state.id;
+        
+        if (typeof EventSource === 'undefined') return;
+        if (this.eventSource && this.eventBoardId === boardId) return;
+        
+        this.disconnectBoardEvents();
+        if (!boardId) return;
+        
+        this.eventBoardId = boardId;
+        this.eventSource = apiService.subscribeToBoardEvents(
+            boardId,
+            (event) => this.applyBoardEvent(event),
+            () => console.warn(`Board event stream for ${boardId} interrupted, reconnecting...`)
+        );
+    }
+    
+    /**
+     * Close the real-time event stream, if any
+     */
+    disconnectBoardEvents() {
+        if (this.eventSource) {
+            this.eventSource.close();
+        }
+        this.eventSource = null;
+        this.eventBoardId = null;
+    }
+    
+    /**
+     * Apply a change event received from the server to the local state
+     * @param {Object} event - Change event (see server/utils/boardDiff.js)
+     */
+    applyBoardEvent(event) {
+        if (!event || event.boardId !== this.state.id) return;
+        
+        let changed = false;
+        
+        switch (event.type) {
+            case 'connected':
+                // Catch up on anything written between loading the board and (re)connecting
+                this.resyncBoard();
+                return;
+            case 'card.created':
+            case 'card.updated':
+            case 'card.moved':
+                changed = this.upsertCard(event.card);
+                break;
+            case 'card.deleted': {
+                const count = this.state.cards.length;
+                this.state.cards = this.state.cards.filter(card => card.id !== event.cardId);
+                changed = this.state.cards.length !== count;
+                break;
+            }
+            case 'columns.updated':
+                changed = JSON.stringify(this.state.columns) !== JSON.stringify(event.columns);
+                this.state.columns = event.columns;
+                break;
+            case 'next-steps.updated':
+                changed = JSON.stringify(this.state['next-steps']) !== JSON.stringify(event.nextSteps);
+                this.state['next-steps'] = event.nextSteps;
+                break;
+            case 'board.updated':
+                // Fields removed from the board arrive as null
+                for (const [field, value] of Object.entries(event.changes)) {
+                    if (value === null) {
+                        delete this.state[field];
+                    } else {
+                        this.state[field] = value;
+                    }
+                }
+                changed = true;
+                break;
+            case 'board.replaced':
+                this.state = {
+                    ...event.board,
+                    isDragging: this.state.isDragging
+                };
+                if (this.state.columns && !this.state.cards) {
+                    this.convertToCardFirst(this.state);
+                }
+                changed = true;
+                break;
+            case 'board.revised':
+                break;
+            case 'board.deleted':
+                console.warn(`Board ${event.boardId} was deleted or archived on the server`);
+                this.disconnectBoardEvents();
+                return;
+            default:
+                return;
+        }
+        
+        if (event.last_updated) {
+            this.state.last_updated = event.last_updated;
+        }
+        
+        // Keep the revision current so the next save is not rejected as stale
+        if (Number.isInteger(event.revision) && event.revision > (this.state.revision || 0)) {
+            this.state.revision = event.revision;
+        }
+        
+        if (changed) {
+            this.notifyListeners();
+        }
+    }
+    
+    /**
+     * Insert or replace a card in the local state
+     * @param {Object} card - Card data from the server
+     * @returns {boolean} True if the local state changed
+     * @private
+     */
+    upsertCard(card) {
+        if (!card) return false;
+        
+        const index = this.state.cards.findIndex(c => c.id === card.id);
+        if (index === -1) {
+            this.state.cards.push(card);
+            return true;
+        }
+        
+        if (JSON.stringify(this.state.cards[index]) === JSON.stringify(card)) {
+            return false;
+        }
+        
+        this.state.cards[index] = card;
+        return true;
+    }
+    
+    /**
+     * Reload the current board from the server and replace the local state if it changed
+     * @async
+     */
+    async resyncBoard() {
+        const boardId = this.state.id;
+        if (!boardId) return;
+        
+        try {
+            const data = await apiService.loadBoard(boardId);
+            if (data.id !== this.state.id || data.last_updated === this.state.last_updated) return;
+            
+            this.state = {
+                ...data,
+                isDragging: this.state.isDragging
+            };
+            if (this.state.columns && !this.state.cards) {
+                this.convertToCardFirst(this.state);
+            }
+            this.notifyListeners();
+        } catch (error) {
+            console.warn('Failed to resync board after connecting to event stream:', error);
+        }
+    }
+
     /**
      * Generate a UUID
      * @returns {string} UUID
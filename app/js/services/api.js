@@ -92,8 +92,9 @@ class ApiService {
 
     /**
      * Save board data to server
-     * @param {Object} data Board data to save
-     * @returns {Promise<Object>} Response data
+     * @param {Object} data Board data to save, including the revision it is based on
+     * @returns {Promise<Object>} Response data with the board's new revision
+     * @throws {Error} With status 409 and a conflict payload if the board was modified since that revision
      */
     async saveBoard(data) {
         try {
@@ -101,10 +102,29 @@ class ApiService {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'X-Actor': 'web-ui',
                 },
                 body: JSON.stringify(data),
             });
             
+            if (response.status === 409) {
+                // The board changed on the server since this copy was loaded
+                const conflict = await response.json();
+                const error = new Error(conflict.error || 'Board has been modified by another client');
+                error.status = 409;
+                error.conflict = conflict;
+                throw error;
+            }
+            
+            if (response.status === 422) {
+                // The change would take a column over its WIP limit or make a dependency cycle
+                const result = await response.json();
+                const error = new Error(result.error || 'The board rejected the change');
+                error.status = 422;
+                error.code = result.code;
+                throw error;
+            }
+            
             if (!response.ok) {
                 throw new Error('Failed to save board data');
             }
@@ -116,6 +136,173 @@ class ApiService {
         }
     }
 
+    /**
+     * Undo or redo the most recent change to a board on the server
+     * @param {string} boardId - ID of the board
+     * @param {'undo'|'redo'} direction - Which change to apply
+     * @returns {Promise<Object>} Result with the new revision and remaining undo/redo depth
+     * @throws {Error} With status 409 when there is nothing to apply or the history is out of date
+     */
+    async revertLastOperation(boardId, direction) {
+        try {
+            const response = await fetch(`${this.baseUrl}${this.boardsPath}/${encodeURIComponent(boardId)}/${direction}`, {
+                method: 'POST',
+                headers: {
+                    'X-Actor': 'web-ui',
+                },
+            });
+            
+            const result = await response.json();
+            if (!response.ok) {
+                const error = new Error(result.error || `Failed to ${direction} the last change`);
+                error.status = response.status;
+                error.code = result.code;
+                throw error;
+            }
+            
+            return result;
+        } catch (error) {
+            console.error(`Error applying ${direction}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Subscribe to real-time change events for a board
+     * @param {string} boardId - ID of the board to subscribe to
+     * @param {Function} onEvent - Called with each parsed change event
+     * @param {Function} [onError] - Called when the connection reports an error
+     * @returns {EventSource} Open event source; call close() on it to unsubscribe
+     */
+    subscribeToBoardEvents(boardId, onEvent, onError) {
+        const url = `${this.baseUrl}${this.boardsPath}/${encodeURIComponent(boardId)}/events`;
+        const source = new EventSource(url);
+        
+        source.onmessage = (message) => {
+            try {
+                onEvent(JSON.parse(message.data));
+            } catch (error) {
+                console.error('Error handling board event:', error);
+            }
+        };
+        
+        // EventSource reconnects on its own; just surface the error
+        source.onerror = (error) => {
+            if (onError) {
+                onError(error);
+            }
+        };
+        
+        return source;
+    }
+
+    /**
+     * Get the change history of a card
+     * @param {string} boardId - ID of the board containing the card
+     * @param {string} cardId - ID of the card
+     * @param {number} [limit] - Maximum number of entries to return
+     * @returns {Promise<Array>} History entries, most recent first
+     */
+    async getCardHistory(boardId, cardId, limit) {
+        try {
+            const query = limit ? `?limit=${limit}` : '';
+            const response = await fetch(`${this.baseUrl}${this.boardsPath}/${encodeURIComponent(boardId)}/cards/${encodeURIComponent(cardId)}/history${query}`);
+            if (!response.ok) {
+                throw new Error('Failed to load card history');
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Error loading card history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the cumulative flow and burndown series of a board
+     * @param {string} boardId - ID of the board
+     * @param {Object} [range={}] - Days to cover
+     * @param {string} [range.from] - First day (YYYY-MM-DD), default 29 days before the last day
+     * @param {string} [range.to] - Last day (YYYY-MM-DD), default today
+     * @returns {Promise<Object>} Dates, card counts per column and burnup and burndown series
+     */
+    async getFlowSeries(boardId, range = {}) {
+        try {
+            const query = new URLSearchParams(Object.entries(range).filter(([, value]) => value)).toString();
+            const response = await fetch(`${this.baseUrl}${this.boardsPath}/${encodeURIComponent(boardId)}/flow${query ? `?${query}` : ''}`);
+            if (!response.ok) {
+                throw new Error('Failed to load flow charts');
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Error loading flow series:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the backups of a board
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<Object>} Backups, most recent first, and the retention limits
+     */
+    async getBackups(boardId) {
+        try {
+            const response = await fetch(`${this.baseUrl}${this.boardsPath}/${encodeURIComponent(boardId)}/backups`);
+            if (!response.ok) {
+                throw new Error('Failed to load backups');
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Error loading backups:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a backup of a board, with a count of the changes made since it was taken
+     * @param {string} boardId - ID of the board
+     * @param {string} backupId - ID of the backup
+     * @returns {Promise<Object>} The backup, its board data and changesSinceBackup
+     */
+    async getBackup(boardId, backupId) {
+        try {
+            const response = await fetch(`${this.baseUrl}${this.boardsPath}/${encodeURIComponent(boardId)}/backups/${encodeURIComponent(backupId)}`);
+            if (!response.ok) {
+                throw new Error('Failed to load backup');
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Error loading backup:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a board to one of its backups
+     * @param {string} boardId - ID of the board
+     * @param {string} backupId - ID of the backup to restore
+     * @returns {Promise<Object>} Result with the new revision and the restored backup
+     */
+    async restoreBackup(boardId, backupId) {
+        try {
+            const response = await fetch(`${this.baseUrl}${this.boardsPath}/${encodeURIComponent(boardId)}/backups/${encodeURIComponent(backupId)}/restore`, {
+                method: 'POST',
+                headers: {
+                    'X-Actor': 'web-ui',
+                },
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to restore backup');
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get board info from server
      * @returns {Promise<Object>} Board info
@@ -296,7 +483,7 @@ class ApiService {
     
     /**
      * Create a new webhook
-     * @param {Object} webhookData - Webhook data (name, url, event)
+     * @param {Object} webhookData - Webhook data (name, url, event, optional secret)
      * @returns {Promise<Object>} New webhook data
      */
     async createWebhook(webhookData) {
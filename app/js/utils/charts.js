@@ -0,0 +1,143 @@
+/**
+ * Chart Helpers
+ * Draw charts as inline SVG markup, so the web app needs no charting library
+ */
+
+import { escapeHtml } from './markdown.js';
+
+/**
+ * Size of the drawing area and the room left around it for the axis labels
+ * @type {{width: number, height: number, left: number, right: number, top: number, bottom: number}}
+ */
+const LAYOUT = { width: 720, height: 240, left: 40, right: 12, top: 12, bottom: 28 };
+
+/**
+ * Colors given to chart series in turn
+ * @type {Array<string>}
+ */
+export const CHART_COLORS = ['#4a9eff', '#ff9f43', '#ff375f', '#a66cff', '#2ec4b6', '#ffd23f', '#30d158', '#8e8e93'];
+
+/**
+ * @typedef {Object} ChartSeries
+ * @property {string} label - Name of the series, shown in the legend
+ * @property {Array<number>} values - One value per date
+ * @property {string} color - Fill or line color
+ * @property {boolean} [dashed] - Draw the line dashed, e.g. for a target line
+ */
+
+/**
+ * Round a maximum up to a value that divides into whole-number ticks
+ * @param {number} max - Largest value drawn
+ * @returns {number} Top of the value axis, at least 1
+ */
+function niceMax(max) {
+    if (max <= 4) return Math.max(1, Math.ceil(max));
+    const step = Math.pow(10, Math.floor(Math.log10(max))) / 2;
+    return Math.ceil(max / step) * step;
+}
+
+/**
+ * Build the scales of a chart
+ * @param {number} count - Number of dates
+ * @param {number} max - Top of the value axis
+ * @returns {{x: function(number): number, y: function(number): number}} Pixel position of a date index and a value
+ */
+function scales(count, max) {
+    const plotWidth = LAYOUT.width - LAYOUT.left - LAYOUT.right;
+    const plotHeight = LAYOUT.height - LAYOUT.top - LAYOUT.bottom;
+    const round = value => Math.round(value * 10) / 10;
+    return {
+        x: index => round(LAYOUT.left + (count > 1 ? (index / (count - 1)) * plotWidth : plotWidth / 2)),
+        y: value => round(LAYOUT.top + plotHeight - (value / max) * plotHeight)
+    };
+}
+
+/**
+ * Draw the grid lines and axis labels of a chart
+ * @param {Array<string>} dates - Dates along the x axis (YYYY-MM-DD)
+ * @param {number} max - Top of the value axis
+ * @returns {string} SVG markup
+ */
+function renderAxes(dates, max) {
+    const { x, y } = scales(dates.length, max);
+    const ticks = [0, max / 2, max].filter((value, i, all) => Number.isInteger(value) && all.indexOf(value) === i);
+    const labelIndexes = [...new Set([0, Math.floor((dates.length - 1) / 2), dates.length - 1])];
+
+    return [
+        ...ticks.map(value => `
+            <line class="chart-grid" x1="${LAYOUT.left}" x2="${LAYOUT.width - LAYOUT.right}" y1="${y(value)}" y2="${y(value)}"></line>
+            <text class="chart-label" x="${LAYOUT.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}</text>`),
+        ...labelIndexes.map(index => `
+            <text class="chart-label" x="${x(index)}" y="${LAYOUT.height - 8}" text-anchor="${index === 0 ? 'start' : index === dates.length - 1 ? 'end' : 'middle'}">${escapeHtml(dates[index].slice(5))}</text>`)
+    ].join('');
+}
+
+/**
+ * Draw series stacked on top of each other, the first at the bottom, e.g. a cumulative flow diagram
+ * @param {Array<string>} dates - Dates along the x axis (YYYY-MM-DD)
+ * @param {Array<ChartSeries>} series - Series to stack
+ * @param {string} title - Description of the chart for screen readers
+ * @returns {string} SVG markup
+ */
+export function renderStackedAreaChart(dates, series, title) {
+    const totals = dates.map((date, i) => series.reduce((sum, s) => sum + (s.values[i] || 0), 0));
+    const max = niceMax(Math.max(0, ...totals));
+    const { x, y } = scales(dates.length, max);
+
+    const base = dates.map(() => 0);
+    const bands = series.map(s => {
+        const bottom = [...base];
+        s.values.forEach((value, i) => { base[i] += value || 0; });
+        const points = [
+            ...base.map((value, i) => `${x(i)},${y(value)}`),
+            ...bottom.map((value, i) => `${x(i)},${y(value)}`).reverse()
+        ].join(' ');
+        return `<polygon class="chart-area" points="${points}" fill="${escapeHtml(s.color)}"><title>${escapeHtml(s.label)}</title></polygon>`;
+    });
+
+    return `
+        <svg class="chart" viewBox="0 0 ${LAYOUT.width} ${LAYOUT.height}" role="img" aria-label="${escapeHtml(title)}">
+            ${renderAxes(dates, max)}
+            ${bands.join('')}
+        </svg>
+    `;
+}
+
+/**
+ * Draw series as lines, e.g. a burndown or burnup chart
+ * @param {Array<string>} dates - Dates along the x axis (YYYY-MM-DD)
+ * @param {Array<ChartSeries>} series - Series to draw
+ * @param {string} title - Description of the chart for screen readers
+ * @returns {string} SVG markup
+ */
+export function renderLineChart(dates, series, title) {
+    const max = niceMax(Math.max(0, ...series.flatMap(s => s.values)));
+    const { x, y } = scales(dates.length, max);
+
+    const lines = series.map(s => {
+        const points = s.values.map((value, i) => `${x(i)},${y(value || 0)}`).join(' ');
+        return `<polyline class="chart-line${s.dashed ? ' dashed' : ''}" points="${points}" stroke="${escapeHtml(s.color)}"><title>${escapeHtml(s.label)}</title></polyline>`;
+    });
+
+    return `
+        <svg class="chart" viewBox="0 0 ${LAYOUT.width} ${LAYOUT.height}" role="img" aria-label="${escapeHtml(title)}">
+            ${renderAxes(dates, max)}
+            ${lines.join('')}
+        </svg>
+    `;
+}
+
+/**
+ * Build the legend of a chart
+ * @param {Array<ChartSeries>} series - Series of the chart
+ * @returns {string} HTML markup
+ */
+export function renderLegend(series) {
+    return `
+        <ul class="chart-legend">
+            ${series.map(s => `
+                <li><span class="chart-swatch" style="background-color: ${escapeHtml(s.color)}"></span>${escapeHtml(s.label)}</li>
+            `).join('')}
+        </ul>
+    `;
+}
@@ -0,0 +1,77 @@
+/**
+ * Card Date Helpers
+ * Reads card start and due dates, which are ISO timestamps or plain YYYY-MM-DD dates.
+ * A plain due date lasts until the end of that day; a card is overdue once it is past
+ * its due date without having been completed.
+ */
+
+/**
+ * Matches a plain date without a time
+ * @type {RegExp}
+ */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * How close a due date has to be for the card to count as due soon
+ * @type {number}
+ */
+const DUE_SOON_MS = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the time a card date stands for
+ * @param {string} value - ISO timestamp or plain date
+ * @param {boolean} [endOfDay=false] - Whether a plain date stands for the end of its day rather than the start
+ * @returns {number} Milliseconds since the epoch, or NaN if the value is not a date
+ */
+export function getCardDateTime(value, endOfDay = false) {
+    if (typeof value !== 'string') return NaN;
+    if (DATE_ONLY.test(value)) {
+        return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`).getTime();
+    }
+    return new Date(value).getTime();
+}
+
+/**
+ * Get how urgent a card's due date is
+ * @param {Object} card - Card
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {'overdue'|'due-soon'|null} Overdue, due within two days, or neither
+ */
+export function getDueStatus(card, now = Date.now()) {
+    const dueTime = getCardDateTime(card.due_date, true);
+    if (Number.isNaN(dueTime) || card.completed_at) return null;
+    if (dueTime < now) return 'overdue';
+    return dueTime - now <= DUE_SOON_MS ? 'due-soon' : null;
+}
+
+/**
+ * Format a card date for a badge, e.g. "Mar 4" or "Mar 4, 2027" outside the current year
+ * @param {string} value - ISO timestamp or plain date
+ * @returns {string} Short date, or an empty string if the value is not a date
+ */
+export function formatCardDate(value) {
+    const time = getCardDateTime(value);
+    if (Number.isNaN(time)) return '';
+
+    const date = new Date(time);
+    return date.toLocaleDateString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        ...(date.getFullYear() !== new Date().getFullYear() ? { year: 'numeric' } : {})
+    });
+}
+
+/**
+ * Get the plain date of a card date, for a date input
+ * @param {string} [value] - ISO timestamp or plain date
+ * @returns {string} YYYY-MM-DD in local time, or an empty string if there is no date
+ */
+export function toDateInputValue(value) {
+    if (!value) return '';
+    if (DATE_ONLY.test(value)) return value;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
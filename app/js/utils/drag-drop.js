@@ -4,6 +4,7 @@
  */
 
 import { stateManager } from '../core/state.js';
+import { showMessage } from './messages.js';
 
 class DragDropManager {
     constructor() {
@@ -190,6 +191,11 @@ class DragDropManager {
             }
         } catch (error) {
             console.error('Error handling drop:', error);
+            if (error.code === 'WIP_LIMIT_EXCEEDED') {
+                showMessage(error.message, 'error');
+                // Put the dropped card back where the state says it is
+                stateManager.notifyListeners();
+            }
         }
     }
     
@@ -206,6 +212,13 @@ class DragDropManager {
         const cardId = data.id;
         const sourceColumnIndex = data.columnIndex;
         
+        // On boards with swimlanes the column is one lane's cell: the card may change lane too
+        if (column.dataset.laneId !== undefined) {
+            const newIndex = this.getLaneDropIndex(column.dataset.id, cardId);
+            await stateManager.moveCardToLane(cardId, column.dataset.laneId || null, targetColumnIndex, newIndex);
+            return;
+        }
+        
         // Get all cards in the target column
         const cards = [...column.querySelectorAll('.card')];
         const newIndex = cards.indexOf(this.draggedItem);
@@ -219,6 +232,27 @@ class DragDropManager {
         }
     }
     
+    /**
+     * Get the position in its whole column of a card dropped into a lane's cell, from the
+     * cards the dragged card was dropped between
+     * @param {string} columnId - ID of the target column
+     * @param {string} cardId - ID of the dropped card
+     * @returns {number} Position within the column, not counting the dropped card
+     */
+    getLaneDropIndex(columnId, cardId) {
+        const columnCards = stateManager.getCardsInColumn(columnId).filter(card => card.id !== cardId);
+        const next = this.draggedItem.nextElementSibling;
+        const previous = this.draggedItem.previousElementSibling;
+        
+        if (next) {
+            return columnCards.findIndex(card => card.id === next.dataset.id);
+        }
+        if (previous) {
+            return columnCards.findIndex(card => card.id === previous.dataset.id) + 1;
+        }
+        return columnCards.length;
+    }
+    
     /**
      * Handle drop for columns
      * @param {DragEvent} e - Drag event 
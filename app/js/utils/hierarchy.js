@@ -0,0 +1,49 @@
+/**
+ * Card Hierarchy Helpers
+ * Follows the parentId links between cards, such as an epic and the cards it is broken into
+ */
+
+/**
+ * Get the child cards of a card
+ * @param {Array<Object>} cards - Cards on the board
+ * @param {string} cardId - ID of the parent card
+ * @returns {Array<Object>} Child cards, in board order
+ */
+export function getChildCards(cards, cardId) {
+    return cards.filter(card => card.parentId === cardId);
+}
+
+/**
+ * Get the IDs of every card below a card: its children, their children and so on
+ * @param {Array<Object>} cards - Cards on the board
+ * @param {string} cardId - ID of the card
+ * @returns {Set<string>} Descendant IDs, never including the card itself
+ */
+export function getDescendantIds(cards, cardId) {
+    const descendants = new Set();
+    const queue = [cardId];
+    while (queue.length) {
+        const id = queue.shift();
+        for (const card of cards) {
+            if (card.parentId === id && card.id !== cardId && !descendants.has(card.id)) {
+                descendants.add(card.id);
+                queue.push(card.id);
+            }
+        }
+    }
+    return descendants;
+}
+
+/**
+ * Count how many of the cards below a card are completed
+ * @param {Array<Object>} cards - Cards on the board
+ * @param {string} cardId - ID of the card
+ * @returns {{done: number, total: number}} Completed and total descendants
+ */
+export function childProgress(cards, cardId) {
+    const descendants = getDescendantIds(cards, cardId);
+    return {
+        done: cards.filter(card => descendants.has(card.id) && card.completed_at).length,
+        total: descendants.size
+    };
+}
@@ -0,0 +1,48 @@
+/**
+ * Card Link Helpers
+ * Reads the typed links between cards. A link is stored on the card it was added to and
+ * shows on the other card as the inverse type, e.g. A blocks B shows on B as blocked-by A.
+ */
+
+/**
+ * Each link type with its label and its inverse, in the order they are shown
+ * @type {Object<string, {label: string, inverse: string}>}
+ */
+export const LINK_TYPES = {
+    'blocks': { label: 'Blocks', inverse: 'blocked-by' },
+    'blocked-by': { label: 'Blocked by', inverse: 'blocks' },
+    'relates-to': { label: 'Relates to', inverse: 'relates-to' },
+    'duplicates': { label: 'Duplicates', inverse: 'duplicated-by' },
+    'duplicated-by': { label: 'Duplicated by', inverse: 'duplicates' },
+    'follows-up': { label: 'Follows up', inverse: 'followed-up-by' },
+    'followed-up-by': { label: 'Followed up by', inverse: 'follows-up' }
+};
+
+/**
+ * Get every link of a card grouped by type: the ones stored on it, and the inverse of
+ * the ones other cards store to it
+ * @param {Array<Object>} cards - Cards on the board
+ * @param {Object} card - The card
+ * @returns {Map<string, Array<string>>} IDs of the linked cards by link type, in LINK_TYPES order, leaving out empty types
+ */
+export function groupCardLinks(cards, card) {
+    const groups = new Map(Object.keys(LINK_TYPES).map(type => [type, []]));
+    const add = (type, id) => {
+        const ids = groups.get(type);
+        if (ids && !ids.includes(id)) ids.push(id);
+    };
+
+    for (const link of card.links || []) {
+        add(link.type, link.cardId);
+    }
+    for (const other of cards) {
+        if (other.id === card.id) continue;
+        for (const link of other.links || []) {
+            if (link.cardId === card.id && LINK_TYPES[link.type]) {
+                add(LINK_TYPES[link.type].inverse, other.id);
+            }
+        }
+    }
+
+    return new Map([...groups].filter(([, ids]) => ids.length > 0));
+}
@@ -0,0 +1,223 @@
+/**
+ * Markdown Renderer
+ * Renders card content and other user-supplied text to HTML that is safe to insert into the page.
+ * Card data can be written by agents or imported from files, so nothing in it is trusted:
+ * markdown output is filtered through an allow-list of tags and attributes, links are limited
+ * to safe protocols and plain text is escaped.
+ */
+
+/**
+ * Elements kept in rendered markdown, with the attributes each may carry
+ * @type {Object<string, Array<string>>}
+ */
+const ALLOWED_ELEMENTS = {
+    a: ['href', 'title'],
+    b: [], blockquote: [], br: [], code: ['class'], del: [], em: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [],
+    img: ['src', 'alt', 'title'],
+    input: ['type', 'checked', 'disabled'],
+    li: [], ol: ['start'], p: [], pre: [], s: [], span: ['class'], strong: [],
+    table: [], tbody: [], td: ['align'], th: ['align'], thead: [], tr: [], ul: []
+};
+
+/**
+ * Elements removed together with their content; any other element not in
+ * ALLOWED_ELEMENTS is replaced by its content
+ * @type {Set<string>}
+ */
+const DROPPED_ELEMENTS = new Set([
+    'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template',
+    'form', 'textarea', 'select', 'button', 'svg', 'math', 'link', 'meta', 'base'
+]);
+
+/**
+ * Classes allowed on code blocks and highlighted tokens
+ * @type {RegExp}
+ */
+const SAFE_CLASS = /^(language-[\w+-]+|hljs(-[\w-]+)?)$/;
+
+/**
+ * Relative links to other cards, e.g. [[card-id]]
+ * @type {RegExp}
+ */
+const CARD_LINK = /\[\[([\w-]+)\]\]/g;
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check whether a URL is safe to link to or load: http(s), mailto, or relative
+ * @param {string} url - URL from an href or src attribute
+ * @param {boolean} [allowMailto=true] - Whether mailto: links are allowed
+ * @returns {boolean} True if the URL is safe
+ */
+function isSafeUrl(url, allowMailto = true) {
+    // Browsers ignore whitespace and control characters inside the scheme, so strip them before checking
+    const normalized = url.replace(/[\u0000- ]/g, '').toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+    if (!scheme) return true;
+    return scheme[1] === 'http' || scheme[1] === 'https' || (allowMailto && scheme[1] === 'mailto');
+}
+
+/**
+ * Highlight fenced code blocks with highlight.js, when it is loaded and knows the language
+ * @param {DocumentFragment} root - Rendered markdown
+ */
+function highlightCode(root) {
+    const hljs = globalThis.hljs;
+    if (!hljs) return;
+
+    root.querySelectorAll('pre > code[class*="language-"]').forEach(code => {
+        const language = [...code.classList].find(name => name.startsWith('language-'))?.slice('language-'.length);
+        if (!language || !hljs.getLanguage(language)) return;
+
+        code.innerHTML = hljs.highlight(code.textContent, { language, ignoreIllegals: true }).value;
+        code.classList.add('hljs');
+    });
+}
+
+/**
+ * Remove every element and attribute not on the allow-list, in place
+ * @param {Node} node - Node whose children are sanitized
+ */
+function sanitizeNode(node) {
+    for (const child of [...node.childNodes]) {
+        if (child.nodeType === Node.COMMENT_NODE) {
+            child.remove();
+            continue;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+        const tag = child.tagName.toLowerCase();
+        if (DROPPED_ELEMENTS.has(tag)) {
+            child.remove();
+            continue;
+        }
+
+        sanitizeNode(child);
+
+        if (!ALLOWED_ELEMENTS[tag]) {
+            child.replaceWith(...child.childNodes);
+            continue;
+        }
+        // Task list items are the only inputs markdown produces
+        if (tag === 'input' && child.getAttribute('type') !== 'checkbox') {
+            child.remove();
+            continue;
+        }
+
+        for (const { name, value } of [...child.attributes]) {
+            const allowed = ALLOWED_ELEMENTS[tag].includes(name) &&
+                !((name === 'href' || name === 'src') && !isSafeUrl(value, name === 'href'));
+            if (!allowed) {
+                child.removeAttribute(name);
+            } else if (name === 'class') {
+                const classes = value.split(/\s+/).filter(className => SAFE_CLASS.test(className));
+                child.setAttribute('class', classes.join(' '));
+            }
+        }
+
+        if (tag === 'input') {
+            child.setAttribute('disabled', '');
+        } else if (tag === 'a' && /^https?:/i.test(child.getAttribute('href') || '')) {
+            child.setAttribute('target', '_blank');
+            child.setAttribute('rel', 'noopener noreferrer nofollow');
+        }
+    }
+}
+
+/**
+ * Turn [[card-id]] references in text into links to those cards.
+ * Text inside code and existing links is left alone.
+ * @param {DocumentFragment} root - Sanitized markdown
+ * @param {Function} resolveCardLink - Returns the title of a card by ID, or null if there is no such card
+ */
+function linkCards(root, resolveCardLink) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: text => text.parentElement?.closest('a, code, pre')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (walker.currentNode.nodeValue.includes('[[')) textNodes.push(walker.currentNode);
+    }
+
+    for (const text of textNodes) {
+        const parts = [];
+        let lastIndex = 0;
+        for (const match of text.nodeValue.matchAll(CARD_LINK)) {
+            parts.push(text.nodeValue.slice(lastIndex, match.index));
+
+            const cardId = match[1];
+            const title = resolveCardLink(cardId);
+            const link = document.createElement('a');
+            link.className = title ? 'card-link' : 'card-link missing';
+            link.href = `#card-${cardId}`;
+            link.dataset.cardId = cardId;
+            link.textContent = title || match[0];
+            if (!title) link.title = 'No card with this ID on the board';
+            parts.push(link);
+
+            lastIndex = match.index + match[0].length;
+        }
+        if (!parts.length) continue;
+
+        parts.push(text.nodeValue.slice(lastIndex));
+        text.replaceWith(...parts);
+    }
+}
+
+/**
+ * Filter HTML through the allow-list
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html) {
+    // Template content is inert: nothing in it runs or loads while it is being sanitized
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeNode(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * Render markdown to sanitized HTML, with GitHub-style task lists, highlighted code blocks
+ * and [[card-id]] links to other cards
+ * @param {string} text - Markdown text
+ * @param {Object} [options={}] - Rendering options
+ * @param {boolean} [options.inline=false] - Render a single line without wrapping it in a paragraph
+ * @param {Function} [options.resolveCardLink] - Returns the title of a card by ID, or null if there is no such card
+ * @returns {string} Sanitized HTML
+ */
+export function renderMarkdown(text, options = {}) {
+    if (!text) return '';
+
+    // Without the markdown library, show the text as typed
+    if (typeof marked === 'undefined') {
+        return options.inline ? escapeHtml(text) : `<p>${escapeHtml(text)}</p>`;
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = options.inline ? marked.parseInline(text) : marked.parse(text);
+
+    highlightCode(template.content);
+    sanitizeNode(template.content);
+    if (options.resolveCardLink) {
+        linkCards(template.content, options.resolveCardLink);
+    }
+
+    return template.innerHTML;
+}
@@ -0,0 +1,35 @@
+/**
+ * Messages
+ * Short-lived notifications shown at the edge of the screen
+ */
+
+/**
+ * Show message to user with customizable options
+ * @param {string} message - The message to display
+ * @param {string} type - Message type (success, error, info)
+ * @param {Object} options - Additional options
+ * @param {number} options.duration - Duration in milliseconds (default: 3000)
+ * @param {string} options.width - CSS width value (default: auto)
+ */
+export function showMessage(message, type = 'info', options = {}) {
+    const { duration = 3000, width = null } = options;
+    
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message message-${type}`;
+    messageDiv.textContent = message;
+    
+    // Apply custom width if provided
+    if (width) {
+        messageDiv.style.width = width;
+    }
+    
+    document.body.appendChild(messageDiv);
+    
+    // Remove after specified duration
+    setTimeout(() => {
+        messageDiv.classList.add('fade-out');
+        setTimeout(() => {
+            messageDiv.remove();
+        }, 300);
+    }, duration);
+}
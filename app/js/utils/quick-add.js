@@ -0,0 +1,51 @@
+/**
+ * Quick Add Parser
+ * Turns a one-line card description such as "Fix login #bug !high @sam" into card fields
+ */
+
+/**
+ * Priority shortcuts accepted after "!"
+ * @type {Object<string, string>}
+ */
+const PRIORITY_ALIASES = {
+    high: 'high',
+    h: 'high',
+    medium: 'medium',
+    med: 'medium',
+    m: 'medium',
+    low: 'low',
+    l: 'low'
+};
+
+/**
+ * Parse quick add text into card fields.
+ * Words starting with # become tags, !high / !medium / !low (or !h, !m, !l) set the
+ * priority and @name sets the assignee. Everything else forms the title; a token that
+ * doesn't match (such as "!urgent" or a lone "#") is kept in the title as typed.
+ * @param {string} text - Text typed into the quick add input
+ * @returns {{title: string, tags: Array<string>, priority?: string, assignee?: string}} Card fields
+ */
+export function parseQuickAdd(text) {
+    const fields = { title: '', tags: [] };
+    const words = [];
+
+    for (const token of text.trim().split(/\s+/)) {
+        const marker = token.charAt(0);
+        const value = token.slice(1);
+
+        if (marker === '#' && value) {
+            if (!fields.tags.includes(value)) {
+                fields.tags.push(value);
+            }
+        } else if (marker === '!' && PRIORITY_ALIASES[value.toLowerCase()]) {
+            fields.priority = PRIORITY_ALIASES[value.toLowerCase()];
+        } else if (marker === '@' && value) {
+            fields.assignee = value;
+        } else if (token) {
+            words.push(token);
+        }
+    }
+
+    fields.title = words.join(' ');
+    return fields;
+}
@@ -0,0 +1,53 @@
+/**
+ * Subtask Helpers
+ * Reads card subtasks in either the object form or the legacy "✓ text" string form
+ */
+
+/**
+ * Prefix marking a legacy string subtask as done
+ * @type {string}
+ */
+const DONE_PREFIX = '✓';
+
+/**
+ * Convert a subtask to the object form. Legacy strings get the same
+ * position-based IDs the server gives them.
+ * @param {string|Object} subtask - Subtask in either form
+ * @param {number} index - Position of the subtask in its card
+ * @returns {{id: string, text: string, done: boolean, completed_at: string|null, assignee?: string}} Subtask object
+ */
+export function normalizeSubtask(subtask, index) {
+    if (typeof subtask === 'string') {
+        const done = subtask.startsWith(DONE_PREFIX);
+        return {
+            id: `st-${index + 1}`,
+            text: done ? subtask.substring(DONE_PREFIX.length).trim() : subtask,
+            done,
+            completed_at: null
+        };
+    }
+
+    return { ...subtask, done: subtask.done === true, completed_at: subtask.completed_at || null };
+}
+
+/**
+ * Convert a card's subtasks to the object form
+ * @param {Array<string|Object>} [subtasks=[]] - Subtasks in either form
+ * @returns {Array<Object>} Subtask objects
+ */
+export function normalizeSubtasks(subtasks = []) {
+    return subtasks.map(normalizeSubtask);
+}
+
+/**
+ * Count the done subtasks of a card
+ * @param {Array<string|Object>} [subtasks=[]] - Subtasks in either form
+ * @returns {{done: number, total: number}} Progress counts
+ */
+export function subtaskProgress(subtasks = []) {
+    const normalized = normalizeSubtasks(subtasks);
+    return {
+        done: normalized.filter(subtask => subtask.done).length,
+        total: normalized.length
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * Swimlane Helpers
+ * Groups a board's cards into horizontal lanes: lanes listed on the board that cards join
+ * through their laneId, or dynamic lanes by first tag, priority or assignee.
+ * Cards in no lane are grouped in a lane with a null ID, shown last.
+ */
+
+/**
+ * Ways of grouping cards into lanes, with the name of the lane for cards in no lane
+ * @type {Object<string, string>}
+ */
+export const GROUP_BY = {
+    lane: 'No lane',
+    tag: 'Untagged',
+    priority: 'No priority',
+    assignee: 'Unassigned'
+};
+
+/**
+ * Priorities in lane order
+ * @type {Array<string>}
+ */
+const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Get the swimlane settings of a board, if it uses swimlanes
+ * @param {Object} board - Board state
+ * @returns {{groupBy: string, lanes?: Array<{id: string, name: string}>}|null} Swimlane settings, or null if the board has no lanes
+ */
+export function getSwimlanes(board) {
+    const swimlanes = board?.swimlanes;
+    return swimlanes && GROUP_BY[swimlanes.groupBy] ? swimlanes : null;
+}
+
+/**
+ * Get the ID of the lane a card is in
+ * @param {Object} card - Card
+ * @param {Object} swimlanes - Swimlane settings of the board
+ * @returns {string|null} Lane ID, or null if the card is in no lane
+ */
+export function getCardLaneId(card, swimlanes) {
+    switch (swimlanes.groupBy) {
+        case 'lane':
+            return (swimlanes.lanes || []).some(lane => lane.id === card.laneId) ? card.laneId : null;
+        case 'tag':
+            return card.tags?.[0] || null;
+        case 'priority':
+            return PRIORITIES.includes(card.priority) ? card.priority : null;
+        case 'assignee':
+            return card.assignee || null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the lanes of a board in display order, the lane for cards in no lane last
+ * @param {Object} board - Board state
+ * @returns {Array<{id: string|null, name: string}>} Lanes, or an empty list if the board has no lanes
+ */
+export function getLanes(board) {
+    const swimlanes = getSwimlanes(board);
+    if (!swimlanes) return [];
+
+    let lanes;
+    if (swimlanes.groupBy === 'lane') {
+        lanes = (swimlanes.lanes || []).map(lane => ({ id: lane.id, name: lane.name }));
+    } else if (swimlanes.groupBy === 'priority') {
+        lanes = PRIORITIES.map(priority => ({ id: priority, name: priority[0].toUpperCase() + priority.slice(1) }));
+    } else {
+        const values = new Set((board.cards || []).map(card => getCardLaneId(card, swimlanes)).filter(Boolean));
+        lanes = [...values]
+            .sort((a, b) => a.localeCompare(b))
+            .map(value => ({ id: value, name: value }));
+    }
+
+    return [...lanes, { id: null, name: GROUP_BY[swimlanes.groupBy] }];
+}
+
+/**
+ * Get the field changes that put a card in a lane. Moving a card to a tag lane makes
+ * that tag its first; moving it to the untagged lane removes its tags.
+ * @param {Object} card - Card, or the fields of a new card
+ * @param {Object} swimlanes - Swimlane settings of the board
+ * @param {string|null} laneId - ID of the lane to put the card in
+ * @returns {Object} Fields to change; fields set to undefined are removed
+ */
+export function getLaneChanges(card, swimlanes, laneId) {
+    switch (swimlanes.groupBy) {
+        case 'lane':
+            return { laneId: laneId ?? undefined };
+        case 'tag':
+            return { tags: laneId === null ? [] : [laneId, ...(card.tags || []).filter(tag => tag !== laneId)] };
+        case 'priority':
+            return { priority: laneId ?? undefined };
+        case 'assignee':
+            return { assignee: laneId ?? undefined };
+        default:
+            return {};
+    }
+}
@@ -6,6 +6,9 @@ import { logger } from '@core/utils';
 async function main() {
   const server = new ExpressServer();
   
+  // Deliver board events from this process to configured webhooks
+  require('../utils/webhookDispatcher').startWebhookDispatcher();
+
   try {
     await server.start();
   } catch (error) {
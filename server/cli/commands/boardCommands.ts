@@ -5,6 +5,7 @@ import { table, getBorderCharacters } from 'table';
 import { ServiceFactory } from '../ServiceFactory';
 import { formatCliError } from '@core/errors/cli';
 import { BoardQuery } from '@core/schemas/querySchemas';
+import { TimeStats } from '@core/schemas';
 
 export default function registerBoardCommands(program: Command, services: ServiceFactory) {
   const boardService = services.getBoardService();
@@ -258,14 +259,22 @@ export default function registerBoardCommands(program: Command, services: Servic
   boardCmd
     .command('stats <boardId>')
     .description('Get analytics and statistics for a board')
-    .action(async (boardId) => {
+    .option('-w, --weeks <weeks>', 'Number of weeks of throughput to show', '8')
+    .action(async (boardId, options) => {
       const spinner = ora(`Loading board statistics...`).start();
       
       try {
         const stats = await boardService.getBoardStats(boardId);
+        const analytics = await boardService.getBoardAnalytics(boardId, Number(options.weeks));
         const board = await boardService.findById(boardId);
         spinner.stop();
 
+        const columnMap = new Map(board.columns.map(col => [col.id, col.title]));
+        const days = (value: number | null) => value === null ? 'n/a' : `${value}d`;
+        const describeTimes = (times: TimeStats) => times.count === 0
+          ? 'no cards yet'
+          : `avg ${days(times.average)}, p50 ${days(times.p50)}, p85 ${days(times.p85)}, p95 ${days(times.p95)} (${times.count} cards)`;
+
         const statsText = `# 📊 Board Statistics: ${board.title}\n\n` +
           `**Total Cards:** ${stats.totalCards}\n` +
           `**Completion Rate:** ${stats.completionRate}%\n` +
@@ -277,6 +286,18 @@ export default function registerBoardCommands(program: Command, services: Servic
           `## Cards by Priority\n` +
           Object.entries(stats.cardsByPriority)
             .map(([priority, count]) => `- **${priority.charAt(0).toUpperCase() + priority.slice(1)}:** ${count} cards`)
+            .join('\n') + '\n\n' +
+          `## Flow\n` +
+          `**Lead Time:** ${describeTimes(analytics.leadTime)}\n` +
+          `**Cycle Time:** ${describeTimes(analytics.cycleTime)}\n` +
+          `**Throughput:** ${analytics.throughput.average} cards/week\n` +
+          analytics.throughput.weeks
+            .map(week => `- **Week of ${week.weekStart}:** ${week.completed} cards`)
+            .join('\n') + '\n\n' +
+          `## Work in Progress\n` +
+          `**Age:** ${describeTimes(analytics.wip)}\n` +
+          analytics.wip.cards
+            .map(card => `- **${card.title}** (${columnMap.get(card.columnId) || 'Unknown'}): ${days(card.age)}`)
             .join('\n');
 
         console.log(statsText);
@@ -287,6 +308,37 @@ export default function registerBoardCommands(program: Command, services: Servic
       }
     });
   
+  // Undo and redo commands
+  for (const direction of ['undo', 'redo'] as const) {
+    boardCmd
+      .command(`${direction} <boardId>`)
+      .description(direction === 'undo'
+        ? 'Undo the most recent change to a board'
+        : 'Redo the most recently undone change to a board')
+      .action(async (boardId) => {
+        const spinner = ora(`Applying ${direction} to board ${boardId}...`).start();
+        
+        try {
+          const result = direction === 'undo'
+            ? await boardService.undo(boardId, 'cli')
+            : await boardService.redo(boardId, 'cli');
+          
+          if (!result) {
+            spinner.warn(chalk.yellow(`Nothing to ${direction} on board ${boardId}`));
+            return;
+          }
+          
+          const { board, operation } = result;
+          spinner.succeed(chalk.green(`${direction === 'undo' ? 'Undid' : 'Redid'} change by ${operation.actor} from ${new Date(operation.timestamp).toLocaleString()}`));
+          console.log(`**Board:** "${board.title}" (revision ${board.revision})`);
+        } catch (error) {
+          spinner.fail(`Failed to ${direction} board ${boardId}`);
+          const { formattedMessage } = formatCliError(error);
+          console.error(formattedMessage);
+        }
+      });
+  }
+  
   // Also register shorthand commands at the root level
   
   // List shorthand
@@ -5,6 +5,23 @@ import { table, getBorderCharacters } from 'table';
 import { ServiceFactory } from '../ServiceFactory';
 import { formatCliError } from '@core/errors/cli';
 import { CardQuery } from '@core/schemas/querySchemas';
+import { Board, SubtaskPosition } from '@core/schemas';
+
+// Subtask positions are given from 1 on the command line
+function parseSubtaskPosition(position: string): SubtaskPosition {
+  const number = Number(position);
+  // Anything else is passed through as is, and rejected by the service if invalid
+  return Number.isInteger(number) ? number - 1 : position as SubtaskPosition;
+}
+
+// Boards that allow exceeding WIP limits accept the change, so point it out instead
+function warnIfOverWipLimit(board: Board, columnId: string) {
+  const column = board.columns.find(col => col.id === columnId);
+  const count = board.cards.filter(card => card.columnId === columnId).length;
+  if (column?.wipLimit && count > column.wipLimit) {
+    console.log(chalk.yellow(`Warning: column ${column.title} is over its WIP limit (${count}/${column.wipLimit})`));
+  }
+}
 
 export default function registerCardCommands(program: Command, services: ServiceFactory) {
   const boardService = services.getBoardService();
@@ -120,6 +137,16 @@ export default function registerCardCommands(program: Command, services: Service
           console.log(card.description);
         }
         
+        if (card.subtasks && card.subtasks.length > 0) {
+          const done = card.subtasks.filter(subtask => subtask.done).length;
+          console.log(chalk.white(`\nSubtasks (${done}/${card.subtasks.length}):`));
+          card.subtasks.forEach((subtask, index) => {
+            const assignee = subtask.assignee ? chalk.green(` @${subtask.assignee}`) : '';
+            const line = `  ${index + 1}. [${subtask.done ? 'x' : ' '}] ${subtask.text}`;
+            console.log((subtask.done ? chalk.gray(line) : line) + assignee);
+          });
+        }
+        
         console.log(`\nEdit this card with: ${chalk.cyan(`taskboard card edit ${boardId} ${cardId}`)}`);
       } catch (error) {
         spinner.fail(`Failed to fetch card ${cardId}`);
@@ -267,6 +294,7 @@ export default function registerCardCommands(program: Command, services: Service
         const card = await boardService.addCard(boardId, cardData);
         
         spinner.succeed(chalk.green('Card created successfully'));
+        warnIfOverWipLimit(await boardService.findById(boardId), card.columnId);
         
         console.log(`\nView your card with: ${chalk.cyan(`taskboard card view ${boardId} ${card.id}`)}`);
       } catch (error) {
@@ -455,6 +483,7 @@ export default function registerCardCommands(program: Command, services: Service
         await boardService.moveCard(boardId, cardId, columnId, position);
         
         spinner.succeed(chalk.green('Card moved successfully'));
+        warnIfOverWipLimit(await boardService.findById(boardId), columnId);
         
         console.log(`\nView the board with: ${chalk.cyan(`taskboard board view ${boardId}`)}`);
       } catch (error) {
@@ -500,6 +529,73 @@ export default function registerCardCommands(program: Command, services: Service
       }
     });
   
+  // Subtask commands group
+  const subtaskCmd = cardCmd
+    .command('subtask')
+    .description('Manage the subtasks of a card (subtasks are given by ID or by number)');
+  
+  // Add subtask command
+  subtaskCmd
+    .command('add <boardId> <cardId> <text>')
+    .description('Add a subtask to a card')
+    .option('-a, --assignee <assignee>', 'Assigned person')
+    .option('-p, --position <position>', 'Position in the list (number from 1, first or last)', 'last')
+    .action(async (boardId, cardId, text, options) => {
+      const spinner = ora(`Adding subtask to card ${cardId}...`).start();
+      
+      try {
+        const subtask = await boardService.addSubtask(boardId, cardId, text, {
+          position: parseSubtaskPosition(options.position),
+          assignee: options.assignee
+        });
+        
+        spinner.succeed(chalk.green(`Subtask added: ${subtask.text} (${subtask.id})`));
+      } catch (error) {
+        spinner.fail(`Failed to add subtask to card ${cardId}`);
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+  
+  // Toggle subtask command
+  subtaskCmd
+    .command('toggle <boardId> <cardId> <subtask>')
+    .description('Mark a subtask done or not done (flips it unless --done or --undone is given)')
+    .option('--done', 'Mark the subtask done')
+    .option('--undone', 'Mark the subtask not done')
+    .action(async (boardId, cardId, ref, options) => {
+      const spinner = ora(`Updating subtask ${ref}...`).start();
+      
+      try {
+        const done = options.done ? true : options.undone ? false : undefined;
+        const subtask = await boardService.toggleSubtask(boardId, cardId, ref, done);
+        
+        spinner.succeed(chalk.green(`Subtask ${subtask.done ? 'done' : 'not done'}: ${subtask.text}`));
+      } catch (error) {
+        spinner.fail(`Failed to update subtask ${ref}`);
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+  
+  // Move subtask command
+  subtaskCmd
+    .command('move <boardId> <cardId> <subtask> <position>')
+    .description('Move a subtask to another position (number from 1, first, last, up or down)')
+    .action(async (boardId, cardId, ref, position) => {
+      const spinner = ora(`Moving subtask ${ref}...`).start();
+      
+      try {
+        const subtask = await boardService.moveSubtask(boardId, cardId, ref, parseSubtaskPosition(position));
+        
+        spinner.succeed(chalk.green(`Subtask moved: ${subtask.text}`));
+      } catch (error) {
+        spinner.fail(`Failed to move subtask ${ref}`);
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+  
   // Search cards command
   cardCmd
     .command('search <boardId> <query>')
@@ -0,0 +1,148 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import { table, getBorderCharacters } from 'table';
+import { ServiceFactory } from '../ServiceFactory';
+import { formatCliError } from '@core/errors/cli';
+import { RecurrenceFrequency, RecurrenceHelpers } from '@core/schemas';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Days of the week are given as a number from 0 (Sunday) or by name, e.g. mon or Monday
+function parseDayOfWeek(day: string): number | undefined {
+  const number = Number(day);
+  if (Number.isInteger(number)) return number;
+  const index = WEEKDAYS.findIndex(name => day.length >= 3 && name.startsWith(day.toLowerCase()));
+  // Anything else is passed through, and rejected by the service
+  return index === -1 ? NaN : index;
+}
+
+function parseOptionalNumber(value?: string): number | undefined {
+  return value === undefined ? undefined : Number(value);
+}
+
+export default function registerRecurrenceCommands(program: Command, services: ServiceFactory) {
+  const boardService = services.getBoardService();
+
+  // Recurring card commands group
+  const recurrenceCmd = program
+    .command('recurrence')
+    .description('Manage recurring cards, which are copied into a column on a schedule by the server')
+    .alias('rec');
+
+  // List recurrences command
+  recurrenceCmd
+    .command('list <boardId>')
+    .description('List the recurring cards of a board')
+    .action(async (boardId) => {
+      const spinner = ora(`Fetching recurring cards for board ${boardId}...`).start();
+
+      try {
+        const board = await boardService.findById(boardId);
+        const recurrences = board.recurrences || [];
+
+        spinner.stop();
+
+        if (recurrences.length === 0) {
+          console.log(chalk.yellow('No recurring cards found.'));
+          return;
+        }
+
+        const columnMap = new Map(board.columns.map(col => [col.id, col.title]));
+
+        const tableData = [
+          [chalk.cyan('ID'), chalk.cyan('Title'), chalk.cyan('Column'), chalk.cyan('Schedule'), chalk.cyan('Next Run')],
+          ...recurrences.map(recurrence => [
+            chalk.gray(recurrence.id.substring(0, 8) + '...'),
+            chalk.white(recurrence.card.title),
+            chalk.yellow(columnMap.get(recurrence.columnId) || recurrence.columnId),
+            chalk.blue(RecurrenceHelpers.describe(recurrence.schedule)),
+            recurrence.next_run_at ? new Date(recurrence.next_run_at).toLocaleString() : chalk.gray('never')
+          ])
+        ];
+
+        console.log(table(tableData, {
+          border: getBorderCharacters('norc'),
+          columnDefault: {
+            paddingLeft: 1,
+            paddingRight: 1
+          },
+          drawHorizontalLine: (index: number, size: number) => {
+            return index === 0 || index === 1 || index === size;
+          }
+        }));
+      } catch (error) {
+        spinner.fail(`Failed to list recurring cards for board ${boardId}`);
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+
+  // Create recurrence command
+  recurrenceCmd
+    .command('create <boardId> <title>')
+    .description('Create a recurring card')
+    .requiredOption('-c, --column <columnId>', 'Column ID the cards are generated in')
+    .option('-f, --frequency <frequency>', 'daily, weekdays, weekly, monthly or cron', 'daily')
+    .option('--time <time>', 'Time of day as HH:MM, in local time', '09:00')
+    .option('--day-of-week <day>', 'Day of the week for weekly cards (0-6 from Sunday, or a name)', 'monday')
+    .option('--day-of-month <day>', 'Day of the month for monthly cards; shorter months use their last day', '1')
+    .option('--cron <expression>', 'Cron expression for --frequency cron, e.g. "0 9 * * 1"')
+    .option('-d, --description <description>', 'Card description')
+    .option('-p, --priority <priority>', 'Card priority (low, medium, high)', 'medium')
+    .option('--tags <tags>', 'Comma-separated list of tags')
+    .option('-a, --assignee <assignee>', 'Assigned person')
+    .option('--due-in <days>', 'Give each card a due date this many days after it is generated')
+    .action(async (boardId, title, options) => {
+      const spinner = ora('Creating recurring card...').start();
+
+      try {
+        const recurrence = await boardService.createRecurrence(boardId, {
+          card: {
+            title,
+            ...(options.description ? { description: options.description } : {}),
+            priority: options.priority,
+            tags: options.tags ? options.tags.split(',').map((tag: string) => tag.trim()) : [],
+            ...(options.assignee ? { assignee: options.assignee } : {})
+          },
+          columnId: options.column,
+          schedule: {
+            frequency: options.frequency as RecurrenceFrequency,
+            time: options.time,
+            dayOfWeek: parseDayOfWeek(options.dayOfWeek),
+            dayOfMonth: parseOptionalNumber(options.dayOfMonth),
+            cron: options.cron
+          },
+          dueInDays: parseOptionalNumber(options.dueIn)
+        });
+
+        spinner.succeed(chalk.green(`Recurring card created: ${title} (${recurrence.id})`));
+        console.log(chalk.blue(`Schedule: ${RecurrenceHelpers.describe(recurrence.schedule)}`));
+        if (recurrence.next_run_at) {
+          console.log(chalk.gray(`First card: ${new Date(recurrence.next_run_at).toLocaleString()}`));
+        }
+      } catch (error) {
+        spinner.fail('Failed to create recurring card');
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+
+  // Delete recurrence command
+  recurrenceCmd
+    .command('delete <boardId> <recurrenceId>')
+    .description('Delete a recurring card (cards it already generated are kept)')
+    .action(async (boardId, recurrenceId) => {
+      const spinner = ora(`Deleting recurring card ${recurrenceId}...`).start();
+
+      try {
+        await boardService.deleteRecurrence(boardId, recurrenceId);
+
+        spinner.succeed(chalk.green('Recurring card deleted successfully'));
+      } catch (error) {
+        spinner.fail(`Failed to delete recurring card ${recurrenceId}`);
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+}
@@ -0,0 +1,229 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import { table, getBorderCharacters } from 'table';
+import { ServiceFactory } from '../ServiceFactory';
+import { formatCliError } from '@core/errors/cli';
+import { Sprint, SprintStatus } from '@core/schemas';
+
+const STATUS_COLORS: Record<SprintStatus, (text: string) => string> = {
+  planned: chalk.blue,
+  active: chalk.green,
+  closed: chalk.gray
+};
+
+function parseCardIds(value?: string): string[] | undefined {
+  return value ? value.split(',').map(id => id.trim()).filter(Boolean) : undefined;
+}
+
+function describeSprint(sprint: Sprint): string {
+  return `${sprint.name} (${sprint.start_date} to ${sprint.end_date})`;
+}
+
+export default function registerSprintCommands(program: Command, services: ServiceFactory) {
+  const boardService = services.getBoardService();
+
+  // Sprint commands group
+  const sprintCmd = program
+    .command('sprint')
+    .description('Plan, start and close sprints, and report on them');
+
+  // List sprints command
+  sprintCmd
+    .command('list <boardId>')
+    .description('List the sprints of a board')
+    .action(async (boardId) => {
+      const spinner = ora(`Fetching sprints for board ${boardId}...`).start();
+
+      try {
+        const board = await boardService.findById(boardId);
+        const sprints = board.sprints || [];
+
+        spinner.stop();
+
+        if (sprints.length === 0) {
+          console.log(chalk.yellow('No sprints found.'));
+          return;
+        }
+
+        const tableData = [
+          [chalk.cyan('ID'), chalk.cyan('Name'), chalk.cyan('Dates'), chalk.cyan('Status'), chalk.cyan('Cards'), chalk.cyan('Velocity')],
+          ...sprints.map(sprint => [
+            chalk.gray(sprint.id.substring(0, 8) + '...'),
+            chalk.white(sprint.name),
+            `${sprint.start_date} to ${sprint.end_date}`,
+            STATUS_COLORS[sprint.status](sprint.status),
+            String(board.cards.filter(card => card.sprintId === sprint.id).length),
+            sprint.velocity === null ? chalk.gray('-') : String(sprint.velocity)
+          ])
+        ];
+
+        console.log(table(tableData, {
+          border: getBorderCharacters('norc'),
+          columnDefault: {
+            paddingLeft: 1,
+            paddingRight: 1
+          },
+          drawHorizontalLine: (index: number, size: number) => {
+            return index === 0 || index === 1 || index === size;
+          }
+        }));
+      } catch (error) {
+        spinner.fail(`Failed to list sprints for board ${boardId}`);
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+
+  // Plan sprint command
+  sprintCmd
+    .command('plan <boardId> <name>')
+    .description('Create a planned sprint')
+    .option('-g, --goal <goal>', 'What the sprint sets out to achieve')
+    .option('--from <date>', 'First day of the sprint (YYYY-MM-DD, default today)')
+    .option('--to <date>', 'Last day of the sprint (YYYY-MM-DD, default two weeks from the start)')
+    .option('--cards <cardIds>', 'Comma-separated IDs of cards to plan into the sprint')
+    .action(async (boardId, name, options) => {
+      const spinner = ora('Creating sprint...').start();
+
+      try {
+        const sprint = await boardService.createSprint(boardId, {
+          name,
+          goal: options.goal,
+          startDate: options.from,
+          endDate: options.to,
+          cardIds: parseCardIds(options.cards)
+        });
+
+        spinner.succeed(chalk.green(`Sprint planned: ${describeSprint(sprint)} (${sprint.id})`));
+      } catch (error) {
+        spinner.fail('Failed to create sprint');
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+
+  // Start sprint command
+  sprintCmd
+    .command('start <boardId> [sprintId]')
+    .description('Start a planned sprint, or create and start a new one with --name')
+    .option('-n, --name <name>', 'Name of a new sprint to start')
+    .option('-g, --goal <goal>', 'What the new sprint sets out to achieve')
+    .option('--from <date>', 'First day of the new sprint (YYYY-MM-DD, default today)')
+    .option('--to <date>', 'Last day of the new sprint (YYYY-MM-DD, default two weeks from the start)')
+    .option('--cards <cardIds>', 'Comma-separated IDs of cards to commit to the new sprint')
+    .action(async (boardId, sprintId, options) => {
+      const spinner = ora('Starting sprint...').start();
+
+      try {
+        if (!sprintId && !options.name) {
+          spinner.fail('Give the ID of a planned sprint, or a --name for a new one');
+          return;
+        }
+
+        const sprint = sprintId
+          ? await boardService.startSprint(boardId, sprintId)
+          : await boardService.createSprint(boardId, {
+            name: options.name,
+            goal: options.goal,
+            startDate: options.from,
+            endDate: options.to,
+            cardIds: parseCardIds(options.cards)
+          }, { start: true });
+
+        spinner.succeed(chalk.green(`Sprint started: ${describeSprint(sprint)}`));
+        if (sprint.goal) {
+          console.log(chalk.blue(`Goal: ${sprint.goal}`));
+        }
+        console.log(chalk.gray(`Committed cards: ${(sprint.committedCardIds || []).length}`));
+      } catch (error) {
+        spinner.fail('Failed to start sprint');
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+
+  // Assign cards command
+  sprintCmd
+    .command('assign <boardId> <sprintId> <cardIds...>')
+    .description('Move cards into a sprint, or back to the backlog with "backlog" as the sprint')
+    .action(async (boardId, sprintId, cardIds: string[]) => {
+      const spinner = ora('Assigning cards...').start();
+
+      try {
+        const moved = await boardService.assignCardsToSprint(boardId, sprintId === 'backlog' ? null : sprintId, cardIds);
+
+        spinner.succeed(chalk.green(`${moved.length} card(s) moved to ${sprintId === 'backlog' ? 'the backlog' : `sprint ${sprintId}`}`));
+      } catch (error) {
+        spinner.fail('Failed to assign cards');
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+
+  // Close sprint command
+  sprintCmd
+    .command('close <boardId> [sprintId]')
+    .description('Close the active sprint, recording its velocity and carrying unfinished cards forward')
+    .option('--carry-over <sprintId>', 'Planned sprint the unfinished cards move to, or "backlog" (default: the next planned sprint, else the backlog)')
+    .action(async (boardId, sprintId, options) => {
+      const spinner = ora('Closing sprint...').start();
+
+      try {
+        const carryOverTo = options.carryOver === 'backlog' ? null : options.carryOver;
+        const { sprint, carriedOverTo } = await boardService.closeSprint(boardId, sprintId, carryOverTo);
+
+        spinner.succeed(chalk.green(`Sprint closed: ${describeSprint(sprint)}`));
+        console.log(`**Velocity:** ${sprint.velocity} cards completed`);
+        const carried = (sprint.carriedOverCardIds || []).length;
+        if (carried > 0) {
+          console.log(`**Carried over:** ${carried} cards to ${carriedOverTo ? carriedOverTo.name : 'the backlog'}`);
+        }
+      } catch (error) {
+        spinner.fail('Failed to close sprint');
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+
+  // Sprint report command
+  sprintCmd
+    .command('report <boardId> [sprintId]')
+    .description('Report on a sprint (default: the active sprint)')
+    .action(async (boardId, sprintId) => {
+      const spinner = ora('Loading sprint report...').start();
+
+      try {
+        const report = await boardService.getSprintReport(boardId, sprintId);
+        const board = await boardService.findById(boardId);
+        spinner.stop();
+
+        const columnMap = new Map(board.columns.map(col => [col.id, col.title]));
+        const { sprint } = report;
+
+        const reportText = `# 🏃 Sprint Report: ${sprint.name}\n\n` +
+          (sprint.goal ? `**Goal:** ${sprint.goal}\n` : '') +
+          `**Dates:** ${sprint.start_date} to ${sprint.end_date} (${sprint.status})\n` +
+          `**Days:** ${report.days.elapsed} of ${report.days.total} elapsed, ${report.days.remaining} left\n\n` +
+          `## Scope\n` +
+          `**Committed:** ${report.committed === null ? 'not started' : `${report.committed} cards`}\n` +
+          `**Added:** ${report.added} cards\n` +
+          `**Completed:** ${report.completed} cards\n` +
+          `**${sprint.status === 'closed' ? 'Carried Over' : 'Remaining'}:** ${report.remaining} cards\n` +
+          `**Completion Rate:** ${report.completionRate === null ? 'n/a' : `${report.completionRate}%`}\n\n` +
+          `## Velocity\n` +
+          `**This Sprint:** ${report.velocity === null ? 'not closed yet' : `${report.velocity} cards`}\n` +
+          `**Average:** ${report.averageVelocity === null ? 'no closed sprints yet' : `${report.averageVelocity} cards/sprint`}\n\n` +
+          `## Cards\n` +
+          report.cards
+            .map(card => `- ${card.completed ? '✓' : '○'} **${card.title ?? card.id}** (${card.columnId ? columnMap.get(card.columnId) || 'Unknown' : 'deleted'})${card.added ? ' [added]' : ''}`)
+            .join('\n');
+
+        console.log(reportText);
+      } catch (error) {
+        spinner.fail(`Failed to get sprint report for board ${boardId}`);
+        const { formattedMessage } = formatCliError(error);
+        console.error(formattedMessage);
+      }
+    });
+}
@@ -10,6 +10,9 @@ import { logger } from '@core/utils';
 // Initialize services
 const serviceFactory = ServiceFactory.getInstance();
 
+// Deliver board events from CLI writes to configured webhooks; the CLI exits once they are delivered
+require('../utils/webhookDispatcher').startWebhookDispatcher();
+
 // Create CLI program
 const program = new Command();
 
@@ -56,6 +59,8 @@ async function main() {
     const registerBoardCommands = require('./commands/boardCommands').default;
     const registerCardCommands = require('./commands/cardCommands').default;
     const registerConfigCommands = require('./commands/configCommands').default;
+    const registerRecurrenceCommands = require('./commands/recurrenceCommands').default;
+    const registerSprintCommands = require('./commands/sprintCommands').default;
     const { createTemplateCommands } = require('./commands/templates');
     const { createDiagnosticCommands } = require('./commands/diagnosticCommands');
     
@@ -63,6 +68,8 @@ async function main() {
     registerBoardCommands(program, serviceFactory);
     registerCardCommands(program, serviceFactory);
     registerConfigCommands(program, serviceFactory);
+    registerRecurrenceCommands(program, serviceFactory);
+    registerSprintCommands(program, serviceFactory);
     program.addCommand(createTemplateCommands());
     program.addCommand(createDiagnosticCommands());
     
@@ -73,6 +80,10 @@ Examples:
   $ taskboard create "My New Board"          # Create a new board
   $ taskboard view d79be631-dd8f-4d91-9fdd   # View a board
   $ taskboard card create --help             # Get help for creating cards
+  $ taskboard rec create <boardId> "Standup" -c <columnId> -f weekdays
+                                             # Create a card every weekday
+  $ taskboard sprint start <boardId> -n "Sprint 1" --cards <id>,<id>
+                                             # Start a two-week sprint
   $ taskboard template board list            # List board templates
   $ taskboard template board use "Project"   # Create board from template
   $ taskboard diagnostic health              # Check application health
@@ -53,6 +53,12 @@ const config = {
     configDir: process.env.USE_LOCAL_CONFIG ? path.join(packageRoot, 'config') : userConfigDir,
     webhooksDir: process.env.USE_LOCAL_WEBHOOKS ? path.join(packageRoot, 'webhooks') : userWebhooksDir,
     
+    // Backups kept per board: the most recent maxCount, none older than maxAgeDays (0 disables a limit)
+    backupRetention: {
+        maxCount: parseInt(process.env.BACKUP_MAX_COUNT || '10', 10),
+        maxAgeDays: parseInt(process.env.BACKUP_MAX_AGE_DAYS || '30', 10)
+    },
+    
     // Template directories (read-only, included in package)
     templateBoardsDir: path.join(packageRoot, 'boards'),
     
@@ -62,6 +68,12 @@ const config = {
         js: path.join(packageRoot, 'app/js'),
         img: path.join(packageRoot, 'app/public'),
         public: path.join(packageRoot, 'app/public')
+    },
+
+    // Browser builds of third-party libraries, served from their npm packages
+    vendorDirs: {
+        marked: path.dirname(require.resolve('marked/package.json')),
+        highlight: path.dirname(require.resolve('@highlightjs/cdn-assets/package.json'))
     }
 };
 
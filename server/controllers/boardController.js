@@ -3,13 +3,91 @@
  * @module controllers/boardController
  * @requires ../models/Board
  * @requires ../config/config
+ * @requires ../utils/boardWatcher
+ * @requires ../utils/errors
+ * @requires ../models/CardHistory
+ * @requires ../models/UndoHistory
+ * @requires ../models/BoardBackup
+ * @requires ../utils/boardDiff
+ * @requires ../utils/recurrences
+ * @requires ../utils/dependencies
+ * @requires ../utils/links
+ * @requires ../utils/analytics
+ * @requires ../models/FlowSnapshots
+ * @requires ../utils/forecast
+ * @requires ../utils/sprints
  * @requires node:path
  */
 
 const Board = require('../models/Board');
 const config = require('../config/config');
+const { boardWatcher } = require('../utils/boardWatcher');
+const { AppError } = require('../utils/errors');
+const CardHistory = require('../models/CardHistory');
+const UndoHistory = require('../models/UndoHistory');
+const BoardBackup = require('../models/BoardBackup');
+const { diffBoards } = require('../utils/boardDiff');
+const { describeSchedule, getRecurrenceInputError, createRecurrence } = require('../utils/recurrences');
+const { analyzeDependencies } = require('../utils/dependencies');
+const { LINK_TYPES, getCardLinks, addLink, removeLink } = require('../utils/links');
+const { DEFAULT_WEEKS, computeBoardAnalytics, buildFlowSeries } = require('../utils/analytics');
+const FlowSnapshots = require('../models/FlowSnapshots');
+const { DEFAULT_HISTORY_DAYS, DEFAULT_TRIALS, getForecastFilterError, forecastCompletion } = require('../utils/forecast');
+const { getSprintInputError, createSprint, findSprint, getActiveSprint, getSprintCards, assignCardsToSprint, startSprint, closeSprint, deleteSprint, getAverageVelocity, getSprintReport } = require('../utils/sprints');
 const path = require('node:path');
 
+/**
+ * Interval between keep-alive comments on open event streams
+ * @type {number}
+ */
+const EVENT_STREAM_HEARTBEAT_MS = 25000;
+
+/**
+ * Number of ready cards returned when no limit is given
+ * @type {number}
+ */
+const DEFAULT_READY_LIMIT = 10;
+
+/**
+ * Number of days of flow series returned when no start day is given
+ * @type {number}
+ */
+const DEFAULT_FLOW_DAYS = 30;
+
+/**
+ * Most days of flow series returned at once
+ * @type {number}
+ */
+const MAX_FLOW_DAYS = 366;
+
+/**
+ * Most simulated futures run for one forecast
+ * @type {number}
+ */
+const MAX_FORECAST_TRIALS = 50000;
+
+/**
+ * Build the ETag value for a board revision
+ * @param {Board} board - Board instance
+ * @returns {string} Quoted ETag containing the board revision
+ */
+const revisionETag = (board) => `"${board.revision}"`;
+
+/**
+ * Get the board revision a write request is based on, from the If-Match
+ * header or the revision field of the submitted board
+ * @param {Object} req - Express request object
+ * @returns {number|undefined} Expected revision, or undefined if none was supplied
+ */
+const getExpectedRevision = (req) => {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch) {
+        const revision = parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10);
+        return Number.isNaN(revision) ? -1 : revision;
+    }
+    return Number.isInteger(req.body.revision) ? req.body.revision : undefined;
+};
+
 /**
  * Get information about the current board file configuration
  * @function getBoardInfo
@@ -41,6 +119,7 @@ exports.getBoard = async (req, res) => {
         const board = await Board.load();
         const formattedData = board.format(format, options);
         
+        res.set('ETag', revisionETag(board));
         res.json(formattedData);
     } catch (error) {
         console.error('Error reading board data:', error);
@@ -67,6 +146,7 @@ exports.getBoardById = async (req, res) => {
         const board = await Board.load(boardId);
         const formattedData = board.format(format, options);
         
+        res.set('ETag', revisionETag(board));
         res.json(formattedData);
     } catch (error) {
         console.error(`Error reading board ${req.params.id}:`, error);
@@ -156,13 +236,20 @@ exports.importBoard = async (req, res) => {
 };
 
 /**
- * Update an existing board
+ * Update an existing board.
+ * The write must be based on the current board revision, given either as the
+ * board's `revision` field or an `If-Match` header; stale writes get a 409.
+ * Writes that take a column over its WIP limit get a 422, or succeed with
+ * `warnings` when the board allows exceeding WIP limits. Writes that make cards
+ * depend on each other in a circle get a 422 with the `DEPENDENCY_CYCLE` code.
+ * The optional `X-Actor` header names who made the change in card history.
  * @async
  * @function updateBoard
  * @param {Object} req - Express request object with updated board data in body
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-exports.updateBoard = async (req, res) => {
+exports.updateBoard = async (req, res, next) => {
     try {
         const board = new Board(req.body);
         
@@ -172,14 +259,781 @@ exports.updateBoard = async (req, res) => {
         }
 
         // Save board
-        await board.save();
-        res.json({ success: true });
+        const { warnings } = await board.save({
+            expectedRevision: getExpectedRevision(req),
+            actor: req.get('X-Actor') || 'api'
+        });
+        res.set('ETag', revisionETag(board));
+        res.json({
+            success: true,
+            revision: board.revision,
+            last_updated: board.data.last_updated,
+            ...(warnings.length ? { warnings } : {})
+        });
     } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
         console.error('Error saving board data:', error);
         res.status(500).json({ error: 'Failed to save board data' });
     }
 };
 
+/**
+ * Send the result of an undo or redo request
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {'undo'|'redo'} direction - Which stack to apply
+ */
+const revertLastOperation = async (req, res, next, direction) => {
+    const boardId = req.params.id;
+
+    try {
+        await Board.load(boardId);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+
+    try {
+        const options = { actor: req.get('X-Actor') || 'api' };
+        const result = direction === 'undo'
+            ? await Board.undo(boardId, options)
+            : await Board.redo(boardId, options);
+
+        if (!result) {
+            return res.status(409).json({
+                error: `Nothing to ${direction}`,
+                code: direction === 'undo' ? 'NOTHING_TO_UNDO' : 'NOTHING_TO_REDO',
+                ...await UndoHistory.status(boardId)
+            });
+        }
+
+        const { board, operation } = result;
+        res.set('ETag', revisionETag(board));
+        res.json({
+            success: true,
+            revision: board.revision,
+            last_updated: board.data.last_updated,
+            // The operation that was reverted: who made it and when
+            operation: { actor: operation.actor, timestamp: operation.timestamp, revision: operation.revision },
+            ...await UndoHistory.status(boardId)
+        });
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error(`Error applying ${direction} to board ${boardId}:`, error);
+        res.status(500).json({ error: `Failed to ${direction} the last operation` });
+    }
+};
+
+/**
+ * Undo the most recent change to a board.
+ * The X-Actor header names who is undoing it (defaults to 'api').
+ * @async
+ * @function undoBoard
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.undoBoard = (req, res, next) => revertLastOperation(req, res, next, 'undo');
+
+/**
+ * Redo the most recently undone change to a board.
+ * The X-Actor header names who is redoing it (defaults to 'api').
+ * @async
+ * @function redoBoard
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.redoBoard = (req, res, next) => revertLastOperation(req, res, next, 'redo');
+
+/**
+ * List the backups of a board, most recent first
+ * @async
+ * @function getBackups
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ */
+exports.getBackups = async (req, res) => {
+    try {
+        await Board.load(req.params.id);
+        const backups = await BoardBackup.list(req.params.id);
+        res.json({ backups, retention: BoardBackup.retention });
+    } catch (error) {
+        console.error(`Error listing backups for board ${req.params.id}:`, error);
+        res.status(404).json({ error: error.message || 'Board not found' });
+    }
+};
+
+/**
+ * Get a backup of a board, with a count of the changes made since it was taken
+ * @async
+ * @function getBackup
+ * @param {Object} req - Express request object with board ID and backup ID in params
+ * @param {Object} res - Express response object
+ */
+exports.getBackup = async (req, res) => {
+    try {
+        const { id: boardId, backupId } = req.params;
+        const board = await Board.load(boardId);
+        const backup = await BoardBackup.get(boardId, backupId);
+        if (!backup) {
+            return res.status(404).json({ error: `Backup ${backupId} not found` });
+        }
+
+        // Summarise what restoring would revert, by event type
+        const changesSinceBackup = {};
+        for (const event of diffBoards(backup.board, board.data)) {
+            changesSinceBackup[event.type] = (changesSinceBackup[event.type] || 0) + 1;
+        }
+
+        res.json({ ...backup, changesSinceBackup });
+    } catch (error) {
+        console.error(`Error reading backup ${req.params.backupId}:`, error);
+        res.status(404).json({ error: error.message || 'Board not found' });
+    }
+};
+
+/**
+ * Restore a board to one of its backups.
+ * The X-Actor header names who is restoring it (defaults to 'api').
+ * @async
+ * @function restoreBackup
+ * @param {Object} req - Express request object with board ID and backup ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.restoreBackup = async (req, res, next) => {
+    try {
+        const { id: boardId, backupId } = req.params;
+        const { board, backup } = await Board.restoreBackup(boardId, backupId, {
+            actor: req.get('X-Actor') || 'api'
+        });
+
+        res.set('ETag', revisionETag(board));
+        res.json({
+            success: true,
+            revision: board.revision,
+            last_updated: board.data.last_updated,
+            restored: backup
+        });
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        if (error.message && error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error(`Error restoring backup ${req.params.backupId}:`, error);
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
+};
+
+/**
+ * List the recurring cards of a board, with a description of each schedule
+ * @async
+ * @function getRecurrences
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ */
+exports.getRecurrences = async (req, res) => {
+    try {
+        const board = await Board.load(req.params.id);
+        const recurrences = (board.data.recurrences || []).map(recurrence => ({
+            ...recurrence,
+            description: describeSchedule(recurrence.schedule)
+        }));
+        res.json({ recurrences, revision: board.revision });
+    } catch (error) {
+        console.error(`Error listing recurrences for board ${req.params.id}:`, error);
+        res.status(404).json({ error: error.message || 'Board not found' });
+    }
+};
+
+/**
+ * Create a recurring card on a board from `card` (the card template), `columnId`,
+ * `schedule` and an optional `dueInDays`.
+ * Like board updates, it can be based on a revision given in an `If-Match` header or
+ * a `revision` field; stale writes get a 409.
+ * The X-Actor header names who made the change (defaults to 'api').
+ * @async
+ * @function createRecurrence
+ * @param {Object} req - Express request object with board ID in params and the recurrence in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createRecurrence = async (req, res, next) => {
+    let board;
+    try {
+        board = await Board.load(req.params.id);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+
+    try {
+        const { card, columnId, schedule, dueInDays } = req.body;
+        const inputError = getRecurrenceInputError(board.data, { card, columnId, schedule, dueInDays });
+        if (inputError) {
+            return res.status(400).json({ error: inputError });
+        }
+        if (!Board.validateItem({ ...card, id: 'template', columnId, position: 0 })) {
+            return res.status(400).json({ error: 'Invalid card template' });
+        }
+
+        const recurrence = createRecurrence({ card, columnId, schedule, dueInDays });
+        board.data.recurrences = [...(board.data.recurrences || []), recurrence];
+        await board.save({
+            expectedRevision: getExpectedRevision(req),
+            actor: req.get('X-Actor') || 'api'
+        });
+
+        res.set('ETag', revisionETag(board));
+        res.status(201).json({
+            ...recurrence,
+            description: describeSchedule(recurrence.schedule),
+            revision: board.revision
+        });
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error(`Error creating recurrence on board ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to create recurrence' });
+    }
+};
+
+/**
+ * Delete a recurring card from a board. Cards it already generated are kept.
+ * The X-Actor header names who made the change (defaults to 'api').
+ * @async
+ * @function deleteRecurrence
+ * @param {Object} req - Express request object with board ID and recurrence ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.deleteRecurrence = async (req, res, next) => {
+    try {
+        const { id: boardId, recurrenceId } = req.params;
+        const board = await Board.load(boardId);
+        const recurrences = board.data.recurrences || [];
+        if (!recurrences.some(recurrence => recurrence.id === recurrenceId)) {
+            return res.status(404).json({ error: `Recurrence ${recurrenceId} not found` });
+        }
+
+        board.data.recurrences = recurrences.filter(recurrence => recurrence.id !== recurrenceId);
+        await board.save({
+            expectedRevision: getExpectedRevision(req),
+            actor: req.get('X-Actor') || 'api'
+        });
+
+        res.set('ETag', revisionETag(board));
+        res.json({ success: true, revision: board.revision });
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        if (error.message && error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error(`Error deleting recurrence ${req.params.recurrenceId}:`, error);
+        res.status(500).json({ error: 'Failed to delete recurrence' });
+    }
+};
+
+/**
+ * Add or remove one link of a card and save the board.
+ * Like board updates, it can be based on a revision given in an `If-Match` header or
+ * a `revision` field; stale writes get a 409.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {Object} link - The link
+ * @param {string} link.type - Link type, as seen from the card in the URL
+ * @param {string} link.targetId - ID of the linked card
+ * @param {Function} change - addLink or removeLink
+ * @param {number} successStatus - Status to respond with when the link changed
+ */
+const changeCardLink = async (req, res, next, { type, targetId }, change, successStatus) => {
+    const { id: boardId, cardId } = req.params;
+    let board;
+    try {
+        board = await Board.load(boardId);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+
+    if (!(board.data.cards || []).some(card => card.id === cardId)) {
+        return res.status(404).json({ error: `Card ${cardId} not found` });
+    }
+    if (!LINK_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Link type must be one of: ${LINK_TYPES.join(', ')}` });
+    }
+
+    try {
+        let changed;
+        try {
+            changed = change(board.data, cardId, type, targetId);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (changed) {
+            await board.save({
+                expectedRevision: getExpectedRevision(req),
+                actor: req.get('X-Actor') || 'api'
+            });
+        }
+
+        res.set('ETag', revisionETag(board));
+        res.status(changed ? successStatus : 200).json({
+            cardId,
+            changed,
+            links: getCardLinks(board.data, cardId),
+            revision: board.revision
+        });
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error(`Error changing the links of card ${cardId}:`, error);
+        res.status(500).json({ error: 'Failed to change card links' });
+    }
+};
+
+/**
+ * Link a card to another card, from `type` and `cardId` in the body. The other card shows
+ * the link as the inverse type. Adding a link the cards already have does nothing.
+ * The X-Actor header names who made the change (defaults to 'api').
+ * @async
+ * @function addCardLink
+ * @param {Object} req - Express request object with board ID and card ID in params and the link in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.addCardLink = (req, res, next) =>
+    changeCardLink(req, res, next, { type: req.body.type, targetId: req.body.cardId }, addLink, 201);
+
+/**
+ * Remove a link between two cards, whichever of them it was added to.
+ * The X-Actor header names who made the change (defaults to 'api').
+ * @async
+ * @function removeCardLink
+ * @param {Object} req - Express request object with board ID, card ID, link type and linked card ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.removeCardLink = (req, res, next) =>
+    changeCardLink(req, res, next, { type: req.params.type, targetId: req.params.targetId }, removeLink, 200);
+
+/**
+ * Get the dependency graph of a board: which cards block which, the order the cards
+ * can be done in, the critical path, cycles and dependencies on missing cards
+ * @async
+ * @function getDependencies
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ */
+exports.getDependencies = async (req, res) => {
+    let board;
+    try {
+        board = await Board.load(req.params.id);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+
+    try {
+        res.json({ boardId: board.data.id, revision: board.revision, ...analyzeDependencies(board.data) });
+    } catch (error) {
+        console.error(`Error analyzing dependencies of board ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to analyze dependencies' });
+    }
+};
+
+/**
+ * Get the cards that can be worked on next: not completed, not blocked, with every
+ * dependency completed and not assigned to someone else, ranked by priority, due date
+ * and age. Cards are returned in the compact format.
+ * @async
+ * @function getReadyCards
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ * @param {number} [req.query.limit=10] - Most cards to return
+ * @param {string} [req.query.assignee] - Who is asking; their own cards count as ready
+ * @param {string} [req.query.columnId] - Only include cards in this column
+ */
+exports.getReadyCards = async (req, res) => {
+    let board;
+    try {
+        board = await Board.load(req.params.id);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+
+    const limit = parseInt(req.query.limit, 10);
+    res.json(board.toReadyQueueFormat({
+        assignee: req.query.assignee || undefined,
+        columnId: req.query.columnId || undefined,
+        limit: Number.isNaN(limit) || limit < 1 ? DEFAULT_READY_LIMIT : limit
+    }));
+};
+
+/**
+ * Get the flow analytics of a board: lead time and cycle time of completed cards,
+ * weekly throughput and the age of the cards in progress, from the board's card history
+ * @async
+ * @function getAnalytics
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ * @param {number} [req.query.weeks=8] - Number of weeks of throughput, including the current one
+ */
+exports.getAnalytics = async (req, res) => {
+    let board;
+    try {
+        board = await Board.load(req.params.id);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+
+    try {
+        const weeks = parseInt(req.query.weeks, 10);
+        const history = await CardHistory.forBoard(board.data.id);
+        res.json(computeBoardAnalytics(board.data, history, {
+            weeks: Number.isNaN(weeks) || weeks < 1 ? DEFAULT_WEEKS : Math.min(weeks, 52)
+        }));
+    } catch (error) {
+        console.error(`Error computing analytics of board ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to compute board analytics' });
+    }
+};
+
+/**
+ * Get cumulative flow and burndown series of a board: the number of cards in each column,
+ * on the board and completed on each day of a range, from its daily snapshots
+ * @async
+ * @function getFlowSeries
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ * @param {string} [req.query.from] - First day (YYYY-MM-DD), default 29 days before the last day
+ * @param {string} [req.query.to] - Last day (YYYY-MM-DD), default today
+ */
+exports.getFlowSeries = async (req, res) => {
+    // Days that don't exist, such as 2026-02-31, are rejected rather than rolled over
+    const parseDay = value => {
+        const time = Date.parse(`${value}T00:00:00Z`);
+        return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value ? time : NaN;
+    };
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    const now = new Date();
+    const to = req.query.to ? parseDay(req.query.to) : Date.parse(`${now.toISOString().slice(0, 10)}T00:00:00Z`);
+    const from = req.query.from ? parseDay(req.query.from) : to - (DEFAULT_FLOW_DAYS - 1) * dayMs;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (from > to) {
+        return res.status(400).json({ error: 'from must not be after to' });
+    }
+    if ((to - from) / dayMs + 1 > MAX_FLOW_DAYS) {
+        return res.status(400).json({ error: `A range can cover at most ${MAX_FLOW_DAYS} days` });
+    }
+
+    let board;
+    try {
+        board = await Board.load(req.params.id);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+
+    try {
+        const snapshots = await FlowSnapshots.read(board.data.id);
+        res.json(buildFlowSeries(board.data, snapshots, {
+            from: new Date(from).toISOString().slice(0, 10),
+            to: new Date(to).toISOString().slice(0, 10),
+            today: FlowSnapshots.take(board.data, now)
+        }));
+    } catch (error) {
+        console.error(`Error building flow series of board ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to build flow series' });
+    }
+};
+
+/**
+ * Forecast when cards will be completed, by Monte Carlo simulation of the board's recent
+ * daily throughput. Without filters, every card on the board that is not completed is forecast.
+ * @async
+ * @function getForecast
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ * @param {string} [req.query.cardIds] - Comma-separated IDs of the cards to forecast
+ * @param {string} [req.query.columnId] - Only forecast cards in this column
+ * @param {string} [req.query.tags] - Comma-separated tags; only forecast cards with any of them
+ * @param {string} [req.query.assignee] - Only forecast cards assigned to this person
+ * @param {string} [req.query.descendantOf] - Only forecast cards below this card
+ * @param {number} [req.query.historyDays=90] - Number of past days whose throughput is sampled
+ * @param {number} [req.query.trials=10000] - Number of simulated futures
+ */
+exports.getForecast = async (req, res) => {
+    let board;
+    try {
+        board = await Board.load(req.params.id);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+
+    const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined);
+    const filter = {
+        cardIds: list(req.query.cardIds),
+        columnId: req.query.columnId || undefined,
+        tags: list(req.query.tags),
+        assignee: req.query.assignee || undefined,
+        descendantOf: req.query.descendantOf || undefined
+    };
+    const filterError = getForecastFilterError(board.data, filter);
+    if (filterError) {
+        return res.status(400).json({ error: filterError });
+    }
+
+    const historyDays = parseInt(req.query.historyDays, 10);
+    const trials = parseInt(req.query.trials, 10);
+    try {
+        const result = forecastCompletion(board.data, {
+            filter,
+            historyDays: Number.isNaN(historyDays) || historyDays < 1 ? DEFAULT_HISTORY_DAYS : Math.min(historyDays, 365),
+            trials: Number.isNaN(trials) || trials < 1 ? DEFAULT_TRIALS : Math.min(trials, MAX_FORECAST_TRIALS)
+        });
+        if (!result.forecast) {
+            return res.status(422).json({
+                error: `No cards were completed in the last ${result.throughput.historyDays} days, so there is no throughput to forecast from`,
+                ...result
+            });
+        }
+        res.json({ boardId: board.data.id, ...result });
+    } catch (error) {
+        console.error(`Error forecasting board ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to forecast completion' });
+    }
+};
+
+/**
+ * List the sprints of a board, with the active sprint and the average velocity of the last closed ones
+ * @async
+ * @function getSprints
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ */
+exports.getSprints = async (req, res) => {
+    try {
+        const board = await Board.load(req.params.id);
+        const sprints = (board.data.sprints || []).map(sprint => ({
+            ...sprint,
+            cardCount: getSprintCards(board.data, sprint.id).length
+        }));
+        const active = getActiveSprint(board.data);
+        res.json({
+            sprints,
+            activeSprintId: active ? active.id : null,
+            averageVelocity: getAverageVelocity(board.data),
+            revision: board.revision
+        });
+    } catch (error) {
+        console.error(`Error listing sprints for board ${req.params.id}:`, error);
+        res.status(404).json({ error: error.message || 'Board not found' });
+    }
+};
+
+/**
+ * Change the sprints of a board and save it.
+ * Like board updates, it can be based on a revision given in an `If-Match` header or
+ * a `revision` field; stale writes get a 409. Sprints or cards that are not on the board
+ * get a 404, and changes the sprint can't take, such as starting a closed sprint, a 400.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {function(Object): Object} change - Changes the board data in place and returns the response body
+ * @param {number} successStatus - Status to respond with
+ * @param {string} failure - What failed, for unexpected errors
+ */
+const changeSprints = async (req, res, next, change, successStatus, failure) => {
+    let board;
+    try {
+        board = await Board.load(req.params.id);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+
+    try {
+        let result;
+        try {
+            result = change(board.data);
+        } catch (error) {
+            return res.status(error.message.includes('not found') ? 404 : 400).json({ error: error.message });
+        }
+
+        await board.save({
+            expectedRevision: getExpectedRevision(req),
+            actor: req.get('X-Actor') || 'api'
+        });
+
+        res.set('ETag', revisionETag(board));
+        res.status(successStatus).json({ ...result, revision: board.revision });
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error(`Error changing the sprints of board ${req.params.id}:`, error);
+        res.status(500).json({ error: `Failed to ${failure}` });
+    }
+};
+
+/**
+ * Create a planned sprint on a board from `name` and optional `goal`, `startDate` and `endDate`
+ * (YYYY-MM-DD; the sprint starts today and lasts two weeks without them). `cardIds` are
+ * moved into the sprint, and `start: true` starts it straight away.
+ * The X-Actor header names who made the change (defaults to 'api').
+ * @async
+ * @function createSprint
+ * @param {Object} req - Express request object with board ID in params and the sprint in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createSprint = (req, res, next) => {
+    const { name, goal, startDate, endDate, cardIds = [], start = false } = req.body;
+    const inputError = getSprintInputError({ name, goal, startDate, endDate }) ||
+        (!Array.isArray(cardIds) || !cardIds.every(id => typeof id === 'string') ? 'cardIds must be a list of card IDs' : null);
+    if (inputError) {
+        return res.status(400).json({ error: inputError });
+    }
+
+    return changeSprints(req, res, next, boardData => {
+        const sprint = createSprint({ name, goal, startDate, endDate });
+        boardData.sprints = [...(boardData.sprints || []), sprint];
+        assignCardsToSprint(boardData, sprint.id, cardIds);
+        if (start) {
+            startSprint(boardData, sprint.id);
+        }
+        return { sprint };
+    }, 201, 'create sprint');
+};
+
+/**
+ * Start a planned sprint, recording the cards committed to it. Only one sprint can be active.
+ * The X-Actor header names who made the change (defaults to 'api').
+ * @async
+ * @function startSprint
+ * @param {Object} req - Express request object with board ID and sprint ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.startSprint = (req, res, next) =>
+    changeSprints(req, res, next, boardData => ({
+        sprint: startSprint(boardData, req.params.sprintId)
+    }), 200, 'start sprint');
+
+/**
+ * Close the active sprint: record its velocity and carry its unfinished cards forward to
+ * `carryOverTo` (a planned sprint, or null for the backlog). Without it, they go to the planned
+ * sprint that starts first, or to the backlog if there is none.
+ * The X-Actor header names who made the change (defaults to 'api').
+ * @async
+ * @function closeSprint
+ * @param {Object} req - Express request object with board ID and sprint ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.closeSprint = (req, res, next) =>
+    changeSprints(req, res, next, boardData => {
+        const { sprint, carriedOverTo } = closeSprint(boardData, req.params.sprintId, { carryOverTo: req.body.carryOverTo });
+        return { sprint, carriedOverTo: carriedOverTo ? carriedOverTo.id : null };
+    }, 200, 'close sprint');
+
+/**
+ * Delete a sprint that isn't active; its cards go back to the backlog.
+ * The X-Actor header names who made the change (defaults to 'api').
+ * @async
+ * @function deleteSprint
+ * @param {Object} req - Express request object with board ID and sprint ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.deleteSprint = (req, res, next) =>
+    changeSprints(req, res, next, boardData => {
+        deleteSprint(boardData, req.params.sprintId);
+        return { success: true };
+    }, 200, 'delete sprint');
+
+/**
+ * Move the cards in `cardIds` into a sprint. Cards can't join a closed sprint.
+ * The X-Actor header names who made the change (defaults to 'api').
+ * @async
+ * @function addSprintCards
+ * @param {Object} req - Express request object with board ID and sprint ID in params and `cardIds` in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.addSprintCards = (req, res, next) => {
+    const { cardIds } = req.body;
+    if (!Array.isArray(cardIds) || !cardIds.every(id => typeof id === 'string')) {
+        return res.status(400).json({ error: 'cardIds must be a list of card IDs' });
+    }
+
+    return changeSprints(req, res, next, boardData => ({
+        sprintId: req.params.sprintId,
+        moved: assignCardsToSprint(boardData, req.params.sprintId, cardIds)
+    }), 200, 'add cards to sprint');
+};
+
+/**
+ * Move a card out of a sprint, back to the backlog.
+ * The X-Actor header names who made the change (defaults to 'api').
+ * @async
+ * @function removeSprintCard
+ * @param {Object} req - Express request object with board ID, sprint ID and card ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.removeSprintCard = (req, res, next) =>
+    changeSprints(req, res, next, boardData => {
+        const { sprintId, cardId } = req.params;
+        findSprint(boardData, sprintId);
+        const card = (boardData.cards || []).find(c => c.id === cardId);
+        if (!card || card.sprintId !== sprintId) {
+            throw new Error(`Card ${cardId} not found in sprint ${sprintId}`);
+        }
+        return { sprintId: null, moved: assignCardsToSprint(boardData, null, [cardId]) };
+    }, 200, 'remove card from sprint');
+
+/**
+ * Report on a sprint: its days, the cards committed, added, completed and remaining, and its
+ * velocity next to the average of the last closed sprints. `active` reports on the active sprint.
+ * @async
+ * @function getSprintReport
+ * @param {Object} req - Express request object with board ID and sprint ID in params
+ * @param {Object} res - Express response object
+ */
+exports.getSprintReport = async (req, res) => {
+    let board;
+    try {
+        board = await Board.load(req.params.id);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+
+    const active = getActiveSprint(board.data);
+    const sprintId = req.params.sprintId === 'active' && active ? active.id : req.params.sprintId;
+    try {
+        res.json({ boardId: board.data.id, ...getSprintReport(board.data, sprintId), revision: board.revision });
+    } catch (error) {
+        if (error.message && error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error(`Error reporting on sprint ${req.params.sprintId}:`, error);
+        res.status(500).json({ error: 'Failed to report on sprint' });
+    }
+};
+
 /**
  * Archive a board
  * @async
@@ -466,3 +1320,90 @@ exports.queryCards = async (req, res) => {
         res.status(500).json({ error: 'Failed to query cards' });
     }
 };
+
+/**
+ * Get the change history of a card, most recent first
+ * @async
+ * @function getCardHistory
+ * @param {Object} req - Express request object with board ID and card ID in params
+ * @param {Object} res - Express response object
+ * @param {number} [req.query.limit] - Maximum number of entries to return
+ */
+exports.getCardHistory = async (req, res) => {
+    try {
+        const { id: boardId, cardId } = req.params;
+        const limit = parseInt(req.query.limit, 10);
+        
+        await Board.load(boardId);
+        const history = await CardHistory.forCard(boardId, cardId, {
+            limit: Number.isNaN(limit) || limit < 1 ? undefined : limit
+        });
+        
+        res.json(history);
+    } catch (error) {
+        console.error(`Error reading history for card ${req.params.cardId}:`, error);
+        res.status(404).json({ error: error.message || 'Board not found' });
+    }
+};
+
+/**
+ * Stream real-time change events for a board using Server-Sent Events.
+ * Changes are picked up from the board file, so writes made by the MCP server
+ * or CLI are delivered as well as those made through this API.
+ * @async
+ * @function streamBoardEvents
+ * @param {Object} req - Express request object with board ID in params
+ * @param {Object} res - Express response object
+ */
+exports.streamBoardEvents = async (req, res) => {
+    const boardId = req.params.id;
+
+    // Listen for the client going away before any await, so a disconnect while the
+    // board loads or the subscription starts still releases what was set up
+    let closed = false;
+    let unsubscribe = null;
+    let heartbeat = null;
+    req.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
+    });
+
+    try {
+        await Board.load(boardId);
+    } catch (error) {
+        return res.status(404).json({ error: error.message || 'Board not found' });
+    }
+    if (closed) return;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event) => {
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Ask clients to wait a few seconds before reconnecting after a drop
+    res.write('retry: 3000\n\n');
+
+    try {
+        unsubscribe = await boardWatcher.subscribe(boardId, send);
+    } catch (error) {
+        console.error(`Error subscribing to board ${boardId} events:`, error);
+        return res.end();
+    }
+    if (closed) {
+        unsubscribe();
+        return;
+    }
+
+    send({ type: 'connected', boardId });
+
+    heartbeat = setInterval(() => {
+        res.write(': keep-alive\n\n');
+    }, EVENT_STREAM_HEARTBEAT_MS);
+};
@@ -1,4 +1,5 @@
 const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
 
 // Get all webhooks
 exports.getWebhooks = async (req, res) => {
@@ -16,7 +17,7 @@ exports.getWebhookById = async (req, res) => {
     try {
         const webhookId = req.params.id;
         const webhook = await Webhook.getById(webhookId);
-        res.json(webhook.data);
+        res.json(webhook.toPublicFormat());
     } catch (error) {
         console.error(`Error reading webhook ${req.params.id}:`, error);
         res.status(404).json({ error: error.message || 'Webhook not found' });
@@ -26,16 +27,21 @@ exports.getWebhookById = async (req, res) => {
 // Create a new webhook
 exports.createWebhook = async (req, res) => {
     try {
-        const { name, url, event } = req.body;
+        const { name, url, event, secret } = req.body;
         
         if (!name || !url || !event) {
             return res.status(400).json({ error: 'Webhook name, URL, and event are required' });
         }
         
+        if (secret !== undefined && typeof secret !== 'string') {
+            return res.status(400).json({ error: 'Webhook secret must be a string' });
+        }
+        
         const webhook = await Webhook.create({
             name: name.trim(),
             url: url.trim(),
-            event: event.trim()
+            event: event.trim(),
+            secret: secret ? secret.trim() : undefined
         });
         
         res.status(201).json(webhook);
@@ -69,6 +75,34 @@ exports.testWebhook = async (req, res) => {
     }
 };
 
+// Get the delivery log of a webhook
+exports.getDeliveries = async (req, res) => {
+    try {
+        const webhookId = req.params.id;
+        await Webhook.getById(webhookId);
+        const deliveries = await WebhookDelivery.list(webhookId);
+        res.json(deliveries);
+    } catch (error) {
+        console.error(`Error reading deliveries for webhook ${req.params.id}:`, error);
+        res.status(404).json({ error: error.message || 'Webhook not found' });
+    }
+};
+
+// Queue the payload of a previous delivery to be sent again; the delivery log records the result
+exports.redeliver = async (req, res) => {
+    try {
+        const { id, deliveryId } = req.params;
+        const delivery = await Webhook.redeliver(id, deliveryId);
+        res.status(202).json(delivery);
+    } catch (error) {
+        if (error.message && error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error(`Error redelivering ${req.params.deliveryId} for webhook ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Failed to redeliver webhook' });
+    }
+};
+
 // Test a webhook connection without saving
 exports.testConnection = async (req, res) => {
     try {
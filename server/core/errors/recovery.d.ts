@@ -0,0 +1,43 @@
+export interface RetryOptions {
+  maxAttempts: number;
+  initialDelay: number;
+  maxDelay: number;
+  backoffMultiplier: number;
+  retryableErrors?: string[];
+}
+
+export interface CircuitBreakerOptions {
+  failureThreshold: number;
+  recoveryTimeout: number;
+  monitoringPeriod: number;
+}
+
+export interface RecoveryLogger {
+  info(message: string, context?: Record<string, any>): void;
+  warn(message: string, context?: Record<string, any>): void;
+  error(message: string, context?: Record<string, any>): void;
+}
+
+export declare const CircuitState: {
+  readonly CLOSED: 'CLOSED';
+  readonly OPEN: 'OPEN';
+  readonly HALF_OPEN: 'HALF_OPEN';
+};
+export type CircuitState = typeof CircuitState[keyof typeof CircuitState];
+
+export declare class RetryHandler {
+  constructor(logger?: RecoveryLogger);
+  retry<T>(operation: (attempt: number) => Promise<T>, options?: Partial<RetryOptions>): Promise<T>;
+}
+
+export declare class CircuitBreaker {
+  constructor(name: string, options: CircuitBreakerOptions, logger?: RecoveryLogger);
+  execute<T>(operation: () => Promise<T>): Promise<T>;
+  getState(): CircuitState;
+  getMetrics(): {
+    state: CircuitState;
+    failureCount: number;
+    successCount: number;
+    lastFailureTime: number;
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * RetryHandler and CircuitBreaker, shared by the TypeScript core (re-exported from
+ * ErrorRecovery.ts) and the JavaScript servers, which load this file directly because
+ * they don't compile the core. Types are in recovery.d.ts.
+ */
+
+const CircuitState = Object.freeze({
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+});
+
+// For callers that pass no logger
+const silentLogger = {
+  info() {},
+  warn() {},
+  error() {}
+};
+
+class RetryHandler {
+  constructor(logger = silentLogger) {
+    this.logger = logger;
+  }
+
+  // The operation receives the attempt number, starting at 1
+  async retry(operation, options = {}) {
+    const config = {
+      maxAttempts: 3,
+      initialDelay: 1000,
+      maxDelay: 10000,
+      backoffMultiplier: 2,
+      retryableErrors: ['ECONNRESET', 'ENOTFOUND', 'ECONNREFUSED', 'ETIMEDOUT'],
+      ...options
+    };
+
+    let lastError;
+    let delay = config.initialDelay;
+
+    for (let attempt = 1; attempt <= config.maxAttempts; attempt++) {
+      try {
+        const result = await operation(attempt);
+
+        if (attempt > 1) {
+          this.logger.info('Operation succeeded after retry', {
+            attempt,
+            totalAttempts: config.maxAttempts
+          });
+        }
+
+        return result;
+      } catch (error) {
+        lastError = error;
+
+        this.logger.warn('Operation failed', {
+          attempt,
+          totalAttempts: config.maxAttempts,
+          error: lastError.message,
+          willRetry: attempt < config.maxAttempts && this.isRetryable(lastError, config.retryableErrors)
+        });
+
+        // Don't retry if it's the last attempt or error is not retryable
+        if (attempt === config.maxAttempts || !this.isRetryable(lastError, config.retryableErrors)) {
+          break;
+        }
+
+        // Wait before next attempt
+        await this.delay(delay);
+        delay = Math.min(delay * config.backoffMultiplier, config.maxDelay);
+      }
+    }
+
+    this.logger.error('Operation failed after all retry attempts', {
+      totalAttempts: config.maxAttempts,
+      finalError: lastError.message
+    });
+
+    throw lastError;
+  }
+
+  isRetryable(error, retryableErrors) {
+    return retryableErrors.some(retryableError =>
+      (error.message && error.message.includes(retryableError)) ||
+      error.code === retryableError
+    );
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+class CircuitBreaker {
+  constructor(name, options, logger = silentLogger) {
+    this.name = name;
+    this.options = options;
+    this.logger = logger;
+    this.state = CircuitState.CLOSED;
+    this.failureCount = 0;
+    this.lastFailureTime = 0;
+    this.successCount = 0;
+  }
+
+  async execute(operation) {
+    if (this.state === CircuitState.OPEN) {
+      if (this.shouldTryRecovery()) {
+        this.state = CircuitState.HALF_OPEN;
+        this.logger.info('Circuit breaker transitioning to half-open', { name: this.name });
+      } else {
+        const error = new Error(`Circuit breaker is open for ${this.name}`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+    }
+
+    try {
+      const result = await operation();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      this.onFailure();
+      throw error;
+    }
+  }
+
+  onSuccess() {
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.successCount++;
+      if (this.successCount >= this.options.failureThreshold) {
+        this.reset();
+        this.logger.info('Circuit breaker closed after successful recovery', { name: this.name });
+      }
+    } else {
+      this.reset();
+    }
+  }
+
+  onFailure() {
+    this.failureCount++;
+    this.lastFailureTime = Date.now();
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.state = CircuitState.OPEN;
+      this.logger.warn('Circuit breaker opened during half-open state', { name: this.name });
+    } else if (this.failureCount >= this.options.failureThreshold) {
+      this.state = CircuitState.OPEN;
+      this.logger.warn('Circuit breaker opened due to failure threshold', {
+        name: this.name,
+        failureCount: this.failureCount,
+        threshold: this.options.failureThreshold
+      });
+    }
+  }
+
+  shouldTryRecovery() {
+    return Date.now() - this.lastFailureTime >= this.options.recoveryTimeout;
+  }
+
+  reset() {
+    this.state = CircuitState.CLOSED;
+    this.failureCount = 0;
+    this.successCount = 0;
+    this.lastFailureTime = 0;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  getMetrics() {
+    return {
+      state: this.state,
+      failureCount: this.failureCount,
+      successCount: this.successCount,
+      lastFailureTime: this.lastFailureTime
+    };
+  }
+}
+
+module.exports = {
+  CircuitState,
+  RetryHandler,
+  CircuitBreaker
+};
@@ -98,6 +98,7 @@ export abstract class BaseRepository<T extends { id: string }, TCreate = Partial
       }
 
       await this.fileSystem.write(filePath, entity);
+      await this.afterCreate(entity);
       this.logger.info('Entity created', { id: entity.id });
       
       return entity;
@@ -112,15 +113,21 @@ export abstract class BaseRepository<T extends { id: string }, TCreate = Partial
       ValidationHelper.validateUUID(id);
       await this.validateUpdate(data);
       
-      const existing = await this.findById(id);
-      if (!existing) {
-        throw new NotFoundError('Entity', id);
-      }
-
-      const updated = await this.updateEntity(existing, data);
       const filePath = this.getFilePath(id);
-      
-      await this.fileSystem.write(filePath, updated);
+
+      // Read, check and write under the file's lock, the one Board.save holds too,
+      // so no other writer can save in between
+      const updated = await this.fileSystem.withLock(filePath, async () => {
+        const existing = await this.findById(id);
+        if (!existing) {
+          throw new NotFoundError('Entity', id);
+        }
+
+        const updated = await this.updateEntity(existing, data);
+        await this.fileSystem.writeLocked(filePath, updated);
+        await this.afterUpdate(existing, updated);
+        return updated;
+      });
       this.logger.info('Entity updated', { id, updates: Object.keys(data as object) });
       
       return updated;
@@ -175,6 +182,12 @@ export abstract class BaseRepository<T extends { id: string }, TCreate = Partial
     }
   }
 
+  // Called after a new entity is written
+  protected async afterCreate(_entity: T): Promise<void> {}
+
+  // Called after an update is written, while the entity's lock is still held
+  protected async afterUpdate(_previous: T, _updated: T): Promise<void> {}
+
   protected async ensureDirectoryExists(): Promise<void> {
     const exists = await this.fileSystem.exists(this.basePath);
     if (!exists) {
@@ -1,12 +1,48 @@
 import { join } from 'path';
 import { BaseRepository } from './BaseRepository';
-import { IBoardRepository } from './interfaces';
-import { Board, Card, Column, CreateBoard, UpdateBoard, CardFilter, PaginationParams } from '@core/schemas';
+import { IBoardRepository, UndoOperation } from './interfaces';
+import { Board, Card, Column, CreateBoard, UpdateBoard, CardFilter, PaginationParams, CardHistoryEntry } from '@core/schemas';
 import { EntityFactory, createSafeParser, BoardSchema, CreateBoardSchema, UpdateBoardSchema } from '@core/schemas';
 import { NotFoundError, ValidationError, ConflictError } from '@core/errors';
 import { validateUniqueTitle, validateWipLimit } from '@core/schemas';
 import { BoardQuery, CardQuery } from '@core/schemas/querySchemas';
 
+// Undo stacks use the same file layout and limits as server/models/UndoHistory.js
+const MAX_UNDO_DEPTH = parseInt(process.env.TASKBOARD_UNDO_DEPTH ?? '', 10) || 50;
+const DEFAULT_ACTOR = process.env.TASKBOARD_ACTOR || 'system';
+// Flow snapshots use the layout of server/models/FlowSnapshots.js
+const MAX_SNAPSHOT_DAYS = 730;
+
+interface UndoStacks {
+  undo: UndoOperation[];
+  redo: UndoOperation[];
+}
+
+interface BoardChangeEvent {
+  type: string;
+  [key: string]: unknown;
+}
+
+interface FlowSnapshot {
+  date: string;
+  columns: Record<string, number>;
+  total: number;
+  completed: number;
+}
+
+// Change events, history entries and the event bus are shared with the JavaScript servers, so writes
+// made through the TS services are recorded and reach the same subscribers, such as the webhook
+// dispatcher, as Board.save's
+const { diffBoards } = require('../../utils/boardDiff') as {
+  diffBoards: (before: Board | null, after: Board | null) => BoardChangeEvent[];
+};
+const CardHistory = require('../../models/CardHistory') as {
+  entriesFromEvents: (events: BoardChangeEvent[], actor: string) => CardHistoryEntry[];
+};
+const { boardEvents } = require('../../utils/eventBus') as {
+  boardEvents: { publish: (event: BoardChangeEvent) => void };
+};
+
 export class BoardRepository extends BaseRepository<Board, CreateBoard, UpdateBoard> implements IBoardRepository {
   
   constructor(fileSystem: any, basePath: string = 'boards') {
@@ -17,6 +53,235 @@ export class BoardRepository extends BaseRepository<Board, CreateBoard, UpdateBo
     return id ? join(this.basePath, `${id}.json`) : this.basePath;
   }
 
+  private getUndoPath(id: string): string {
+    return join(this.basePath, 'undo', `${id}.json`);
+  }
+
+  private getHistoryPath(id: string): string {
+    return join(this.basePath, 'history', `${id}.jsonl`);
+  }
+
+  private getSnapshotPath(id: string): string {
+    return join(this.basePath, 'snapshots', `${id}.json`);
+  }
+
+  // Recorded under the board's lock, so the undo stack follows revision order
+  protected async afterUpdate(previous: Board, updated: Board): Promise<void> {
+    try {
+      const stacks = await this.readUndoStacks(updated.id);
+      stacks.undo.push({
+        revision: updated.revision ?? 0,
+        actor: DEFAULT_ACTOR,
+        timestamp: updated.updatedAt,
+        board: previous
+      });
+      stacks.redo = [];
+      await this.writeUndoStacks(updated.id, stacks);
+    } catch (error) {
+      this.logger.error('Failed to record undo history', { id: updated.id, error });
+    }
+
+    await this.recordWrite(previous, updated);
+  }
+
+  protected async afterCreate(board: Board): Promise<void> {
+    await this.recordWrite(null, board);
+  }
+
+  async delete(id: string): Promise<boolean> {
+    const board = await this.findById(id);
+    const deleted = await super.delete(id);
+    if (deleted && await this.fileSystem.exists(this.getUndoPath(id))) {
+      await this.fileSystem.delete(this.getUndoPath(id));
+    }
+    if (deleted && board) {
+      this.publishEvents(board, [{ type: 'board.deleted', board }]);
+    }
+    return deleted;
+  }
+
+  // Record a write the way Board.save does: card history entries, today's flow snapshot, then events
+  private async recordWrite(previous: Board | null, board: Board, actor: string = DEFAULT_ACTOR): Promise<void> {
+    const events = previous ? diffBoards(previous, board) : [{ type: 'board.created', board }];
+
+    try {
+      const entries = CardHistory.entriesFromEvents(events, actor);
+      if (entries.length > 0) {
+        await this.fileSystem.appendText(
+          this.getHistoryPath(board.id),
+          entries.map(entry => JSON.stringify(entry)).join('\n') + '\n'
+        );
+      }
+    } catch (error) {
+      this.logger.error('Failed to record card history', { id: board.id, error });
+    }
+
+    try {
+      await this.recordFlowSnapshot(board);
+    } catch (error) {
+      this.logger.error('Failed to record flow snapshot', { id: board.id, error });
+    }
+
+    this.publishEvents(board, events, actor);
+  }
+
+  // Today's column counts replace any taken earlier today, as in server/models/FlowSnapshots.js
+  private async recordFlowSnapshot(board: Board): Promise<void> {
+    const path = this.getSnapshotPath(board.id);
+    const lastColumn = board.columns[board.columns.length - 1];
+    const snapshot: FlowSnapshot = {
+      date: new Date().toISOString().slice(0, 10),
+      columns: Object.fromEntries(board.columns.map(column => [
+        column.id,
+        board.cards.filter(card => card.columnId === column.id).length
+      ])),
+      total: board.cards.length,
+      completed: board.columns.length > 1 ? board.cards.filter(card => card.columnId === lastColumn.id).length : 0
+    };
+
+    let days: FlowSnapshot[] = [];
+    if (await this.fileSystem.exists(path)) {
+      try {
+        days = (await this.fileSystem.read<{ days?: FlowSnapshot[] }>(path)).days ?? [];
+      } catch (error) {
+        this.logger.warn('Failed to read flow snapshots', { id: board.id, error });
+      }
+    }
+
+    days = [...days.filter(day => day.date !== snapshot.date), snapshot]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .slice(-MAX_SNAPSHOT_DAYS);
+    await this.fileSystem.write(path, { boardId: board.id, days });
+  }
+
+  // Events carry the same board fields and actor as the ones Board.save publishes
+  private publishEvents(board: Board, events: BoardChangeEvent[], actor: string = DEFAULT_ACTOR): void {
+    for (const event of events) {
+      boardEvents.publish({
+        ...event,
+        boardId: board.id,
+        projectName: board.title,
+        last_updated: board.updatedAt,
+        revision: board.revision ?? 0,
+        actor
+      });
+    }
+  }
+
+  async undo(boardId: string, actor: string = DEFAULT_ACTOR): Promise<{ board: Board; operation: UndoOperation } | null> {
+    return this.revertOperation(boardId, 'undo', 'redo', actor);
+  }
+
+  async redo(boardId: string, actor: string = DEFAULT_ACTOR): Promise<{ board: Board; operation: UndoOperation } | null> {
+    return this.revertOperation(boardId, 'redo', 'undo', actor);
+  }
+
+  private async revertOperation(
+    boardId: string,
+    from: keyof UndoStacks,
+    to: keyof UndoStacks,
+    actor: string
+  ): Promise<{ board: Board; operation: UndoOperation } | null> {
+    try {
+      if (!(await this.exists(boardId))) {
+        throw new NotFoundError('Board', boardId);
+      }
+
+      // Held like Board.save holds it, so no write can land between the revision check and the restore
+      const result = await this.fileSystem.withLock(this.getFilePath(boardId), async () => {
+        const board = await this.findById(boardId);
+        if (!board) {
+          throw new NotFoundError('Board', boardId);
+        }
+
+        const stacks = await this.readUndoStacks(boardId);
+        const operation = stacks[from].pop();
+        if (!operation) {
+          return null;
+        }
+
+        // A write that was not recorded makes the rest of the stack unsafe to apply
+        const currentRevision = board.revision ?? 0;
+        if (operation.revision !== currentRevision) {
+          stacks[from] = [];
+          await this.writeUndoStacks(boardId, stacks);
+          throw new ConflictError(`Board ${boardId} was changed outside the ${from} history, which has been cleared`, {
+            boardId,
+            expectedRevision: operation.revision,
+            currentRevision
+          });
+        }
+
+        const restored = EntityFactory.updateTimestamp({
+          ...operation.board,
+          id: boardId,
+          revision: currentRevision + 1
+        });
+        await this.fileSystem.writeLocked(this.getFilePath(boardId), restored);
+
+        // The next operation applies to the board as just restored, so it moves to the new revision
+        const next = stacks[from][stacks[from].length - 1];
+        if (next) {
+          next.revision = currentRevision + 1;
+        }
+        stacks[to].push({ revision: currentRevision + 1, actor, timestamp: restored.updatedAt, board });
+        await this.writeUndoStacks(boardId, stacks);
+
+        await this.recordWrite(board, restored, actor);
+        return { board: restored, operation };
+      });
+
+      if (result) {
+        this.logger.info(`Board ${from} applied`, { boardId, revision: result.board.revision });
+      }
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to ${from} board operation`, { boardId, error });
+      throw error;
+    }
+  }
+
+  private async readUndoStacks(id: string): Promise<UndoStacks> {
+    const path = this.getUndoPath(id);
+    if (!(await this.fileSystem.exists(path))) {
+      return { undo: [], redo: [] };
+    }
+
+    try {
+      const stacks = await this.fileSystem.read<Partial<UndoStacks>>(path);
+      return { undo: stacks.undo ?? [], redo: stacks.redo ?? [] };
+    } catch (error) {
+      this.logger.warn('Failed to read undo history', { id, error });
+      return { undo: [], redo: [] };
+    }
+  }
+
+  // Card history is the JSON Lines log written by server/models/CardHistory.js, oldest entry first
+  async getCardHistory(boardId: string): Promise<CardHistoryEntry[]> {
+    const path = this.getHistoryPath(boardId);
+    if (!(await this.fileSystem.exists(path))) {
+      return [];
+    }
+
+    const entries: CardHistoryEntry[] = [];
+    for (const line of (await this.fileSystem.readText(path)).split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Skip a line cut short by a crash mid-append
+      }
+    }
+    return entries;
+  }
+
+  private async writeUndoStacks(id: string, stacks: UndoStacks): Promise<void> {
+    await this.fileSystem.write(this.getUndoPath(id), {
+      undo: stacks.undo.slice(-MAX_UNDO_DEPTH),
+      redo: stacks.redo.slice(-MAX_UNDO_DEPTH)
+    });
+  }
+
   protected async validateCreate(data: CreateBoard): Promise<void> {
     const parseCreateBoard = createSafeParser(CreateBoardSchema);
     parseCreateBoard(data);
@@ -39,10 +304,21 @@ export class BoardRepository extends BaseRepository<Board, CreateBoard, UpdateBo
   }
 
   protected async updateEntity(existing: Board, updates: UpdateBoard): Promise<Board> {
+    const currentRevision = existing.revision ?? 0;
+    if (updates.revision !== undefined && updates.revision !== currentRevision) {
+      throw new ConflictError(`Board ${existing.id} has been modified since revision ${updates.revision}`, {
+        boardId: existing.id,
+        expectedRevision: updates.revision,
+        currentRevision,
+        updatedAt: existing.updatedAt
+      });
+    }
+
     const updated = {
       ...existing,
       ...updates,
-      settings: updates.settings ? { ...existing.settings, ...updates.settings } : existing.settings
+      settings: updates.settings ? { ...existing.settings, ...updates.settings } : existing.settings,
+      revision: currentRevision + 1
     };
     
     return EntityFactory.updateTimestamp(updated);
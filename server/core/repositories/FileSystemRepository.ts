@@ -1,9 +1,19 @@
-import { promises as fs } from 'fs';
-import { join, dirname } from 'path';
+import { promises as fs, Stats } from 'fs';
+import { join, dirname, basename } from 'path';
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
 import { IFileSystemRepository } from './interfaces';
 import { logger } from '@core/utils';
 import { InternalServerError } from '@core/errors';
 
+// Lock files follow the same `<file>.lock` convention as server/utils/fileSystem.js,
+// so the TS services and the JS servers exclude each other when writing.
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 25;
+// Held locks are touched this often, so a long hold never looks abandoned
+const LOCK_REFRESH_MS = 2000;
+
 export class FileSystemRepository implements IFileSystemRepository {
   private logger = logger.child({ repository: 'FileSystemRepository' });
 
@@ -32,7 +42,24 @@ export class FileSystemRepository implements IFileSystemRepository {
     }
   }
 
+  async readText(path: string): Promise<string> {
+    try {
+      this.logger.debug('Reading text file', { path });
+      return await fs.readFile(path, 'utf-8');
+    } catch (error) {
+      this.logger.error('Failed to read file', { path, error });
+      throw new InternalServerError(`Failed to read file: ${path}`, error);
+    }
+  }
+
   async write<T>(path: string, data: T): Promise<void> {
+    // The lock file sits next to the file, so its directory has to exist first
+    await this.createDirectory(dirname(path));
+    await this.withLock(path, () => this.writeLocked(path, data));
+  }
+
+  // Write a file whose lock the caller already holds through withLock
+  async writeLocked<T>(path: string, data: T): Promise<void> {
     try {
       this.logger.debug('Writing file', { path });
       
@@ -41,7 +68,7 @@ export class FileSystemRepository implements IFileSystemRepository {
       await this.createDirectory(dir);
       
       const jsonData = JSON.stringify(data, null, 2);
-      await fs.writeFile(path, jsonData, 'utf-8');
+      await this.writeAtomic(path, jsonData);
       
       this.logger.debug('File written successfully', { path, size: jsonData.length });
     } catch (error) {
@@ -50,6 +77,157 @@ export class FileSystemRepository implements IFileSystemRepository {
     }
   }
 
+  async appendText(path: string, text: string): Promise<void> {
+    try {
+      await this.createDirectory(dirname(path));
+      await fs.appendFile(path, text, 'utf-8');
+    } catch (error) {
+      this.logger.error('Failed to append to file', { path, error });
+      throw new InternalServerError(`Failed to append to file: ${path}`, error);
+    }
+  }
+
+  async withLock<R>(path: string, fn: () => Promise<R>): Promise<R> {
+    const lockPath = `${path}.lock`;
+    const token = randomBytes(16).toString('hex');
+    const owner = JSON.stringify({
+      pid: process.pid,
+      hostname: hostname(),
+      acquired_at: new Date().toISOString(),
+      token
+    });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        await fs.writeFile(lockPath, owner, { flag: 'wx' });
+        break;
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error;
+      }
+
+      const stale = await this.findStaleLock(lockPath);
+      if (stale) {
+        await this.breakStaleLock(lockPath, stale);
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new InternalServerError(`Timed out waiting for lock on ${path}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    let refreshing: Promise<void> = Promise.resolve();
+    const refresher = setInterval(() => {
+      refreshing = this.refreshLock(lockPath, token).catch(() => undefined);
+    }, LOCK_REFRESH_MS);
+    refresher.unref();
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(refresher);
+      await refreshing;
+      await this.releaseLock(lockPath, token);
+    }
+  }
+
+  // The token written into the lock tells a lock we hold from one another process took
+  // after breaking ours
+  private async ownsLock(lockPath: string, token: string): Promise<boolean> {
+    try {
+      return JSON.parse(await fs.readFile(lockPath, 'utf-8')).token === token;
+    } catch {
+      return false;
+    }
+  }
+
+  private async refreshLock(lockPath: string, token: string): Promise<void> {
+    if (await this.ownsLock(lockPath, token)) {
+      const now = new Date();
+      await fs.utimes(lockPath, now, now);
+    }
+  }
+
+  private async releaseLock(lockPath: string, token: string): Promise<void> {
+    if (await this.ownsLock(lockPath, token)) {
+      await fs.unlink(lockPath).catch(() => undefined);
+    } else {
+      this.logger.warn('Lock file was taken over by another process while held', { lockPath });
+    }
+  }
+
+  private async findStaleLock(lockPath: string): Promise<Stats | null> {
+    let stats: Stats;
+    try {
+      stats = await fs.stat(lockPath);
+    } catch {
+      // Released in the meantime
+      return null;
+    }
+
+    if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+      return stats;
+    }
+
+    try {
+      const owner = JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+      return owner.hostname === hostname() && !this.isProcessAlive(owner.pid) ? stats : null;
+    } catch {
+      // Owner is still writing its details; rely on the age check
+      return null;
+    }
+  }
+
+  // Rename rather than unlink, so that of the processes that found the lock stale only one
+  // breaks it, and none removes the lock another has taken since. A lock renamed by
+  // mistake is put back.
+  private async breakStaleLock(lockPath: string, stale: Stats): Promise<void> {
+    const brokenPath = `${lockPath}.${process.pid}.${randomBytes(4).toString('hex')}.stale`;
+    try {
+      await fs.rename(lockPath, brokenPath);
+    } catch {
+      // Broken or released by another process first
+      return;
+    }
+
+    const broken = await fs.stat(brokenPath);
+    if (broken.ino !== stale.ino || broken.mtimeMs !== stale.mtimeMs) {
+      await fs.link(brokenPath, lockPath).catch(() => undefined);
+    } else {
+      this.logger.warn('Removed stale lock file', { lockPath });
+    }
+    await fs.unlink(brokenPath).catch(() => undefined);
+  }
+
+  private isProcessAlive(pid: number): boolean {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return (error as NodeJS.ErrnoException).code === 'EPERM';
+    }
+  }
+
+  private async writeAtomic(path: string, contents: string): Promise<void> {
+    const tempPath = join(dirname(path), `.${basename(path)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`);
+
+    try {
+      const handle = await fs.open(tempPath, 'w');
+      try {
+        await handle.writeFile(contents, 'utf-8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempPath, path);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => undefined);
+      throw error;
+    }
+  }
+
   async delete(path: string): Promise<boolean> {
     try {
       this.logger.debug('Deleting file', { path });
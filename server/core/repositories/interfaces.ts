@@ -1,4 +1,4 @@
-import { Board, Card, Column, Config, PaginationParams, SortParams, CardFilter } from '@core/schemas';
+import { Board, Card, Column, Config, PaginationParams, SortParams, CardFilter, CardHistoryEntry } from '@core/schemas';
 import { BoardQuery, CardQuery } from '@core/schemas/querySchemas';
 
 export interface IRepository<T, TCreate = Partial<T>, TUpdate = Partial<T>> {
@@ -11,6 +11,19 @@ export interface IRepository<T, TCreate = Partial<T>, TUpdate = Partial<T>> {
   count(): Promise<number>;
 }
 
+/**
+ * A recorded board operation that can be undone or redone. Stored in
+ * `<boards>/undo/<boardId>.json`, the same layout as server/models/UndoHistory.js.
+ */
+export interface UndoOperation {
+  /** Board revision written by the operation */
+  revision: number;
+  actor: string;
+  timestamp: string;
+  /** Board from before the operation, restored when it is reverted */
+  board: Board;
+}
+
 export interface IBoardRepository extends IRepository<Board> {
   findByTitle(title: string): Promise<Board | null>;
   findCardsInColumn(boardId: string, columnId: string): Promise<Card[]>;
@@ -27,6 +40,9 @@ export interface IBoardRepository extends IRepository<Board> {
   getCardCount(boardId: string, columnId?: string): Promise<number>;
   queryBoards(query: BoardQuery): Promise<Board[]>;
   queryCards(boardId: string, query: CardQuery): Promise<Card[]>;
+  undo(boardId: string, actor?: string): Promise<{ board: Board; operation: UndoOperation } | null>;
+  redo(boardId: string, actor?: string): Promise<{ board: Board; operation: UndoOperation } | null>;
+  getCardHistory(boardId: string): Promise<CardHistoryEntry[]>;
 }
 
 export interface IConfigRepository extends IRepository<Config> {
@@ -39,7 +55,11 @@ export interface IConfigRepository extends IRepository<Config> {
 export interface IFileSystemRepository {
   exists(path: string): Promise<boolean>;
   read<T>(path: string): Promise<T>;
+  readText(path: string): Promise<string>;
   write<T>(path: string, data: T): Promise<void>;
+  writeLocked<T>(path: string, data: T): Promise<void>;
+  appendText(path: string, text: string): Promise<void>;
+  withLock<R>(path: string, fn: () => Promise<R>): Promise<R>;
   delete(path: string): Promise<boolean>;
   list(directory: string): Promise<string[]>;
   createDirectory(path: string): Promise<void>;
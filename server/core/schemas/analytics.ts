@@ -0,0 +1,163 @@
+import { Board } from './types';
+
+// Flow analytics, computed the same way as server/utils/analytics.js. Lead time runs from when a
+// card was created to when it was completed, cycle time from when it first entered a column other
+// than the first one. Column moves come from the card history the web and MCP servers record.
+// Cards in the last column count as completed; the others outside the first column are in progress.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_ANALYTICS_WEEKS = 8;
+
+/**
+ * An entry of `<boards>/history/<boardId>.jsonl`, written by server/models/CardHistory.js
+ */
+export interface CardHistoryEntry {
+  timestamp: string;
+  boardId: string;
+  cardId: string;
+  action: 'created' | 'updated' | 'moved' | 'completed' | 'deleted';
+  actor: string;
+  revision?: number;
+  changes: Array<{ field: string; from: unknown; to: unknown }>;
+}
+
+export interface TimeStats {
+  count: number;
+  average: number | null;
+  p50: number | null;
+  p85: number | null;
+  p95: number | null;
+}
+
+export interface CardFlow {
+  id: string;
+  title: string;
+  columnId: string;
+  createdAt: string | null;
+  startedAt: string | null;
+  completedAt: string | null;
+  leadTime: number | null;
+  cycleTime: number | null;
+  age: number | null;
+}
+
+export interface BoardAnalytics {
+  boardId: string;
+  generatedAt: string;
+  leadTime: TimeStats;
+  cycleTime: TimeStats;
+  throughput: { weeks: Array<{ weekStart: string; completed: number }>; average: number };
+  wip: TimeStats & { cards: CardFlow[] };
+  cards: CardFlow[];
+}
+
+function roundTwo(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function daysBetween(from: string | number, to: string | number): number | null {
+  const start = typeof from === 'number' ? from : Date.parse(from);
+  const end = typeof to === 'number' ? to : Date.parse(to);
+  if (Number.isNaN(start) || Number.isNaN(end)) return null;
+  return roundTwo(Math.max(0, end - start) / DAY_MS);
+}
+
+export class AnalyticsHelpers {
+  /**
+   * Summarize times in days: their count, average and nearest-rank percentiles
+   */
+  static summarize(values: number[]): TimeStats {
+    const sorted = [...values].sort((a, b) => a - b);
+    const percentile = (p: number) => sorted.length
+      ? sorted[Math.min(sorted.length, Math.max(1, Math.ceil((p / 100) * sorted.length))) - 1]
+      : null;
+    return {
+      count: sorted.length,
+      average: sorted.length ? roundTwo(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null,
+      p50: percentile(50),
+      p85: percentile(85),
+      p95: percentile(95)
+    };
+  }
+
+  /**
+   * Compute the flow analytics of a board from its card history, oldest entry first
+   */
+  static compute(
+    board: Board,
+    history: CardHistoryEntry[],
+    options: { weeks?: number; now?: Date } = {}
+  ): BoardAnalytics {
+    const now = (options.now ?? new Date()).getTime();
+    const weeks = options.weeks ?? DEFAULT_ANALYTICS_WEEKS;
+    const firstColumn = board.columns[0];
+    const lastColumn = board.columns[board.columns.length - 1];
+
+    // When each card first entered a column other than the first one, and last changed column
+    const starts = new Map<string, string>();
+    const lastMoves = new Map<string, string>();
+    for (const entry of history) {
+      const columnChange = (entry.changes || []).find(change => change.field === 'columnId');
+      if (!columnChange || !columnChange.to) continue;
+      if (!starts.has(entry.cardId) && columnChange.to !== firstColumn?.id) {
+        starts.set(entry.cardId, entry.timestamp);
+      }
+      lastMoves.set(entry.cardId, entry.timestamp);
+    }
+
+    const flows: CardFlow[] = board.cards.map(card => {
+      const startedAt = starts.get(card.id) ?? null;
+      const completed = board.columns.length > 1 && card.columnId === lastColumn?.id;
+      // Cards moved before the history was kept count as completed when they were last updated
+      const completedAt = completed ? (lastMoves.get(card.id) ?? card.updatedAt) : null;
+      const inProgress = !completed && card.columnId !== firstColumn?.id;
+      return {
+        id: card.id,
+        title: card.title,
+        columnId: card.columnId,
+        createdAt: card.createdAt ?? null,
+        startedAt,
+        completedAt,
+        leadTime: completedAt && card.createdAt ? daysBetween(card.createdAt, completedAt) : null,
+        cycleTime: completedAt && startedAt ? daysBetween(startedAt, completedAt) : null,
+        age: inProgress ? daysBetween(startedAt ?? card.createdAt, now) : null
+      };
+    });
+
+    const completed = flows
+      .filter(flow => flow.completedAt)
+      .sort((a, b) => Date.parse(b.completedAt!) - Date.parse(a.completedAt!));
+    const inProgress = flows
+      .filter(flow => flow.age !== null)
+      .sort((a, b) => b.age! - a.age!);
+
+    // Weeks start on Monday, in UTC
+    const today = new Date(now);
+    const currentWeek = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - (today.getUTCDay() + 6) % 7);
+    const throughputWeeks = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+      const start = currentWeek - i * 7 * DAY_MS;
+      const end = start + 7 * DAY_MS;
+      throughputWeeks.push({
+        weekStart: new Date(start).toISOString().slice(0, 10),
+        completed: completed.filter(flow => {
+          const time = Date.parse(flow.completedAt!);
+          return time >= start && time < end;
+        }).length
+      });
+    }
+
+    return {
+      boardId: board.id,
+      generatedAt: new Date(now).toISOString(),
+      leadTime: AnalyticsHelpers.summarize(completed.map(flow => flow.leadTime).filter((time): time is number => time !== null)),
+      cycleTime: AnalyticsHelpers.summarize(completed.map(flow => flow.cycleTime).filter((time): time is number => time !== null)),
+      throughput: {
+        weeks: throughputWeeks,
+        average: roundTwo(throughputWeeks.reduce((sum, week) => sum + week.completed, 0) / weeks)
+      },
+      wip: { ...AnalyticsHelpers.summarize(inProgress.map(flow => flow.age!)), cards: inProgress },
+      cards: completed
+    };
+  }
+}
@@ -0,0 +1,74 @@
+import { Card } from './types';
+
+// A card's dependencies are the IDs of the cards it depends on. They must not form a cycle,
+// which the web server rejects on save as well.
+export interface DanglingDependency {
+  cardId: string;
+  dependencyId: string;
+}
+
+export class DependencyHelpers {
+  /**
+   * Find dependencies on cards that are not on the board
+   */
+  static findDangling(cards: Card[]): DanglingDependency[] {
+    const ids = new Set(cards.map(card => card.id));
+    return cards.flatMap(card => (card.dependencies || [])
+      .filter(id => !ids.has(id))
+      .map(dependencyId => ({ cardId: card.id, dependencyId })));
+  }
+
+  /**
+   * Find the cycle that giving a card these dependencies would make, as the card IDs
+   * from the card back round to the card it depends on last. Returns null if there is none.
+   */
+  static findCycle(cards: Card[], cardId: string, dependencies: string[]): string[] | null {
+    const dependencyMap = new Map(cards.map(card => [card.id, card.dependencies || []]));
+    dependencyMap.set(cardId, dependencies);
+
+    // Breadth-first from the card, so the shortest way back to it is found
+    const previous = new Map<string, string | null>([[cardId, null]]);
+    const queue = [cardId];
+    while (queue.length) {
+      const id = queue.shift()!;
+      for (const dependencyId of dependencyMap.get(id) || []) {
+        if (dependencyId === cardId) {
+          const cycle: string[] = [];
+          for (let step: string | null = id; step !== null; step = previous.get(step)!) {
+            cycle.unshift(step);
+          }
+          return cycle;
+        }
+        if (dependencyMap.has(dependencyId) && !previous.has(dependencyId)) {
+          previous.set(dependencyId, id);
+          queue.push(dependencyId);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the dependency cycles of a board, at most one through each card
+   */
+  static findCycles(cards: Card[]): string[][] {
+    const cycles: string[][] = [];
+    const inCycle = new Set<string>();
+
+    for (const card of cards) {
+      if (inCycle.has(card.id)) continue;
+      const cycle = DependencyHelpers.findCycle(cards, card.id, card.dependencies || []);
+      if (cycle) {
+        cycle.forEach(id => inCycle.add(id));
+        cycles.push(cycle);
+      }
+    }
+    return cycles;
+  }
+
+  // Describe a cycle by card title, e.g. "A" → "B" → "A"
+  static describeCycle(cards: Card[], cycle: string[]): string {
+    const titles = new Map(cards.map(card => [card.id, card.title]));
+    return [...cycle, cycle[0]].map(id => `"${titles.get(id) || id}"`).join(' → ');
+  }
+}
@@ -16,6 +16,8 @@ export class EntityFactory {
       priority: data.priority || 'medium',
       assignee: data.assignee,
       dueDate: data.dueDate,
+      dependencies: data.dependencies,
+      parentId: data.parentId,
       createdAt: now,
       updatedAt: now
     };
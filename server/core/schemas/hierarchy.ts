@@ -0,0 +1,81 @@
+import { Card } from './types';
+import { DependencyHelpers } from './dependencies';
+
+// A card's parentId is the ID of the card it belongs to, such as its epic. Parent links must
+// not form a cycle, which the web server rejects on save as well.
+export interface DanglingParent {
+  cardId: string;
+  parentId: string;
+}
+
+export class HierarchyHelpers {
+  /**
+   * Find cards whose parent is not on the board
+   */
+  static findDangling(cards: Card[]): DanglingParent[] {
+    const ids = new Set(cards.map(card => card.id));
+    return cards
+      .filter(card => card.parentId && !ids.has(card.parentId))
+      .map(card => ({ cardId: card.id, parentId: card.parentId! }));
+  }
+
+  /**
+   * Get the IDs of every card below a card: its children, their children and so on
+   */
+  static getDescendantIds(cards: Card[], cardId: string): string[] {
+    const seen = new Set([cardId]);
+    const descendants: string[] = [];
+    const queue = [cardId];
+    while (queue.length) {
+      const id = queue.shift()!;
+      for (const card of cards) {
+        if (card.parentId === id && !seen.has(card.id)) {
+          seen.add(card.id);
+          descendants.push(card.id);
+          queue.push(card.id);
+        }
+      }
+    }
+    return descendants;
+  }
+
+  /**
+   * Find the cycle that giving a card this parent would make, as the card IDs from the card
+   * up to the ancestor whose parent is the card. Returns null if there is none.
+   */
+  static findCycle(cards: Card[], cardId: string, parentId: string | null | undefined): string[] | null {
+    const parents = new Map(cards.map(card => [card.id, card.parentId]));
+    parents.set(cardId, parentId);
+
+    const cycle = [cardId];
+    for (let id = parentId; id && parents.has(id); id = parents.get(id)) {
+      if (id === cardId) return cycle;
+      if (cycle.includes(id)) return null; // A loop above the card that doesn't go through it
+      cycle.push(id);
+    }
+    return null;
+  }
+
+  /**
+   * Find the parent cycles of a board, one per loop
+   */
+  static findCycles(cards: Card[]): string[][] {
+    const cycles: string[][] = [];
+    const inCycle = new Set<string>();
+
+    for (const card of cards) {
+      if (inCycle.has(card.id)) continue;
+      const cycle = HierarchyHelpers.findCycle(cards, card.id, card.parentId);
+      if (cycle) {
+        cycle.forEach(id => inCycle.add(id));
+        cycles.push(cycle);
+      }
+    }
+    return cycles;
+  }
+
+  // Describe a cycle by card title, each card followed by its parent, e.g. "A" → "B" → "A"
+  static describeCycle(cards: Card[], cycle: string[]): string {
+    return DependencyHelpers.describeCycle(cards, cycle);
+  }
+}
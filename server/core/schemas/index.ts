@@ -2,4 +2,10 @@ export * from './types';
 export * from './validation';
 export * from './constants';
 export * from './validators';
-export * from './factories';
\ No newline at end of file
+export * from './factories';
+export * from './subtasks';
+export * from './recurrences';
+export * from './dependencies';
+export * from './hierarchy';
+export * from './analytics';
+export * from './sprints';
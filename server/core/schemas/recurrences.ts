@@ -0,0 +1,222 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Recurrence, RecurrenceSchedule, RecurrenceFrequency } from './types';
+
+// Schedules run in local time and match the web server's scheduler, which generates the cards
+export const RECURRENCE_FREQUENCIES: RecurrenceFrequency[] = ['daily', 'weekdays', 'weekly', 'monthly', 'cron'];
+
+const DEFAULT_TIME = '09:00';
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Long enough for schedules that only fall on February 29
+const MAX_SEARCH_DAYS = 8 * 366;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Set on each generated card rather than copied from the template, or belonging to one card only
+const GENERATED_CARD_FIELDS = [
+  'id', 'columnId', 'position', 'createdAt', 'updatedAt', 'created_at', 'updated_at', 'completed_at', 'blocked_at', 'recurrenceId', 'start_date', 'due_date', 'dueDate',
+  'claim', 'sprintId', 'parentId', 'links'
+];
+
+interface CompiledSchedule {
+  matchesDay: (date: Date) => boolean;
+  // Run times in minutes after midnight, ascending
+  times: number[];
+}
+
+export class RecurrenceHelpers {
+  /**
+   * Parse a five-field cron expression (minute, hour, day of month, month, day of week).
+   * Throws an Error describing the first invalid field.
+   */
+  static parseCron(expression: string) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+      throw new Error('A cron expression needs five fields: minute, hour, day of month, month and day of week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((text, index) => {
+      const { name, min, max } = CRON_FIELDS[index];
+      const values = new Set<number>();
+
+      for (const part of text.split(',')) {
+        const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+          throw new Error(`Invalid ${name} field "${text}"`);
+        }
+
+        const [, start, end, step] = match;
+        const from = start === undefined ? min : Number(start);
+        // A single value with a step, such as 5/15, runs to the end of the range
+        const to = end !== undefined ? Number(end) : start === undefined || step ? max : from;
+        const increment = step === undefined ? 1 : Number(step);
+        if (from < min || to > max || from > to || increment < 1) {
+          throw new Error(`Invalid ${name} field "${text}": values must be between ${min} and ${max}`);
+        }
+
+        for (let value = from; value <= to; value += increment) {
+          values.add(value);
+        }
+      }
+      return values;
+    });
+    if (weekdays.delete(7)) weekdays.add(0);
+
+    // As in cron, a day matches either field when both are restricted
+    return { minutes, hours, days, months, weekdays, anyDay: fields[2].startsWith('*'), anyWeekday: fields[4].startsWith('*') };
+  }
+
+  // Minutes after midnight of an HH:MM time, or null if it is not valid
+  static parseTime(time: string = DEFAULT_TIME): number | null {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return null;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * Describe what is wrong with a schedule, or return null if it is valid
+   */
+  static getScheduleError(schedule: RecurrenceSchedule): string | null {
+    if (!RECURRENCE_FREQUENCIES.includes(schedule.frequency)) {
+      return `The frequency must be one of ${RECURRENCE_FREQUENCIES.join(', ')}`;
+    }
+
+    if (schedule.frequency === 'cron') {
+      try {
+        RecurrenceHelpers.parseCron(schedule.cron || '');
+      } catch (error) {
+        return (error as Error).message;
+      }
+      return RecurrenceHelpers.getNextRun(schedule, new Date()) ? null : 'The cron expression never matches a date';
+    }
+
+    if (RecurrenceHelpers.parseTime(schedule.time) === null) {
+      return 'The time must be given as HH:MM, from 00:00 to 23:59';
+    }
+    return null;
+  }
+
+  // Keep only the fields that apply to the schedule's frequency, with defaults filled in
+  static normalizeSchedule(schedule: RecurrenceSchedule): RecurrenceSchedule {
+    switch (schedule.frequency) {
+      case 'cron':
+        return { frequency: 'cron', cron: (schedule.cron || '').trim().split(/\s+/).join(' ') };
+      case 'weekly':
+        return { frequency: 'weekly', dayOfWeek: schedule.dayOfWeek ?? 1, time: schedule.time || DEFAULT_TIME };
+      case 'monthly':
+        return { frequency: 'monthly', dayOfMonth: schedule.dayOfMonth ?? 1, time: schedule.time || DEFAULT_TIME };
+      default:
+        return { frequency: schedule.frequency, time: schedule.time || DEFAULT_TIME };
+    }
+  }
+
+  private static compile(schedule: RecurrenceSchedule): CompiledSchedule {
+    if (schedule.frequency === 'cron') {
+      const cron = RecurrenceHelpers.parseCron(schedule.cron || '');
+      const ascending = (values: Set<number>) => [...values].sort((a, b) => a - b);
+      const times = ascending(cron.hours).flatMap(hour => ascending(cron.minutes).map(minute => hour * 60 + minute));
+
+      return {
+        times,
+        matchesDay: date => {
+          if (!cron.months.has(date.getMonth() + 1)) return false;
+          const dayMatches = cron.days.has(date.getDate());
+          const weekdayMatches = cron.weekdays.has(date.getDay());
+          if (!cron.anyDay && !cron.anyWeekday) return dayMatches || weekdayMatches;
+          return dayMatches && weekdayMatches;
+        }
+      };
+    }
+
+    const { dayOfWeek = 1, dayOfMonth = 1 } = schedule;
+    const matchers: Record<Exclude<RecurrenceFrequency, 'cron'>, (date: Date) => boolean> = {
+      daily: () => true,
+      weekdays: date => date.getDay() >= 1 && date.getDay() <= 5,
+      weekly: date => date.getDay() === dayOfWeek,
+      monthly: date => {
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        return date.getDate() === Math.min(dayOfMonth, lastDay);
+      }
+    };
+
+    return { times: [RecurrenceHelpers.parseTime(schedule.time) ?? 0], matchesDay: matchers[schedule.frequency] };
+  }
+
+  /**
+   * First run of a schedule after the given time (a run at exactly that time is not counted),
+   * or null if there is none in the next eight years
+   */
+  static getNextRun(schedule: RecurrenceSchedule, after: Date): Date | null {
+    const { matchesDay, times } = RecurrenceHelpers.compile(schedule);
+
+    const start = new Date(after.getTime());
+    start.setSeconds(0, 0);
+    start.setMinutes(start.getMinutes() + 1);
+    const startMinute = start.getHours() * 60 + start.getMinutes();
+
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    for (let offset = 0; offset < MAX_SEARCH_DAYS; offset++) {
+      if (matchesDay(day)) {
+        const time = times.find(minute => offset > 0 || minute >= startMinute);
+        if (time !== undefined) {
+          return new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(time / 60), time % 60);
+        }
+      }
+      day.setDate(day.getDate() + 1);
+    }
+    return null;
+  }
+
+  // Describe a schedule for people, e.g. "Weekly on Monday at 09:00"
+  static describe(schedule: RecurrenceSchedule): string {
+    const time = schedule.time || DEFAULT_TIME;
+    switch (schedule.frequency) {
+      case 'daily':
+        return `Daily at ${time}`;
+      case 'weekdays':
+        return `Weekdays at ${time}`;
+      case 'weekly':
+        return `Weekly on ${WEEKDAY_NAMES[schedule.dayOfWeek ?? 1]} at ${time}`;
+      case 'monthly':
+        return `Monthly on day ${schedule.dayOfMonth ?? 1} at ${time}`;
+      default:
+        return `Cron "${schedule.cron}"`;
+    }
+  }
+
+  /**
+   * Create a recurrence scheduled for its first run after the given time.
+   * Fields every generated card gets afresh (IDs, positions, timestamps and dates) and fields that belong to
+   * one card only (claim, sprint, parent and links) are dropped from the template.
+   */
+  static create(
+    data: { card: Recurrence['card']; columnId: string; schedule: RecurrenceSchedule; dueInDays?: number },
+    now: Date = new Date()
+  ): Recurrence {
+    const card = Object.fromEntries(
+      Object.entries(data.card).filter(([field]) => !GENERATED_CARD_FIELDS.includes(field))
+    ) as Recurrence['card'];
+    const schedule = RecurrenceHelpers.normalizeSchedule(data.schedule);
+    const nextRun = RecurrenceHelpers.getNextRun(schedule, now);
+
+    return {
+      id: uuidv4(),
+      card,
+      columnId: data.columnId,
+      schedule,
+      ...(data.dueInDays !== undefined ? { dueInDays: data.dueInDays } : {}),
+      created_at: now.toISOString(),
+      next_run_at: nextRun ? nextRun.toISOString() : null,
+      last_run_at: null,
+      last_card_id: null
+    };
+  }
+}
@@ -0,0 +1,180 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Board, Card, Sprint } from './types';
+
+// Sprints, managed the same way as server/utils/sprints.js. Cards join a sprint through their
+// sprintId; cards in no sprint are in the backlog. Starting a sprint records the cards committed
+// to it, and closing it records its velocity (the number of its cards completed) and carries the
+// unfinished cards forward. Cards in the last column count as completed.
+
+export const DEFAULT_SPRINT_DAYS = 14;
+export const VELOCITY_SPRINTS = 3;
+
+export interface SprintReport {
+  sprint: Sprint;
+  days: { total: number; elapsed: number; remaining: number };
+  committed: number | null;
+  added: number;
+  completed: number;
+  remaining: number;
+  completionRate: number | null;
+  velocity: number | null;
+  averageVelocity: number | null;
+  cards: Array<{ id: string; title: string | null; columnId: string | null; completed: boolean; added: boolean }>;
+}
+
+function toPlainDate(date: Date): string {
+  const pad = (number: number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Days from one local midnight to another, both included; rounded for daylight saving changes
+function countDays(from: Date, to: Date): number {
+  return Math.max(0, Math.round((to.getTime() - from.getTime()) / (24 * 60 * 60 * 1000)) + 1);
+}
+
+export class SprintHelpers {
+  /**
+   * Parse a YYYY-MM-DD date as local midnight, rejecting days that don't exist such as 2026-02-31
+   */
+  static parseDate(value: string): Date | null {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * Find what is wrong with the dates of a new sprint
+   */
+  static getDateError(startDate?: string, endDate?: string, now: Date = new Date()): string | null {
+    const start = startDate === undefined ? new Date(now.getFullYear(), now.getMonth(), now.getDate()) : SprintHelpers.parseDate(startDate);
+    if (!start) return `Start date ${startDate} does not exist`;
+    const end = endDate === undefined ? null : SprintHelpers.parseDate(endDate);
+    if (endDate !== undefined && !end) return `End date ${endDate} does not exist`;
+    if (end && end < start) return 'The sprint must not end before it starts';
+    return null;
+  }
+
+  /**
+   * Create a planned sprint; it starts today and lasts DEFAULT_SPRINT_DAYS without dates
+   */
+  static create(
+    data: { name: string; goal?: string; startDate?: string; endDate?: string },
+    now: Date = new Date()
+  ): Sprint {
+    const start = (data.startDate && SprintHelpers.parseDate(data.startDate)) || new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const end = (data.endDate && SprintHelpers.parseDate(data.endDate)) ||
+      new Date(start.getFullYear(), start.getMonth(), start.getDate() + DEFAULT_SPRINT_DAYS - 1);
+
+    return {
+      id: uuidv4(),
+      name: data.name.trim(),
+      ...(data.goal ? { goal: data.goal } : {}),
+      start_date: toPlainDate(start),
+      end_date: toPlainDate(end),
+      status: 'planned',
+      created_at: now.toISOString(),
+      started_at: null,
+      closed_at: null,
+      velocity: null
+    };
+  }
+
+  static getActive(board: Board): Sprint | null {
+    return (board.sprints || []).find(sprint => sprint.status === 'active') || null;
+  }
+
+  static isCompleted(board: Board, card: Card): boolean {
+    return board.columns.length > 1 && card.columnId === board.columns[board.columns.length - 1].id;
+  }
+
+  /**
+   * Get the board's cards with the given cards moved into a sprint, or to the backlog for null
+   */
+  static assign(cards: Card[], sprintId: string | null, cardIds: string[]): Card[] {
+    const ids = new Set(cardIds);
+    return cards.map(card => {
+      if (!ids.has(card.id)) return card;
+      const { sprintId: _previous, ...rest } = card;
+      return sprintId === null ? rest : { ...rest, sprintId };
+    });
+  }
+
+  /**
+   * Close a sprint: record its velocity and move its unfinished cards to another sprint, or the backlog
+   */
+  static close(board: Board, sprint: Sprint, carryOverTo: Sprint | null, now: Date = new Date()): { sprint: Sprint; cards: Card[] } {
+    const cards = board.cards.filter(card => card.sprintId === sprint.id);
+    const completed = cards.filter(card => SprintHelpers.isCompleted(board, card)).map(card => card.id);
+    const unfinished = cards.filter(card => !SprintHelpers.isCompleted(board, card)).map(card => card.id);
+
+    return {
+      sprint: {
+        ...sprint,
+        status: 'closed',
+        closed_at: now.toISOString(),
+        completedCardIds: completed,
+        carriedOverCardIds: unfinished,
+        carriedOverTo: carryOverTo ? carryOverTo.id : null,
+        velocity: completed.length
+      },
+      cards: SprintHelpers.assign(board.cards, carryOverTo ? carryOverTo.id : null, unfinished)
+    };
+  }
+
+  /**
+   * Average velocity of the last closed sprints, or null if none has closed
+   */
+  static averageVelocity(sprints: Sprint[], count: number = VELOCITY_SPRINTS): number | null {
+    const recent = sprints
+      .filter(sprint => sprint.status === 'closed' && typeof sprint.velocity === 'number')
+      .sort((a, b) => (a.closed_at || '').localeCompare(b.closed_at || ''))
+      .slice(-count);
+    if (recent.length === 0) return null;
+    return Math.round((recent.reduce((sum, sprint) => sum + sprint.velocity!, 0) / recent.length) * 10) / 10;
+  }
+
+  /**
+   * Report on a sprint; a closed sprint reports the cards it had when it closed
+   */
+  static report(board: Board, sprint: Sprint, now: Date = new Date()): SprintReport {
+    const byId = new Map(board.cards.map(card => [card.id, card]));
+    const sprintCards = board.cards.filter(card => card.sprintId === sprint.id);
+    const completedIds = sprint.status === 'closed'
+      ? sprint.completedCardIds || []
+      : sprintCards.filter(card => SprintHelpers.isCompleted(board, card)).map(card => card.id);
+    const remainingIds = sprint.status === 'closed'
+      ? sprint.carriedOverCardIds || []
+      : sprintCards.filter(card => !SprintHelpers.isCompleted(board, card)).map(card => card.id);
+    const committed = sprint.status === 'planned' ? null : new Set(sprint.committedCardIds || []);
+
+    const cards = [...completedIds, ...remainingIds].map(id => {
+      const card = byId.get(id);
+      return {
+        id,
+        title: card ? card.title : null,
+        columnId: card ? card.columnId : null,
+        completed: completedIds.includes(id),
+        added: committed !== null && !committed.has(id)
+      };
+    });
+
+    const start = SprintHelpers.parseDate(sprint.start_date)!;
+    const end = SprintHelpers.parseDate(sprint.end_date)!;
+    const total = countDays(start, end);
+    const elapsed = Math.min(total, countDays(start, new Date(now.getFullYear(), now.getMonth(), now.getDate())));
+
+    return {
+      sprint,
+      days: { total, elapsed, remaining: total - elapsed },
+      committed: committed ? committed.size : null,
+      added: cards.filter(card => card.added).length,
+      completed: completedIds.length,
+      remaining: remainingIds.length,
+      completionRate: cards.length ? Math.round((completedIds.length / cards.length) * 100) : null,
+      velocity: sprint.velocity ?? null,
+      averageVelocity: SprintHelpers.averageVelocity(board.sprints || []),
+      cards
+    };
+  }
+}
@@ -0,0 +1,71 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Subtask } from './types';
+
+// Prefix marking a legacy string subtask as done (e.g. "✓ Write tests")
+export const SUBTASK_DONE_PREFIX = '✓';
+
+export type SubtaskPosition = number | 'first' | 'last' | 'up' | 'down';
+
+export class SubtaskHelpers {
+  /**
+   * Convert a subtask to the object form. Legacy strings get an ID derived
+   * from their position, matching the web server's reading of the same board.
+   */
+  static normalize(subtask: unknown, index: number): Subtask {
+    if (typeof subtask === 'string') {
+      const done = subtask.startsWith(SUBTASK_DONE_PREFIX);
+      return {
+        id: `st-${index + 1}`,
+        text: done ? subtask.substring(SUBTASK_DONE_PREFIX.length).trim() : subtask,
+        done,
+        completed_at: null
+      };
+    }
+
+    const { id, text, done, completed_at, assignee, ...rest } = (subtask || {}) as Partial<Subtask>;
+    return {
+      ...rest,
+      id: id || uuidv4(),
+      text: text as string,
+      done: done === true,
+      completed_at: done === true ? completed_at || null : null,
+      ...(assignee ? { assignee } : {})
+    };
+  }
+
+  static normalizeAll(subtasks: unknown[] = []): Subtask[] {
+    return subtasks.map((subtask, index) => SubtaskHelpers.normalize(subtask, index));
+  }
+
+  /**
+   * Find a subtask by its ID or by its 1-based number in the list.
+   * Returns -1 if there is no such subtask.
+   */
+  static findIndex(subtasks: Subtask[], ref: string | number): number {
+    const index = subtasks.findIndex(subtask => subtask.id === String(ref));
+    if (index !== -1 || !/^\d+$/.test(String(ref))) {
+      return index;
+    }
+
+    const number = Number(ref);
+    return number >= 1 && number <= subtasks.length ? number - 1 : -1;
+  }
+
+  /**
+   * Resolve a position to an index clamped to a list of the given length.
+   * Returns null for an unrecognised position.
+   */
+  static resolvePosition(position: SubtaskPosition | string | undefined, currentIndex: number, length: number): number | null {
+    let index: number;
+    if (position === 'first') index = 0;
+    else if (position === 'last' || position === undefined) index = length - 1;
+    else if (position === 'up') index = currentIndex - 1;
+    else if (position === 'down') index = currentIndex + 1;
+    else index = Number(position);
+
+    if (!Number.isInteger(index)) {
+      return null;
+    }
+    return Math.min(Math.max(index, 0), length - 1);
+  }
+}
@@ -1,3 +1,26 @@
+export interface Subtask {
+  id: string;
+  text: string;
+  done: boolean;
+  completed_at?: string | null;
+  assignee?: string;
+}
+
+// Lease held by whoever is working on a card; the web server drops it once it expires
+export interface CardClaim {
+  owner: string;
+  claimed_at: string;
+  expires_at: string;
+}
+
+// A typed link to another card; the other card shows it as the inverse type
+export type CardLinkType = 'blocks' | 'blocked-by' | 'relates-to' | 'duplicates' | 'duplicated-by' | 'follows-up' | 'followed-up-by';
+
+export interface CardLink {
+  type: CardLinkType;
+  cardId: string;
+}
+
 export interface Card {
   id: string;
   title: string;
@@ -8,6 +31,14 @@ export interface Card {
   priority: 'low' | 'medium' | 'high';
   assignee?: string;
   dueDate?: string;
+  subtasks?: Subtask[];
+  laneId?: string | null;
+  recurrenceId?: string;
+  dependencies?: string[];
+  parentId?: string | null;
+  links?: CardLink[];
+  claim?: CardClaim;
+  sprintId?: string | null;
   createdAt: string;
   updatedAt: string;
 }
@@ -27,10 +58,74 @@ export interface Board {
   columns: Column[];
   cards: Card[];
   settings: BoardSettings;
+  swimlanes?: SwimlaneSettings;
+  recurrences?: Recurrence[];
+  sprints?: Sprint[];
+  revision?: number;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface Swimlane {
+  id: string;
+  name: string;
+}
+
+export interface SwimlaneSettings {
+  // Without a grouping the board shows no lanes, but keeps its defined lanes
+  groupBy?: 'lane' | 'tag' | 'priority' | 'assignee' | null;
+  lanes?: Swimlane[];
+}
+
+export type RecurrenceFrequency = 'daily' | 'weekdays' | 'weekly' | 'monthly' | 'cron';
+
+export interface RecurrenceSchedule {
+  frequency: RecurrenceFrequency;
+  // HH:MM in local time, for all but cron
+  time?: string;
+  // 0 (Sunday) to 6, for weekly
+  dayOfWeek?: number;
+  // 1 to 31, for monthly; shorter months use their last day
+  dayOfMonth?: number;
+  // minute hour day-of-month month day-of-week, for cron
+  cron?: string;
+}
+
+// Stored in the same form as the web server's recurrences, which generates the cards
+export interface Recurrence {
+  id: string;
+  card: Partial<Card> & { title: string };
+  columnId: string;
+  schedule: RecurrenceSchedule;
+  dueInDays?: number;
+  created_at: string;
+  next_run_at: string | null;
+  last_run_at?: string | null;
+  last_card_id?: string | null;
+}
+
+export type SprintStatus = 'planned' | 'active' | 'closed';
+
+// Stored in the same form as the web server's sprints. Dates are YYYY-MM-DD in local time.
+export interface Sprint {
+  id: string;
+  name: string;
+  goal?: string;
+  start_date: string;
+  end_date: string;
+  status: SprintStatus;
+  created_at: string;
+  started_at: string | null;
+  closed_at: string | null;
+  // Cards in the sprint when it started
+  committedCardIds?: string[];
+  // Recorded when the sprint closes; unfinished cards move on to carriedOverTo, or the backlog if null
+  completedCardIds?: string[];
+  carriedOverCardIds?: string[];
+  carriedOverTo?: string | null;
+  velocity: number | null;
+}
+
 export interface BoardSettings {
   allowWipLimitExceeding: boolean;
   showCardCount: boolean;
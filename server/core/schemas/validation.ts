@@ -1,4 +1,20 @@
 import { z } from 'zod';
+import { SubtaskHelpers } from './subtasks';
+import { RecurrenceHelpers } from './recurrences';
+
+export const SubtaskSchema = z.object({
+  id: z.string().min(1),
+  text: z.string(),
+  done: z.boolean().default(false),
+  completed_at: z.string().datetime().nullable().optional(),
+  assignee: z.string().optional()
+});
+
+// Card fields that relate a card to other cards on the board, which must not form cycles
+const CardRelationFields = {
+  dependencies: z.array(z.string()).optional(),
+  parentId: z.string().min(1).nullable().optional()
+};
 
 export const CardSchema = z.object({
   id: z.string().uuid(),
@@ -10,6 +26,24 @@ export const CardSchema = z.object({
   priority: z.enum(['low', 'medium', 'high']).default('medium'),
   assignee: z.string().optional(),
   dueDate: z.string().datetime().optional(),
+  // Legacy "✓ text" string subtasks are read as subtask objects
+  subtasks: z.preprocess(
+    value => Array.isArray(value) ? SubtaskHelpers.normalizeAll(value) : value,
+    z.array(SubtaskSchema)
+  ).optional(),
+  laneId: z.string().nullable().optional(),
+  recurrenceId: z.string().optional(),
+  ...CardRelationFields,
+  links: z.array(z.object({
+    type: z.enum(['blocks', 'blocked-by', 'relates-to', 'duplicates', 'duplicated-by', 'follows-up', 'followed-up-by']),
+    cardId: z.string().min(1)
+  })).optional(),
+  claim: z.object({
+    owner: z.string().min(1),
+    claimed_at: z.string().datetime(),
+    expires_at: z.string().datetime()
+  }).optional(),
+  sprintId: z.string().min(1).nullable().optional(),
   createdAt: z.string().datetime(),
   updatedAt: z.string().datetime()
 });
@@ -29,6 +63,56 @@ export const BoardSettingsSchema = z.object({
   theme: z.enum(['light', 'dark', 'auto']).default('light')
 });
 
+export const SwimlaneSettingsSchema = z.object({
+  groupBy: z.enum(['lane', 'tag', 'priority', 'assignee']).nullable().optional(),
+  lanes: z.array(z.object({
+    id: z.string().min(1),
+    name: z.string()
+  })).optional()
+});
+
+export const RecurrenceScheduleSchema = z.object({
+  frequency: z.enum(['daily', 'weekdays', 'weekly', 'monthly', 'cron']),
+  time: z.string().regex(/^([01]?\d|2[0-3]):[0-5]\d$/, 'Time must be HH:MM').optional(),
+  dayOfWeek: z.number().int().min(0).max(6).optional(),
+  dayOfMonth: z.number().int().min(1).max(31).optional(),
+  cron: z.string().optional()
+}).refine(schedule => schedule.frequency !== 'cron' || !RecurrenceHelpers.getScheduleError(schedule), schedule => ({
+  message: RecurrenceHelpers.getScheduleError(schedule) || 'Invalid cron expression',
+  path: ['cron']
+}));
+
+export const RecurrenceSchema = z.object({
+  id: z.string().min(1),
+  card: z.object({ title: z.string().min(1).max(200) }).passthrough(),
+  columnId: z.string().min(1),
+  schedule: RecurrenceScheduleSchema,
+  dueInDays: z.number().int().min(0).optional(),
+  created_at: z.string().datetime(),
+  next_run_at: z.string().datetime().nullable(),
+  last_run_at: z.string().datetime().nullable().optional(),
+  last_card_id: z.string().nullable().optional()
+});
+
+const PlainDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD');
+
+export const SprintSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().min(1).max(100),
+  goal: z.string().optional(),
+  start_date: PlainDateSchema,
+  end_date: PlainDateSchema,
+  status: z.enum(['planned', 'active', 'closed']),
+  created_at: z.string().datetime(),
+  started_at: z.string().datetime().nullable(),
+  closed_at: z.string().datetime().nullable(),
+  committedCardIds: z.array(z.string()).optional(),
+  completedCardIds: z.array(z.string()).optional(),
+  carriedOverCardIds: z.array(z.string()).optional(),
+  carriedOverTo: z.string().nullable().optional(),
+  velocity: z.number().int().min(0).nullable()
+});
+
 export const BoardSchema = z.object({
   id: z.string().uuid(),
   title: z.string().min(1).max(100),
@@ -36,6 +120,10 @@ export const BoardSchema = z.object({
   columns: z.array(ColumnSchema),
   cards: z.array(CardSchema),
   settings: BoardSettingsSchema,
+  swimlanes: SwimlaneSettingsSchema.optional(),
+  recurrences: z.array(RecurrenceSchema).optional(),
+  sprints: z.array(SprintSchema).optional(),
+  revision: z.number().int().min(0).optional(),
   createdAt: z.string().datetime(),
   updatedAt: z.string().datetime()
 });
@@ -70,7 +158,8 @@ export const CreateCardSchema = z.object({
   tags: z.array(z.string()).default([]),
   priority: z.enum(['low', 'medium', 'high']).default('medium'),
   assignee: z.string().optional(),
-  dueDate: z.string().datetime().optional()
+  dueDate: z.string().datetime().optional(),
+  ...CardRelationFields
 });
 
 export const UpdateCardSchema = CreateCardSchema.partial().omit({ columnId: true });
@@ -93,7 +182,24 @@ export const CreateBoardSchema = z.object({
 export const UpdateBoardSchema = z.object({
   title: z.string().min(1).max(100).optional(),
   description: z.string().optional(),
-  settings: BoardSettingsSchema.partial().optional()
+  settings: BoardSettingsSchema.partial().optional(),
+  // Revision the update is based on; stale revisions are rejected with a conflict
+  revision: z.number().int().min(0).optional()
+});
+
+export const CreateRecurrenceSchema = RecurrenceSchema.pick({
+  card: true,
+  columnId: true,
+  schedule: true,
+  dueInDays: true
+});
+
+export const CreateSprintSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  goal: z.string().optional(),
+  startDate: PlainDateSchema.optional(),
+  endDate: PlainDateSchema.optional(),
+  cardIds: z.array(z.string().min(1)).optional()
 });
 
 export const PaginationSchema = z.object({
@@ -127,6 +233,8 @@ export type CreateColumn = z.infer<typeof CreateColumnSchema>;
 export type UpdateColumn = z.infer<typeof UpdateColumnSchema>;
 export type CreateBoard = z.infer<typeof CreateBoardSchema>;
 export type UpdateBoard = z.infer<typeof UpdateBoardSchema>;
+export type CreateRecurrence = z.infer<typeof CreateRecurrenceSchema>;
+export type CreateSprint = z.infer<typeof CreateSprintSchema>;
 export type PaginationParams = z.infer<typeof PaginationSchema>;
 export type SortParams = z.infer<typeof SortSchema>;
 export type CardFilter = z.infer<typeof CardFilterSchema>;
\ No newline at end of file
@@ -1,13 +1,18 @@
 import { BaseService } from './BaseService';
 import { IBoardService, IValidationService } from './interfaces';
-import { IBoardRepository } from '@core/repositories';
+import { IBoardRepository, UndoOperation } from '@core/repositories';
 import { 
   Board, Card, Column, CreateBoard, UpdateBoard, CreateCard, UpdateCard, 
-  CreateColumn, UpdateColumn, CardFilter, PaginationParams, EntityFactory
+  CreateColumn, UpdateColumn, CardFilter, PaginationParams, EntityFactory,
+  Subtask, SubtaskHelpers, SubtaskPosition, CreateRecurrence, Recurrence, RecurrenceHelpers,
+  DependencyHelpers,
+  HierarchyHelpers,
+  AnalyticsHelpers, BoardAnalytics,
+  CreateSprint, Sprint, SprintHelpers, SprintReport
 } from '@core/schemas';
 import { BoardQuery, CardQuery, BoardQuerySchema, CardQuerySchema } from '@core/schemas/querySchemas';
 import { z } from 'zod';
-import { validate as uuidValidate } from 'uuid';
+import { validate as uuidValidate, v4 as uuidv4 } from 'uuid';
 import { NotFoundError, ValidationError, ConflictError } from '@core/errors';
 
 export class BoardService extends BaseService<Board, CreateBoard, UpdateBoard> implements IBoardService {
@@ -78,6 +83,7 @@ export class BoardService extends BaseService<Board, CreateBoard, UpdateBoard> i
       }
 
       const card = EntityFactory.createCard(validatedData);
+      this.ensureValidRelations(board, card);
       const validatedCard = this.validationService.validateCardWithRules(card, board);
       
       await this.boardRepository.addCard(boardId, validatedCard);
@@ -104,6 +110,7 @@ export class BoardService extends BaseService<Board, CreateBoard, UpdateBoard> i
 
       const updatedCard = { ...card, ...validatedUpdates };
       this.validationService.validateCardWithRules(updatedCard, board);
+      this.ensureValidRelations(board, updatedCard);
 
       await this.boardRepository.updateCard(boardId, cardId, validatedUpdates);
       
@@ -115,6 +122,25 @@ export class BoardService extends BaseService<Board, CreateBoard, UpdateBoard> i
     }
   }
 
+  // Cards that depend on each other in a circle could never be started, and a card can't be put
+  // under a card that isn't on the board, or under one of its own descendants
+  private ensureValidRelations(board: Board, card: Card): void {
+    const cards = [...board.cards, card];
+    const dependencyCycle = DependencyHelpers.findCycle(board.cards, card.id, card.dependencies || []);
+    if (dependencyCycle) {
+      throw new ValidationError(`Dependencies would form a cycle: ${DependencyHelpers.describeCycle(cards, dependencyCycle)}`);
+    }
+
+    if (!card.parentId) return;
+    if (!board.cards.some(c => c.id === card.parentId)) {
+      throw new NotFoundError('Card', card.parentId);
+    }
+    const parentCycle = HierarchyHelpers.findCycle(board.cards, card.id, card.parentId);
+    if (parentCycle) {
+      throw new ValidationError(`Parent links would form a cycle: ${HierarchyHelpers.describeCycle(cards, parentCycle)}`);
+    }
+  }
+
   async deleteCard(boardId: string, cardId: string): Promise<void> {
     try {
       this.logger.debug('Deleting card', { boardId, cardId });
@@ -162,6 +188,93 @@ export class BoardService extends BaseService<Board, CreateBoard, UpdateBoard> i
     }
   }
 
+  // Subtask operations
+  async addSubtask(
+    boardId: string,
+    cardId: string,
+    text: string,
+    options: { position?: SubtaskPosition; assignee?: string } = {}
+  ): Promise<Subtask> {
+    if (!text.trim()) {
+      throw new ValidationError('Subtask text is required');
+    }
+
+    return this.changeSubtasks(boardId, cardId, subtasks => {
+      const subtask: Subtask = {
+        id: uuidv4(),
+        text: text.trim(),
+        done: false,
+        completed_at: null,
+        ...(options.assignee ? { assignee: options.assignee } : {})
+      };
+      const index = SubtaskHelpers.resolvePosition(options.position, -1, subtasks.length + 1);
+      if (index === null) {
+        throw new ValidationError(`Invalid subtask position: ${options.position}`);
+      }
+
+      subtasks.splice(index, 0, subtask);
+      return subtask;
+    });
+  }
+
+  async toggleSubtask(boardId: string, cardId: string, ref: string | number, done?: boolean): Promise<Subtask> {
+    return this.changeSubtasks(boardId, cardId, subtasks => {
+      const subtask = subtasks[this.findSubtaskIndex(subtasks, cardId, ref)];
+      subtask.done = done === undefined ? !subtask.done : done;
+      subtask.completed_at = subtask.done ? subtask.completed_at || new Date().toISOString() : null;
+      return subtask;
+    });
+  }
+
+  async moveSubtask(boardId: string, cardId: string, ref: string | number, position: SubtaskPosition): Promise<Subtask> {
+    return this.changeSubtasks(boardId, cardId, subtasks => {
+      const currentIndex = this.findSubtaskIndex(subtasks, cardId, ref);
+      const [subtask] = subtasks.splice(currentIndex, 1);
+      const index = SubtaskHelpers.resolvePosition(position, currentIndex, subtasks.length + 1);
+      if (index === null) {
+        throw new ValidationError(`Invalid subtask position: ${position}`);
+      }
+
+      subtasks.splice(index, 0, subtask);
+      return subtask;
+    });
+  }
+
+  private findSubtaskIndex(subtasks: Subtask[], cardId: string, ref: string | number): number {
+    const index = SubtaskHelpers.findIndex(subtasks, ref);
+    if (index === -1) {
+      throw new NotFoundError('Subtask', `${ref} on card ${cardId}`);
+    }
+    return index;
+  }
+
+  // Apply a change to a card's subtasks and store only the subtask list
+  private async changeSubtasks(
+    boardId: string,
+    cardId: string,
+    change: (subtasks: Subtask[]) => Subtask
+  ): Promise<Subtask> {
+    try {
+      this.logger.debug('Updating card subtasks', { boardId, cardId });
+
+      const board = await this.ensureExists(boardId);
+      const card = board.cards.find(c => c.id === cardId);
+      if (!card) {
+        throw new NotFoundError('Card', cardId);
+      }
+
+      const subtasks = SubtaskHelpers.normalizeAll(card.subtasks);
+      const subtask = change(subtasks);
+      await this.boardRepository.updateCard(boardId, cardId, { subtasks });
+
+      this.logger.info('Card subtasks updated', { boardId, cardId, subtaskId: subtask.id });
+      return subtask;
+    } catch (error) {
+      this.logger.error('Failed to update card subtasks', { boardId, cardId, error });
+      throw error;
+    }
+  }
+
   async findCard(boardId: string, cardId: string): Promise<Card> {
     try {
       const board = await this.ensureExists(boardId);
@@ -324,6 +437,235 @@ export class BoardService extends BaseService<Board, CreateBoard, UpdateBoard> i
     }
   }
 
+  // Recurring card operations
+  async createRecurrence(boardId: string, data: CreateRecurrence): Promise<Recurrence> {
+    try {
+      this.logger.debug('Adding recurring card to board', { boardId, data });
+
+      const validatedData = this.validationService.validateCreateRecurrence(data);
+      const board = await this.ensureExists(boardId);
+      if (!board.columns.some(column => column.id === validatedData.columnId)) {
+        throw new NotFoundError('Column', validatedData.columnId);
+      }
+
+      const scheduleError = RecurrenceHelpers.getScheduleError(validatedData.schedule);
+      if (scheduleError) {
+        throw new ValidationError(scheduleError);
+      }
+
+      const recurrence = RecurrenceHelpers.create(validatedData);
+      await this.boardRepository.update(boardId, {
+        ...board,
+        recurrences: [...(board.recurrences || []), recurrence]
+      });
+
+      this.logger.info('Recurring card added to board', { boardId, recurrenceId: recurrence.id });
+      return recurrence;
+    } catch (error) {
+      this.logger.error('Failed to add recurring card to board', { boardId, data, error });
+      throw error;
+    }
+  }
+
+  async listRecurrences(boardId: string): Promise<Recurrence[]> {
+    const board = await this.ensureExists(boardId);
+    return board.recurrences || [];
+  }
+
+  async deleteRecurrence(boardId: string, recurrenceId: string): Promise<void> {
+    try {
+      this.logger.debug('Deleting recurring card from board', { boardId, recurrenceId });
+
+      const board = await this.ensureExists(boardId);
+      const recurrences = board.recurrences || [];
+      if (!recurrences.some(recurrence => recurrence.id === recurrenceId)) {
+        throw new NotFoundError('Recurrence', recurrenceId);
+      }
+
+      await this.boardRepository.update(boardId, {
+        ...board,
+        recurrences: recurrences.filter(recurrence => recurrence.id !== recurrenceId)
+      });
+
+      this.logger.info('Recurring card deleted from board', { boardId, recurrenceId });
+    } catch (error) {
+      this.logger.error('Failed to delete recurring card from board', { boardId, recurrenceId, error });
+      throw error;
+    }
+  }
+
+  // Sprint operations
+  async listSprints(boardId: string): Promise<Sprint[]> {
+    const board = await this.ensureExists(boardId);
+    return board.sprints || [];
+  }
+
+  async createSprint(boardId: string, data: CreateSprint, options: { start?: boolean } = {}): Promise<Sprint> {
+    try {
+      this.logger.debug('Adding sprint to board', { boardId, data });
+
+      const validatedData = this.validationService.validateCreateSprint(data);
+      const dateError = SprintHelpers.getDateError(validatedData.startDate, validatedData.endDate);
+      if (dateError) {
+        throw new ValidationError(dateError);
+      }
+
+      const board = await this.ensureExists(boardId);
+      const cardIds = validatedData.cardIds || [];
+      const missing = cardIds.find(cardId => !board.cards.some(card => card.id === cardId));
+      if (missing) {
+        throw new NotFoundError('Card', missing);
+      }
+      const active = SprintHelpers.getActive(board);
+      if (options.start && active) {
+        throw new ValidationError(`Sprint "${active.name}" is still active. Close it first`);
+      }
+
+      let sprint = SprintHelpers.create(validatedData);
+      const cards = SprintHelpers.assign(board.cards, sprint.id, cardIds);
+      if (options.start) {
+        sprint = { ...sprint, status: 'active', started_at: new Date().toISOString(), committedCardIds: cardIds };
+      }
+      await this.boardRepository.update(boardId, {
+        ...board,
+        cards,
+        sprints: [...(board.sprints || []), sprint]
+      });
+
+      this.logger.info('Sprint added to board', { boardId, sprintId: sprint.id, started: Boolean(options.start) });
+      return sprint;
+    } catch (error) {
+      this.logger.error('Failed to add sprint to board', { boardId, data, error });
+      throw error;
+    }
+  }
+
+  async startSprint(boardId: string, sprintId: string): Promise<Sprint> {
+    try {
+      this.logger.debug('Starting sprint', { boardId, sprintId });
+
+      const board = await this.ensureExists(boardId);
+      const sprint = this.findSprint(board, sprintId);
+      if (sprint.status !== 'planned') {
+        throw new ValidationError(`Sprint "${sprint.name}" is ${sprint.status}; only a planned sprint can be started`);
+      }
+      const active = SprintHelpers.getActive(board);
+      if (active) {
+        throw new ValidationError(`Sprint "${active.name}" is still active. Close it first`);
+      }
+
+      const started: Sprint = {
+        ...sprint,
+        status: 'active',
+        started_at: new Date().toISOString(),
+        committedCardIds: board.cards.filter(card => card.sprintId === sprintId).map(card => card.id)
+      };
+      await this.boardRepository.update(boardId, {
+        ...board,
+        sprints: (board.sprints || []).map(s => s.id === sprintId ? started : s)
+      });
+
+      this.logger.info('Sprint started', { boardId, sprintId });
+      return started;
+    } catch (error) {
+      this.logger.error('Failed to start sprint', { boardId, sprintId, error });
+      throw error;
+    }
+  }
+
+  async closeSprint(
+    boardId: string,
+    sprintId?: string,
+    carryOverTo?: string | null
+  ): Promise<{ sprint: Sprint; carriedOverTo: Sprint | null }> {
+    try {
+      this.logger.debug('Closing sprint', { boardId, sprintId, carryOverTo });
+
+      const board = await this.ensureExists(boardId);
+      const sprint = sprintId ? this.findSprint(board, sprintId) : SprintHelpers.getActive(board);
+      if (!sprint) {
+        throw new ValidationError('No sprint is active');
+      }
+      if (sprint.status !== 'active') {
+        throw new ValidationError(`Sprint "${sprint.name}" is ${sprint.status}; only the active sprint can be closed`);
+      }
+
+      // Unfinished cards go to the given sprint, else the planned sprint that starts first, else the backlog
+      let target: Sprint | null = null;
+      if (carryOverTo) {
+        target = this.findSprint(board, carryOverTo);
+        if (target.status !== 'planned') {
+          throw new ValidationError(`Unfinished cards can only be carried over to a planned sprint, and "${target.name}" is ${target.status}`);
+        }
+      } else if (carryOverTo === undefined) {
+        target = (board.sprints || [])
+          .filter(s => s.status === 'planned')
+          .sort((a, b) => a.start_date.localeCompare(b.start_date))[0] || null;
+      }
+
+      const closed = SprintHelpers.close(board, sprint, target);
+      await this.boardRepository.update(boardId, {
+        ...board,
+        cards: closed.cards,
+        sprints: (board.sprints || []).map(s => s.id === sprint.id ? closed.sprint : s)
+      });
+
+      this.logger.info('Sprint closed', { boardId, sprintId: sprint.id, velocity: closed.sprint.velocity });
+      return { sprint: closed.sprint, carriedOverTo: target };
+    } catch (error) {
+      this.logger.error('Failed to close sprint', { boardId, sprintId, error });
+      throw error;
+    }
+  }
+
+  async assignCardsToSprint(boardId: string, sprintId: string | null, cardIds: string[]): Promise<string[]> {
+    try {
+      this.logger.debug('Assigning cards to sprint', { boardId, sprintId, cardIds });
+
+      const board = await this.ensureExists(boardId);
+      if (sprintId !== null && this.findSprint(board, sprintId).status === 'closed') {
+        throw new ValidationError('Cards can\'t be added to a closed sprint');
+      }
+      const missing = cardIds.find(cardId => !board.cards.some(card => card.id === cardId));
+      if (missing) {
+        throw new NotFoundError('Card', missing);
+      }
+
+      const moved = board.cards
+        .filter(card => cardIds.includes(card.id) && (card.sprintId || null) !== sprintId)
+        .map(card => card.id);
+      if (moved.length) {
+        await this.boardRepository.update(boardId, {
+          ...board,
+          cards: SprintHelpers.assign(board.cards, sprintId, moved)
+        });
+      }
+
+      this.logger.info('Cards assigned to sprint', { boardId, sprintId, moved });
+      return moved;
+    } catch (error) {
+      this.logger.error('Failed to assign cards to sprint', { boardId, sprintId, cardIds, error });
+      throw error;
+    }
+  }
+
+  async getSprintReport(boardId: string, sprintId?: string): Promise<SprintReport> {
+    const board = await this.ensureExists(boardId);
+    const sprint = sprintId ? this.findSprint(board, sprintId) : SprintHelpers.getActive(board);
+    if (!sprint) {
+      throw new ValidationError('No sprint is active. Give the ID of the sprint to report on');
+    }
+    return SprintHelpers.report(board, sprint);
+  }
+
+  private findSprint(board: Board, sprintId: string): Sprint {
+    const sprint = (board.sprints || []).find(s => s.id === sprintId);
+    if (!sprint) {
+      throw new NotFoundError('Sprint', sprintId);
+    }
+    return sprint;
+  }
+
   // Analytics and utilities
   async getBoardStats(boardId: string): Promise<{
     totalCards: number;
@@ -377,6 +719,20 @@ export class BoardService extends BaseService<Board, CreateBoard, UpdateBoard> i
     }
   }
 
+  async getBoardAnalytics(boardId: string, weeks?: number): Promise<BoardAnalytics> {
+    try {
+      const board = await this.ensureExists(boardId);
+      if (weeks !== undefined && (!Number.isInteger(weeks) || weeks < 1 || weeks > 52)) {
+        throw new ValidationError('Weeks must be a whole number from 1 to 52');
+      }
+      const history = await this.boardRepository.getCardHistory(boardId);
+      return AnalyticsHelpers.compute(board, history, { weeks });
+    } catch (error) {
+      this.logger.error('Failed to get board analytics', { boardId, error });
+      throw error;
+    }
+  }
+
   async duplicateBoard(boardId: string, newTitle?: string): Promise<Board> {
     try {
       this.logger.debug('Duplicating board', { boardId, newTitle });
@@ -496,6 +852,22 @@ export class BoardService extends BaseService<Board, CreateBoard, UpdateBoard> i
         }
       });
 
+      // Check card dependencies
+      DependencyHelpers.findDangling(board.cards).forEach(({ cardId, dependencyId }) => {
+        issues.push(`Card ${cardId} depends on non-existent card ${dependencyId}`);
+      });
+      DependencyHelpers.findCycles(board.cards).forEach(cycle => {
+        issues.push(`Dependency cycle: ${DependencyHelpers.describeCycle(board.cards, cycle)}`);
+      });
+
+      // Check parent cards
+      HierarchyHelpers.findDangling(board.cards).forEach(({ cardId, parentId }) => {
+        issues.push(`Card ${cardId} has non-existent parent card ${parentId}`);
+      });
+      HierarchyHelpers.findCycles(board.cards).forEach(cycle => {
+        issues.push(`Parent cycle: ${HierarchyHelpers.describeCycle(board.cards, cycle)}`);
+      });
+
       return {
         isValid: issues.length === 0,
         issues
@@ -549,4 +921,25 @@ export class BoardService extends BaseService<Board, CreateBoard, UpdateBoard> i
       throw error;
     }
   }
+
+  // Undo and redo
+  async undo(boardId: string, actor?: string): Promise<{ board: Board; operation: UndoOperation } | null> {
+    try {
+      this.logger.debug('Undoing last board operation', { boardId, actor });
+      return await this.boardRepository.undo(boardId, actor);
+    } catch (error) {
+      this.logger.error('Failed to undo board operation', { boardId, error });
+      throw error;
+    }
+  }
+
+  async redo(boardId: string, actor?: string): Promise<{ board: Board; operation: UndoOperation } | null> {
+    try {
+      this.logger.debug('Redoing last undone board operation', { boardId, actor });
+      return await this.boardRepository.redo(boardId, actor);
+    } catch (error) {
+      this.logger.error('Failed to redo board operation', { boardId, error });
+      throw error;
+    }
+  }
 }
\ No newline at end of file
@@ -5,7 +5,7 @@ import {
   BoardSchema, CardSchema, ColumnSchema, ConfigSchema, CreateBoardSchema, 
   UpdateBoardSchema, CreateCardSchema, UpdateCardSchema, CreateColumnSchema, 
   UpdateColumnSchema, PaginationSchema, SortSchema, CardFilterSchema,
-  createSafeParser
+  CreateRecurrence, CreateRecurrenceSchema, CreateSprint, CreateSprintSchema, createSafeParser
 } from '@core/schemas';
 import { logger } from '@core/utils';
 
@@ -66,6 +66,18 @@ export class ValidationService implements IValidationService {
     return parseCreateColumn(data);
   }
 
+  validateCreateRecurrence(data: unknown): CreateRecurrence {
+    this.logger.debug('Validating create recurrence data');
+    const parseCreateRecurrence = createSafeParser(CreateRecurrenceSchema);
+    return parseCreateRecurrence(data);
+  }
+
+  validateCreateSprint(data: unknown): CreateSprint {
+    this.logger.debug('Validating create sprint data');
+    const parseCreateSprint = createSafeParser(CreateSprintSchema);
+    return parseCreateSprint(data);
+  }
+
   validateUpdateColumn(data: unknown): UpdateColumn {
     this.logger.debug('Validating update column data');
     const parseUpdateColumn = createSafeParser(UpdateColumnSchema);
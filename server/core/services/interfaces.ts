@@ -1,5 +1,6 @@
-import { Board, Card, Column, Config, CreateBoard, UpdateBoard, CreateCard, UpdateCard, CreateColumn, UpdateColumn, PaginationParams, SortParams, CardFilter } from '@core/schemas';
+import { Board, Card, Column, Subtask, SubtaskPosition, Config, CreateBoard, UpdateBoard, CreateCard, UpdateCard, CreateColumn, UpdateColumn, CreateRecurrence, Recurrence, CreateSprint, Sprint, SprintReport, PaginationParams, SortParams, CardFilter, BoardAnalytics } from '@core/schemas';
 import { BoardQuery, CardQuery } from '@core/schemas/querySchemas';
+import { UndoOperation } from '@core/repositories';
 
 export interface IService<T, TCreate = Partial<T>, TUpdate = Partial<T>> {
   findAll(pagination?: PaginationParams, sort?: SortParams): Promise<T[]>;
@@ -24,6 +25,11 @@ export interface IBoardService extends IService<Board, CreateBoard, UpdateBoard>
   findCard(boardId: string, cardId: string): Promise<Card>;
   findCards(boardId: string, filter?: CardFilter, pagination?: PaginationParams): Promise<Card[]>;
   searchCards(boardId: string, query: string): Promise<Card[]>;
+
+  // Subtask operations
+  addSubtask(boardId: string, cardId: string, text: string, options?: { position?: SubtaskPosition; assignee?: string }): Promise<Subtask>;
+  toggleSubtask(boardId: string, cardId: string, ref: string | number, done?: boolean): Promise<Subtask>;
+  moveSubtask(boardId: string, cardId: string, ref: string | number, position: SubtaskPosition): Promise<Subtask>;
   
   // Column operations
   addColumn(boardId: string, columnData: CreateColumn): Promise<Column>;
@@ -31,6 +37,19 @@ export interface IBoardService extends IService<Board, CreateBoard, UpdateBoard>
   deleteColumn(boardId: string, columnId: string): Promise<void>;
   reorderColumns(boardId: string, columnOrder: string[]): Promise<Column[]>;
   findColumn(boardId: string, columnId: string): Promise<Column>;
+
+  // Recurring card operations
+  createRecurrence(boardId: string, data: CreateRecurrence): Promise<Recurrence>;
+  listRecurrences(boardId: string): Promise<Recurrence[]>;
+  deleteRecurrence(boardId: string, recurrenceId: string): Promise<void>;
+
+  // Sprint operations
+  listSprints(boardId: string): Promise<Sprint[]>;
+  createSprint(boardId: string, data: CreateSprint, options?: { start?: boolean }): Promise<Sprint>;
+  startSprint(boardId: string, sprintId: string): Promise<Sprint>;
+  closeSprint(boardId: string, sprintId?: string, carryOverTo?: string | null): Promise<{ sprint: Sprint; carriedOverTo: Sprint | null }>;
+  assignCardsToSprint(boardId: string, sprintId: string | null, cardIds: string[]): Promise<string[]>;
+  getSprintReport(boardId: string, sprintId?: string): Promise<SprintReport>;
   
   // Analytics and utilities
   getBoardStats(boardId: string): Promise<{
@@ -40,6 +59,7 @@ export interface IBoardService extends IService<Board, CreateBoard, UpdateBoard>
     overdueTasks: number;
     completionRate: number;
   }>;
+  getBoardAnalytics(boardId: string, weeks?: number): Promise<BoardAnalytics>;
   
   duplicateBoard(boardId: string, newTitle?: string): Promise<Board>;
   exportBoard(boardId: string, format: 'json' | 'csv'): Promise<string>;
@@ -48,6 +68,10 @@ export interface IBoardService extends IService<Board, CreateBoard, UpdateBoard>
   // Query operations
   queryBoards(query: BoardQuery): Promise<Board[]>;
   queryCards(boardId: string, query: CardQuery): Promise<Card[]>;
+  
+  // Undo and redo
+  undo(boardId: string, actor?: string): Promise<{ board: Board; operation: UndoOperation } | null>;
+  redo(boardId: string, actor?: string): Promise<{ board: Board; operation: UndoOperation } | null>;
 }
 
 export interface IConfigService extends IService<Config, Partial<Config>, Partial<Config>> {
@@ -69,6 +93,8 @@ export interface IValidationService {
   validateUpdateCard(data: unknown): UpdateCard;
   validateCreateColumn(data: unknown): CreateColumn;
   validateUpdateColumn(data: unknown): UpdateColumn;
+  validateCreateRecurrence(data: unknown): CreateRecurrence;
+  validateCreateSprint(data: unknown): CreateSprint;
   validatePagination(data: unknown): PaginationParams;
   validateSort(data: unknown): SortParams;
   validateCardFilter(data: unknown): CardFilter;
@@ -22,6 +22,16 @@ const { registerBoardTools } = require('./tools/boards');
 const { registerCardTools } = require('./tools/cards');
 const { registerServerControlTools } = require('./tools/serverControl');
 const { registerMigrationTools } = require('./tools/migration');
+const { registerBackupTools } = require('./tools/backups');
+const { registerRecurrenceTools } = require('./tools/recurrences');
+const { registerDependencyTools } = require('./tools/dependencies');
+const { registerClaimTools } = require('./tools/claims');
+const { registerHierarchyTools } = require('./tools/hierarchy');
+const { registerLinkTools } = require('./tools/links');
+const { registerAnalyticsTools } = require('./tools/analytics');
+const { registerSprintTools } = require('./tools/sprints');
+const { startWebhookDispatcher } = require('../utils/webhookDispatcher');
+const { startRecurrenceScheduler } = require('../utils/recurrenceScheduler');
 
 // Create MCP server with version info
 const packageJson = require('../../package.json');
@@ -51,6 +61,21 @@ registerBoardTools(server, toolDependencies);
 registerCardTools(server, toolDependencies);
 registerServerControlTools(server, toolDependencies);
 registerMigrationTools(server, toolDependencies);
+registerBackupTools(server, toolDependencies);
+registerRecurrenceTools(server, toolDependencies);
+registerDependencyTools(server, toolDependencies);
+registerClaimTools(server, toolDependencies);
+registerHierarchyTools(server, toolDependencies);
+registerLinkTools(server, toolDependencies);
+registerAnalyticsTools(server, toolDependencies);
+registerSprintTools(server, toolDependencies);
+
+// Deliver board events from MCP tool writes to configured webhooks
+startWebhookDispatcher();
+
+// Generate recurring cards when they are due, also when the web server isn't running.
+// Both processes can run the scheduler: a board's revision check stops a card being generated twice.
+startRecurrenceScheduler({ logger });
 
 /**
  * Performs startup checks to ensure the environment is properly configured
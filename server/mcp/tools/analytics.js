@@ -0,0 +1,115 @@
+/**
+ * MCP tools related to flow analytics: get-board-analytics, forecast-completion
+ */
+
+const Board = require('../../models/Board');
+const CardHistory = require('../../models/CardHistory');
+const { z } = require('zod');
+const { DEFAULT_WEEKS, computeBoardAnalytics } = require('../../utils/analytics');
+const { DEFAULT_HISTORY_DAYS, DEFAULT_TRIALS, getForecastFilterError, forecastCompletion } = require('../../utils/forecast');
+
+/**
+ * Register analytics tools with the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} options - Tool options
+ * @param {Function} options.checkRateLimit - Rate limiting function
+ */
+function registerAnalyticsTools(server, { checkRateLimit }) {
+  // Measure how work flows across a board
+  server.tool(
+    'get-board-analytics',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      weeks: z.number().int().min(1).max(52).optional().default(DEFAULT_WEEKS)
+        .describe(`Number of weeks of throughput, including the current one (default: ${DEFAULT_WEEKS})`),
+      includeCompletedCards: z.boolean().optional().default(false)
+        .describe('Also list the lead and cycle time of each completed card')
+    },
+    async ({ boardId, weeks, includeCompletedCards }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        const history = await CardHistory.forBoard(board.data.id);
+        const { cards, ...analytics } = computeBoardAnalytics(board.data, history, { weeks });
+        const columnNames = new Map((board.data.columns || []).map(column => [column.id, column.name]));
+        const withColumnName = card => ({ ...card, columnName: columnNames.get(card.columnId) || 'Unknown Column' });
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              ...analytics,
+              revision: board.revision,
+              wip: { ...analytics.wip, cards: analytics.wip.cards.map(withColumnName) },
+              ...(includeCompletedCards ? { cards: cards.map(withColumnName) } : {})
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error('Error in get-board-analytics tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error computing board analytics: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Measures how work flows across a board, from its card history. Returns the lead time (created to completed) and cycle time (first moved out of the first column to completed) of completed cards, the number of cards completed each week, and the age of the cards in progress (not completed and not in the first column), oldest first. Times are in days, with the average, median (p50), p85 and p95. Use it to spot cards that have been in progress for too long, or to estimate how long new work will take.'
+  );
+
+  // Forecast when cards will be done from recent throughput
+  server.tool(
+    'forecast-completion',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      cardIds: z.array(z.string()).optional().describe('IDs of the cards to forecast'),
+      columnId: z.string().optional().describe('Only forecast cards in this column'),
+      tags: z.array(z.string()).optional().describe('Only forecast cards with any of these tags'),
+      assignee: z.string().optional().describe('Only forecast cards assigned to this person'),
+      descendantOf: z.string().optional().describe('Only forecast the cards below this card, e.g. an epic'),
+      historyDays: z.number().int().min(1).max(365).optional().default(DEFAULT_HISTORY_DAYS)
+        .describe(`Number of past days whose throughput is sampled (default: ${DEFAULT_HISTORY_DAYS})`),
+      trials: z.number().int().min(100).max(50000).optional().default(DEFAULT_TRIALS)
+        .describe(`Number of simulated futures (default: ${DEFAULT_TRIALS})`)
+    },
+    async ({ boardId, cardIds, columnId, tags, assignee, descendantOf, historyDays, trials }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        const filter = { cardIds, columnId, tags, assignee, descendantOf };
+        const filterError = getForecastFilterError(board.data, filter);
+        if (filterError) {
+          return {
+            content: [{ type: 'text', text: `Error: ${filterError}` }],
+            isError: true
+          };
+        }
+
+        const result = forecastCompletion(board.data, { filter, historyDays, trials });
+        if (!result.forecast) {
+          return {
+            content: [{
+              type: 'text',
+              text: `Error: No cards were completed in the last ${result.throughput.historyDays} days, so there is no throughput to forecast from. Try a longer historyDays.`
+            }],
+            isError: true
+          };
+        }
+
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ boardId, ...result }, null, 2) }]
+        };
+      } catch (error) {
+        console.error('Error in forecast-completion tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error forecasting completion: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Forecasts when a set of cards will be completed, e.g. "when will these 30 cards be done?". Runs a Monte Carlo simulation: each simulated day completes as many cards as a randomly picked day of the board\'s recent history did, until the cards are used up. Returns the number of days and the date by which the cards are done with 50%, 85% and 95% confidence (p50, p85, p95), the cards counted and the throughput sampled. Pick the cards with cardIds, columnId, tags, assignee or descendantOf (filters combine); without any, every card that is not completed is forecast. Completed cards are never counted.'
+  );
+}
+
+module.exports = { registerAnalyticsTools };
@@ -0,0 +1,101 @@
+/**
+ * MCP tools related to board backups: list-backups, restore-backup
+ */
+
+const Board = require('../../models/Board');
+const BoardBackup = require('../../models/BoardBackup');
+const { z } = require('zod');
+const { ConflictError } = require('../../utils/errors');
+
+/**
+ * Register backup tools with the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} options - Tool options
+ * @param {Function} options.checkRateLimit - Rate limiting function
+ */
+function registerBackupTools(server, { checkRateLimit }) {
+  // List the backups of a board
+  server.tool(
+    'list-backups',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board')
+    },
+    async ({ boardId }) => {
+      try {
+        checkRateLimit();
+
+        await Board.load(boardId);
+        const backups = await BoardBackup.list(boardId);
+
+        if (backups.length === 0) {
+          return {
+            content: [{ type: 'text', text: `No backups found for board ${boardId}.` }]
+          };
+        }
+
+        const { maxCount, maxAgeDays } = BoardBackup.retention;
+        const lines = backups.map((backup, index) =>
+          `${index + 1}. ${backup.created_at} ${backup.operation} (id: ${backup.id})`
+        );
+
+        return {
+          content: [{
+            type: 'text',
+            text: `Backups of board ${boardId}, most recent first ` +
+              `(keeping up to ${maxCount || 'unlimited'} for ${maxAgeDays ? `${maxAgeDays} days` : 'any age'}):\n\n` +
+              lines.join('\n')
+          }]
+        };
+      } catch (error) {
+        console.error('Error in list-backups tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error listing backups: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Lists the point-in-time backups of a board, most recent first, with the operation each one was taken before (e.g. pre_batch, pre_card_move).'
+  );
+
+  // Restore a board to one of its backups
+  server.tool(
+    'restore-backup',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      backupId: z.string().min(1, 'Backup ID is required').describe('ID of the backup to restore, from list-backups')
+    },
+    async ({ boardId, backupId }) => {
+      try {
+        checkRateLimit();
+
+        const { board, backup } = await Board.restoreBackup(boardId, backupId, { actor: 'mcp:restore-backup' });
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              revision: board.revision,
+              restored: { id: backup.id, operation: backup.operation, created_at: backup.created_at }
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return {
+            content: [{ type: 'text', text: JSON.stringify({ success: false, ...error.toResponse() }, null, 2) }],
+            isError: true
+          };
+        }
+        console.error('Error in restore-backup tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error restoring backup: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Restores a board to one of its backups. The current board is backed up first (pre_restore), and the restore can be reverted with undo-last-operation.'
+  );
+}
+
+module.exports = { registerBackupTools };
@@ -1,12 +1,18 @@
 /**
- * MCP tools related to boards: get-boards, create-board, get-board, update-board, delete-board
+ * MCP tools related to boards: get-boards, create-board, get-board, update-board,
+ * set-wip-limit, set-swimlanes, undo-last-operation, redo-last-operation, delete-board
  */
 
 const Board = require('../../models/Board');
+const UndoHistory = require('../../models/UndoHistory');
 const { z } = require('zod');
 const fs = require('node:fs').promises;
 const path = require('node:path');
 const crypto = require('crypto');
+const { ConflictError } = require('../../utils/errors');
+const { getWipStatus } = require('../../utils/wipLimits');
+const { GROUP_BY, isValidSwimlanes } = require('../../utils/swimlanes');
+const { boardRuleErrorResponse, warningContent } = require('./utils/responses');
 
 function registerBoardTools(server, { config, checkRateLimit }) {
   // List all boards
@@ -208,7 +214,10 @@ function registerBoardTools(server, { config, checkRateLimit }) {
               columnId: newBoardData.columns[0].id,
               position: 0,
               collapsed: false,
-              subtasks: ["Task One", "✓ Completed Task"],
+              subtasks: [
+                { id: "st-1", text: "Task One", done: false, completed_at: null },
+                { id: "st-2", text: "Completed Task", done: true, completed_at: new Date().toISOString() }
+              ],
               tags: ["example", "tag"],
               dependencies: [],
               created_at: new Date().toISOString(),
@@ -350,13 +359,66 @@ function registerBoardTools(server, { config, checkRateLimit }) {
       boardData: z.union([
         z.string().min(1, 'Board data string cannot be empty').max(1000000, 'Board data string too large'),
         z.object({}).passthrough() // Allow any object structure
-      ]).describe('Board data to update. Can be a JSON string or an object containing board details.')
+      ]).describe('Board data to update. Can be a JSON string or an object containing board details.'),
+      expectedRevision: z.number().int().min(0).optional()
+        .describe('Board revision this change is based on. Defaults to the revision field of boardData')
     },
-    async ({ boardData }) => {
-      // [Rest of the existing implementation remains the same]
+    async ({ boardData, expectedRevision }) => {
       try {
-        // ... [existing update board implementation]
+        checkRateLimit();
+
+        let parsedBoardData;
+        if (typeof boardData === 'string') {
+          try {
+            parsedBoardData = JSON.parse(boardData);
+          } catch {
+            return {
+              content: [{ type: 'text', text: 'Error: Invalid JSON format for board data string' }],
+              isError: true
+            };
+          }
+        } else {
+          parsedBoardData = boardData;
+        }
+
+        if (!parsedBoardData.id) {
+          return {
+            content: [{ type: 'text', text: 'Error: Board data must include the board ID' }],
+            isError: true
+          };
+        }
+
+        const existing = await Board.load(parsedBoardData.id);
+        // The revision must come from the caller; boardData without one is treated as revision 0
+        const board = new Board({
+          ...existing.data,
+          ...parsedBoardData,
+          revision: parsedBoardData.revision
+        }, existing.filePath);
+
+        if (!board.validate()) {
+          return {
+            content: [{ type: 'text', text: 'Error: Invalid board data format' }],
+            isError: true
+          };
+        }
+
+        const { warnings } = await board.save({ expectedRevision, actor: 'mcp:update-board' });
+
+        return {
+          content: [{ type: 'text', text: JSON.stringify(board.toSummaryFormat(), null, 2) }, ...warningContent(warnings)]
+        };
       } catch (error) {
+        if (error instanceof ConflictError) {
+          return {
+            content: [{ type: 'text', text: JSON.stringify({ success: false, ...error.toResponse() }, null, 2) }],
+            isError: true
+          };
+        }
+        const ruleResponse = boardRuleErrorResponse(error);
+        if (ruleResponse) {
+          return ruleResponse;
+        }
         console.error('Error in update-board tool:', error);
         return {
           content: [{ type: 'text', text: `Error updating board: ${error.message}` }],
@@ -367,6 +429,184 @@ function registerBoardTools(server, { config, checkRateLimit }) {
     'Updates an existing board with new data. Requires the board ID and supports partial or full board data updates.'
   );
 
+  // Set or clear the WIP limit of a column
+  server.tool(
+    'set-wip-limit',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      columnId: z.string().min(1, 'Column ID is required').describe('Unique identifier of the column'),
+      wipLimit: z.number().int().min(1).nullable()
+        .describe('Maximum number of cards the column should hold, or null to remove the limit'),
+      expectedRevision: z.number().int().min(0).optional()
+        .describe('Board revision this change is based on (from get-board). The write is rejected if the board has changed since')
+    },
+    async ({ boardId, columnId, wipLimit, expectedRevision }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        const column = (board.data.columns || []).find(col => col.id === columnId);
+        if (!column) {
+          return {
+            content: [{ type: 'text', text: `Error: Column ${columnId} does not exist` }],
+            isError: true
+          };
+        }
+
+        if (wipLimit === null) {
+          delete column.wipLimit;
+        } else {
+          column.wipLimit = wipLimit;
+        }
+
+        // Lowering a limit below the current card count is allowed; it only blocks adding more cards
+        await board.save({ expectedRevision, actor: 'mcp:set-wip-limit' });
+
+        const status = getWipStatus(board.data).find(entry => entry.columnId === columnId);
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: true, revision: board.revision, ...status }, null, 2) }]
+        };
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return {
+            content: [{ type: 'text', text: JSON.stringify({ success: false, ...error.toResponse() }, null, 2) }],
+            isError: true
+          };
+        }
+        console.error('Error in set-wip-limit tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error setting WIP limit: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Sets or removes the WIP (work in progress) limit of a column. Moves and new cards that would take the column over its limit are rejected, or only warned about if the board\'s settings.allowWipLimitExceeding is true.'
+  );
+
+  // Configure the swimlanes of a board
+  server.tool(
+    'set-swimlanes',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      groupBy: z.enum(GROUP_BY).nullable()
+        .describe("How cards are grouped into lanes: 'lane' (the lanes below, joined through each card's laneId), 'tag' (first tag), 'priority' or 'assignee'; null turns swimlanes off"),
+      lanes: z.array(z.object({
+        id: z.string().min(1).optional().describe('Lane ID; omit to create a new lane'),
+        name: z.string().min(1).describe('Lane name')
+      })).optional().describe('Defined lanes in display order, replacing the current ones. Omit to keep the current lanes'),
+      expectedRevision: z.number().int().min(0).optional()
+        .describe('Board revision this change is based on (from get-board). The write is rejected if the board has changed since')
+    },
+    async ({ boardId, groupBy, lanes, expectedRevision }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        const swimlanes = {
+          ...board.data.swimlanes,
+          groupBy,
+          ...(lanes ? { lanes: lanes.map(lane => ({ id: lane.id || crypto.randomUUID(), name: lane.name })) } : {})
+        };
+
+        if (!isValidSwimlanes(swimlanes)) {
+          return {
+            content: [{ type: 'text', text: 'Error: Lane IDs must be unique' }],
+            isError: true
+          };
+        }
+
+        // Defined lanes are kept while swimlanes are off, so they can be turned back on
+        if (groupBy === null && !(swimlanes.lanes && swimlanes.lanes.length)) {
+          delete board.data.swimlanes;
+        } else {
+          board.data.swimlanes = swimlanes;
+        }
+
+        await board.save({ expectedRevision, actor: 'mcp:set-swimlanes' });
+
+        const { swimlanes: summary = null } = board.format('summary');
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: true, revision: board.revision, swimlanes: summary }, null, 2) }]
+        };
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return {
+            content: [{ type: 'text', text: JSON.stringify({ success: false, ...error.toResponse() }, null, 2) }],
+            isError: true
+          };
+        }
+        console.error('Error in set-swimlanes tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error setting swimlanes: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Turns swimlanes on or off and sets how cards are grouped into them. With groupBy \'lane\', cards join a lane through their laneId (set it with update-card); cards in no lane are shown in a lane of their own. Returns the lanes with their card counts.'
+  );
+
+  // Undo or redo the last operation on a board
+  const revertTool = (direction) => async ({ boardId }) => {
+    try {
+      checkRateLimit();
+
+      const actor = `mcp:${direction}-last-operation`;
+      const result = direction === 'undo'
+        ? await Board.undo(boardId, { actor })
+        : await Board.redo(boardId, { actor });
+
+      if (!result) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, message: `Nothing to ${direction}`, ...await UndoHistory.status(boardId) }, null, 2) }],
+          isError: true
+        };
+      }
+
+      const { board, operation } = result;
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            revision: board.revision,
+            reverted: { actor: operation.actor, timestamp: operation.timestamp, revision: operation.revision },
+            ...await UndoHistory.status(boardId)
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, ...error.toResponse() }, null, 2) }],
+          isError: true
+        };
+      }
+      console.error(`Error in ${direction}-last-operation tool:`, error);
+      return {
+        content: [{ type: 'text', text: `Error applying ${direction}: ${error.message}` }],
+        isError: true
+      };
+    }
+  };
+
+  server.tool(
+    'undo-last-operation',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board')
+    },
+    revertTool('undo'),
+    'Undoes the most recent change to a board (for example a bad batch-cards call), restoring the board as it was before. Can be repeated to step further back.'
+  );
+
+  server.tool(
+    'redo-last-operation',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board')
+    },
+    revertTool('redo'),
+    'Reapplies the most recently undone change to a board. Redo history is discarded once the board is changed again.'
+  );
+
   // Delete a board
   server.tool(
     'delete-board',
@@ -375,19 +615,7 @@ function registerBoardTools(server, { config, checkRateLimit }) {
     },
     async ({ boardId }) => {
       try {
-        try {
-          const board = await Board.load(boardId);
-          const backupDir = path.join(config.boardsDir, 'backups');
-          await fs.mkdir(backupDir, { recursive: true });
-          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-          const backupPath = path.join(backupDir, `${boardId}_${timestamp}_pre_deletion.json`);
-          await fs.writeFile(backupPath, JSON.stringify(board.data, null, 2));
-        } catch (error) {
-          if (!error.message.includes('not found')) {
-            console.error(`Error creating backup before deletion: ${error}`);
-          }
-        }
-
+        // Board.delete takes a 'pre_deletion' backup first
         const result = await Board.delete(boardId);
         return {
           content: [{ type: 'text', text: JSON.stringify(result) }]
@@ -1,14 +1,85 @@
 /**
- * MCP tools related to cards: get-card, update-card, move-card, batch-cards
+ * MCP tools related to cards: get-card, get-card-history, update-card, move-card,
+ * add-subtask, toggle-subtask, reorder-subtask, batch-cards, query-cards, get-ready-cards
  */
 
 const Board = require('../../models/Board');
+const CardHistory = require('../../models/CardHistory');
 const { z } = require('zod');
-const fs = require('node:fs').promises;
-const path = require('node:path');
 const crypto = require('node:crypto'); // Import crypto
+const { ConflictError } = require('../../utils/errors');
+const { boardRuleErrorResponse, warningContent } = require('./utils/responses');
+const { createBoardBackup } = require('../utils/boardUtils');
+const { addSubtask, toggleSubtask, moveSubtask } = require('../../utils/subtasks');
+const { getSwimlanes, getCardLaneId, getLanes, findLane } = require('../../utils/swimlanes');
+const { getCardDateTime, getDueTime, isOverdue } = require('../../utils/dueDates');
+const { getDescendantIds, getChildProgress } = require('../../utils/hierarchy');
+const { getCardLinks } = require('../../utils/links');
+const { getActiveSprint } = require('../../utils/sprints');
+
+const expectedRevisionSchema = z.number().int().min(0).optional()
+  .describe('Board revision this change is based on (from get-board). The write is rejected if the board has changed since');
+
+// Structured error response for writes based on a stale board revision
+function conflictResponse(error) {
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify({
+        success: false,
+        ...error.toResponse(),
+        hint: 'The board was modified by another client. Reload it with get-board and retry using its current revision.'
+      }, null, 2)
+    }],
+    isError: true
+  };
+}
 
-function registerCardTools(server, { config, checkRateLimit }) {
+// Merge card changes into a card, keeping its claim: claims are only changed through
+// claim-card, heartbeat-card and release-card, so one agent can't overwrite another's
+function mergeCardChanges(card, changes, fields) {
+  const merged = { ...card, ...changes, ...fields };
+  if (card.claim) {
+    merged.claim = card.claim;
+  } else {
+    delete merged.claim;
+  }
+  return merged;
+}
+
+// Apply a change to one card's subtasks and save the board
+async function updateCardSubtasks({ boardId, cardId, expectedRevision, tool }, change) {
+  const board = await Board.load(boardId);
+  const card = (board.data.cards || []).find(c => c.id === cardId);
+  if (!card) {
+    throw new Error(`Card with ID ${cardId} not found`);
+  }
+
+  const subtask = change(card);
+  card.updated_at = new Date().toISOString();
+  await board.save({ expectedRevision, actor: `mcp:${tool}` });
+
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify({ success: true, revision: board.revision, cardId, subtask, subtasks: card.subtasks }, null, 2)
+    }]
+  };
+}
+
+// Error response shared by the subtask tools
+function subtaskErrorResponse(tool, error) {
+  if (error instanceof ConflictError) {
+    return conflictResponse(error);
+  }
+  console.error(`[${tool}] Error: ${error}`);
+  return {
+    content: [{ type: 'text', text: `Error: ${error.message}` }],
+    isError: true
+  };
+}
+
+function registerCardTools(server, { checkRateLimit }) {
   server.tool(
     'get-card',
     {
@@ -35,8 +106,19 @@ function registerCardTools(server, { config, checkRateLimit }) {
           };
         }
 
+        // Parent cards carry the completion of the cards below them, and linked cards
+        // include the links other cards added to them
+        const childProgress = getChildProgress(board.data, cardId);
+        const linkedCards = getCardLinks(board.data, cardId);
         return {
-          content: [{ type: 'text', text: JSON.stringify(card, null, 2) }]
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              ...card,
+              ...(childProgress.total ? { childProgress } : {}),
+              ...(linkedCards.length ? { linkedCards } : {})
+            }, null, 2)
+          }]
         };
       } catch (error) {
         console.error(`[get-card] Error: ${error}`);
@@ -46,7 +128,35 @@ function registerCardTools(server, { config, checkRateLimit }) {
         };
       }
     },
-    'Retrieves a specific card by its ID from a given board. Requires both board ID and card ID to locate the exact card.'
+    'Retrieves a specific card by its ID from a given board. Requires both board ID and card ID to locate the exact card. Cards with child cards include childProgress: how many of the cards below them are completed. Linked cards include linkedCards: all their links, including the inverse of links added on the other card (inverse: true).'
+  );
+
+  server.tool(
+    'get-card-history',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board containing the card'),
+      cardId: z.string().min(1, 'Card ID is required').describe('Unique identifier of the card whose history to retrieve'),
+      limit: z.number().int().min(1).max(500).optional().describe('Maximum number of history entries to return (most recent first)')
+    },
+    async ({ boardId, cardId, limit }) => {
+      try {
+        checkRateLimit();
+        await Board.load(boardId);
+
+        const history = await CardHistory.forCard(boardId, cardId, { limit });
+
+        return {
+          content: [{ type: 'text', text: JSON.stringify(history, null, 2) }]
+        };
+      } catch (error) {
+        console.error(`[get-card-history] Error: ${error}`);
+        return {
+          content: [{ type: 'text', text: `Error getting card history: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Retrieves the change history of a card, most recent first. Each entry lists the action (created, updated, moved, completed, deleted), who made it (web-ui, api, mcp:<tool>) and the field-level changes with previous and new values.'
   );
 
   server.tool(
@@ -58,9 +168,10 @@ function registerCardTools(server, { config, checkRateLimit }) {
       cardData: z.union([
         z.string().min(1, 'Card data string cannot be empty').max(200000, 'Card data string too large'),
         z.object({}).passthrough() // Allow any object structure
-      ]).describe('Card data to update. Can be a JSON string or an object containing card details.')
+      ]).describe('Card data to update. Can be a JSON string or an object containing card details.'),
+      expectedRevision: expectedRevisionSchema
     },
-    async ({ boardId, cardId, cardData }) => {
+    async ({ boardId, cardId, cardData, expectedRevision }) => {
       //console.log(`[update-card] Invoked with boardId=${boardId}, cardId=${cardId}`);
       try {
         checkRateLimit();
@@ -94,11 +205,7 @@ function registerCardTools(server, { config, checkRateLimit }) {
           };
         }
 
-        const backupDir = path.join(config.boardsDir, 'backups');
-        await fs.mkdir(backupDir, { recursive: true });
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupPath = path.join(backupDir, `${boardId}_${timestamp}_pre_card_update.json`);
-        await fs.writeFile(backupPath, JSON.stringify(board.data, null, 2));
+        await createBoardBackup(boardId, board.data, 'pre_card_update');
 
         const cardIndex = board.data.cards.findIndex(c => c.id === cardId);
         if (cardIndex === -1) {
@@ -120,22 +227,34 @@ function registerCardTools(server, { config, checkRateLimit }) {
           }
         }
 
-        const updatedCard = {
-          ...existingCard,
-          ...parsedCardData,
+        const updatedCard = mergeCardChanges(existingCard, parsedCardData, {
           id: cardId,
           updated_at: new Date().toISOString()
-        };
+        });
+
+        if (!Board.validateItem(updatedCard)) {
+          return {
+            content: [{ type: 'text', text: 'Error: Invalid card data. Check the field types, and that start_date and due_date are dates (ISO format or YYYY-MM-DD) with the start no later than the due date' }],
+            isError: true
+          };
+        }
 
         board.data.cards[cardIndex] = updatedCard;
 
-        await board.save();
+        const { warnings } = await board.save({ expectedRevision, actor: 'mcp:update-card' });
 
         //console.log('[update-card] Card updated successfully');
         return {
-          content: [{ type: 'text', text: JSON.stringify(updatedCard, null, 2) }]
+          content: [{ type: 'text', text: JSON.stringify(updatedCard, null, 2) }, ...warningContent(warnings)]
         };
       } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        const ruleResponse = boardRuleErrorResponse(error);
+        if (ruleResponse) {
+          return ruleResponse;
+        }
         console.error(`[update-card] Error: ${error}`);
         return {
           content: [{ type: 'text', text: `Error updating card: ${error.message}` }],
@@ -155,9 +274,10 @@ function registerCardTools(server, { config, checkRateLimit }) {
       position: z.union([
         z.number().int('Position must be an integer').min(0, 'Position must be non-negative'),
         z.enum(['first', 'last', 'up', 'down'])
-      ]).describe('Position within the column. Can be a specific index, or keywords: first, last, up, down')
+      ]).describe('Position within the column. Can be a specific index, or keywords: first, last, up, down'),
+      expectedRevision: expectedRevisionSchema
     },
-    async ({ boardId, cardId, columnId, position }) => {
+    async ({ boardId, cardId, columnId, position, expectedRevision }) => {
       //console.log(`[move-card] Invoked with boardId=${boardId}, cardId=${cardId}, columnId=${columnId}, position=${position}`);
       try {
         checkRateLimit();
@@ -172,11 +292,7 @@ function registerCardTools(server, { config, checkRateLimit }) {
           };
         }
 
-        const backupDir = path.join(config.boardsDir, 'backups');
-        await fs.mkdir(backupDir, { recursive: true });
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupPath = path.join(backupDir, `${boardId}_${timestamp}_pre_card_move.json`);
-        await fs.writeFile(backupPath, JSON.stringify(board.data, null, 2));
+        await createBoardBackup(boardId, board.data, 'pre_card_move');
 
         const cardIndex = board.data.cards.findIndex(c => c.id === cardId);
         if (cardIndex === -1) {
@@ -247,13 +363,20 @@ function registerCardTools(server, { config, checkRateLimit }) {
         card.position = newPos;
         card.updated_at = new Date().toISOString();
 
-        await board.save();
+        const { warnings } = await board.save({ expectedRevision, actor: 'mcp:move-card' });
 
         //console.log('[move-card] Card moved successfully');
         return {
-          content: [{ type: 'text', text: JSON.stringify(card, null, 2) }]
+          content: [{ type: 'text', text: JSON.stringify(card, null, 2) }, ...warningContent(warnings)]
         };
       } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        const ruleResponse = boardRuleErrorResponse(error);
+        if (ruleResponse) {
+          return ruleResponse;
+        }
         console.error(`[move-card] Error: ${error}`);
         return {
           content: [{ type: 'text', text: `Error moving card: ${error.message}` }],
@@ -264,6 +387,77 @@ function registerCardTools(server, { config, checkRateLimit }) {
     'Moves a card to a different column and/or adjusts its position within that column. Supports precise positioning and relative movements.'
   );
 
+  const subtaskRefSchema = z.union([z.string().min(1), z.number().int().min(1)])
+    .describe('ID of the subtask, or its 1-based number in the card\'s checklist');
+
+  server.tool(
+    'add-subtask',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board containing the card'),
+      cardId: z.string().min(1, 'Card ID is required').describe('Unique identifier of the card'),
+      text: z.string().min(1, 'Subtask text is required').describe('What needs doing'),
+      position: z.union([z.number().int().min(0), z.enum(['first', 'last'])]).optional()
+        .describe('Where to insert the subtask: an index, first or last (default: last)'),
+      assignee: z.string().optional().describe('Who the subtask is assigned to'),
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, cardId, text, position, assignee, expectedRevision }) => {
+      try {
+        checkRateLimit();
+        return await updateCardSubtasks({ boardId, cardId, expectedRevision, tool: 'add-subtask' },
+          card => addSubtask(card, text, { position, assignee }));
+      } catch (error) {
+        return subtaskErrorResponse('add-subtask', error);
+      }
+    },
+    'Adds a subtask to a card\'s checklist without rewriting the rest of the card.'
+  );
+
+  server.tool(
+    'toggle-subtask',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board containing the card'),
+      cardId: z.string().min(1, 'Card ID is required').describe('Unique identifier of the card'),
+      subtaskId: subtaskRefSchema,
+      done: z.boolean().optional().describe('Mark the subtask done (true) or not done (false). Toggles it when omitted'),
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, cardId, subtaskId, done, expectedRevision }) => {
+      try {
+        checkRateLimit();
+        return await updateCardSubtasks({ boardId, cardId, expectedRevision, tool: 'toggle-subtask' },
+          card => toggleSubtask(card, subtaskId, done));
+      } catch (error) {
+        return subtaskErrorResponse('toggle-subtask', error);
+      }
+    },
+    'Marks a single subtask of a card done or not done, recording when it was completed.'
+  );
+
+  server.tool(
+    'reorder-subtask',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board containing the card'),
+      cardId: z.string().min(1, 'Card ID is required').describe('Unique identifier of the card'),
+      subtaskId: subtaskRefSchema,
+      position: z.union([
+        z.number().int().min(0),
+        z.enum(['first', 'last', 'up', 'down'])
+      ]).describe('New position in the checklist: an index, or first, last, up, down'),
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, cardId, subtaskId, position, expectedRevision }) => {
+      try {
+        checkRateLimit();
+        return await updateCardSubtasks({ boardId, cardId, expectedRevision, tool: 'reorder-subtask' },
+          card => moveSubtask(card, subtaskId, position));
+      } catch (error) {
+        return subtaskErrorResponse('reorder-subtask', error);
+      }
+    },
+    'Moves a subtask to another position within its card\'s checklist.'
+  );
+
   // Helper function to parse card data consistently
   const parseCardData = (cardData, context = '') => {
     if (typeof cardData === 'string') {
@@ -335,8 +529,9 @@ function registerCardTools(server, { config, checkRateLimit }) {
         ]).optional().describe('Position within the column for create or move operations'),
         reference: z.string().optional().describe('Optional reference ID to link cards within the same batch operation')
       })).min(1, 'At least one operation is required').max(100, 'Maximum 100 operations allowed').describe('Array of card operations to perform atomically'),
+      expectedRevision: expectedRevisionSchema
     },
-    async ({ boardId, operations }) => {
+    async ({ boardId, operations, expectedRevision }) => {
       //console.log(`[batch-cards] Invoked with boardId=${boardId}, ${operations.length} operations`);
       try {
         checkRateLimit();
@@ -351,11 +546,7 @@ function registerCardTools(server, { config, checkRateLimit }) {
         }
 
         // Create backup
-        const backupDir = path.join(config.boardsDir, 'backups');
-        await fs.mkdir(backupDir, { recursive: true });
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupPath = path.join(backupDir, `${boardId}_${timestamp}_pre_batch.json`);
-        await fs.writeFile(backupPath, JSON.stringify(board.data, null, 2));
+        await createBoardBackup(boardId, board.data, 'pre_batch');
 
         const results = [];
         const newCards = [];
@@ -492,12 +683,10 @@ function registerCardTools(server, { config, checkRateLimit }) {
                   validateColumn(board, parsedCardData.columnId, `update operation ${i + 1}`);
                 }
 
-                const updated = {
-                  ...card,
-                  ...parsedCardData,
+                const updated = mergeCardChanges(card, parsedCardData, {
                   id: effectiveCardId,
                   updated_at: new Date().toISOString()
-                };
+                });
 
                 if (isNewCard) {
                   newCards[newCardIdx] = updated;
@@ -588,7 +777,7 @@ function registerCardTools(server, { config, checkRateLimit }) {
         board.data.cards.push(...newCards);
 
         // Save changes
-        await board.save();
+        const { warnings } = await board.save({ expectedRevision, actor: 'mcp:batch-cards' });
 
         //console.log('[batch-cards] Batch operations completed');
         
@@ -596,8 +785,10 @@ function registerCardTools(server, { config, checkRateLimit }) {
         const responseData = {
           // Original response data
           success: results.every(r => r.success),
+          revision: board.revision,
           results,
           referenceMap: Object.fromEntries(referenceMap),
+          ...(warnings.length ? { warnings } : {}),
           
           // Add guidance without affecting the original format
           tips: {
@@ -609,7 +800,7 @@ function registerCardTools(server, { config, checkRateLimit }) {
                 cardData: {
                   title: "New Card Title",
                   content: "Card content with **markdown** support",
-                  subtasks: ["First subtask", "✓ Completed subtask"],
+                  subtasks: [{ text: "First subtask" }, { text: "Completed subtask", done: true }],
                   tags: ["example", "tag"],
                   priority: "high"
                 }
@@ -674,6 +865,13 @@ function registerCardTools(server, { config, checkRateLimit }) {
           }]
         };
       } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        const ruleResponse = boardRuleErrorResponse(error);
+        if (ruleResponse) {
+          return ruleResponse;
+        }
         console.error(`[batch-cards] Error: ${error}`);
         return {
           content: [{ type: 'text', text: `Error processing batch: ${error.message}` }],
@@ -701,11 +899,17 @@ function registerCardTools(server, { config, checkRateLimit }) {
       status: z.string().optional().describe('Filter cards by status'),
       assignee: z.string().optional().describe('Filter cards by assignee'),
       tags: z.array(z.string()).optional().describe('Filter cards containing any of these tags'),
+      lane: z.string().optional().describe('Filter cards by swimlane ID or name ("none" for cards in no lane), on boards with swimlanes'),
+      descendantOf: z.string().optional().describe('Filter cards below this card: its children, their children and so on'),
+      sprint: z.string().optional().describe('Filter cards by sprint ID, "active" for the active sprint or "backlog" for cards in no sprint'),
       createdBefore: z.string().optional().describe('Filter cards created before this date (ISO format)'),
       createdAfter: z.string().optional().describe('Filter cards created after this date (ISO format)'),
       updatedBefore: z.string().optional().describe('Filter cards updated before this date (ISO format)'),
       updatedAfter: z.string().optional().describe('Filter cards updated after this date (ISO format)'),
-      sortBy: z.enum(['title', 'priority', 'createdAt', 'updatedAt', 'status']).optional().describe('Property to sort by'),
+      dueBefore: z.string().optional().describe('Filter cards due on or before this date (ISO format or YYYY-MM-DD)'),
+      dueAfter: z.string().optional().describe('Filter cards due on or after this date (ISO format or YYYY-MM-DD)'),
+      overdue: z.boolean().optional().describe('true for only overdue cards (past their due date and not completed), false for only cards that are not overdue'),
+      sortBy: z.enum(['title', 'priority', 'createdAt', 'updatedAt', 'status', 'dueDate']).optional().describe('Property to sort by (cards without a due date sort last by dueDate)'),
       sortOrder: z.enum(['asc', 'desc']).optional().describe('Sort order (ascending or descending)'),
       limit: z.number().int().positive().optional().describe('Maximum number of cards to return'),
       offset: z.number().int().min(0).optional().describe('Number of cards to skip')
@@ -762,6 +966,52 @@ function registerCardTools(server, { config, checkRateLimit }) {
           );
         }
 
+        if (query.descendantOf) {
+          if (!board.data.cards.some(card => card.id === query.descendantOf)) {
+            return {
+              content: [{ type: 'text', text: `Error: Card with ID ${query.descendantOf} not found` }],
+              isError: true
+            };
+          }
+          const descendants = new Set(getDescendantIds(board.data, query.descendantOf));
+          cards = cards.filter(card => descendants.has(card.id));
+        }
+
+        if (query.sprint === 'backlog') {
+          cards = cards.filter(card => !card.sprintId);
+        } else if (query.sprint) {
+          const sprint = query.sprint === 'active'
+            ? getActiveSprint(board.data)
+            : (board.data.sprints || []).find(s => s.id === query.sprint);
+          if (!sprint) {
+            return {
+              content: [{ type: 'text', text: query.sprint === 'active' ? 'Error: No sprint is active' : `Error: Sprint ${query.sprint} not found` }],
+              isError: true
+            };
+          }
+          cards = cards.filter(card => card.sprintId === sprint.id);
+        }
+
+        const swimlanes = getSwimlanes(board.data);
+        if (query.lane) {
+          if (!swimlanes) {
+            return {
+              content: [{ type: 'text', text: 'Error: Board has no swimlanes. Turn them on with set-swimlanes first.' }],
+              isError: true
+            };
+          }
+          const lane = findLane(board.data, query.lane);
+          // Tag and assignee lanes only exist while some card is in them
+          if (!lane && (swimlanes.groupBy === 'lane' || swimlanes.groupBy === 'priority')) {
+            const names = getLanes(board.data).map(l => l.id === null ? 'none' : `${l.name} (${l.id})`);
+            return {
+              content: [{ type: 'text', text: `Error: No swimlane "${query.lane}" on this board. Lanes: ${names.join(', ')}` }],
+              isError: true
+            };
+          }
+          cards = lane ? cards.filter(card => getCardLaneId(card, swimlanes) === lane.id) : [];
+        }
+
         if (query.createdAfter) {
           const date = new Date(query.createdAfter);
           cards = cards.filter(card => new Date(card.created_at) >= date);
@@ -782,6 +1032,29 @@ function registerCardTools(server, { config, checkRateLimit }) {
           cards = cards.filter(card => new Date(card.updated_at) <= date);
         }
 
+        const invalidDate = ['dueBefore', 'dueAfter'].find(field => query[field] && Number.isNaN(getCardDateTime(query[field])));
+        if (invalidDate) {
+          return {
+            content: [{ type: 'text', text: `Error: ${invalidDate} must be a date (ISO format or YYYY-MM-DD)` }],
+            isError: true
+          };
+        }
+
+        if (query.dueBefore) {
+          const time = getCardDateTime(query.dueBefore, true);
+          cards = cards.filter(card => getDueTime(card) !== null && getDueTime(card) <= time);
+        }
+
+        if (query.dueAfter) {
+          const time = getCardDateTime(query.dueAfter);
+          cards = cards.filter(card => getDueTime(card) !== null && getDueTime(card) >= time);
+        }
+
+        const now = Date.now();
+        if (query.overdue !== undefined) {
+          cards = cards.filter(card => isOverdue(card, now) === query.overdue);
+        }
+
         // Apply sorting
         if (query.sortBy) {
           const sortOrder = query.sortOrder === 'desc' ? -1 : 1;
@@ -797,6 +1070,11 @@ function registerCardTools(server, { config, checkRateLimit }) {
               return sortOrder * (new Date(a.updated_at).getTime() - new Date(b.updated_at).getTime());
             } else if (query.sortBy === 'status') {
               return sortOrder * (a.status || '').localeCompare(b.status || '');
+            } else if (query.sortBy === 'dueDate') {
+              const aDue = getDueTime(a);
+              const bDue = getDueTime(b);
+              if (aDue === null || bDue === null) return (aDue === null) - (bDue === null);
+              return sortOrder * (aDue - bDue);
             }
             return 0;
           });
@@ -809,12 +1087,14 @@ function registerCardTools(server, { config, checkRateLimit }) {
           cards = cards.slice(offset, offset + limit);
         }
 
-        // Enrich cards with column information
+        // Enrich cards with column and swimlane information
         const enrichedCards = cards.map(card => {
           const column = board.data.columns.find(col => col.id === card.columnId);
           return {
             ...card,
-            columnName: column ? column.name : 'Unknown Column'
+            columnName: column ? column.name : 'Unknown Column',
+            ...(card.due_date ? { overdue: isOverdue(card, now) } : {}),
+            ...(swimlanes ? { lane: getCardLaneId(card, swimlanes) } : {})
           };
         });
 
@@ -840,7 +1120,36 @@ function registerCardTools(server, { config, checkRateLimit }) {
         };
       }
     },
-    'Search for cards within a board that match specific criteria. Filter by title, content, column, priority, status, assignee, or tags. Sort and paginate results.'
+    'Search for cards within a board that match specific criteria. Filter by title, content, column, priority, status, assignee, tags, swimlane, sprint (or the backlog), or due date, find overdue cards, or find the cards below a card in the parent/child hierarchy. Sort and paginate results.'
+  );
+
+  // The ranked cards that can be worked on next
+  server.tool(
+    'get-ready-cards',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      assignee: z.string().optional()
+        .describe('Who is asking. Cards assigned to or claimed by them are included; cards assigned to or claimed by anyone else never are'),
+      columnId: z.string().optional().describe('Only include cards in this column'),
+      limit: z.number().int().positive().optional().default(10).describe('Most cards to return (default 10)')
+    },
+    async ({ boardId, assignee, columnId, limit }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(board.toReadyQueueFormat({ assignee, columnId, limit })) }]
+        };
+      } catch (error) {
+        console.error('Error in get-ready-cards tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error getting ready cards: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Gets the cards that can be worked on next, best first: cards that are not completed or blocked, whose dependencies are all completed, and that are not assigned to someone else, ranked by priority, then due date, then age. Use it to decide what to do next instead of reading the whole board. Cards use the compact format of get-board (t: title, col: column ID, cn: column name, c: content, pri: priority, a: assignee, due: due date, od: overdue, dep: dependencies); total is how many cards are ready in all.'
   );
 }
 
@@ -0,0 +1,184 @@
+/**
+ * MCP tools related to card claims: claim-card, heartbeat-card, release-card
+ */
+
+const Board = require('../../models/Board');
+const CardClaims = require('../../models/CardClaims');
+const { z } = require('zod');
+const { CardClaimedError } = require('../../utils/errors');
+const {
+  DEFAULT_LEASE_SECONDS,
+  MIN_LEASE_SECONDS,
+  MAX_LEASE_SECONDS,
+  claimCard,
+  renewClaim,
+  releaseClaim
+} = require('../../utils/claims');
+
+const ownerSchema = z.string().trim().min(1, 'Owner is required').max(200)
+  .describe('ID of the agent or session holding the card. Use the same ID for claim-card, heartbeat-card and release-card');
+
+const leaseSecondsSchema = z.number().int().min(MIN_LEASE_SECONDS).max(MAX_LEASE_SECONDS).optional()
+  .default(DEFAULT_LEASE_SECONDS)
+  .describe(`How long the lease lasts without a heartbeat, in seconds (default ${DEFAULT_LEASE_SECONDS})`);
+
+/**
+ * Apply a change to a card's claim. Claims are kept in the board's claims file rather
+ * than the board, so the board's revision, history and undo stack are left alone. The
+ * change is made under the board's lock, so two agents claiming the same card can't
+ * both succeed.
+ * @param {Object} options - Which card to change
+ * @param {string} options.boardId - ID of the board
+ * @param {string} options.cardId - ID of the card
+ * @param {Function} change - Changes the card's claim and returns the result
+ * @returns {Promise<{board: Board, card: Object, result: *}>} The board, the card and the change's result
+ */
+async function updateClaim({ boardId, cardId }, change) {
+  return CardClaims.update(boardId, async claims => {
+    const board = await Board.load(boardId);
+    const card = (board.data.cards || []).find(c => c.id === cardId);
+    if (!card) {
+      throw new Error(`Card with ID ${cardId} not found`);
+    }
+
+    const result = change(card);
+    if (card.claim) {
+      claims[cardId] = card.claim;
+    } else {
+      delete claims[cardId];
+    }
+    return { board, card, result };
+  });
+}
+
+/**
+ * Build the response for a change to a card someone else holds
+ * @param {CardClaimedError} error - Claim error
+ * @returns {Object} MCP tool response
+ */
+function claimedResponse(error) {
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify({
+        success: false,
+        ...error.toResponse(),
+        hint: 'Pick another card with get-ready-cards, or wait for the lease to expire.'
+      }, null, 2)
+    }],
+    isError: true
+  };
+}
+
+/**
+ * Build the response for a failed claim change
+ * @param {string} tool - Name of the tool
+ * @param {Error} error - Error raised by the change
+ * @returns {Object} MCP tool response
+ */
+function claimErrorResponse(tool, error) {
+  if (error instanceof CardClaimedError) {
+    return claimedResponse(error);
+  }
+  console.error(`Error in ${tool} tool:`, error);
+  return {
+    content: [{ type: 'text', text: `Error: ${error.message}` }],
+    isError: true
+  };
+}
+
+/**
+ * Register card claim tools with the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} options - Tool options
+ * @param {Function} options.checkRateLimit - Rate limiting function
+ */
+function registerClaimTools(server, { checkRateLimit }) {
+  // Take a lease on a card before working on it
+  server.tool(
+    'claim-card',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      cardId: z.string().min(1, 'Card ID is required').describe('Unique identifier of the card to claim'),
+      owner: ownerSchema,
+      leaseSeconds: leaseSecondsSchema
+    },
+    async ({ boardId, cardId, owner, leaseSeconds }) => {
+      try {
+        checkRateLimit();
+
+        const { board, result } = await updateClaim({ boardId, cardId }, card => {
+          if (card.completed_at) {
+            throw new Error(`Card "${card.title}" is already completed`);
+          }
+          return claimCard(card, owner, leaseSeconds);
+        });
+
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: true, revision: board.revision, cardId, claim: result }, null, 2) }]
+        };
+      } catch (error) {
+        return claimErrorResponse('claim-card', error);
+      }
+    },
+    'Claims a card so other agents know it is being worked on. The claim is a lease: it expires after leaseSeconds unless renewed with heartbeat-card, so a card is freed again if its agent stops. Claiming a card someone else holds fails with code CARD_CLAIMED; claiming a card you already hold renews the lease. Claimed cards are left out of other agents\' get-ready-cards results.'
+  );
+
+  // Renew the lease on a claimed card
+  server.tool(
+    'heartbeat-card',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      cardId: z.string().min(1, 'Card ID is required').describe('Unique identifier of the claimed card'),
+      owner: ownerSchema,
+      leaseSeconds: leaseSecondsSchema
+    },
+    async ({ boardId, cardId, owner, leaseSeconds }) => {
+      try {
+        checkRateLimit();
+
+        const { board, result } = await updateClaim({ boardId, cardId },
+          card => renewClaim(card, owner, leaseSeconds));
+
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: true, revision: board.revision, cardId, claim: result }, null, 2) }]
+        };
+      } catch (error) {
+        return claimErrorResponse('heartbeat-card', error);
+      }
+    },
+    'Renews the lease on a card you claimed with claim-card, so it runs for another leaseSeconds from now. Send heartbeats well before the lease expires. Fails if the lease has already expired, since another agent may have claimed the card since; claim it again in that case.'
+  );
+
+  // Give up a claimed card
+  server.tool(
+    'release-card',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      cardId: z.string().min(1, 'Card ID is required').describe('Unique identifier of the claimed card'),
+      owner: ownerSchema,
+      force: z.boolean().optional().default(false)
+        .describe('Release the card even if someone else holds it, e.g. to free a card whose agent is known to have stopped')
+    },
+    async ({ boardId, cardId, owner, force }) => {
+      try {
+        checkRateLimit();
+
+        const { board, result } = await updateClaim({ boardId, cardId },
+          card => releaseClaim(card, owner, { force }));
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({ success: true, revision: board.revision, cardId, released: result }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return claimErrorResponse('release-card', error);
+      }
+    },
+    'Releases a card you claimed so other agents can pick it up. Releasing a card nobody holds does nothing. Claims are also released when a card is completed. Use force to release a card held by someone else.'
+  );
+}
+
+module.exports = { registerClaimTools };
@@ -0,0 +1,57 @@
+/**
+ * MCP tools related to card dependencies: get-dependency-graph
+ */
+
+const Board = require('../../models/Board');
+const { z } = require('zod');
+const { analyzeDependencies } = require('../../utils/dependencies');
+
+/**
+ * Register dependency tools with the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} options - Tool options
+ * @param {Function} options.checkRateLimit - Rate limiting function
+ */
+function registerDependencyTools(server, { checkRateLimit }) {
+  // Analyze the dependencies between the cards of a board
+  server.tool(
+    'get-dependency-graph',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      blockedOnly: z.boolean().optional().default(false)
+        .describe('Only list the cards that are blocked by unfinished dependencies')
+    },
+    async ({ boardId, blockedOnly }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        const analysis = analyzeDependencies(board.data);
+        const columnNames = new Map((board.data.columns || []).map(column => [column.id, column.name]));
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              boardId,
+              revision: board.revision,
+              ...analysis,
+              cards: analysis.cards
+                .filter(card => !blockedOnly || card.blocked)
+                .map(card => ({ ...card, columnName: columnNames.get(card.columnId) || 'Unknown Column' }))
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error('Error in get-dependency-graph tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error analyzing dependencies: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Analyzes the dependencies between the cards of a board. For each card it lists what it depends on, what depends on it, and whether it is blocked by dependencies that are not completed yet. Also returns the cards in topological order (every card after the cards it depends on), the critical path (the longest chain of unfinished cards that depend on each other), any dependency cycles, and dependencies on cards that are not on the board.'
+  );
+}
+
+module.exports = { registerDependencyTools };
@@ -0,0 +1,203 @@
+/**
+ * MCP tools related to parent/child cards: create-child-card, get-card-subtree
+ */
+
+const Board = require('../../models/Board');
+const { z } = require('zod');
+const crypto = require('node:crypto');
+const { ConflictError } = require('../../utils/errors');
+const { boardRuleErrorResponse, warningContent } = require('./utils/responses');
+const { buildCardTree, getAncestorIds } = require('../../utils/hierarchy');
+
+const expectedRevisionSchema = z.number().int().min(0).optional()
+  .describe('Board revision this change is based on (from get-board). The write is rejected if the board has changed since');
+
+/**
+ * Build the error response for a write rejected because the board changed
+ * @param {ConflictError} error - Conflict error
+ * @returns {Object} MCP tool response
+ */
+function conflictResponse(error) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ success: false, ...error.toResponse() }, null, 2) }],
+    isError: true
+  };
+}
+
+/**
+ * Turn a card tree into the compact form returned by get-card-subtree
+ * @param {module:utils/hierarchy~CardTreeNode} node - Tree node
+ * @param {Map<string, string>} columnNames - Column names by ID
+ * @returns {Object} Compact card with its column name, progress and children
+ */
+function toCompactTree(node, columnNames) {
+  return {
+    ...Board.toCompactCard(node.card),
+    cn: columnNames.get(node.card.columnId) || 'Unknown Column',
+    ...(node.progress.total ? { prog: node.progress } : {}),
+    ...(node.children.length ? { ch: node.children.map(child => toCompactTree(child, columnNames)) } : {}),
+    ...(node.childCount > node.children.length ? { more: node.childCount } : {})
+  };
+}
+
+/**
+ * Register parent/child card tools with the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} options - Tool options
+ * @param {Function} options.checkRateLimit - Rate limiting function
+ */
+function registerHierarchyTools(server, { checkRateLimit }) {
+  // Break a card down by adding a card below it
+  server.tool(
+    'create-child-card',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      parentId: z.string().min(1, 'Parent card ID is required').describe('ID of the card the new card belongs to, e.g. its epic'),
+      cardData: z.union([
+        z.string().min(1, 'Card data string cannot be empty').max(200000, 'Card data string too large'),
+        z.object({}).passthrough()
+      ]).describe('The new card as a JSON string or object: title (required), content, tags, priority, assignee, subtasks and other card fields'),
+      columnId: z.string().optional().describe('Column to add the card to (default: the first column)'),
+      position: z.union([z.enum(['first', 'last']), z.number().int().min(0)]).optional().default('last')
+        .describe("Where in the column to add the card: 'first', 'last' (default) or an index"),
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, parentId, cardData, columnId, position, expectedRevision }) => {
+      try {
+        checkRateLimit();
+
+        let parsedCardData = cardData;
+        if (typeof cardData === 'string') {
+          try {
+            parsedCardData = JSON.parse(cardData);
+          } catch {
+            return {
+              content: [{ type: 'text', text: 'Error: Invalid JSON format for card data string' }],
+              isError: true
+            };
+          }
+        }
+
+        const board = await Board.load(boardId);
+        const cards = board.data.cards;
+        if (!Array.isArray(cards)) {
+          return {
+            content: [{ type: 'text', text: 'Error: Board is not using card-first architecture.' }],
+            isError: true
+          };
+        }
+
+        if (!cards.some(card => card.id === parentId)) {
+          return {
+            content: [{ type: 'text', text: `Error: Parent card with ID ${parentId} not found` }],
+            isError: true
+          };
+        }
+
+        const targetColumnId = columnId || (board.data.columns[0] && board.data.columns[0].id);
+        if (!board.data.columns.some(column => column.id === targetColumnId)) {
+          return {
+            content: [{ type: 'text', text: `Error: Target column ${columnId} does not exist` }],
+            isError: true
+          };
+        }
+
+        const columnCount = cards.filter(card => card.columnId === targetColumnId).length;
+        const newPosition = position === 'first' ? 0 : position === 'last' ? columnCount : Math.min(position, columnCount);
+        const now = new Date().toISOString();
+        const newCard = {
+          ...parsedCardData,
+          id: crypto.randomUUID(),
+          parentId,
+          columnId: targetColumnId,
+          position: newPosition,
+          created_at: now,
+          updated_at: now
+        };
+
+        if (!newCard.title || !Board.validateItem(newCard)) {
+          return {
+            content: [{ type: 'text', text: 'Error: Invalid card data. The card needs a title; check the field types' }],
+            isError: true
+          };
+        }
+
+        cards.forEach(card => {
+          if (card.columnId === targetColumnId && card.position >= newPosition) {
+            card.position++;
+          }
+        });
+        cards.push(newCard);
+
+        const { warnings } = await board.save({ expectedRevision, actor: 'mcp:create-child-card' });
+
+        return {
+          content: [
+            { type: 'text', text: JSON.stringify({ success: true, revision: board.revision, card: newCard }, null, 2) },
+            ...warningContent(warnings)
+          ]
+        };
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        const ruleResponse = boardRuleErrorResponse(error);
+        if (ruleResponse) {
+          return ruleResponse;
+        }
+        console.error('Error in create-child-card tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error creating child card: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Creates a card below another card, e.g. a story under an epic. The new card has the parent\'s ID as its parentId and moves through the columns on its own. To move an existing card under another one, set its parentId with update-card (null makes it a top-level card again).'
+  );
+
+  // Get a card with the cards below it
+  server.tool(
+    'get-card-subtree',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      cardId: z.string().min(1, 'Card ID is required').describe('ID of the card at the top of the subtree'),
+      depth: z.number().int().min(0).optional().describe('How many levels of child cards to include (default: all)')
+    },
+    async ({ boardId, cardId, depth }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        const tree = buildCardTree(board.data, cardId, { depth });
+        if (!tree) {
+          return {
+            content: [{ type: 'text', text: `Error: Card with ID ${cardId} not found` }],
+            isError: true
+          };
+        }
+
+        const columnNames = new Map((board.data.columns || []).map(column => [column.id, column.name]));
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              id: board.data.id,
+              rev: board.revision,
+              ancestors: getAncestorIds(board.data, cardId),
+              tree: toCompactTree(tree, columnNames)
+            })
+          }]
+        };
+      } catch (error) {
+        console.error('Error in get-card-subtree tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error getting card subtree: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Gets a card with the cards below it (its children, their children and so on) as a tree, in the compact card format with each card\'s column name (cn). Cards with children include prog: how many of the cards below them are completed, and ch: their children. Cards whose children were cut off by depth include more: the number of children left out. ancestors lists the IDs of the cards above it, parent first.'
+  );
+}
+
+module.exports = { registerHierarchyTools };
@@ -0,0 +1,126 @@
+/**
+ * MCP tools related to typed card links: add-card-link, remove-card-link
+ */
+
+const Board = require('../../models/Board');
+const { z } = require('zod');
+const { ConflictError } = require('../../utils/errors');
+const { LINK_TYPES, getCardLinks, addLink, removeLink } = require('../../utils/links');
+
+const expectedRevisionSchema = z.number().int().min(0).optional()
+  .describe('Board revision this change is based on (from get-board). The write is rejected if the board has changed since');
+
+const linkTypeSchema = z.enum(LINK_TYPES)
+  .describe(`Link type, as seen from cardId: ${LINK_TYPES.join(', ')}`);
+
+/**
+ * Build the error response for a write rejected because the board changed
+ * @param {ConflictError} error - Conflict error
+ * @returns {Object} MCP tool response
+ */
+function conflictResponse(error) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ success: false, ...error.toResponse() }, null, 2) }],
+    isError: true
+  };
+}
+
+/**
+ * Add or remove one link of a card and save the board if it changed
+ * @param {Object} options - The link
+ * @param {string} options.boardId - ID of the board
+ * @param {string} options.cardId - ID of the card the link is seen from
+ * @param {string} options.type - Link type
+ * @param {string} options.targetCardId - ID of the linked card
+ * @param {number} [options.expectedRevision] - Board revision the change is based on
+ * @param {string} options.tool - Name of the tool, recorded as the actor
+ * @param {Function} change - addLink or removeLink
+ * @returns {Promise<Object>} MCP tool response with the card's links, including inverse ones
+ */
+async function changeLink({ boardId, cardId, type, targetCardId, expectedRevision, tool }, change) {
+  const board = await Board.load(boardId);
+  const changed = change(board.data, cardId, type, targetCardId);
+  if (changed) {
+    await board.save({ expectedRevision, actor: `mcp:${tool}` });
+  }
+
+  const titles = new Map((board.data.cards || []).map(card => [card.id, card.title]));
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify({
+        success: true,
+        changed,
+        revision: board.revision,
+        cardId,
+        links: getCardLinks(board.data, cardId).map(link => ({ ...link, title: titles.get(link.cardId) || null }))
+      }, null, 2)
+    }]
+  };
+}
+
+/**
+ * Register card link tools with the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} options - Tool options
+ * @param {Function} options.checkRateLimit - Rate limiting function
+ */
+function registerLinkTools(server, { checkRateLimit }) {
+  // Link two cards
+  server.tool(
+    'add-card-link',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      cardId: z.string().min(1, 'Card ID is required').describe('ID of the card to add the link to'),
+      type: linkTypeSchema,
+      targetCardId: z.string().min(1, 'Target card ID is required').describe('ID of the card to link to'),
+      expectedRevision: expectedRevisionSchema
+    },
+    async (params) => {
+      try {
+        checkRateLimit();
+        return await changeLink({ ...params, tool: 'add-card-link' }, addLink);
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        console.error('Error in add-card-link tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error adding link: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Links a card to another card without resending either card: blocks, blocked-by, relates-to, duplicates, duplicated-by, follows-up or followed-up-by. The other card shows the link as the inverse type (A blocks B shows on B as blocked-by A). Adding a link the cards already have, from either side, does nothing. Returns all links of the card. Links are informational; use dependencies for cards that can\'t be started until others are done.'
+  );
+
+  // Unlink two cards
+  server.tool(
+    'remove-card-link',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      cardId: z.string().min(1, 'Card ID is required').describe('ID of the card the link is seen from'),
+      type: linkTypeSchema,
+      targetCardId: z.string().min(1, 'Target card ID is required').describe('ID of the linked card'),
+      expectedRevision: expectedRevisionSchema
+    },
+    async (params) => {
+      try {
+        checkRateLimit();
+        return await changeLink({ ...params, tool: 'remove-card-link' }, removeLink);
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        console.error('Error in remove-card-link tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error removing link: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Removes a link between two cards, whichever card it was added to: removing "B blocked-by A" also removes "A blocks B". Returns the remaining links of the card.'
+  );
+}
+
+module.exports = { registerLinkTools };
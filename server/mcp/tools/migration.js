@@ -8,6 +8,8 @@ const { z } = require('zod');
 const logger = require('../utils/logger');
 const { createBoardBackup } = require('../utils/boardUtils');
 const { handleError, NotFoundError, ValidationError } = require('../utils/errors');
+const { findDanglingDependencies, findDependencyCycles } = require('../../utils/dependencies');
+const { findDanglingParents, findParentCycles } = require('../../utils/hierarchy');
 
 /**
  * Register migration tools with the MCP server
@@ -64,14 +66,9 @@ function registerMigrationTools(server, { config, checkRateLimit }) {
         }
         
         // Create backup before migration
-        const backupPath = await createBoardBackup(
-          boardId, 
-          board.data, 
-          'pre_migration', 
-          config
-        );
+        const backupId = await createBoardBackup(boardId, board.data, 'pre_migration');
         
-        logger.info('Created backup before migration', { backupPath });
+        logger.info('Created backup before migration', { backupId });
         
         // Initialize cards array
         const cards = [];
@@ -107,7 +104,7 @@ function registerMigrationTools(server, { config, checkRateLimit }) {
         board.data.last_updated = new Date().toISOString();
         
         // Save migrated board
-        await board.save();
+        await board.save({ actor: 'mcp:migrate-to-card-first' });
         
         // Log the successful migration
         logger.audit('board-migration', {
@@ -190,7 +187,11 @@ function registerMigrationTools(server, { config, checkRateLimit }) {
           columnsWithNoItems: 0,
           columnsWithItems: 0,
           orphanedCards: 0,
-          malformedEntities: 0
+          malformedEntities: 0,
+          danglingDependencies: findDanglingDependencies(board.data),
+          dependencyCycles: findDependencyCycles(board.data),
+          danglingParents: findDanglingParents(board.data),
+          parentCycles: findParentCycles(board.data)
         };
         
         // Check columns
@@ -243,6 +244,18 @@ function registerMigrationTools(server, { config, checkRateLimit }) {
         if (analysis.malformedEntities > 0) {
           recommendations.push(`${analysis.malformedEntities} malformed entities should be fixed`);
         }
+
+        // Card relations Board.save checks: dependencies and parent cards
+        [
+          [analysis.danglingDependencies, 'dependencies on cards that are not on the board should be removed'],
+          [analysis.dependencyCycles, 'dependency cycles should be broken by removing a dependency from each'],
+          [analysis.danglingParents, 'cards have a parentId of a card that is not on the board and should be given another parent or none'],
+          [analysis.parentCycles, 'parent cycles should be broken by changing the parentId of a card in each']
+        ].forEach(([issues, recommendation]) => {
+          if (issues.length > 0) {
+            recommendations.push(`${issues.length} ${recommendation}`);
+          }
+        });
         
         logger.info('Board structure verification completed', { boardId, analysis });
         
@@ -267,6 +280,8 @@ function registerMigrationTools(server, { config, checkRateLimit }) {
      - Analyzes board architecture (card-first or column-items)
      - Identifies orphaned cards not associated with valid columns
      - Detects malformed entities with missing required fields
+     - Reports dependencies on cards that are not on the board, and dependency cycles
+     - Reports parentIds of cards that are not on the board, and parent cycles
      - Provides recommendations for fixing issues
      - Helps diagnose problems before they cause application errors
      - Non-destructive read-only operation`
@@ -0,0 +1,199 @@
+/**
+ * MCP tools related to recurring cards: create-recurring-card, list-recurrences, delete-recurrence
+ */
+
+const Board = require('../../models/Board');
+const { z } = require('zod');
+const { ConflictError } = require('../../utils/errors');
+const { FREQUENCIES, describeSchedule, getRecurrenceInputError, createRecurrence } = require('../../utils/recurrences');
+
+const expectedRevisionSchema = z.number().int().min(0).optional()
+  .describe('Board revision this change is based on (from get-board). The write is rejected if the board has changed since');
+
+/**
+ * Build the error response for a write rejected because the board changed
+ * @param {ConflictError} error - Conflict error
+ * @returns {Object} MCP tool response
+ */
+function conflictResponse(error) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ success: false, ...error.toResponse() }, null, 2) }],
+    isError: true
+  };
+}
+
+/**
+ * Register recurring card tools with the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} options - Tool options
+ * @param {Function} options.checkRateLimit - Rate limiting function
+ */
+function registerRecurrenceTools(server, { checkRateLimit }) {
+  // Create a card template that is copied into a column on a schedule
+  server.tool(
+    'create-recurring-card',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      columnId: z.string().min(1, 'Column ID is required').describe('Column the cards are generated in'),
+      cardData: z.union([
+        z.string().min(1, 'Card data string cannot be empty').max(200000, 'Card data string too large'),
+        z.object({}).passthrough()
+      ]).describe('Card template as a JSON string or object: title (required), content, tags, priority, assignee, subtasks and other card fields'),
+      frequency: z.enum(FREQUENCIES)
+        .describe("How often a card is generated: 'daily', 'weekdays' (Monday to Friday), 'weekly', 'monthly' or 'cron'"),
+      time: z.string().optional().describe('Time of day as HH:MM in server local time (default 09:00; not used with cron)'),
+      dayOfWeek: z.number().int().min(0).max(6).optional().describe('Day of the week for weekly cards, 0 (Sunday) to 6 (default 1, Monday)'),
+      dayOfMonth: z.number().int().min(1).max(31).optional().describe('Day of the month for monthly cards (default 1); shorter months use their last day'),
+      cron: z.string().optional().describe("Cron expression for frequency 'cron': minute hour day-of-month month day-of-week, e.g. '0 9 * * 1'"),
+      dueInDays: z.number().int().min(0).optional().describe('Give each generated card a due date this many days after it is generated'),
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, columnId, cardData, frequency, time, dayOfWeek, dayOfMonth, cron, dueInDays, expectedRevision }) => {
+      try {
+        checkRateLimit();
+
+        let card = cardData;
+        if (typeof cardData === 'string') {
+          try {
+            card = JSON.parse(cardData);
+          } catch {
+            return {
+              content: [{ type: 'text', text: 'Error: Invalid JSON format for card data string' }],
+              isError: true
+            };
+          }
+        }
+
+        const board = await Board.load(boardId);
+        const schedule = { frequency, time, dayOfWeek, dayOfMonth, cron };
+        const inputError = getRecurrenceInputError(board.data, { card, columnId, schedule, dueInDays }) ||
+          (!Board.validateItem({ ...card, id: 'template', columnId, position: 0 }) && 'Invalid card template. Check the field types');
+        if (inputError) {
+          return {
+            content: [{ type: 'text', text: `Error: ${inputError}` }],
+            isError: true
+          };
+        }
+
+        const recurrence = createRecurrence({ card, columnId, schedule, dueInDays });
+        board.data.recurrences = [...(board.data.recurrences || []), recurrence];
+        await board.save({ expectedRevision, actor: 'mcp:create-recurring-card' });
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              revision: board.revision,
+              recurrence: { ...recurrence, description: describeSchedule(recurrence.schedule) }
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        console.error('Error in create-recurring-card tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error creating recurring card: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Creates a recurring card: a card template that the server copies into a column on a schedule (daily, on weekdays, weekly, monthly or by cron expression). Generated cards are recorded in card history under the scheduler actor and link back through their recurrenceId.'
+  );
+
+  // List the recurring cards of a board
+  server.tool(
+    'list-recurrences',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board')
+    },
+    async ({ boardId }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        const recurrences = board.data.recurrences || [];
+
+        if (recurrences.length === 0) {
+          return {
+            content: [{ type: 'text', text: `No recurring cards on board ${boardId}. Create one with create-recurring-card.` }]
+          };
+        }
+
+        const columnNames = new Map((board.data.columns || []).map(column => [column.id, column.name]));
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              revision: board.revision,
+              recurrences: recurrences.map(recurrence => ({
+                id: recurrence.id,
+                title: recurrence.card.title,
+                columnId: recurrence.columnId,
+                columnName: columnNames.get(recurrence.columnId) || 'Unknown Column',
+                schedule: recurrence.schedule,
+                description: describeSchedule(recurrence.schedule),
+                ...(recurrence.dueInDays !== undefined ? { dueInDays: recurrence.dueInDays } : {}),
+                next_run_at: recurrence.next_run_at,
+                last_run_at: recurrence.last_run_at || null,
+                last_card_id: recurrence.last_card_id || null
+              }))
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error('Error in list-recurrences tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error listing recurrences: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Lists the recurring cards of a board with their schedules, target columns and next and last runs.'
+  );
+
+  // Stop a recurring card
+  server.tool(
+    'delete-recurrence',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      recurrenceId: z.string().min(1, 'Recurrence ID is required').describe('ID of the recurrence, from list-recurrences'),
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, recurrenceId, expectedRevision }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        const recurrences = board.data.recurrences || [];
+        if (!recurrences.some(recurrence => recurrence.id === recurrenceId)) {
+          return {
+            content: [{ type: 'text', text: `Error: Recurrence ${recurrenceId} not found on board ${boardId}` }],
+            isError: true
+          };
+        }
+
+        board.data.recurrences = recurrences.filter(recurrence => recurrence.id !== recurrenceId);
+        await board.save({ expectedRevision, actor: 'mcp:delete-recurrence' });
+
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: true, revision: board.revision }, null, 2) }]
+        };
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        console.error('Error in delete-recurrence tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error deleting recurrence: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Deletes a recurring card so no more cards are generated from it. Cards it already generated are kept.'
+  );
+}
+
+module.exports = { registerRecurrenceTools };
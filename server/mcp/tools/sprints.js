@@ -0,0 +1,302 @@
+/**
+ * MCP tools related to sprints: list-sprints, create-sprint, start-sprint, close-sprint,
+ * assign-cards-to-sprint, get-sprint-report, delete-sprint
+ */
+
+const Board = require('../../models/Board');
+const { z } = require('zod');
+const { ConflictError } = require('../../utils/errors');
+const {
+  getSprintInputError, createSprint, getActiveSprint, getSprintCards, assignCardsToSprint,
+  startSprint, closeSprint, deleteSprint, getAverageVelocity, getSprintReport
+} = require('../../utils/sprints');
+
+const expectedRevisionSchema = z.number().int().min(0).optional()
+  .describe('Board revision this change is based on (from get-board). The write is rejected if the board has changed since');
+
+const sprintIdSchema = z.string().min(1, 'Sprint ID is required').describe('ID of the sprint (from list-sprints)');
+
+/**
+ * Build the error response for a write rejected because the board changed
+ * @param {ConflictError} error - Conflict error
+ * @returns {Object} MCP tool response
+ */
+function conflictResponse(error) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ success: false, ...error.toResponse() }, null, 2) }],
+    isError: true
+  };
+}
+
+/**
+ * Change the sprints of a board and save it
+ * @param {Object} options - The change
+ * @param {string} options.boardId - ID of the board
+ * @param {number} [options.expectedRevision] - Board revision the change is based on
+ * @param {string} options.tool - Name of the tool, recorded as the actor
+ * @param {function(Object): Object} change - Changes the board data in place and returns the result to report
+ * @returns {Promise<Object>} MCP tool response with the result and the new revision
+ */
+async function changeSprints({ boardId, expectedRevision, tool }, change) {
+  const board = await Board.load(boardId);
+  const result = change(board.data);
+  await board.save({ expectedRevision, actor: `mcp:${tool}` });
+
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify({ success: true, revision: board.revision, ...result }, null, 2)
+    }]
+  };
+}
+
+/**
+ * Register sprint tools with the MCP server
+ * @param {Object} server - MCP server instance
+ * @param {Object} options - Tool options
+ * @param {Function} options.checkRateLimit - Rate limiting function
+ */
+function registerSprintTools(server, { checkRateLimit }) {
+  // List the sprints of a board
+  server.tool(
+    'list-sprints',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board')
+    },
+    async ({ boardId }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        const active = getActiveSprint(board.data);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              revision: board.revision,
+              activeSprintId: active ? active.id : null,
+              averageVelocity: getAverageVelocity(board.data),
+              backlogCount: (board.data.cards || []).filter(card => !card.sprintId && !card.completed_at).length,
+              sprints: (board.data.sprints || []).map(({ committedCardIds, completedCardIds, carriedOverCardIds, ...sprint }) => ({
+                ...sprint,
+                cardCount: getSprintCards(board.data, sprint.id).length
+              }))
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error('Error in list-sprints tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error listing sprints: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Lists the sprints of a board, oldest first: name, goal, dates, status (planned, active or closed), number of cards and, for closed sprints, velocity (cards completed). Also returns the active sprint, the average velocity of the last 3 closed sprints and the number of unfinished cards in the backlog (in no sprint).'
+  );
+
+  // Create a sprint
+  server.tool(
+    'create-sprint',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      name: z.string().min(1, 'Sprint name is required').describe('Name of the sprint, e.g. "Sprint 12"'),
+      goal: z.string().optional().describe('What the sprint sets out to achieve'),
+      startDate: z.string().optional().describe('First day of the sprint as YYYY-MM-DD (default: today)'),
+      endDate: z.string().optional().describe('Last day of the sprint as YYYY-MM-DD (default: two weeks from the start)'),
+      cardIds: z.array(z.string()).optional().describe('IDs of cards to move into the sprint'),
+      start: z.boolean().optional().default(false).describe('Start the sprint straight away'),
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, name, goal, startDate, endDate, cardIds = [], start, expectedRevision }) => {
+      try {
+        checkRateLimit();
+
+        const inputError = getSprintInputError({ name, goal, startDate, endDate });
+        if (inputError) {
+          return {
+            content: [{ type: 'text', text: `Error: ${inputError}` }],
+            isError: true
+          };
+        }
+
+        return await changeSprints({ boardId, expectedRevision, tool: 'create-sprint' }, boardData => {
+          const sprint = createSprint({ name, goal, startDate, endDate });
+          boardData.sprints = [...(boardData.sprints || []), sprint];
+          assignCardsToSprint(boardData, sprint.id, cardIds);
+          if (start) {
+            startSprint(boardData, sprint.id);
+          }
+          return { sprint };
+        });
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        console.error('Error in create-sprint tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error creating sprint: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Creates a planned sprint on a board, with a name, an optional goal and its first and last days (by default it starts today and lasts two weeks). Pass cardIds to plan cards into it, and start: true to start it at once. Only one sprint can be active at a time.'
+  );
+
+  // Start a planned sprint
+  server.tool(
+    'start-sprint',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      sprintId: sprintIdSchema,
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, sprintId, expectedRevision }) => {
+      try {
+        checkRateLimit();
+        return await changeSprints({ boardId, expectedRevision, tool: 'start-sprint' }, boardData => ({
+          sprint: startSprint(boardData, sprintId)
+        }));
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        console.error('Error in start-sprint tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error starting sprint: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Starts a planned sprint and records the cards in it as its commitment; cards added later count as added scope in the sprint report. Fails if another sprint is still active.'
+  );
+
+  // Close the active sprint
+  server.tool(
+    'close-sprint',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      sprintId: sprintIdSchema,
+      carryOverTo: z.string().nullable().optional()
+        .describe('ID of the planned sprint the unfinished cards move to, or null for the backlog (default: the planned sprint that starts first, else the backlog)'),
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, sprintId, carryOverTo, expectedRevision }) => {
+      try {
+        checkRateLimit();
+        return await changeSprints({ boardId, expectedRevision, tool: 'close-sprint' }, boardData => {
+          const { sprint, carriedOverTo } = closeSprint(boardData, sprintId, { carryOverTo });
+          return {
+            sprint,
+            carriedOverTo: carriedOverTo ? { id: carriedOverTo.id, name: carriedOverTo.name } : null
+          };
+        });
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        console.error('Error in close-sprint tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error closing sprint: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Closes the active sprint. Records its velocity (the number of its cards that are completed) and the cards completed and carried over, and moves the unfinished cards to the next planned sprint or back to the backlog. Completed cards stay in the closed sprint.'
+  );
+
+  // Move cards into or out of a sprint
+  server.tool(
+    'assign-cards-to-sprint',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      sprintId: z.string().min(1).nullable().describe('ID of the sprint, or null to move the cards back to the backlog'),
+      cardIds: z.array(z.string().min(1)).min(1, 'At least one card ID is required').describe('IDs of the cards to move'),
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, sprintId, cardIds, expectedRevision }) => {
+      try {
+        checkRateLimit();
+        return await changeSprints({ boardId, expectedRevision, tool: 'assign-cards-to-sprint' }, boardData => ({
+          sprintId,
+          moved: assignCardsToSprint(boardData, sprintId, cardIds)
+        }));
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        console.error('Error in assign-cards-to-sprint tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error assigning cards to sprint: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Moves cards into a planned or active sprint, or back to the backlog with sprintId null, by setting their sprintId. Cards can\'t join a closed sprint. Returns the IDs of the cards that moved; cards already there are left out.'
+  );
+
+  // Report on a sprint
+  server.tool(
+    'get-sprint-report',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      sprintId: z.string().optional().describe('ID of the sprint (default: the active sprint)')
+    },
+    async ({ boardId, sprintId }) => {
+      try {
+        checkRateLimit();
+
+        const board = await Board.load(boardId);
+        const active = getActiveSprint(board.data);
+        if (!sprintId && !active) {
+          return {
+            content: [{ type: 'text', text: 'Error: No sprint is active. Pass the sprintId of the sprint to report on' }],
+            isError: true
+          };
+        }
+
+        const report = getSprintReport(board.data, sprintId || active.id);
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ revision: board.revision, ...report }, null, 2) }]
+        };
+      } catch (error) {
+        console.error('Error in get-sprint-report tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error getting sprint report: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Reports on a sprint: days elapsed and left, the number of cards committed when it started and added since, how many are completed and remaining (carried over, for a closed sprint), the completion rate, its velocity and the average velocity of the last 3 closed sprints, and its cards.'
+  );
+
+  // Delete a sprint
+  server.tool(
+    'delete-sprint',
+    {
+      boardId: z.string().min(1, 'Board ID is required').describe('Unique identifier of the board'),
+      sprintId: sprintIdSchema,
+      expectedRevision: expectedRevisionSchema
+    },
+    async ({ boardId, sprintId, expectedRevision }) => {
+      try {
+        checkRateLimit();
+        return await changeSprints({ boardId, expectedRevision, tool: 'delete-sprint' }, boardData => ({
+          deleted: deleteSprint(boardData, sprintId).id
+        }));
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return conflictResponse(error);
+        }
+        console.error('Error in delete-sprint tool:', error);
+        return {
+          content: [{ type: 'text', text: `Error deleting sprint: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    'Deletes a planned or closed sprint; its cards go back to the backlog. The active sprint has to be closed first. Deleting a closed sprint drops its velocity from the average.'
+  );
+}
+
+module.exports = { registerSprintTools };
@@ -3,6 +3,7 @@
  */
 
 const crypto = require('node:crypto');
+const { isValidSubtask, normalizeSubtasks } = require('../../../utils/subtasks');
 
 /**
  * Creates a basic card object with the minimum required fields
@@ -35,7 +36,7 @@ function createBasicCard({ title, columnId, position = 0, content = "" }) {
  * @param {string} options.columnId ID of the column to place the card in
  * @param {number} [options.position] Position in the column (will be calculated if not provided)
  * @param {string} [options.content] Markdown content for the card
- * @param {Array<string>} options.subtasks List of subtasks (prefix with "✓ " for completed)
+ * @param {Array<string|Object>} options.subtasks List of subtasks, as { text, done } objects or strings (prefix with "✓ " for completed)
  * @param {string} [options.priority] Priority level (high, medium, low)
  * @returns {Object} A properly structured task card with subtasks
  */
@@ -44,7 +45,7 @@ function createTaskCard({ title, columnId, position = 0, content = "", subtasks
   
   return {
     ...baseCard,
-    subtasks,
+    subtasks: normalizeSubtasks(subtasks),
     ...(priority ? { priority } : {})
   };
 }
@@ -58,7 +59,7 @@ function createTaskCard({ title, columnId, position = 0, content = "", subtasks
  * @param {string} [options.content] Markdown content for the card
  * @param {Array<string>} [options.tags] List of tags to categorize the feature
  * @param {Array<string>} [options.dependencies] List of card IDs this feature depends on
- * @param {Array<string>} [options.subtasks] List of subtasks (prefix with "✓ " for completed)
+ * @param {Array<string|Object>} [options.subtasks] List of subtasks, as { text, done } objects or strings (prefix with "✓ " for completed)
  * @returns {Object} A properly structured feature card
  */
 function createFeatureCard({ title, columnId, position = 0, content = "", tags = [], dependencies = [], subtasks = [] }) {
@@ -68,7 +69,7 @@ function createFeatureCard({ title, columnId, position = 0, content = "", tags =
     ...baseCard,
     tags,
     dependencies,
-    subtasks
+    subtasks: normalizeSubtasks(subtasks)
   };
 }
 
@@ -107,6 +108,8 @@ function validateCard(card) {
   
   if (card.subtasks !== undefined && !Array.isArray(card.subtasks)) {
     errors.push('subtasks must be an array');
+  } else if (card.subtasks !== undefined && !card.subtasks.every(isValidSubtask)) {
+    errors.push('subtasks must be strings or objects with a text string');
   }
   
   if (card.tags !== undefined && !Array.isArray(card.tags)) {
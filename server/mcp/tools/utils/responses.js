@@ -0,0 +1,61 @@
+/**
+ * Response helpers shared by the MCP tools that write boards
+ */
+
+const { WipLimitError, DependencyCycleError, ParentCycleError } = require('../../../utils/errors');
+
+// The board rules Board.save enforces, with what to do about a change that breaks each
+const BOARD_RULE_HINTS = new Map([
+  [WipLimitError, 'Finish or move a card out of the column first, raise the column\'s wipLimit with set-wip-limit, or set settings.allowWipLimitExceeding on the board.'],
+  [DependencyCycleError, 'Remove one of the dependencies in each cycle. get-dependency-graph shows what every card depends on.'],
+  [ParentCycleError, 'Give one of the cards in each cycle a different parentId, or remove it. get-card-subtree shows the cards below a card.']
+]);
+
+/**
+ * Builds the error response for a change that breaks a board rule
+ * @param {AppError} error The error raised by Board.save
+ * @param {string} hint What to do about it
+ * @returns {Object} MCP tool response
+ */
+function boardRuleResponse(error, hint) {
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify({
+        success: false,
+        ...error.toResponse(),
+        hint
+      }, null, 2)
+    }],
+    isError: true
+  };
+}
+
+/**
+ * Builds the error response for an error raised by Board.save if it is a board rule error:
+ * a column over its WIP limit, or a dependency or parent cycle
+ * @param {Error} error The error raised by Board.save
+ * @returns {Object|null} MCP tool response, or null for any other error
+ */
+function boardRuleErrorResponse(error) {
+  for (const [ErrorClass, hint] of BOARD_RULE_HINTS) {
+    if (error instanceof ErrorClass) {
+      return boardRuleResponse(error, hint);
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds extra response content for warnings returned by Board.save
+ * @param {Array<string>} [warnings=[]] Warnings about columns over their WIP limit
+ * @returns {Array<Object>} MCP text content, one item per warning
+ */
+function warningContent(warnings = []) {
+  return warnings.map(warning => ({ type: 'text', text: `Warning: ${warning}` }));
+}
+
+module.exports = {
+  boardRuleErrorResponse,
+  warningContent
+};
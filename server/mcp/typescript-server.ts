@@ -6,6 +6,9 @@ import { logger } from '@core/utils';
 async function main() {
   const server = new TypeScriptMcpServer();
   
+  // Deliver board events from MCP tool writes to configured webhooks
+  require('../utils/webhookDispatcher').startWebhookDispatcher();
+
   // Handle graceful shutdown
   const shutdown = async (signal: string) => {
     logger.info(`Received ${signal}, shutting down gracefully...`);
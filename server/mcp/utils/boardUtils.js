@@ -5,9 +5,8 @@
  * code duplication and ensure consistent behavior.
  */
 
-const fs = require('node:fs').promises;
-const path = require('node:path');
 const crypto = require('node:crypto');
+const BoardBackup = require('../../models/BoardBackup');
 
 /**
  * Creates a backup of a board before making changes
@@ -15,68 +14,19 @@ const crypto = require('node:crypto');
  * @param {string} boardId - ID of the board to backup
  * @param {Object} boardData - Board data to backup
  * @param {string} backupType - Type of operation for the backup name (e.g., 'pre_update', 'pre_migration')
- * @param {Object} config - Application configuration containing boardsDir
- * @returns {Promise<string>} Path to the created backup file
+ * @returns {Promise<string>} ID of the created backup
  */
-async function createBoardBackup(boardId, boardData, backupType, config) {
+async function createBoardBackup(boardId, boardData, backupType) {
   try {
-    // Ensure the backups directory exists
-    const backupDir = path.join(config.boardsDir, 'backups');
-    await fs.mkdir(backupDir, { recursive: true });
-    
-    // Create unique backup filename with timestamp and operation type
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupPath = path.join(backupDir, `${boardId}_${timestamp}_${backupType}.json`);
-    
-    // Write the backup file
-    await fs.writeFile(backupPath, JSON.stringify(boardData, null, 2));
-    
-    // Clean up old backups (keep only the most recent 10 per board)
-    await rotateBackups(boardId, backupDir);
-    
-    return backupPath;
+    // Old backups beyond the configured retention are removed as part of the backup
+    const backup = await BoardBackup.create(boardId, boardData, backupType);
+    return backup.id;
   } catch (error) {
     console.error(`Error creating backup for board ${boardId}:`, error);
     throw new Error(`Failed to create backup: ${error.message}`);
   }
 }
 
-/**
- * Rotates backups to prevent disk space issues, keeping only recent backups
- * @async
- * @param {string} boardId - ID of the board to rotate backups for
- * @param {string} backupDir - Directory containing backups
- * @param {number} [maxBackups=10] - Maximum number of backups to keep per board
- */
-async function rotateBackups(boardId, backupDir, maxBackups = 10) {
-  try {
-    // Get all files in the backup directory
-    const files = await fs.readdir(backupDir);
-    
-    // Filter for backups related to this board
-    const boardBackups = files.filter(file => 
-      file.startsWith(`${boardId}_`) && file.endsWith('.json')
-    );
-    
-    // Sort by timestamp (descending) to keep most recent
-    boardBackups.sort().reverse();
-    
-    // Delete older backups beyond the limit
-    if (boardBackups.length > maxBackups) {
-      for (let i = maxBackups; i < boardBackups.length; i++) {
-        try {
-          await fs.unlink(path.join(backupDir, boardBackups[i]));
-        } catch (err) {
-          console.error(`Error deleting old backup ${boardBackups[i]}:`, err);
-        }
-      }
-    }
-  } catch (error) {
-    console.error(`Error rotating backups for board ${boardId}:`, error);
-    // Don't throw, this is a best-effort operation
-  }
-}
-
 /**
  * Parse card data from string or object format consistently
  * @param {string|Object} cardData - Card data as a JSON string or object
@@ -200,7 +150,6 @@ function sanitizeError(error, context = '') {
 
 module.exports = {
   createBoardBackup,
-  rotateBackups,
   parseCardData,
   validateColumn,
   calculatePosition,
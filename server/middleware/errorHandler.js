@@ -1,8 +1,11 @@
 /**
  * @fileoverview Error handling middleware for the application
  * @module middleware/errorHandler
+ * @requires ../utils/errors
  */
 
+const { AppError } = require('../utils/errors');
+
 /**
  * Express error handling middleware
  * @function errorHandler
@@ -20,6 +23,11 @@ const errorHandler = (err, req, res, next) => {
         return res.status(400).json({ error: err.message });
     }
     
+    // Stale revisions, WIP limits, dependency and parent cycles, claimed cards
+    if (err instanceof AppError) {
+        return res.status(err.status).json(err.toResponse());
+    }
+    
     // Default error response
     res.status(500).json({ 
         error: 'Internal Server Error',
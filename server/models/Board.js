@@ -2,7 +2,26 @@ const fs = require('node:fs').promises;
 const path = require('node:path');
 const crypto = require('node:crypto');
 const config = require('../config/config');
-const { ensureBoardsDir, ensureArchivesDir } = require('../utils/fileSystem');
+const { ensureBoardsDir, ensureArchivesDir, withFileLock, writeFileAtomic, writeJsonAtomic } = require('../utils/fileSystem');
+const { ConflictError, WipLimitError, DependencyCycleError, ParentCycleError } = require('../utils/errors');
+const { diffBoards } = require('../utils/boardDiff');
+const { boardEvents } = require('../utils/eventBus');
+const { isValidSubtask, normalizeBoardSubtasks, stampSubtaskCompletion } = require('../utils/subtasks');
+const { isValidWipLimit, allowsWipLimitExceeding, findWipViolations, formatWipViolation } = require('../utils/wipLimits');
+const { isValidSwimlanes, getSwimlanes, getCardLaneId, getLanes } = require('../utils/swimlanes');
+const { isValidCardDate, hasValidDateRange, isOverdue } = require('../utils/dueDates');
+const { isValidRecurrences } = require('../utils/recurrences');
+const { findNewDependencyCycles, formatDependencyCycle } = require('../utils/dependencies');
+const { isValidParentId, findNewParentCycles, formatParentCycle } = require('../utils/hierarchy');
+const { isValidLinks } = require('../utils/links');
+const { getReadyCards } = require('../utils/readyQueue');
+const { isValidClaim, getActiveClaim, expireClaims } = require('../utils/claims');
+const { isValidSprints, isValidSprintId, getActiveSprint, getSprintCards } = require('../utils/sprints');
+const CardHistory = require('./CardHistory');
+const UndoHistory = require('./UndoHistory');
+const FlowSnapshots = require('./FlowSnapshots');
+const BoardBackup = require('./BoardBackup');
+const CardClaims = require('./CardClaims');
 
 /**
  * @fileoverview Board model that handles all kanban board operations.
@@ -12,6 +31,25 @@ const { ensureBoardsDir, ensureArchivesDir } = require('../utils/fileSystem');
  * @requires node:crypto
  * @requires ../config/config
  * @requires ../utils/fileSystem
+ * @requires ../utils/errors
+ * @requires ../utils/boardDiff
+ * @requires ../utils/eventBus
+ * @requires ../utils/subtasks
+ * @requires ../utils/wipLimits
+ * @requires ../utils/swimlanes
+ * @requires ../utils/dueDates
+ * @requires ../utils/recurrences
+ * @requires ../utils/dependencies
+ * @requires ../utils/hierarchy
+ * @requires ../utils/links
+ * @requires ../utils/readyQueue
+ * @requires ../utils/claims
+ * @requires ../utils/sprints
+ * @requires ./CardHistory
+ * @requires ./UndoHistory
+ * @requires ./FlowSnapshots
+ * @requires ./BoardBackup
+ * @requires ./CardClaims
  */
 
 /**
@@ -25,6 +63,12 @@ const { ensureBoardsDir, ensureArchivesDir } = require('../utils/fileSystem');
  * @typedef {Object} BoardColumn
  * @property {string} id - Unique identifier for the column
  * @property {string} name - Display name of the column
+ * @property {number} [wipLimit] - Maximum number of cards the column should hold
+ */
+
+/**
+ * @typedef {Object} BoardSettings
+ * @property {boolean} [allowWipLimitExceeding=false] - Warn about, rather than reject, changes that take a column over its WIP limit
  */
 
 /**
@@ -35,9 +79,19 @@ const { ensureBoardsDir, ensureArchivesDir } = require('../utils/fileSystem');
  * @property {string} columnId - ID of the column this card belongs to
  * @property {number} position - Position within the column (0-indexed)
  * @property {boolean} [collapsed=false] - Whether the card is collapsed
- * @property {Array<string>} [subtasks] - List of subtasks
+ * @property {Array<module:utils/subtasks~Subtask>} [subtasks] - Checklist of subtasks (legacy "✓ text" strings are converted on load)
  * @property {Array<string>} [tags] - List of tags
+ * @property {'high'|'medium'|'low'} [priority] - Priority of the card
+ * @property {string} [assignee] - Person the card is assigned to
  * @property {Array<string>} [dependencies] - List of dependent card IDs
+ * @property {string|null} [parentId] - ID of the card this one is a child of, e.g. its epic
+ * @property {Array<module:utils/links~CardLink>} [links] - Typed links to other cards, such as blocks or duplicates
+ * @property {string|null} [laneId] - ID of the swimlane the card is in, on boards with defined lanes
+ * @property {string|null} [sprintId] - ID of the sprint the card is in; cards without one are in the backlog
+ * @property {string|null} [start_date] - When work on the card is planned to start (ISO timestamp or YYYY-MM-DD)
+ * @property {string|null} [due_date] - When the card is due (ISO timestamp, or YYYY-MM-DD for the end of that day)
+ * @property {string} [recurrenceId] - ID of the recurrence that generated the card
+ * @property {module:utils/claims~CardClaim} [claim] - Lease held by whoever is working on the card, attached when the board is loaded; stored in the board's claims file rather than the board
  * @property {string} [created_at] - ISO timestamp when card was created
  * @property {string} [updated_at] - ISO timestamp of last card update
  * @property {string} [completed_at] - ISO timestamp when card was completed
@@ -53,6 +107,40 @@ const { ensureBoardsDir, ensureArchivesDir } = require('../utils/fileSystem');
  * - 'cards-only': Returns just the cards array without board metadata
  */
 
+/**
+ * Copy board data without the cards' claims, which are stored in the board's claims file
+ * @param {Object} boardData - Board data
+ * @returns {Object} Deep copy of the data without claims
+ * @private
+ */
+function withoutClaims(boardData) {
+    const copy = JSON.parse(JSON.stringify(boardData));
+    if (Array.isArray(copy.cards)) {
+        for (const card of copy.cards) {
+            delete card.claim;
+        }
+    }
+    return copy;
+}
+
+/**
+ * Publish change events for a board on the process event bus
+ * @param {Object} boardData - Board data the events belong to
+ * @param {Array<Object>} events - Events to publish
+ * @private
+ */
+function publishBoardEvents(boardData, events) {
+    for (const event of events) {
+        boardEvents.publish({
+            boardId: boardData.id,
+            last_updated: boardData.last_updated,
+            revision: boardData.revision,
+            ...event,
+            projectName: boardData.projectName
+        });
+    }
+}
+
 /**
  * Class representing a Kanban board
  * @class
@@ -98,7 +186,9 @@ class Board {
                 : config.dataFile;
                 
             const data = await fs.readFile(filePath, 'utf8');
-            return new Board(JSON.parse(data), filePath);
+            const boardData = normalizeBoardSubtasks(JSON.parse(data));
+            await CardClaims.attach(boardData);
+            return new Board(boardData, filePath);
         } catch (error) {
             if (error.code === 'ENOENT') {
                 if (boardId) {
@@ -125,7 +215,6 @@ class Board {
         try {
             // Get all files in the boards directory
             const files = await fs.readdir(config.boardsDir);
-            console.log('Files in boards directory:', files);
             
             const boards = [];
             
@@ -259,71 +348,333 @@ class Board {
     }
 
     /**
-     * Save the board to its file
+     * Get the revision of the board data held by this instance
+     * @returns {number} Revision number (0 for boards saved before revisions existed)
+     */
+    get revision() {
+        return Number.isInteger(this.data.revision) ? this.data.revision : 0;
+    }
+
+    /**
+     * Read the board currently stored on disk
+     * @static
      * @async
-     * @returns {Promise<void>}
+     * @param {string} filePath - Path to the board's JSON file
+     * @returns {Promise<Object|null>} Stored board data (empty if unreadable), or null if the file does not exist
      */
-    async save() {
+    static async readStored(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            // An unreadable file has no meaningful revision to protect
+            return {};
+        }
+    }
+
+    /**
+     * Save the board to its file.
+     * 
+     * Writes are checked against the revision stored on disk: the write is rejected
+     * when the board has been saved by someone else since this data was read.
+     * On success the board's revision is incremented. Card claims are not part of the
+     * written board: they are kept in the board's claims file, and the claims of cards
+     * that are completed or removed are dropped from it.
+     * 
+     * @async
+     * @param {Object} [options={}] - Save options
+     * @param {number} [options.expectedRevision] - Revision the change is based on (defaults to the revision in the board data)
+     * @param {boolean} [options.force=false] - Skip the revision check and overwrite the stored board
+     * @param {string} [options.actor] - Who is making the change (e.g. 'web-ui', 'api', 'mcp:update-card'), recorded in card history
+     * @param {boolean} [options.recordUndo=true] - Record the change as an operation that can be undone
+     * @param {boolean} [options.checkWipLimits=true] - Check that the change doesn't take a column over its WIP limit
+     * @param {boolean} [options.checkDependencies=true] - Check that the change doesn't make cards depend on each other in a circle
+     * @param {boolean} [options.checkHierarchy=true] - Check that the change doesn't make a card its own ancestor
+     * @returns {Promise<{warnings: Array<string>}>} Warnings about columns taken over their WIP limit, when the board allows it
+     * @throws {ConflictError} If the stored board has a different revision than expected
+     * @throws {WipLimitError} If the change takes a column over its WIP limit and the board doesn't allow it
+     * @throws {DependencyCycleError} If the change introduces a dependency cycle
+     * @throws {ParentCycleError} If the change introduces a parent cycle
+     * @throws {Error} If another process holds the board's lock for too long
+     */
+    async save(options = {}) {
+        const {
+            force = false,
+            actor = CardHistory.defaultActor,
+            recordUndo = true,
+            checkWipLimits = true,
+            checkDependencies = true,
+            checkHierarchy = true
+        } = options;
+        const expectedRevision = options.expectedRevision !== undefined
+            ? options.expectedRevision
+            : this.revision;
+
         // Ensure board has an ID
         if (!this.data.id) {
             this.data.id = crypto.randomUUID();
         }
         
-        // Update last_updated timestamp
-        this.data.last_updated = new Date().toISOString();
+        // Determine file path
+        const filePath = this.filePath || path.join(config.boardsDir, `${this.data.id}.json`);
+        
+        // Ensure the directory exists
+        await ensureBoardsDir();
+        
+        let warnings = [];
+
+        // Hold the board's lock so the revision check and the write happen together
+        const events = await withFileLock(filePath, async () => {
+            // Subtasks are compared in object form, so converting legacy strings is not a change
+            const stored = normalizeBoardSubtasks(await Board.readStored(filePath));
+            const currentRevision = stored && (Number.isInteger(stored.revision) ? stored.revision : 0);
+            if (!force && currentRevision !== null && expectedRevision !== currentRevision) {
+                throw new ConflictError(`Board ${this.data.id} has been modified since revision ${expectedRevision}`, {
+                    boardId: this.data.id,
+                    expectedRevision,
+                    currentRevision
+                });
+            }
+
+            const wipViolations = checkWipLimits ? findWipViolations(this.data, stored) : [];
+            if (wipViolations.length && !allowsWipLimitExceeding(this.data)) {
+                throw new WipLimitError(wipViolations.map(formatWipViolation).join('; '), {
+                    boardId: this.data.id,
+                    columns: wipViolations
+                });
+            }
+            warnings = wipViolations.map(formatWipViolation);
 
-        // Handle completion timestamps for card-first architecture
-        if (this.data.columns && this.data.cards) {
-            const doneColumns = this.data.columns
-                .filter(column => column.name.toLowerCase() === 'done')
-                .map(column => column.id);
+            const cycles = checkDependencies ? findNewDependencyCycles(this.data, stored) : [];
+            if (cycles.length) {
+                const descriptions = cycles.map(cycle => formatDependencyCycle(this.data, cycle));
+                throw new DependencyCycleError(`Dependencies would form a cycle: ${descriptions.join('; ')}`, {
+                    boardId: this.data.id,
+                    cycles
+                });
+            }
+
+            const parentCycles = checkHierarchy ? findNewParentCycles(this.data, stored) : [];
+            if (parentCycles.length) {
+                const descriptions = parentCycles.map(cycle => formatParentCycle(this.data, cycle));
+                throw new ParentCycleError(`Parent links would form a cycle: ${descriptions.join('; ')}`, {
+                    boardId: this.data.id,
+                    cycles: parentCycles
+                });
+            }
+
+            this.data.revision = (currentRevision || 0) + 1;
+        
+            // Update last_updated timestamp
+            this.data.last_updated = new Date().toISOString();
+
+            // Handle completion timestamps for card-first architecture
+            if (this.data.columns && this.data.cards) {
+                const doneColumns = this.data.columns
+                    .filter(column => column.name.toLowerCase() === 'done')
+                    .map(column => column.id);
                 
-            for (const card of this.data.cards) {
-                if (doneColumns.includes(card.columnId)) {
-                    // Set completed_at timestamp if card is in a Done column
-                    if (!card.completed_at) {
-                        card.completed_at = new Date().toISOString();
+                for (const card of this.data.cards) {
+                    if (doneColumns.includes(card.columnId)) {
+                        // Set completed_at timestamp if card is in a Done column
+                        if (!card.completed_at) {
+                            card.completed_at = new Date().toISOString();
+                        }
+                    } else {
+                        // Remove completion timestamp if not in a Done column
+                        card.completed_at = null;
                     }
-                } else {
-                    // Remove completion timestamp if not in a Done column
-                    card.completed_at = null;
                 }
             }
-        }
+
+            if (Array.isArray(this.data.cards)) {
+                // A finished card has nothing left to hold; its lease is also dropped from the claims file below
+                expireClaims(this.data);
+                for (const card of this.data.cards) {
+                    if (card.completed_at) delete card.claim;
+                }
+                normalizeBoardSubtasks(this.data);
+                stampSubtaskCompletion(this.data.cards, (stored && stored.cards) || []);
+            }
         
-        // Legacy support for column-based architecture
-        if (this.data.columns && !this.data.cards) {
-            for (const column of this.data.columns) {
-                if (column.items && Array.isArray(column.items)) {
-                    if (column.name.toLowerCase() === 'done') {
-                        for (const item of column.items) {
-                            if (!item.completed_at) {
-                                item.completed_at = new Date().toISOString();
+            // Legacy support for column-based architecture
+            if (this.data.columns && !this.data.cards) {
+                for (const column of this.data.columns) {
+                    if (column.items && Array.isArray(column.items)) {
+                        if (column.name.toLowerCase() === 'done') {
+                            for (const item of column.items) {
+                                if (!item.completed_at) {
+                                    item.completed_at = new Date().toISOString();
+                                }
+                            }
+                        } else {
+                            // Remove completion timestamp if moved out of Done
+                            for (const item of column.items) {
+                                // Set to null instead of using delete operator
+                                item.completed_at = null;
                             }
-                        }
-                    } else {
-                        // Remove completion timestamp if moved out of Done
-                        for (const item of column.items) {
-                            // Set to null instead of using delete operator
-                            item.completed_at = null;
                         }
                     }
                 }
             }
-        }
 
-        // Determine file path
-        const filePath = this.filePath || path.join(config.boardsDir, `${this.data.id}.json`);
-        
-        // Ensure the directory exists
-        await ensureBoardsDir();
-        
-        // Write file
-        await fs.writeFile(filePath, JSON.stringify(this.data, null, 2));
+            // Claims are kept in their own file, so the board as written never carries them
+            const snapshot = withoutClaims(this.data);
+
+            // Write to a temp file and rename it over the board so readers never see a partial file
+            await writeFileAtomic(filePath, JSON.stringify(snapshot, null, 2));
+
+            try {
+                await CardClaims.prune(snapshot);
+            } catch (error) {
+                console.error(`Error pruning card claims for board ${this.data.id}:`, error);
+            }
+
+            const changes = stored
+                ? diffBoards(stored, snapshot)
+                : [{ type: 'board.created', board: snapshot }];
+
+            // Appended while still holding the lock so history follows revision order
+            try {
+                await CardHistory.append(this.data.id, CardHistory.entriesFromEvents(changes, actor));
+            } catch (error) {
+                console.error(`Error recording card history for board ${this.data.id}:`, error);
+            }
+
+            try {
+                await FlowSnapshots.record(this.data);
+            } catch (error) {
+                console.error(`Error recording flow snapshot for board ${this.data.id}:`, error);
+            }
+
+            if (recordUndo && stored && changes.some(event => event.type !== 'board.revised')) {
+                try {
+                    await UndoHistory.record(this.data.id, {
+                        revision: this.data.revision,
+                        actor,
+                        timestamp: this.data.last_updated,
+                        board: stored
+                    });
+                } catch (error) {
+                    console.error(`Error recording undo history for board ${this.data.id}:`, error);
+                }
+            }
+
+            return changes.map(event => ({ ...event, actor }));
+        });
+
+        publishBoardEvents(this.data, events);
+        return { warnings };
     }
     
     /**
-     * Delete a board
+     * Undo the most recent recorded operation on a board
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {Object} [options={}] - Undo options
+     * @param {string} [options.actor] - Who is undoing the operation
+     * @returns {Promise<{board: Board, operation: module:models/UndoHistory~UndoOperation}|null>} The reverted board and the undone operation, or null if there is nothing to undo
+     * @throws {ConflictError} If the board was changed outside the recorded operations
+     */
+    static async undo(boardId, options = {}) {
+        return Board.revertOperation(boardId, 'undo', 'redo', options.actor);
+    }
+
+    /**
+     * Redo the most recently undone operation on a board
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {Object} [options={}] - Redo options
+     * @param {string} [options.actor] - Who is redoing the operation
+     * @returns {Promise<{board: Board, operation: module:models/UndoHistory~UndoOperation}|null>} The updated board and the redone operation, or null if there is nothing to redo
+     * @throws {ConflictError} If the board was changed outside the recorded operations
+     */
+    static async redo(boardId, options = {}) {
+        return Board.revertOperation(boardId, 'redo', 'undo', options.actor);
+    }
+
+    /**
+     * Restore the board saved with the top operation of one stack, and push the
+     * current board onto the other stack so the step can be reversed.
+     * @static
+     * @async
+     * @private
+     * @param {string} boardId - ID of the board
+     * @param {'undo'|'redo'} from - Stack to take the operation from
+     * @param {'undo'|'redo'} to - Stack that receives the reverse operation
+     * @param {string} [actor=CardHistory.defaultActor] - Who is making the change
+     * @returns {Promise<{board: Board, operation: module:models/UndoHistory~UndoOperation}|null>} Result, or null if the stack is empty
+     * @throws {ConflictError} If the board was changed outside the recorded operations
+     */
+    static async revertOperation(boardId, from, to, actor = CardHistory.defaultActor) {
+        const board = await Board.load(boardId);
+        const operation = await UndoHistory.pop(boardId, from);
+        if (!operation) return null;
+
+        // A write that was not recorded (e.g. a failed recording) makes the rest of the stack unsafe to apply
+        if (operation.revision !== board.revision) {
+            await UndoHistory.clear(boardId, from);
+            throw new ConflictError(`Board ${boardId} was changed outside the ${from} history, which has been cleared`, {
+                boardId,
+                expectedRevision: operation.revision,
+                currentRevision: board.revision
+            });
+        }
+
+        const current = board.data;
+        board.data = { ...operation.board, id: boardId, revision: board.revision };
+
+        try {
+            // Going back to an earlier state of the board is never blocked by WIP limits or dependency cycles
+            await board.save({ actor, recordUndo: false, checkWipLimits: false, checkDependencies: false, checkHierarchy: false });
+        } catch (error) {
+            await UndoHistory.push(boardId, from, operation);
+            throw error;
+        }
+
+        await UndoHistory.reverted(boardId, from, to, {
+            revision: board.revision,
+            actor,
+            timestamp: board.data.last_updated,
+            board: current
+        });
+
+        return { board, operation };
+    }
+
+    /**
+     * Restore a board to a backup. The current board is backed up first, and the
+     * restore is saved as a normal change so it can be undone.
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {string} backupId - ID of the backup to restore
+     * @param {Object} [options={}] - Restore options
+     * @param {string} [options.actor] - Who is restoring the backup
+     * @returns {Promise<{board: Board, backup: module:models/BoardBackup~BackupRecord}>} The restored board and the backup it came from
+     * @throws {Error} If the board or backup is not found
+     */
+    static async restoreBackup(boardId, backupId, options = {}) {
+        const { board: data, ...backup } = await BoardBackup.get(boardId, backupId) || {};
+        if (!data) {
+            throw new Error(`Backup ${backupId} not found for board ${boardId}`);
+        }
+
+        const board = await Board.load(boardId);
+        await BoardBackup.create(boardId, board.data, 'pre_restore');
+
+        board.data = { ...data, id: boardId, revision: board.revision };
+        await board.save({ actor: options.actor, checkWipLimits: false, checkDependencies: false, checkHierarchy: false });
+
+        return { board, backup };
+    }
+
+    /**
+     * Delete a board. A 'pre_deletion' backup is taken first.
      * @static
      * @async
      * @param {string} boardId - ID of the board to delete
@@ -339,7 +690,12 @@ class Board {
         
         try {
             await fs.access(filePath);
+            const boardData = await Board.readStored(filePath) || {};
+            await BoardBackup.create(boardId, boardData, 'pre_deletion');
             await fs.unlink(filePath);
+            await UndoHistory.deleteAll(boardId);
+            await CardClaims.deleteAll(boardId);
+            publishBoardEvents({ ...boardData, id: boardId }, [{ type: 'board.deleted', board: boardData }]);
             return { success: true, message: 'Board deleted successfully' };
         } catch (error) {
             if (error.code === 'ENOENT') {
@@ -380,10 +736,11 @@ class Board {
             
             // Write to archives directory
             const archivePath = path.join(Board.archivesDir, `${boardId}.json`);
-            await fs.writeFile(archivePath, JSON.stringify(boardData, null, 2));
+            await writeJsonAtomic(archivePath, boardData);
             
             // Delete original file
             await fs.unlink(filePath);
+            publishBoardEvents({ ...boardData, id: boardId }, [{ type: 'board.archived', archivedAt: boardData.archivedAt }]);
             
             return { 
                 success: true, 
@@ -488,10 +845,11 @@ class Board {
             
             // Write to boards directory
             const boardPath = path.join(config.boardsDir, `${archiveId}.json`);
-            await fs.writeFile(boardPath, JSON.stringify(boardData, null, 2));
+            await writeJsonAtomic(boardPath, boardData);
             
             // Delete archive file
             await fs.unlink(archivePath);
+            publishBoardEvents(boardData, [{ type: 'board.restored', board: boardData }]);
             
             return {
                 id: boardData.id,
@@ -530,8 +888,8 @@ class Board {
         // Set file path
         board.filePath = path.join(config.boardsDir, `${board.data.id}.json`);
         
-        // Save the board
-        await board.save();
+        // Save the board, replacing any existing board with the same ID
+        await board.save({ force: true });
         
         return {
             id: board.data.id,
@@ -553,6 +911,11 @@ class Board {
             this.data.columns.every(this.validateColumn) &&
             (this.data.id === undefined || typeof this.data.id === 'string') &&
             (this.data.description === undefined || typeof this.data.description === 'string') &&
+            (this.data.settings === undefined || (typeof this.data.settings === 'object' && this.data.settings !== null &&
+                (this.data.settings.allowWipLimitExceeding === undefined || typeof this.data.settings.allowWipLimitExceeding === 'boolean'))) &&
+            isValidSwimlanes(this.data.swimlanes) &&
+            isValidRecurrences(this.data.recurrences) &&
+            isValidSprints(this.data.sprints) &&
             (this.data.last_updated === undefined || !Number.isNaN(new Date(this.data.last_updated).getTime()))
         );
         
@@ -571,6 +934,8 @@ class Board {
      * @returns {boolean} True if the column is valid
      */
     validateColumn(column) {
+        if (column && typeof column === 'object' && !isValidWipLimit(column.wipLimit)) return false;
+
         // For card-first architecture
         if (column &&
             typeof column === 'object' &&
@@ -609,6 +974,8 @@ class Board {
         // Card-first architecture specific fields
         if (item.columnId !== undefined && typeof item.columnId !== 'string') return false;
         if (item.position !== undefined && typeof item.position !== 'number') return false;
+        if (item.laneId !== undefined && item.laneId !== null && typeof item.laneId !== 'string') return false;
+        if (item.recurrenceId !== undefined && typeof item.recurrenceId !== 'string') return false;
         
         // Timestamp validations
         const timestampFields = ['created_at', 'updated_at', 'completed_at', 'blocked_at'];
@@ -619,10 +986,15 @@ class Board {
             }
         }
 
+        // Planned dates: timestamps or plain dates, the start no later than the due date
+        if (!isValidCardDate(item.start_date) || !isValidCardDate(item.due_date)) return false;
+        if (!hasValidDateRange(item)) return false;
+
         // Array fields validation
+        // Subtask objects, or legacy strings where a leading "✓" marks the subtask done
         if (item.subtasks !== undefined) {
             if (!Array.isArray(item.subtasks)) return false;
-            if (!item.subtasks.every(task => typeof task === 'string')) return false;
+            if (!item.subtasks.every(isValidSubtask)) return false;
         }
 
         if (item.tags !== undefined) {
@@ -635,6 +1007,14 @@ class Board {
             if (!item.dependencies.every(dep => typeof dep === 'string')) return false;
         }
 
+        if (!isValidParentId(item.parentId)) return false;
+
+        if (!isValidLinks(item.links, item.id)) return false;
+
+        if (!isValidClaim(item.claim)) return false;
+
+        if (!isValidSprintId(item.sprintId)) return false;
+
         return true;
     }
 
@@ -679,8 +1059,9 @@ class Board {
      * 
      * @returns {Object} Summary format containing:
      *   - Basic board metadata (id, name, last_updated)
-     *   - Column information with card counts
-     *   - Statistics (total cards, completed cards, progress percentage)
+     *   - Column information with card counts and overdue card counts
+     *   - Swimlanes with card counts, if the board has lanes
+     *   - Statistics (total cards, completed cards, overdue cards, progress percentage)
      * 
      * @example
      * // Get board summary without loading all card content
@@ -689,20 +1070,25 @@ class Board {
      */
     toSummaryFormat() {
         const { id, projectName, columns, cards, last_updated } = this.data;
+        const revision = this.revision;
         
         // Get card statistics
         const cardCount = cards ? cards.length : 0;
         let completedCount = 0;
+        let overdueCount = 0;
         const cardsByColumn = {};
+        const overdueByColumn = {};
+        const now = Date.now();
         
         // Initialize cardsByColumn with column IDs
         if (columns) {
             columns.forEach(column => {
                 cardsByColumn[column.id] = 0;
+                overdueByColumn[column.id] = 0;
             });
         }
         
-        // Count cards per column and completed cards
+        // Count cards per column, completed cards and overdue cards
         if (cards) {
             cards.forEach(card => {
                 // Increment column count
@@ -714,6 +1100,13 @@ class Board {
                 if (card.completed_at) {
                     completedCount++;
                 }
+                
+                if (isOverdue(card, now)) {
+                    overdueCount++;
+                    if (overdueByColumn[card.columnId] !== undefined) {
+                        overdueByColumn[card.columnId]++;
+                    }
+                }
             });
         }
         
@@ -721,19 +1114,109 @@ class Board {
             id,
             projectName,
             last_updated,
+            revision,
             columns: columns ? columns.map(column => ({
                 id: column.id,
                 name: column.name,
-                cardCount: cardsByColumn[column.id] || 0
+                cardCount: cardsByColumn[column.id] || 0,
+                overdueCount: overdueByColumn[column.id] || 0,
+                ...(Number.isInteger(column.wipLimit) ? { wipLimit: column.wipLimit } : {})
             })) : [],
+            ...this.summarizeSwimlanes(),
+            ...this.summarizeActiveSprint(),
             stats: {
                 totalCards: cardCount,
                 completedCards: completedCount,
+                overdueCards: overdueCount,
                 progressPercentage: cardCount > 0 ? Math.round((completedCount / cardCount) * 100) : 0
             }
         };
     }
 
+    /**
+     * Summarize the active sprint of the board for the summary format
+     * @returns {Object} `{ activeSprint }` with the sprint's dates and card counts, or an empty object if no sprint is active
+     * @private
+     */
+    summarizeActiveSprint() {
+        const sprint = getActiveSprint(this.data);
+        if (!sprint) return {};
+
+        const cards = getSprintCards(this.data, sprint.id);
+        return {
+            activeSprint: {
+                id: sprint.id,
+                name: sprint.name,
+                ...(sprint.goal ? { goal: sprint.goal } : {}),
+                start_date: sprint.start_date,
+                end_date: sprint.end_date,
+                cardCount: cards.length,
+                completedCards: cards.filter(card => card.completed_at).length
+            }
+        };
+    }
+
+    /**
+     * Summarize the swimlanes of the board for the summary format
+     * @returns {Object} `{ swimlanes: { groupBy, lanes } }` with a card count per lane, or an empty object if the board has no lanes
+     * @private
+     */
+    summarizeSwimlanes() {
+        const swimlanes = getSwimlanes(this.data);
+        if (!swimlanes) return {};
+
+        const cards = this.data.cards || [];
+        return {
+            swimlanes: {
+                groupBy: swimlanes.groupBy,
+                lanes: getLanes(this.data).map(lane => ({
+                    ...lane,
+                    cardCount: cards.filter(card => getCardLaneId(card, swimlanes) === lane.id).length
+                }))
+            }
+        };
+    }
+
+    /**
+     * Transform a card to the abbreviated form used by the compact format
+     * @static
+     * @param {BoardCard} card - Card to transform
+     * @returns {Object} Compact card, with optional properties omitted when empty
+     */
+    static toCompactCard(card) {
+        return {
+            id: card.id,
+            t: card.title,
+            col: card.columnId,
+            p: card.position,
+            // Only include other properties if they exist
+            ...(card.content ? { c: card.content } : {}),
+            ...(card.collapsed ? { coll: card.collapsed } : {}),
+            ...(card.subtasks && card.subtasks.length ? {
+                sub: card.subtasks.map(subtask => ({
+                    id: subtask.id,
+                    t: subtask.text,
+                    d: subtask.done,
+                    ...(subtask.assignee ? { a: subtask.assignee } : {})
+                }))
+            } : {}),
+            ...(card.tags && card.tags.length ? { tag: card.tags } : {}),
+            ...(card.priority ? { pri: card.priority } : {}),
+            ...(card.assignee ? { a: card.assignee } : {}),
+            ...(getActiveClaim(card) ? { cl: card.claim.owner } : {}),
+            ...(card.dependencies && card.dependencies.length ? { dep: card.dependencies } : {}),
+            ...(card.parentId ? { par: card.parentId } : {}),
+            ...(card.links && card.links.length ? { lnk: card.links.map(link => [link.type, link.cardId]) } : {}),
+            ...(card.laneId ? { ln: card.laneId } : {}),
+            ...(card.sprintId ? { spr: card.sprintId } : {}),
+            ...(card.start_date ? { st: card.start_date } : {}),
+            ...(card.due_date ? { due: card.due_date } : {}),
+            ...(card.created_at ? { ca: card.created_at } : {}),
+            ...(card.updated_at ? { ua: card.updated_at } : {}),
+            ...(card.completed_at ? { comp: card.completed_at } : {})
+        };
+    }
+
     /**
      * Transform board data to compact format for maximized token efficiency.
      * Uses abbreviated property names and omits optional properties when empty,
@@ -748,40 +1231,49 @@ class Board {
      * // Property mapping examples:
      * // - projectName → name
      * // - last_updated → up
+     * // - revision → rev
      * // - columnId → col
      * // - position → p
      * // - content → c
      * // - completed_at → comp
+     * // - subtasks → sub, each as { id, t: text, d: done }
+     * // - wipLimit → wip (on columns)
+     * // - laneId → ln
+     * // - sprintId → spr
+     * // - priority → pri, assignee → a
+     * // - claim → cl, the owner of an active claim
+     * // - parentId → par
+     * // - links → lnk, each as [type, cardId]
+     * // - start_date → st, due_date → due
+     * // - swimlanes → lanes, as { by: groupBy, l: lanes }
      * 
      * // Get token-efficient compact representation of the board
      * const compactBoard = board.toCompactFormat();
      */
     toCompactFormat() {
         const { id, projectName, columns, cards, last_updated } = this.data;
+        const revision = this.revision;
         
         // Transform cards to more compact representation
-        const compactCards = cards ? cards.map(card => ({
-            id: card.id,
-            t: card.title,
-            col: card.columnId,
-            p: card.position,
-            // Only include other properties if they exist
-            ...(card.content ? { c: card.content } : {}),
-            ...(card.collapsed ? { coll: card.collapsed } : {}),
-            ...(card.subtasks && card.subtasks.length ? { sub: card.subtasks } : {}),
-            ...(card.tags && card.tags.length ? { tag: card.tags } : {}),
-            ...(card.dependencies && card.dependencies.length ? { dep: card.dependencies } : {}),
-            ...(card.created_at ? { ca: card.created_at } : {}),
-            ...(card.updated_at ? { ua: card.updated_at } : {}),
-            ...(card.completed_at ? { comp: card.completed_at } : {})
-        })) : [];
+        const compactCards = cards ? cards.map(card => Board.toCompactCard(card)) : [];
         
         // Return compact representation
         return {
             id,
             name: projectName,
             up: last_updated,
-            cols: columns ? columns.map(col => ({ id: col.id, n: col.name })) : [],
+            rev: revision,
+            cols: columns ? columns.map(col => ({
+                id: col.id,
+                n: col.name,
+                ...(Number.isInteger(col.wipLimit) ? { wip: col.wipLimit } : {})
+            })) : [],
+            ...(getSwimlanes(this.data) ? {
+                lanes: {
+                    by: this.data.swimlanes.groupBy,
+                    ...(this.data.swimlanes.lanes ? { l: this.data.swimlanes.lanes.map(lane => ({ id: lane.id, n: lane.name })) } : {})
+                }
+            } : {}),
             cards: compactCards
         };
     }
@@ -817,6 +1309,30 @@ class Board {
             cards: filteredCards
         };
     }
+
+    /**
+     * Get the cards that can be worked on next, ranked, in the compact card format.
+     * Each card also carries its column name (`cn`) and `od: true` when it is overdue.
+     * 
+     * @param {module:utils/readyQueue~ReadyQueueOptions} [options={}] - Who is asking, and which cards to include
+     * @returns {Object} Board ID (`id`), revision (`rev`), number of ready cards (`total`) and the ranked `cards`
+     */
+    toReadyQueueFormat(options = {}) {
+        const { cards, total } = getReadyCards(this.data, options);
+        const columnNames = new Map((this.data.columns || []).map(column => [column.id, column.name]));
+        const now = Date.now();
+
+        return {
+            id: this.data.id,
+            rev: this.revision,
+            total,
+            cards: cards.map(card => ({
+                ...Board.toCompactCard(card),
+                cn: columnNames.get(card.columnId),
+                ...(isOverdue(card, now) ? { od: true } : {})
+            }))
+        };
+    }
 }
 
 module.exports = Board;
\ No newline at end of file
@@ -0,0 +1,201 @@
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const config = require('../config/config');
+const { ensureDir, withFileLock, writeFileAtomic } = require('../utils/fileSystem');
+
+/**
+ * @fileoverview Point-in-time snapshots of boards, taken before risky operations.
+ * @module models/BoardBackup
+ * @requires node:fs
+ * @requires node:path
+ * @requires ../config/config
+ * @requires ../utils/fileSystem
+ */
+
+/**
+ * Backup file names: `<boardId>_<timestamp>_<operation>.json`, where the timestamp is
+ * an ISO timestamp with `:` and `.` replaced by `-`
+ * @type {RegExp}
+ */
+const BACKUP_FILE_PATTERN = /^(.+)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)_([\w-]+)\.json$/;
+
+/**
+ * Milliseconds in a day
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} BackupRecord
+ * @property {string} id - Backup ID (the file name without extension)
+ * @property {string} boardId - ID of the board
+ * @property {string} operation - Operation the backup was taken before (e.g. 'pre_batch', 'pre_deletion')
+ * @property {string} created_at - ISO timestamp of the backup
+ * @property {number} size - Size of the backup file in bytes
+ */
+
+/**
+ * Class managing board backups
+ * @class
+ * @category Models
+ */
+class BoardBackup {
+    /**
+     * Get the directory containing backups
+     * @static
+     * @returns {string} Backups directory path
+     */
+    static get backupsDir() {
+        return path.join(config.boardsDir, 'backups');
+    }
+
+    /**
+     * Get the retention limits applied to each board's backups
+     * @static
+     * @returns {{maxCount: number, maxAgeDays: number}} Retention settings (0 disables a limit)
+     */
+    static get retention() {
+        return config.backupRetention;
+    }
+
+    /**
+     * Parse a backup file name
+     * @static
+     * @param {string} fileName - Name of a file in the backups directory
+     * @returns {Omit<BackupRecord, 'size'>|null} Backup details, or null if the name is not a backup
+     */
+    static parseFileName(fileName) {
+        const match = BACKUP_FILE_PATTERN.exec(fileName);
+        if (!match) return null;
+
+        const [, boardId, stamp, operation] = match;
+        const [date, time] = stamp.split('T');
+        const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+
+        return {
+            id: path.basename(fileName, '.json'),
+            boardId,
+            operation,
+            created_at: `${date}T${hours}:${minutes}:${seconds}.${millis}Z`
+        };
+    }
+
+    /**
+     * Take a backup of a board and apply the retention limits, holding the board's lock.
+     * Must not be called while the caller holds it.
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {Object} boardData - Board data to back up
+     * @param {string} operation - Operation the backup is taken before (e.g. 'pre_card_update')
+     * @returns {Promise<BackupRecord>} The new backup
+     */
+    static async create(boardId, boardData, operation) {
+        await ensureDir(BoardBackup.backupsDir);
+
+        const timestamp = new Date().toISOString();
+        const id = `${boardId}_${timestamp.replace(/[:.]/g, '-')}_${operation}`;
+        const filePath = path.join(BoardBackup.backupsDir, `${id}.json`);
+        const contents = JSON.stringify(boardData, null, 2);
+
+        // Under the board's lock, so a backup taken by another process can't be pruned
+        // while it is written, nor the same backups pruned twice
+        await withFileLock(path.join(config.boardsDir, `${boardId}.json`), async () => {
+            // Written atomically so a crash never leaves a truncated backup
+            await writeFileAtomic(filePath, contents);
+            await BoardBackup.prune(boardId);
+        });
+
+        return { id, boardId, operation, created_at: timestamp, size: Buffer.byteLength(contents) };
+    }
+
+    /**
+     * List the backups of a board, most recent first
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<Array<BackupRecord>>} Backups of the board
+     */
+    static async list(boardId) {
+        let files;
+        try {
+            files = await fs.readdir(BoardBackup.backupsDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const backups = [];
+        for (const file of files) {
+            const backup = BoardBackup.parseFileName(file);
+            if (!backup || backup.boardId !== boardId) continue;
+
+            try {
+                const stats = await fs.stat(path.join(BoardBackup.backupsDir, file));
+                backups.push({ ...backup, size: stats.size });
+            } catch {
+                // Removed by a concurrent prune
+            }
+        }
+
+        return backups.sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    /**
+     * Read a backup of a board
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {string} backupId - ID of the backup
+     * @returns {Promise<(BackupRecord & {board: Object})|null>} The backup and its board data, or null if not found
+     */
+    static async get(boardId, backupId) {
+        const backup = BoardBackup.parseFileName(`${backupId}.json`);
+        // Only names produced by create() are accepted, which rules out path traversal
+        if (!backup || backup.boardId !== boardId || path.basename(backupId) !== backupId) {
+            return null;
+        }
+
+        try {
+            const filePath = path.join(BoardBackup.backupsDir, `${backupId}.json`);
+            const data = await fs.readFile(filePath, 'utf8');
+            return { ...backup, size: Buffer.byteLength(data), board: JSON.parse(data) };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a board's backups beyond the retention limits. The most recent
+     * backup is always kept.
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<number>} Number of backups deleted
+     */
+    static async prune(boardId) {
+        const { maxCount, maxAgeDays } = BoardBackup.retention;
+        const backups = await BoardBackup.list(boardId);
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * DAY_MS : null;
+
+        const expired = backups.filter((backup, index) => index > 0 && (
+            (maxCount > 0 && index >= maxCount) ||
+            (cutoff !== null && Date.parse(backup.created_at) < cutoff)
+        ));
+
+        for (const backup of expired) {
+            try {
+                await fs.unlink(path.join(BoardBackup.backupsDir, `${backup.id}.json`));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Error deleting old backup ${backup.id}:`, error);
+                }
+            }
+        }
+
+        return expired.length;
+    }
+}
+
+module.exports = BoardBackup;
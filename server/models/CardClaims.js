@@ -0,0 +1,205 @@
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const config = require('../config/config');
+const { ensureDir, withFileLock, writeFileAtomic } = require('../utils/fileSystem');
+const { getActiveClaim } = require('../utils/claims');
+
+/**
+ * @fileoverview The claims held on a board's cards, one file per board. Claims are
+ * kept out of the board file so taking, renewing and releasing a lease doesn't
+ * change the board's revision, history or undo stack. The file is only written
+ * while holding the board's lock, so claim changes and board saves are serialized.
+ * @module models/CardClaims
+ * @requires node:fs
+ * @requires node:path
+ * @requires ../config/config
+ * @requires ../utils/fileSystem
+ * @requires ../utils/claims
+ */
+
+/**
+ * Claims of a board's cards, keyed by card ID
+ * @typedef {Object<string, module:utils/claims~CardClaim>} BoardClaims
+ */
+
+/**
+ * Class managing the claims held on boards' cards
+ * @class
+ * @category Models
+ */
+class CardClaims {
+    /**
+     * Get the directory containing claim files
+     * @static
+     * @returns {string} Claims directory path
+     */
+    static get claimsDir() {
+        return path.join(config.boardsDir, 'claims');
+    }
+
+    /**
+     * Get the path of a board's claims file
+     * @static
+     * @param {string} boardId - ID of the board
+     * @returns {string} Path to the claims file
+     */
+    static getFilePath(boardId) {
+        return path.join(CardClaims.claimsDir, `${boardId}.json`);
+    }
+
+    /**
+     * Read a board's claims file as written
+     * @static
+     * @async
+     * @private
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<string|null>} File contents, or null if the board has no claims file
+     */
+    static async readFile(boardId) {
+        try {
+            return await fs.readFile(CardClaims.getFilePath(boardId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Keep the claims that have not expired
+     * @static
+     * @private
+     * @param {string|null} content - Contents of a claims file
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {BoardClaims} Active claims
+     */
+    static activeClaims(content, now = Date.now()) {
+        const claims = content ? JSON.parse(content) : {};
+        const active = {};
+        for (const [cardId, claim] of Object.entries(claims || {})) {
+            if (getActiveClaim({ claim }, now)) {
+                active[cardId] = claim;
+            }
+        }
+        return active;
+    }
+
+    /**
+     * Read the active claims of a board's cards
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<BoardClaims>} Active claims (empty if none are held or the file is unreadable)
+     */
+    static async read(boardId) {
+        try {
+            return CardClaims.activeClaims(await CardClaims.readFile(boardId));
+        } catch (error) {
+            console.error(`Error reading card claims for board ${boardId}:`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Set each card's `claim` to its active claim, removing claims stored in the board itself
+     * @static
+     * @async
+     * @param {Object} boardData - Board data, changed in place
+     * @returns {Promise<Object>} The board data
+     */
+    static async attach(boardData) {
+        if (!boardData || !boardData.id || !Array.isArray(boardData.cards)) {
+            return boardData;
+        }
+
+        const claims = await CardClaims.read(boardData.id);
+        for (const card of boardData.cards) {
+            if (claims[card.id]) {
+                card.claim = claims[card.id];
+            } else {
+                delete card.claim;
+            }
+        }
+        return boardData;
+    }
+
+    /**
+     * Change a board's claims under the board's lock
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {function(BoardClaims): *} change - Modifies the claims in place and returns a result; may be async
+     * @returns {Promise<*>} Result of the change
+     */
+    static async update(boardId, change) {
+        const boardPath = path.join(config.boardsDir, `${boardId}.json`);
+        return withFileLock(boardPath, () => CardClaims.updateLocked(boardId, change));
+    }
+
+    /**
+     * Change a board's claims when the caller already holds the board's lock.
+     * Expired claims are dropped, and the file is only written if something changed.
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {function(BoardClaims): *} change - Modifies the claims in place and returns a result; may be async
+     * @returns {Promise<*>} Result of the change
+     */
+    static async updateLocked(boardId, change) {
+        const stored = await CardClaims.readFile(boardId);
+        const claims = CardClaims.activeClaims(stored);
+        const result = await change(claims);
+
+        const content = JSON.stringify(claims);
+        if (content === (stored === null ? '{}' : stored)) {
+            return result;
+        }
+        if (Object.keys(claims).length === 0) {
+            await CardClaims.deleteAll(boardId);
+        } else {
+            await ensureDir(CardClaims.claimsDir);
+            await writeFileAtomic(CardClaims.getFilePath(boardId), content);
+        }
+        return result;
+    }
+
+    /**
+     * Drop the claims of cards that are completed or no longer on the board.
+     * Called by Board.save while it holds the board's lock.
+     * @static
+     * @async
+     * @param {Object} boardData - Board data as saved
+     * @returns {Promise<void>}
+     */
+    static async prune(boardData) {
+        const openCards = new Set((boardData.cards || [])
+            .filter(card => !card.completed_at)
+            .map(card => card.id));
+
+        await CardClaims.updateLocked(boardData.id, claims => {
+            for (const cardId of Object.keys(claims)) {
+                if (!openCards.has(cardId)) {
+                    delete claims[cardId];
+                }
+            }
+        });
+    }
+
+    /**
+     * Delete a board's claims
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<void>}
+     */
+    static async deleteAll(boardId) {
+        try {
+            await fs.unlink(CardClaims.getFilePath(boardId));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = CardClaims;
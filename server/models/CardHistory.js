@@ -0,0 +1,215 @@
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const config = require('../config/config');
+const { ensureDir } = require('../utils/fileSystem');
+
+/**
+ * @fileoverview Append-only history of card changes, one JSON Lines file per board.
+ * @module models/CardHistory
+ * @requires node:fs
+ * @requires node:path
+ * @requires ../config/config
+ * @requires ../utils/fileSystem
+ */
+
+/**
+ * Actor recorded for writes that do not say who made them
+ * @type {string}
+ */
+const DEFAULT_ACTOR = process.env.TASKBOARD_ACTOR || 'system';
+
+/**
+ * Card fields that are bookkeeping rather than user-visible changes
+ * @type {Array<string>}
+ */
+const UNTRACKED_FIELDS = ['id', 'updated_at', 'claim'];
+
+/**
+ * Card fields recorded by 'moved' and 'completed' entries rather than 'updated' ones
+ * @type {Array<string>}
+ */
+const MOVE_FIELDS = ['columnId', 'position', 'completed_at'];
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} field - Name of the card field
+ * @property {*} from - Value before the change (null if unset)
+ * @property {*} to - Value after the change (null if removed)
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} timestamp - ISO timestamp of the change
+ * @property {string} boardId - ID of the board
+ * @property {string} cardId - ID of the card
+ * @property {string} action - 'created', 'updated', 'moved', 'completed' or 'deleted'
+ * @property {string} actor - Who made the change, e.g. 'web-ui', 'api', 'mcp:update-card'
+ * @property {number} [revision] - Board revision written by the change
+ * @property {Array<FieldChange>} changes - Field-level changes
+ */
+
+/**
+ * Build field-level changes between two versions of a card
+ * @param {Object} before - Previous card data (empty for new cards)
+ * @param {Object} after - Current card data (empty for deleted cards)
+ * @param {Array<string>} fields - Fields to include
+ * @returns {Array<FieldChange>} Field changes
+ */
+function fieldChanges(before, after, fields) {
+    return fields
+        .filter(field => !UNTRACKED_FIELDS.includes(field))
+        .map(field => ({
+            field,
+            from: before[field] === undefined ? null : before[field],
+            to: after[field] === undefined ? null : after[field]
+        }));
+}
+
+/**
+ * Class managing the card change history of boards
+ * @class
+ * @category Models
+ */
+class CardHistory {
+    /**
+     * Get the directory containing history logs
+     * @static
+     * @returns {string} History directory path
+     */
+    static get historyDir() {
+        return path.join(config.boardsDir, 'history');
+    }
+
+    /**
+     * Get the actor recorded when none is given
+     * @static
+     * @returns {string} Default actor
+     */
+    static get defaultActor() {
+        return DEFAULT_ACTOR;
+    }
+
+    /**
+     * Get the path of a board's history log
+     * @static
+     * @param {string} boardId - ID of the board
+     * @returns {string} Path to the log file
+     */
+    static getFilePath(boardId) {
+        return path.join(CardHistory.historyDir, `${boardId}.jsonl`);
+    }
+
+    /**
+     * Convert board change events into history entries
+     * @static
+     * @param {Array<module:utils/boardDiff~BoardChangeEvent>} events - Events produced by a save
+     * @param {string} actor - Who made the change
+     * @returns {Array<HistoryEntry>} History entries, one per card event
+     */
+    static entriesFromEvents(events, actor) {
+        const timestamp = new Date().toISOString();
+        const entries = [];
+
+        for (const event of events) {
+            const base = { timestamp, boardId: event.boardId, cardId: event.cardId, actor, revision: event.revision };
+            const previous = { ...event.card, ...event.previous };
+
+            switch (event.type) {
+                case 'card.created':
+                    entries.push({ ...base, action: 'created', changes: fieldChanges({}, event.card, Object.keys(event.card)) });
+                    break;
+                case 'card.updated':
+                    // Column, position and completion changes get their own 'moved' and 'completed' entries
+                    entries.push({
+                        ...base,
+                        action: 'updated',
+                        changes: fieldChanges(previous, event.card, event.changes.filter(field => !MOVE_FIELDS.includes(field)))
+                    });
+                    break;
+                case 'card.moved': {
+                    const before = { columnId: event.fromColumnId, position: event.fromPosition };
+                    entries.push({
+                        ...base,
+                        action: 'moved',
+                        changes: fieldChanges(before, event.card, Object.keys(before).filter(field => before[field] !== event.card[field]))
+                    });
+                    break;
+                }
+                case 'card.completed':
+                    entries.push({ ...base, action: 'completed', changes: fieldChanges(previous, event.card, ['completed_at']) });
+                    break;
+                case 'card.deleted':
+                    entries.push({ ...base, action: 'deleted', changes: fieldChanges(event.previous, {}, Object.keys(event.previous)) });
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Append entries to a board's history log
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {Array<HistoryEntry>} entries - Entries to append
+     * @returns {Promise<void>}
+     */
+    static async append(boardId, entries) {
+        if (entries.length === 0) return;
+
+        await ensureDir(CardHistory.historyDir);
+        const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        await fs.appendFile(CardHistory.getFilePath(boardId), lines, 'utf8');
+    }
+
+    /**
+     * Get the history of every card on a board, oldest first
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<Array<HistoryEntry>>} History entries for the board
+     */
+    static async forBoard(boardId) {
+        let data;
+        try {
+            data = await fs.readFile(CardHistory.getFilePath(boardId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of data.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // Skip a line cut short by a crash mid-append
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Get the history of a card, most recent first
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {string} cardId - ID of the card
+     * @param {Object} [options={}] - Query options
+     * @param {number} [options.limit] - Maximum number of entries to return
+     * @returns {Promise<Array<HistoryEntry>>} History entries for the card
+     */
+    static async forCard(boardId, cardId, options = {}) {
+        const entries = (await CardHistory.forBoard(boardId)).filter(entry => entry.cardId === cardId);
+        entries.reverse();
+        return options.limit ? entries.slice(0, options.limit) : entries;
+    }
+}
+
+module.exports = CardHistory;
@@ -0,0 +1,121 @@
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const config = require('../config/config');
+const { ensureDir, writeFileAtomic } = require('../utils/fileSystem');
+
+/**
+ * @fileoverview Daily snapshots of how many cards each column of a board holds, one file per board.
+ * A board's snapshot for the day is rewritten every time the board is saved, so it holds the
+ * counts at the end of the day. Days without a save had the same counts as the day before.
+ * @module models/FlowSnapshots
+ * @requires node:fs
+ * @requires node:path
+ * @requires ../config/config
+ * @requires ../utils/fileSystem
+ */
+
+/**
+ * Number of days kept per board; older snapshots are dropped
+ * @type {number}
+ */
+const MAX_SNAPSHOT_DAYS = 730;
+
+/**
+ * @typedef {Object} FlowSnapshot
+ * @property {string} date - Day of the snapshot (YYYY-MM-DD, UTC)
+ * @property {Object<string, number>} columns - Number of cards in each column, by column ID
+ * @property {number} total - Number of cards on the board
+ * @property {number} completed - Number of completed cards
+ */
+
+/**
+ * Class managing the daily column counts of boards
+ * @class
+ * @category Models
+ */
+class FlowSnapshots {
+    /**
+     * Get the directory containing snapshots
+     * @static
+     * @returns {string} Snapshot directory path
+     */
+    static get snapshotDir() {
+        return path.join(config.boardsDir, 'snapshots');
+    }
+
+    /**
+     * Get the path of a board's snapshots
+     * @static
+     * @param {string} boardId - ID of the board
+     * @returns {string} Path to the snapshots file
+     */
+    static getFilePath(boardId) {
+        return path.join(FlowSnapshots.snapshotDir, `${boardId}.json`);
+    }
+
+    /**
+     * Count the cards of a board as they are now
+     * @static
+     * @param {Object} boardData - Board data
+     * @param {Date} [now=new Date()] - Day to date the snapshot
+     * @returns {FlowSnapshot} Snapshot of the board
+     */
+    static take(boardData, now = new Date()) {
+        const cards = Array.isArray(boardData.cards) ? boardData.cards : [];
+        const columns = {};
+        for (const column of boardData.columns || []) {
+            columns[column.id] = cards.filter(card => card.columnId === column.id).length;
+        }
+        return {
+            date: now.toISOString().slice(0, 10),
+            columns,
+            total: cards.length,
+            completed: cards.filter(card => card.completed_at).length
+        };
+    }
+
+    /**
+     * Read a board's snapshots
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<Array<FlowSnapshot>>} Snapshots, oldest first (empty if none have been recorded)
+     */
+    static async read(boardId) {
+        try {
+            const data = JSON.parse(await fs.readFile(FlowSnapshots.getFilePath(boardId), 'utf8'));
+            return Array.isArray(data.days) ? data.days : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error reading flow snapshots for board ${boardId}:`, error);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Record today's snapshot of a board, replacing the one recorded earlier today.
+     * Called by Board.save while it holds the board's lock, so writes for a board don't overlap.
+     * @static
+     * @async
+     * @param {Object} boardData - Board data, as saved
+     * @param {Date} [now=new Date()] - Time of the save
+     * @returns {Promise<void>}
+     */
+    static async record(boardData, now = new Date()) {
+        if (!Array.isArray(boardData.cards)) return;
+
+        const snapshot = FlowSnapshots.take(boardData, now);
+        const days = (await FlowSnapshots.read(boardData.id)).filter(day => day.date !== snapshot.date);
+        days.push(snapshot);
+        days.sort((a, b) => a.date.localeCompare(b.date));
+
+        await ensureDir(FlowSnapshots.snapshotDir);
+        await writeFileAtomic(FlowSnapshots.getFilePath(boardData.id), JSON.stringify({
+            boardId: boardData.id,
+            days: days.slice(-MAX_SNAPSHOT_DAYS)
+        }));
+    }
+}
+
+module.exports = FlowSnapshots;
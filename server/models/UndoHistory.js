@@ -0,0 +1,212 @@
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const config = require('../config/config');
+const { ensureDir, withFileLock, writeFileAtomic } = require('../utils/fileSystem');
+
+/**
+ * @fileoverview Bounded undo and redo stacks of board operations, one file per board.
+ * @module models/UndoHistory
+ * @requires node:fs
+ * @requires node:path
+ * @requires ../config/config
+ * @requires ../utils/fileSystem
+ */
+
+/**
+ * Number of operations kept on each stack; older operations are dropped
+ * @type {number}
+ */
+const MAX_UNDO_DEPTH = parseInt(process.env.TASKBOARD_UNDO_DEPTH, 10) || 50;
+
+/**
+ * @typedef {Object} UndoOperation
+ * @property {number} revision - Board revision written by the operation
+ * @property {string} actor - Who made the operation
+ * @property {string} timestamp - ISO timestamp of the operation
+ * @property {Object} board - Board data from before the operation, restored when it is reverted
+ */
+
+/**
+ * @typedef {Object} UndoStacks
+ * @property {Array<UndoOperation>} undo - Operations that can be undone, oldest first
+ * @property {Array<UndoOperation>} redo - Undone operations that can be redone, oldest first
+ */
+
+/**
+ * Class managing the undo and redo stacks of boards
+ * @class
+ * @category Models
+ */
+class UndoHistory {
+    /**
+     * Get the directory containing undo stacks
+     * @static
+     * @returns {string} Undo directory path
+     */
+    static get undoDir() {
+        return path.join(config.boardsDir, 'undo');
+    }
+
+    /**
+     * Get the path of a board's undo stacks
+     * @static
+     * @param {string} boardId - ID of the board
+     * @returns {string} Path to the stacks file
+     */
+    static getFilePath(boardId) {
+        return path.join(UndoHistory.undoDir, `${boardId}.json`);
+    }
+
+    /**
+     * Read a board's undo and redo stacks
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<UndoStacks>} The stacks (empty if none have been recorded)
+     */
+    static async read(boardId) {
+        try {
+            const stacks = JSON.parse(await fs.readFile(UndoHistory.getFilePath(boardId), 'utf8'));
+            return {
+                undo: Array.isArray(stacks.undo) ? stacks.undo : [],
+                redo: Array.isArray(stacks.redo) ? stacks.redo : []
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error reading undo history for board ${boardId}:`, error);
+            }
+            return { undo: [], redo: [] };
+        }
+    }
+
+    /**
+     * Change a board's stacks under their lock
+     * @static
+     * @async
+     * @private
+     * @param {string} boardId - ID of the board
+     * @param {function(UndoStacks): *} change - Modifies the stacks in place and returns a result
+     * @returns {Promise<*>} Result of the change
+     */
+    static async update(boardId, change) {
+        await ensureDir(UndoHistory.undoDir);
+        const filePath = UndoHistory.getFilePath(boardId);
+
+        return withFileLock(filePath, async () => {
+            const stacks = await UndoHistory.read(boardId);
+            const result = change(stacks);
+            stacks.undo = stacks.undo.slice(-MAX_UNDO_DEPTH);
+            stacks.redo = stacks.redo.slice(-MAX_UNDO_DEPTH);
+            await writeFileAtomic(filePath, JSON.stringify(stacks));
+            return result;
+        });
+    }
+
+    /**
+     * Record a new operation. Anything that could be redone is discarded.
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {UndoOperation} operation - The operation
+     * @returns {Promise<void>}
+     */
+    static async record(boardId, operation) {
+        await UndoHistory.update(boardId, stacks => {
+            stacks.undo.push(operation);
+            stacks.redo = [];
+        });
+    }
+
+    /**
+     * Push an operation onto one of the stacks
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {'undo'|'redo'} stack - Stack to push onto
+     * @param {UndoOperation} operation - The operation
+     * @returns {Promise<void>}
+     */
+    static async push(boardId, stack, operation) {
+        await UndoHistory.update(boardId, stacks => {
+            stacks[stack].push(operation);
+        });
+    }
+
+    /**
+     * Record that the most recent operation of one stack was reverted. The reverse
+     * operation is pushed onto the other stack, and the next operation of the first
+     * stack, which applies to the board as it has just been restored, is moved to the
+     * revision that restored it.
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {'undo'|'redo'} from - Stack the reverted operation was taken from
+     * @param {'undo'|'redo'} to - Stack that receives the reverse operation
+     * @param {UndoOperation} reverse - The reverse operation
+     * @returns {Promise<void>}
+     */
+    static async reverted(boardId, from, to, reverse) {
+        await UndoHistory.update(boardId, stacks => {
+            const next = stacks[from][stacks[from].length - 1];
+            if (next) {
+                next.revision = reverse.revision;
+            }
+            stacks[to].push(reverse);
+        });
+    }
+
+    /**
+     * Remove and return the most recent operation of one of the stacks
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {'undo'|'redo'} stack - Stack to pop from
+     * @returns {Promise<UndoOperation|null>} The operation, or null if the stack is empty
+     */
+    static async pop(boardId, stack) {
+        return UndoHistory.update(boardId, stacks => stacks[stack].pop() || null);
+    }
+
+    /**
+     * Empty one of the stacks
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @param {'undo'|'redo'} stack - Stack to empty
+     * @returns {Promise<void>}
+     */
+    static async clear(boardId, stack) {
+        await UndoHistory.update(boardId, stacks => {
+            stacks[stack] = [];
+        });
+    }
+
+    /**
+     * Get how many operations can be undone and redone
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<{undoable: number, redoable: number}>} Stack depths
+     */
+    static async status(boardId) {
+        const stacks = await UndoHistory.read(boardId);
+        return { undoable: stacks.undo.length, redoable: stacks.redo.length };
+    }
+
+    /**
+     * Delete a board's undo and redo stacks
+     * @static
+     * @async
+     * @param {string} boardId - ID of the board
+     * @returns {Promise<void>}
+     */
+    static async deleteAll(boardId) {
+        try {
+            await fs.unlink(UndoHistory.getFilePath(boardId));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = UndoHistory;
@@ -3,6 +3,8 @@ const path = require('node:path');
 const crypto = require('node:crypto');
 const config = require('../config/config');
 const { ensureWebhooksDir } = require('../utils/fileSystem');
+const { RetryHandler, CircuitBreaker } = require('../core/errors/recovery');
+const WebhookDelivery = require('./WebhookDelivery');
 const axios = require('axios');
 
 /**
@@ -14,14 +16,62 @@ const axios = require('axios');
  * @requires axios
  * @requires ../config/config
  * @requires ../utils/fileSystem
+ * @requires ../core/errors/recovery
+ * @requires ./WebhookDelivery
  */
 
+/**
+ * Retry policy for event deliveries: up to 5 attempts, backing off from 1s to 30s.
+ * Network failures, timeouts and 5xx responses are retried; 4xx responses are not.
+ * @type {Object}
+ */
+const DELIVERY_RETRY_OPTIONS = {
+    maxAttempts: 5,
+    initialDelay: 1000,
+    maxDelay: 30000,
+    backoffMultiplier: 2,
+    retryableErrors: ['ECONNRESET', 'ENOTFOUND', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'ERR_BAD_RESPONSE']
+};
+
+/**
+ * Circuit breaker policy per webhook: stop delivering after 5 failed deliveries in a row
+ * and try again after a minute
+ * @type {Object}
+ */
+const DELIVERY_CIRCUIT_OPTIONS = {
+    failureThreshold: 5,
+    recoveryTimeout: 60000,
+    monitoringPeriod: 60000
+};
+
+/**
+ * Timeout for a single delivery request, in milliseconds
+ * @type {number}
+ */
+const DELIVERY_TIMEOUT_MS = 5000;
+
+/**
+ * Time after which a delivery that is still pending was abandoned by the process sending
+ * it, in milliseconds. Far longer than a delivery takes with all its retries.
+ * @type {number}
+ */
+const DELIVERY_ABANDONED_MS = 5 * 60 * 1000;
+
+const retryHandler = new RetryHandler();
+
+/**
+ * Circuit breakers by webhook ID
+ * @type {Map<string, CircuitBreaker>}
+ */
+const circuitBreakers = new Map();
+
 /**
  * @typedef {Object} WebhookData
  * @property {string} id - Unique identifier for the webhook
  * @property {string} name - Display name of the webhook
  * @property {string} url - URL endpoint to send webhook data to
  * @property {string} event - Event type that triggers this webhook
+ * @property {string} [secret] - Shared secret used to sign deliveries (never returned by the API)
  * @property {string} created_at - ISO timestamp when webhook was created
  */
 
@@ -81,6 +131,7 @@ class Webhook {
                         name: webhookData.name || 'Unnamed Webhook',
                         url: webhookData.url,
                         event: webhookData.event,
+                        hasSecret: Boolean(webhookData.secret),
                         created_at: webhookData.created_at || null
                     });
                 } catch (err) {
@@ -130,7 +181,8 @@ class Webhook {
      * @param {string} webhookData.name - Name for the webhook
      * @param {string} webhookData.url - URL endpoint
      * @param {string} webhookData.event - Event type
-     * @returns {Promise<WebhookData>} Data of the created webhook
+     * @param {string} [webhookData.secret] - Shared secret used to sign deliveries
+     * @returns {Promise<WebhookData>} Public data of the created webhook
      * @throws {Error} If required fields are missing
      */
     static async create(webhookData) {
@@ -146,12 +198,13 @@ class Webhook {
             name: webhookData.name,
             url: webhookData.url,
             event: webhookData.event,
+            ...(webhookData.secret ? { secret: webhookData.secret } : {}),
             created_at: new Date().toISOString()
         }, path.join(config.webhooksDir, `${webhookId}.json`));
         
         await webhook.save();
         
-        return webhook.data;
+        return webhook.toPublicFormat();
     }
     
     /**
@@ -193,6 +246,8 @@ class Webhook {
         try {
             await fs.access(filePath);
             await fs.unlink(filePath);
+            await WebhookDelivery.deleteAll(webhookId);
+            circuitBreakers.delete(webhookId);
             return { success: true, message: 'Webhook deleted successfully' };
         } catch (error) {
             if (error.code === 'ENOENT') {
@@ -223,11 +278,13 @@ class Webhook {
                 }
             };
             
-            // Send the test request
-            const response = await axios.post(webhook.data.url, payload, {
+            // Send the test request, signed like a real delivery
+            const body = JSON.stringify(payload);
+            const response = await axios.post(webhook.data.url, body, {
                 headers: {
                     'Content-Type': 'application/json',
-                    'X-Webhook-Test': 'true'
+                    'X-Webhook-Test': 'true',
+                    ...webhook.signatureHeaders(body)
                 },
                 timeout: 5000 // 5 second timeout
             });
@@ -246,6 +303,171 @@ class Webhook {
         }
     }
     
+    /**
+     * Build the signature headers for a request body.
+     * The signature is the hex HMAC-SHA256 of `<timestamp>.<body>` using the webhook secret,
+     * so receivers can verify both the sender and the freshness of the request.
+     * @param {string} body - Serialized request body
+     * @returns {Object} X-Webhook-Timestamp and X-Webhook-Signature headers, or none without a secret
+     */
+    signatureHeaders(body) {
+        if (!this.data.secret) {
+            return {};
+        }
+        
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = crypto
+            .createHmac('sha256', this.data.secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+        
+        return {
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${signature}`
+        };
+    }
+    
+    /**
+     * Deliver an event payload, retrying failures with exponential backoff.
+     * Every attempt is recorded in the webhook's delivery log.
+     * @async
+     * @param {Object} payload - Event payload to send
+     * @param {Object} [options={}] - Delivery options
+     * @param {string} [options.redeliveryOf] - ID of the delivery being repeated
+     * @returns {Promise<module:models/WebhookDelivery~DeliveryRecord>} The completed delivery
+     */
+    async deliver(payload, options = {}) {
+        return this.send(this.createDelivery(payload, options));
+    }
+    
+    /**
+     * Create the record of a delivery that has not been sent yet
+     * @param {Object} payload - Event payload to send
+     * @param {Object} [options={}] - Delivery options
+     * @param {string} [options.redeliveryOf] - ID of the delivery being repeated
+     * @returns {module:models/WebhookDelivery~DeliveryRecord} Pending delivery
+     */
+    createDelivery(payload, options = {}) {
+        return {
+            id: crypto.randomUUID(),
+            webhookId: this.data.id,
+            event: payload.event,
+            payload,
+            status: 'pending',
+            attempts: [],
+            ...(options.redeliveryOf ? { redelivery_of: options.redeliveryOf } : {}),
+            created_at: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Send a pending delivery, retrying failures with exponential backoff
+     * @async
+     * @param {module:models/WebhookDelivery~DeliveryRecord} delivery - Delivery created by {@link Webhook#createDelivery}
+     * @returns {Promise<module:models/WebhookDelivery~DeliveryRecord>} The completed delivery
+     */
+    async send(delivery) {
+        const { payload } = delivery;
+        let breaker = circuitBreakers.get(this.data.id);
+        if (!breaker) {
+            breaker = new CircuitBreaker(`webhook ${this.data.id}`, DELIVERY_CIRCUIT_OPTIONS);
+            circuitBreakers.set(this.data.id, breaker);
+        }
+        
+        try {
+            await breaker.execute(() => retryHandler.retry(async (attempt) => {
+                const startedAt = Date.now();
+                const entry = { attempt, timestamp: new Date(startedAt).toISOString() };
+                delivery.attempts.push(entry);
+                
+                try {
+                    const body = JSON.stringify(payload);
+                    const response = await axios.post(this.data.url, body, {
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'X-Webhook-Event': payload.event,
+                            'X-Webhook-Delivery': delivery.id,
+                            ...this.signatureHeaders(body)
+                        },
+                        timeout: DELIVERY_TIMEOUT_MS
+                    });
+                    entry.statusCode = response.status;
+                    return response;
+                } catch (error) {
+                    if (error.response) {
+                        entry.statusCode = error.response.status;
+                    }
+                    entry.error = error.message;
+                    throw error;
+                } finally {
+                    entry.duration_ms = Date.now() - startedAt;
+                    await WebhookDelivery.record(delivery);
+                }
+            }, DELIVERY_RETRY_OPTIONS));
+            
+            delivery.status = 'succeeded';
+        } catch (error) {
+            delivery.status = 'failed';
+            delivery.error = error.message;
+        }
+        
+        delivery.completed_at = new Date().toISOString();
+        await WebhookDelivery.record(delivery);
+        
+        return delivery;
+    }
+    
+    /**
+     * Queue the payload of a previous delivery to be sent again, as a new delivery.
+     * The delivery is logged as pending and sent in the background; its attempts and
+     * final status are recorded in the delivery log. If the process exits before the
+     * delivery completes, it is marked as failed by {@link Webhook.failAbandonedDeliveries}.
+     * @static
+     * @async
+     * @param {string} webhookId - ID of the webhook
+     * @param {string} deliveryId - ID of the delivery to repeat
+     * @returns {Promise<module:models/WebhookDelivery~DeliveryRecord>} The new, pending delivery
+     * @throws {Error} If the webhook or delivery is not found
+     */
+    static async redeliver(webhookId, deliveryId) {
+        const webhook = await Webhook.getById(webhookId);
+        const original = await WebhookDelivery.getById(webhookId, deliveryId);
+        
+        const delivery = webhook.createDelivery(original.payload, { redeliveryOf: deliveryId });
+        await WebhookDelivery.record(delivery);
+        
+        // Sent from a copy, so the delivery returned still shows it as queued
+        webhook.send({ ...delivery, attempts: [] }).catch(error => {
+            console.error(`Error redelivering ${deliveryId} for webhook ${webhookId}:`, error);
+        });
+        
+        return delivery;
+    }
+    
+    /**
+     * Mark the deliveries of every webhook that were left pending by a process that
+     * exited before completing them as failed
+     * @static
+     * @async
+     * @returns {Promise<number>} Number of deliveries marked as failed
+     */
+    static async failAbandonedDeliveries() {
+        let failed = 0;
+        for (const { id } of await Webhook.getAll()) {
+            failed += await WebhookDelivery.failAbandoned(id, DELIVERY_ABANDONED_MS);
+        }
+        return failed;
+    }
+    
+    /**
+     * Get the webhook data that is safe to return to clients
+     * @returns {Object} Webhook data without the secret, with a hasSecret flag
+     */
+    toPublicFormat() {
+        const { secret, ...data } = this.data;
+        return { ...data, hasSecret: Boolean(secret) };
+    }
+    
     /**
      * Test a webhook connection without saving the webhook
      * @static
@@ -304,6 +526,7 @@ class Webhook {
             typeof this.data.name === 'string' &&
             typeof this.data.url === 'string' &&
             typeof this.data.event === 'string' &&
+            (this.data.secret === undefined || typeof this.data.secret === 'string') &&
             (this.data.id === undefined || typeof this.data.id === 'string') &&
             (this.data.created_at === undefined || !Number.isNaN(new Date(this.data.created_at).getTime()))
         );
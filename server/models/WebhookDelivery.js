@@ -0,0 +1,177 @@
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const config = require('../config/config');
+const { ensureDir, withFileLock, writeFileAtomic } = require('../utils/fileSystem');
+
+/**
+ * @fileoverview Delivery log recording every attempt to deliver a webhook event.
+ * @module models/WebhookDelivery
+ * @requires node:fs
+ * @requires node:path
+ * @requires ../config/config
+ * @requires ../utils/fileSystem
+ */
+
+/**
+ * Number of deliveries kept per webhook; older entries are dropped
+ * @type {number}
+ */
+const MAX_DELIVERIES = 100;
+
+/**
+ * @typedef {Object} DeliveryAttempt
+ * @property {number} attempt - Attempt number, starting at 1
+ * @property {string} timestamp - ISO timestamp when the attempt was made
+ * @property {number} [statusCode] - HTTP status returned by the receiver
+ * @property {string} [error] - Error message if the attempt failed
+ * @property {number} duration_ms - Time taken by the request
+ */
+
+/**
+ * @typedef {Object} DeliveryRecord
+ * @property {string} id - Unique identifier for the delivery (sent as X-Webhook-Delivery)
+ * @property {string} webhookId - ID of the webhook delivered to
+ * @property {string} event - Event type
+ * @property {Object} payload - Payload that was sent
+ * @property {string} status - 'pending', 'succeeded' or 'failed'
+ * @property {Array<DeliveryAttempt>} attempts - Every attempt made for this delivery
+ * @property {string} [error] - Final error for failed deliveries
+ * @property {string} [redelivery_of] - ID of the delivery this one repeats
+ * @property {string} created_at - ISO timestamp when the delivery started
+ * @property {string} [completed_at] - ISO timestamp when the delivery finished
+ */
+
+/**
+ * Class managing the delivery log of webhooks
+ * @class
+ * @category Models
+ */
+class WebhookDelivery {
+    /**
+     * Get the directory containing delivery logs
+     * @static
+     * @returns {string} Deliveries directory path
+     */
+    static get deliveriesDir() {
+        return path.join(config.webhooksDir, 'deliveries');
+    }
+
+    /**
+     * Get the path of a webhook's delivery log
+     * @static
+     * @param {string} webhookId - ID of the webhook
+     * @returns {string} Path to the log file
+     */
+    static getFilePath(webhookId) {
+        return path.join(WebhookDelivery.deliveriesDir, `${webhookId}.json`);
+    }
+
+    /**
+     * List deliveries for a webhook, most recent first
+     * @static
+     * @async
+     * @param {string} webhookId - ID of the webhook
+     * @returns {Promise<Array<DeliveryRecord>>} Recorded deliveries
+     */
+    static async list(webhookId) {
+        try {
+            const data = await fs.readFile(WebhookDelivery.getFilePath(webhookId), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single delivery
+     * @static
+     * @async
+     * @param {string} webhookId - ID of the webhook
+     * @param {string} deliveryId - ID of the delivery
+     * @returns {Promise<DeliveryRecord>} The delivery
+     * @throws {Error} If the delivery is not found
+     */
+    static async getById(webhookId, deliveryId) {
+        const deliveries = await WebhookDelivery.list(webhookId);
+        const delivery = deliveries.find(d => d.id === deliveryId);
+        if (!delivery) {
+            throw new Error(`Delivery with ID ${deliveryId} not found`);
+        }
+        return delivery;
+    }
+
+    /**
+     * Insert or update a delivery in its webhook's log
+     * @static
+     * @async
+     * @param {DeliveryRecord} delivery - Delivery to record
+     * @returns {Promise<void>}
+     */
+    static async record(delivery) {
+        await ensureDir(WebhookDelivery.deliveriesDir);
+        const filePath = WebhookDelivery.getFilePath(delivery.webhookId);
+
+        await withFileLock(filePath, async () => {
+            const deliveries = (await WebhookDelivery.list(delivery.webhookId))
+                .filter(d => d.id !== delivery.id);
+            deliveries.unshift(delivery);
+            await writeFileAtomic(filePath, JSON.stringify(deliveries.slice(0, MAX_DELIVERIES), null, 2));
+        });
+    }
+
+    /**
+     * Mark deliveries left pending by a process that exited before finishing them as failed,
+     * so the log doesn't show them as pending forever and they can be redelivered
+     * @static
+     * @async
+     * @param {string} webhookId - ID of the webhook
+     * @param {number} maxAgeMs - Time since a pending delivery's last attempt after which it is abandoned
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {Promise<number>} Number of deliveries marked as failed
+     */
+    static async failAbandoned(webhookId, maxAgeMs, now = Date.now()) {
+        const isAbandoned = (delivery) => {
+            const last = delivery.attempts.length
+                ? delivery.attempts[delivery.attempts.length - 1].timestamp
+                : delivery.created_at;
+            return delivery.status === 'pending' && now - Date.parse(last) > maxAgeMs;
+        };
+
+        if (!(await WebhookDelivery.list(webhookId)).some(isAbandoned)) {
+            return 0;
+        }
+
+        const filePath = WebhookDelivery.getFilePath(webhookId);
+        return withFileLock(filePath, async () => {
+            const deliveries = await WebhookDelivery.list(webhookId);
+            const abandoned = deliveries.filter(isAbandoned);
+            for (const delivery of abandoned) {
+                delivery.status = 'failed';
+                delivery.error = 'Delivery was interrupted before it completed';
+                delivery.completed_at = new Date(now).toISOString();
+            }
+            await writeFileAtomic(filePath, JSON.stringify(deliveries, null, 2));
+            return abandoned.length;
+        });
+    }
+
+    /**
+     * Delete the delivery log of a webhook
+     * @static
+     * @async
+     * @param {string} webhookId - ID of the webhook
+     * @returns {Promise<void>}
+     */
+    static async deleteAll(webhookId) {
+        try {
+            await fs.unlink(WebhookDelivery.getFilePath(webhookId));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = WebhookDelivery;
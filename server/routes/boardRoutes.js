@@ -58,6 +58,181 @@ router.post('/boards/import', boardController.importBoard);
  */
 router.get('/boards/:id', boardController.getBoardById);
 
+/**
+ * @name GET-/boards/:id/events
+ * @description Stream real-time board changes as Server-Sent Events
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/events', boardController.streamBoardEvents);
+
+/**
+ * @name GET-/boards/:id/cards/:cardId/history
+ * @description Get the change history of a card, most recent first
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/cards/:cardId/history', boardController.getCardHistory);
+
+/**
+ * @name POST-/boards/:id/cards/:cardId/links
+ * @description Link a card to another card
+ * @memberof module:routes/boardRoutes
+ */
+router.post('/boards/:id/cards/:cardId/links', boardController.addCardLink);
+
+/**
+ * @name DELETE-/boards/:id/cards/:cardId/links/:type/:targetId
+ * @description Remove a link between two cards
+ * @memberof module:routes/boardRoutes
+ */
+router.delete('/boards/:id/cards/:cardId/links/:type/:targetId', boardController.removeCardLink);
+
+/**
+ * @name POST-/boards/:id/undo
+ * @description Undo the most recent change to a board
+ * @memberof module:routes/boardRoutes
+ */
+router.post('/boards/:id/undo', boardController.undoBoard);
+
+/**
+ * @name POST-/boards/:id/redo
+ * @description Redo the most recently undone change to a board
+ * @memberof module:routes/boardRoutes
+ */
+router.post('/boards/:id/redo', boardController.redoBoard);
+
+/**
+ * @name GET-/boards/:id/backups
+ * @description List the backups of a board, most recent first
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/backups', boardController.getBackups);
+
+/**
+ * @name GET-/boards/:id/backups/:backupId
+ * @description Get a backup of a board and the changes made since it was taken
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/backups/:backupId', boardController.getBackup);
+
+/**
+ * @name POST-/boards/:id/backups/:backupId/restore
+ * @description Restore a board to one of its backups
+ * @memberof module:routes/boardRoutes
+ */
+router.post('/boards/:id/backups/:backupId/restore', boardController.restoreBackup);
+
+/**
+ * @name GET-/boards/:id/dependencies
+ * @description Get the dependency graph of a board, with blocked cards, topological order, critical path, cycles and dangling references
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/dependencies', boardController.getDependencies);
+
+/**
+ * @name GET-/boards/:id/ready
+ * @description Get the ranked cards of a board that can be worked on next, in the compact format
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/ready', boardController.getReadyCards);
+
+/**
+ * @name GET-/boards/:id/analytics
+ * @description Get the flow analytics of a board: lead time, cycle time, weekly throughput and the age of cards in progress
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/analytics', boardController.getAnalytics);
+
+/**
+ * @name GET-/boards/:id/flow
+ * @description Get cumulative flow and burndown series of a board over a range of days (from, to)
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/flow', boardController.getFlowSeries);
+
+/**
+ * @name GET-/boards/:id/forecast
+ * @description Forecast when cards will be completed (50/85/95% dates) by Monte Carlo simulation of recent throughput
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/forecast', boardController.getForecast);
+
+/**
+ * @name GET-/boards/:id/recurrences
+ * @description List the recurring cards of a board
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/recurrences', boardController.getRecurrences);
+
+/**
+ * @name POST-/boards/:id/recurrences
+ * @description Create a recurring card on a board
+ * @memberof module:routes/boardRoutes
+ */
+router.post('/boards/:id/recurrences', boardController.createRecurrence);
+
+/**
+ * @name DELETE-/boards/:id/recurrences/:recurrenceId
+ * @description Delete a recurring card from a board
+ * @memberof module:routes/boardRoutes
+ */
+router.delete('/boards/:id/recurrences/:recurrenceId', boardController.deleteRecurrence);
+
+/**
+ * @name GET-/boards/:id/sprints
+ * @description List the sprints of a board, with the active sprint and the average velocity
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/sprints', boardController.getSprints);
+
+/**
+ * @name POST-/boards/:id/sprints
+ * @description Create a planned sprint on a board, optionally with cards and started straight away
+ * @memberof module:routes/boardRoutes
+ */
+router.post('/boards/:id/sprints', boardController.createSprint);
+
+/**
+ * @name DELETE-/boards/:id/sprints/:sprintId
+ * @description Delete a sprint that is not active; its cards go back to the backlog
+ * @memberof module:routes/boardRoutes
+ */
+router.delete('/boards/:id/sprints/:sprintId', boardController.deleteSprint);
+
+/**
+ * @name POST-/boards/:id/sprints/:sprintId/start
+ * @description Start a planned sprint
+ * @memberof module:routes/boardRoutes
+ */
+router.post('/boards/:id/sprints/:sprintId/start', boardController.startSprint);
+
+/**
+ * @name POST-/boards/:id/sprints/:sprintId/close
+ * @description Close the active sprint, record its velocity and carry its unfinished cards forward
+ * @memberof module:routes/boardRoutes
+ */
+router.post('/boards/:id/sprints/:sprintId/close', boardController.closeSprint);
+
+/**
+ * @name POST-/boards/:id/sprints/:sprintId/cards
+ * @description Move cards into a sprint
+ * @memberof module:routes/boardRoutes
+ */
+router.post('/boards/:id/sprints/:sprintId/cards', boardController.addSprintCards);
+
+/**
+ * @name DELETE-/boards/:id/sprints/:sprintId/cards/:cardId
+ * @description Move a card out of a sprint, back to the backlog
+ * @memberof module:routes/boardRoutes
+ */
+router.delete('/boards/:id/sprints/:sprintId/cards/:cardId', boardController.removeSprintCard);
+
+/**
+ * @name GET-/boards/:id/sprints/:sprintId/report
+ * @description Report on a sprint ("active" for the active sprint)
+ * @memberof module:routes/boardRoutes
+ */
+router.get('/boards/:id/sprints/:sprintId/report', boardController.getSprintReport);
+
 /**
  * @name DELETE-/boards/:id
  * @description Delete a board by ID
@@ -8,6 +8,8 @@ router.post('/webhooks', webhookController.createWebhook);
 router.get('/webhooks/:id', webhookController.getWebhookById);
 router.delete('/webhooks/:id', webhookController.deleteWebhook);
 router.post('/webhooks/:id/test', webhookController.testWebhook);
+router.get('/webhooks/:id/deliveries', webhookController.getDeliveries);
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', webhookController.redeliver);
 router.post('/webhooks/test-connection', webhookController.testConnection);
 
 module.exports = router;
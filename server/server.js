@@ -10,6 +10,8 @@
  * @requires ./routes/webhookRoutes
  * @requires ./middleware/errorHandler
  * @requires ./utils/fileSystem
+ * @requires ./utils/webhookDispatcher
+ * @requires ./utils/recurrenceScheduler
  */
 
 const express = require('express');
@@ -21,6 +23,8 @@ const configRoutes = require('./routes/configRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
 const errorHandler = require('./middleware/errorHandler');
 const { ensureBoardsDir, ensureConfigDir, ensureWebhooksDir } = require('./utils/fileSystem');
+const { startWebhookDispatcher } = require('./utils/webhookDispatcher');
+const { startRecurrenceScheduler } = require('./utils/recurrenceScheduler');
 
 /**
  * Express application instance
@@ -38,6 +42,8 @@ app.use('/css', express.static(config.staticDirs.css));
 app.use('/js', express.static(config.staticDirs.js));
 app.use('/img', express.static(config.staticDirs.img));
 app.use('/public', express.static(config.staticDirs.public));
+app.use('/vendor/marked', express.static(config.vendorDirs.marked));
+app.use('/vendor/highlight', express.static(config.vendorDirs.highlight));
 
 // API routes
 app.use('/api', boardRoutes);
@@ -59,6 +65,12 @@ app.get('*', (req, res) => {
 // Error handling
 app.use(errorHandler);
 
+// Deliver board events from this process to configured webhooks
+startWebhookDispatcher();
+
+// Generate recurring cards when they are due
+startRecurrenceScheduler();
+
 /**
  * Initialize the server with port availability check
  * @async
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Flow analytics: lead time, cycle time, throughput and the age of work in progress.
+ * A card's lead time runs from when it was created to when it was completed, its cycle time
+ * from when it was started to when it was completed. A card is started the first time it
+ * enters a column other than the board's first one, which the card history records. Cards
+ * that are not completed and not in the first column are in progress. Times are in days.
+ * Cumulative flow and burndown series come from the daily column counts of models/FlowSnapshots.
+ * @module utils/analytics
+ */
+
+/**
+ * Milliseconds in a day
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of weeks of throughput reported by default
+ * @type {number}
+ */
+const DEFAULT_WEEKS = 8;
+
+/**
+ * Percentiles reported for each time
+ * @type {Array<number>}
+ */
+const PERCENTILES = [50, 85, 95];
+
+/**
+ * @typedef {Object} TimeStats
+ * @property {number} count - Number of cards measured
+ * @property {number|null} average - Average time in days, null without cards
+ * @property {number|null} p50 - Median time in days
+ * @property {number|null} p85 - 85th percentile in days
+ * @property {number|null} p95 - 95th percentile in days
+ */
+
+/**
+ * @typedef {Object} CardFlow
+ * @property {string} id - Card ID
+ * @property {string} title - Card title
+ * @property {string} columnId - Column the card is in
+ * @property {string|null} createdAt - When the card was created
+ * @property {string|null} startedAt - When the card first left the first column, null if it hasn't or the history doesn't say
+ * @property {string|null} completedAt - When the card was completed
+ * @property {number|null} leadTime - Days from created to completed
+ * @property {number|null} cycleTime - Days from started to completed
+ * @property {number|null} age - Days in progress so far, for cards in progress
+ */
+
+/**
+ * @typedef {Object} BoardAnalytics
+ * @property {string} boardId - ID of the board
+ * @property {string} generatedAt - When the analytics were computed
+ * @property {TimeStats} leadTime - Lead time of completed cards
+ * @property {TimeStats} cycleTime - Cycle time of completed cards that have a start
+ * @property {{weeks: Array<{weekStart: string, completed: number}>, average: number}} throughput - Cards completed per week, oldest week first
+ * @property {TimeStats & {cards: Array<CardFlow>}} wip - Age of the cards in progress, oldest first
+ * @property {Array<CardFlow>} cards - Completed cards, most recently completed first
+ */
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} Rounded number
+ */
+function roundTwo(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the days between two timestamps
+ * @param {string|number} from - Start, as an ISO timestamp or milliseconds
+ * @param {string|number} to - End, as an ISO timestamp or milliseconds
+ * @returns {number|null} Days, or null if either timestamp is missing or invalid
+ */
+function daysBetween(from, to) {
+    const start = typeof from === 'number' ? from : Date.parse(from);
+    const end = typeof to === 'number' ? to : Date.parse(to);
+    if (Number.isNaN(start) || Number.isNaN(end)) return null;
+    return roundTwo(Math.max(0, end - start) / DAY_MS);
+}
+
+/**
+ * Get a percentile of sorted values, by the nearest-rank method
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percentile - Percentile, from 0 to 100
+ * @returns {number|null} The value, or null without values
+ */
+function percentile(sorted, percentile) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Summarize a list of times
+ * @param {Array<number>} values - Times in days
+ * @returns {TimeStats} Count, average and percentiles
+ */
+function summarizeTimes(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const stats = {
+        count: sorted.length,
+        average: sorted.length ? roundTwo(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null
+    };
+    for (const p of PERCENTILES) {
+        stats[`p${p}`] = percentile(sorted, p);
+    }
+    return stats;
+}
+
+/**
+ * Get the start of the UTC week (Monday) that a time falls in
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Start of the week in milliseconds
+ */
+function weekStart(time) {
+    const date = new Date(time);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+}
+
+/**
+ * Find when each card first entered a column other than the first one
+ * @param {Array<module:models/CardHistory~HistoryEntry>} history - Board history, oldest first
+ * @param {string} [firstColumnId] - ID of the board's first column
+ * @returns {Map<string, string>} Start timestamps by card ID
+ */
+function findStartTimes(history, firstColumnId) {
+    const starts = new Map();
+    for (const entry of history) {
+        if (starts.has(entry.cardId)) continue;
+        const columnChange = (entry.changes || []).find(change => change.field === 'columnId');
+        if (columnChange && columnChange.to && columnChange.to !== firstColumnId) {
+            starts.set(entry.cardId, entry.timestamp);
+        }
+    }
+    return starts;
+}
+
+/**
+ * Compute the flow analytics of a board
+ * @param {Object} boardData - Board data
+ * @param {Array<module:models/CardHistory~HistoryEntry>} history - The board's card history, oldest first
+ * @param {Object} [options] - Options
+ * @param {number} [options.weeks=8] - Number of weeks of throughput, including the current one
+ * @param {Date} [options.now] - Time to compute the analytics at
+ * @returns {BoardAnalytics} Analytics of the board
+ */
+function computeBoardAnalytics(boardData, history, options = {}) {
+    const now = (options.now || new Date()).getTime();
+    const weeks = options.weeks || DEFAULT_WEEKS;
+    const cards = Array.isArray(boardData.cards) ? boardData.cards : [];
+    const firstColumn = (boardData.columns || [])[0];
+    const starts = findStartTimes(history || [], firstColumn && firstColumn.id);
+
+    const flows = cards.map(card => {
+        const startedAt = starts.get(card.id) || null;
+        const completedAt = card.completed_at || null;
+        const inProgress = !completedAt && (!firstColumn || card.columnId !== firstColumn.id);
+        return {
+            id: card.id,
+            title: card.title,
+            columnId: card.columnId,
+            createdAt: card.created_at || null,
+            startedAt,
+            completedAt,
+            leadTime: completedAt && card.created_at ? daysBetween(card.created_at, completedAt) : null,
+            cycleTime: completedAt && startedAt ? daysBetween(startedAt, completedAt) : null,
+            // Cards started before the history was kept count from when they were created
+            age: inProgress ? daysBetween(startedAt || card.created_at, now) : null
+        };
+    });
+
+    const completed = flows
+        .filter(flow => flow.completedAt)
+        .sort((a, b) => Date.parse(b.completedAt) - Date.parse(a.completedAt));
+    const inProgress = flows
+        .filter(flow => flow.age !== null)
+        .sort((a, b) => b.age - a.age);
+
+    const currentWeek = weekStart(now);
+    const throughputWeeks = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+        const start = currentWeek - i * 7 * DAY_MS;
+        const end = start + 7 * DAY_MS;
+        throughputWeeks.push({
+            weekStart: new Date(start).toISOString().slice(0, 10),
+            completed: completed.filter(flow => {
+                const time = Date.parse(flow.completedAt);
+                return time >= start && time < end;
+            }).length
+        });
+    }
+
+    return {
+        boardId: boardData.id,
+        generatedAt: new Date(now).toISOString(),
+        leadTime: summarizeTimes(completed.map(flow => flow.leadTime).filter(time => time !== null)),
+        cycleTime: summarizeTimes(completed.map(flow => flow.cycleTime).filter(time => time !== null)),
+        throughput: {
+            weeks: throughputWeeks,
+            average: roundTwo(throughputWeeks.reduce((sum, week) => sum + week.completed, 0) / weeks)
+        },
+        wip: {
+            ...summarizeTimes(inProgress.map(flow => flow.age)),
+            cards: inProgress
+        },
+        cards: completed
+    };
+}
+
+/**
+ * @typedef {Object} FlowSeries
+ * @property {string} boardId - ID of the board
+ * @property {string} from - First day of the series (YYYY-MM-DD)
+ * @property {string} to - Last day of the series (YYYY-MM-DD)
+ * @property {string|null} recordedFrom - First day a snapshot was recorded, null if none has been
+ * @property {Array<string>} dates - Days of the series
+ * @property {Array<{id: string, name: string, counts: Array<number>}>} columns - Cards in each column per day, in board order
+ * @property {{scope: Array<number>, completed: Array<number>}} burnup - Cards on the board and completed cards per day
+ * @property {{remaining: Array<number>, ideal: Array<number>}} burndown - Cards not completed per day, and a straight line from the first day's remaining cards to none on the last day
+ */
+
+/**
+ * Build cumulative flow and burndown series over a range of days. A day without a snapshot
+ * has the counts of the last snapshot before it (the board didn't change that day), days before
+ * the first snapshot count no cards, and today uses the board as it is now.
+ * @param {Object} boardData - Board data
+ * @param {Array<module:models/FlowSnapshots~FlowSnapshot>} snapshots - The board's snapshots, oldest first
+ * @param {Object} options - Options
+ * @param {string} options.from - First day (YYYY-MM-DD)
+ * @param {string} options.to - Last day (YYYY-MM-DD)
+ * @param {module:models/FlowSnapshots~FlowSnapshot} [options.today] - Snapshot of the board as it is now
+ * @returns {FlowSeries} Series of the board
+ */
+function buildFlowSeries(boardData, snapshots, { from, to, today }) {
+    const days = today ? [...snapshots.filter(day => day.date !== today.date), today] : [...snapshots];
+    days.sort((a, b) => a.date.localeCompare(b.date));
+
+    const dates = [];
+    for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+        dates.push(new Date(time).toISOString().slice(0, 10));
+    }
+
+    // The latest snapshot on or before each day
+    let next = 0;
+    let current = null;
+    const perDay = dates.map(date => {
+        while (next < days.length && days[next].date <= date) {
+            current = days[next++];
+        }
+        return current;
+    });
+
+    const columns = (boardData.columns || []).map(column => ({
+        id: column.id,
+        name: column.name,
+        counts: perDay.map(day => (day && day.columns[column.id]) || 0)
+    }));
+    const scope = perDay.map(day => (day ? day.total : 0));
+    const completed = perDay.map(day => (day ? day.completed : 0));
+    const remaining = scope.map((total, i) => total - completed[i]);
+    const steps = Math.max(1, dates.length - 1);
+
+    return {
+        boardId: boardData.id,
+        from,
+        to,
+        recordedFrom: days.length ? days[0].date : null,
+        dates,
+        columns,
+        burnup: { scope, completed },
+        burndown: {
+            remaining,
+            ideal: dates.map((date, i) => roundTwo((remaining[0] || 0) * (1 - i / steps)))
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_WEEKS,
+    computeBoardAnalytics,
+    buildFlowSeries
+};
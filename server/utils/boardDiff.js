@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Computes incremental change events between two snapshots of a board.
+ * @module utils/boardDiff
+ */
+
+/**
+ * @typedef {Object} BoardChangeEvent
+ * @property {string} type - Event type (e.g. 'card.created', 'card.moved', 'card.completed', 'columns.updated')
+ * @property {string} boardId - ID of the board the event belongs to
+ * @property {string} [last_updated] - Board last_updated timestamp after the change
+ * @property {number} [revision] - Board revision after the change
+ * @property {Object} [card] - Current card data for card events
+ * @property {string} [cardId] - ID of the affected card
+ * @property {Object} [previous] - Previous values of the changed fields
+ */
+
+/**
+ * Board-level fields that are reported through a 'board.updated' event
+ * @type {Array<string>}
+ */
+const BOARD_FIELDS = ['projectName', 'description', 'settings', 'swimlanes', 'recurrences', 'sprints'];
+
+/**
+ * Fields ignored when comparing cards, since they are UI runtime state,
+ * are always bumped alongside a real change, or are leases kept outside the board
+ * @type {Array<string>}
+ */
+const IGNORED_CARD_FIELDS = ['updated_at', 'claim'];
+
+/**
+ * Compare two values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values serialize to the same JSON
+ */
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Get the names of the fields that differ between two versions of a card
+ * @param {Object} before - Previous card data
+ * @param {Object} after - Current card data
+ * @returns {Array<string>} Changed field names
+ */
+function changedCardFields(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields].filter(field =>
+        !IGNORED_CARD_FIELDS.includes(field) && !isEqual(before[field], after[field])
+    );
+}
+
+/**
+ * Compute the list of change events that turn one board snapshot into another
+ * @param {Object|null} before - Previous board data (null if unknown)
+ * @param {Object|null} after - Current board data (null if the board was removed)
+ * @returns {Array<BoardChangeEvent>} Ordered list of change events
+ */
+function diffBoards(before, after) {
+    if (!before && !after) return [];
+
+    const boardId = (after && after.id) || (before && before.id);
+
+    if (!after) {
+        return [{ type: 'board.deleted', boardId }];
+    }
+
+    const base = { boardId, last_updated: after.last_updated, revision: after.revision };
+
+    // Without a previous snapshot, or for legacy column-based boards, the
+    // client cannot apply incremental changes and must reload everything
+    if (!before || !Array.isArray(before.cards) || !Array.isArray(after.cards)) {
+        return [{ ...base, type: 'board.replaced', board: after }];
+    }
+
+    const events = [];
+
+    const boardChanges = BOARD_FIELDS.filter(field => !isEqual(before[field], after[field]));
+    if (boardChanges.length > 0) {
+        events.push({
+            ...base,
+            type: 'board.updated',
+            // Removed fields are reported as null, so they survive serialization
+            changes: Object.fromEntries(boardChanges.map(field => [field, after[field] ?? null])),
+            previous: Object.fromEntries(boardChanges.map(field => [field, before[field]]))
+        });
+    }
+
+    if (!isEqual(before.columns, after.columns)) {
+        events.push({ ...base, type: 'columns.updated', columns: after.columns || [] });
+    }
+
+    const beforeCards = new Map(before.cards.map(card => [card.id, card]));
+    const afterCards = new Map(after.cards.map(card => [card.id, card]));
+
+    for (const [cardId, card] of afterCards) {
+        const previousCard = beforeCards.get(cardId);
+
+        if (!previousCard) {
+            events.push({ ...base, type: 'card.created', cardId, card });
+            continue;
+        }
+
+        const fields = changedCardFields(previousCard, card);
+        if (fields.length === 0) continue;
+
+        const previous = Object.fromEntries(fields.map(field => [field, previousCard[field]]));
+        const isMove = fields.includes('columnId') || fields.includes('position');
+        const onlyMove = fields.every(field => ['columnId', 'position', 'completed_at'].includes(field));
+
+        if (isMove) {
+            events.push({
+                ...base,
+                type: 'card.moved',
+                cardId,
+                card,
+                fromColumnId: previousCard.columnId,
+                toColumnId: card.columnId,
+                fromPosition: previousCard.position,
+                toPosition: card.position
+            });
+        }
+
+        if (!onlyMove) {
+            events.push({ ...base, type: 'card.updated', cardId, card, changes: fields, previous });
+        }
+
+        if (card.completed_at && !previousCard.completed_at) {
+            events.push({ ...base, type: 'card.completed', cardId, card, previous });
+        }
+    }
+
+    for (const cardId of beforeCards.keys()) {
+        if (!afterCards.has(cardId)) {
+            events.push({ ...base, type: 'card.deleted', cardId, previous: beforeCards.get(cardId) });
+        }
+    }
+
+    if (!isEqual(before['next-steps'], after['next-steps'])) {
+        events.push({ ...base, type: 'next-steps.updated', nextSteps: after['next-steps'] || [] });
+    }
+
+    // A save with no visible changes still moves the revision clients must write against
+    if (events.length === 0 && before.revision !== after.revision) {
+        events.push({ ...base, type: 'board.revised' });
+    }
+
+    return events;
+}
+
+module.exports = {
+    diffBoards,
+    changedCardFields
+};
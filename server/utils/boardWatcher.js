@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Watches board files for changes made by any process (web server,
+ * MCP server, CLI) and notifies subscribers with incremental change events.
+ * @module utils/boardWatcher
+ * @requires node:fs
+ * @requires node:path
+ * @requires ../config/config
+ * @requires ./boardDiff
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const config = require('../config/config');
+const { diffBoards } = require('./boardDiff');
+
+/**
+ * Delay used to coalesce the burst of fs events a single write produces
+ * @type {number}
+ */
+const DEBOUNCE_MS = 100;
+
+/**
+ * Class that watches the boards directory and dispatches change events per board
+ * @class
+ * @category Utils
+ */
+class BoardWatcher {
+    /**
+     * Create a BoardWatcher instance
+     * @param {string} [boardsDir=config.boardsDir] - Directory containing board files
+     */
+    constructor(boardsDir = config.boardsDir) {
+        this.boardsDir = boardsDir;
+        /**
+         * Per-board subscription state
+         * @type {Map<string, {listeners: Set<Function>, snapshot: Object|null, timer: NodeJS.Timeout|null}>}
+         * @private
+         */
+        this.boards = new Map();
+        this.watcher = null;
+    }
+
+    /**
+     * Get the file path for a board
+     * @param {string} boardId - ID of the board
+     * @returns {string} Path to the board's JSON file
+     */
+    getFilePath(boardId) {
+        return path.join(this.boardsDir, `${boardId}.json`);
+    }
+
+    /**
+     * Subscribe to change events for a board
+     * @async
+     * @param {string} boardId - ID of the board to watch
+     * @param {Function} listener - Called with each {@link module:utils/boardDiff~BoardChangeEvent}
+     * @returns {Promise<Function>} Unsubscribe function
+     */
+    async subscribe(boardId, listener) {
+        let entry = this.boards.get(boardId);
+
+        if (!entry) {
+            entry = { listeners: new Set(), snapshot: null, timer: null };
+            this.boards.set(boardId, entry);
+            entry.snapshot = await this.readBoard(boardId);
+        }
+
+        entry.listeners.add(listener);
+        this.startWatching();
+
+        return () => {
+            entry.listeners.delete(listener);
+            if (entry.listeners.size === 0) {
+                clearTimeout(entry.timer);
+                this.boards.delete(boardId);
+                if (this.boards.size === 0) {
+                    this.stopWatching();
+                }
+            }
+        };
+    }
+
+    /**
+     * Read and parse a board file
+     * @async
+     * @param {string} boardId - ID of the board to read
+     * @returns {Promise<Object|null|undefined>} Board data, null if the file is gone,
+     *   or undefined if the file could not be parsed (e.g. caught mid-write)
+     * @private
+     */
+    async readBoard(boardId) {
+        try {
+            const data = await fs.promises.readFile(this.getFilePath(boardId), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            return undefined;
+        }
+    }
+
+    /**
+     * Start watching the boards directory if not already watching
+     * @private
+     */
+    startWatching() {
+        if (this.watcher) return;
+
+        try {
+            this.watcher = fs.watch(this.boardsDir, (eventType, filename) => {
+                if (!filename || !filename.endsWith('.json')) return;
+                this.scheduleCheck(path.basename(filename, '.json'));
+            });
+            this.watcher.on('error', (error) => {
+                console.error('Board watcher error:', error);
+                this.stopWatching();
+            });
+        } catch (error) {
+            console.error(`Failed to watch boards directory ${this.boardsDir}:`, error);
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Stop watching the boards directory
+     * @private
+     */
+    stopWatching() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Debounce change checks for a board
+     * @param {string} boardId - ID of the board whose file changed
+     * @private
+     */
+    scheduleCheck(boardId) {
+        const entry = this.boards.get(boardId);
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            this.checkBoard(boardId).catch(error => {
+                console.error(`Error checking board ${boardId} for changes:`, error);
+            });
+        }, DEBOUNCE_MS);
+    }
+
+    /**
+     * Re-read a board, diff it against the last snapshot and notify listeners
+     * @async
+     * @param {string} boardId - ID of the board to check
+     * @returns {Promise<void>}
+     */
+    async checkBoard(boardId) {
+        const entry = this.boards.get(boardId);
+        if (!entry) return;
+
+        const current = await this.readBoard(boardId);
+
+        // Unparseable content means a write is still in flight; the next fs event will retry
+        if (current === undefined) return;
+
+        const events = diffBoards(entry.snapshot, current);
+        entry.snapshot = current;
+
+        for (const event of events) {
+            for (const listener of entry.listeners) {
+                try {
+                    listener(event);
+                } catch (error) {
+                    console.error('Board watcher listener error:', error);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Shared watcher instance for the current process
+ * @type {BoardWatcher}
+ */
+const boardWatcher = new BoardWatcher();
+
+module.exports = {
+    BoardWatcher,
+    boardWatcher
+};
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Card claims: time-limited leases that show a card is being worked on.
+ * An agent claims a card before working on it, renews the lease with heartbeats while
+ * it works, and releases the card when it is done. A lease that is not renewed expires,
+ * so a card whose agent stopped becomes free again without anyone releasing it.
+ * @module utils/claims
+ * @requires ./errors
+ */
+
+const { CardClaimedError } = require('./errors');
+
+/**
+ * Lease length when none is given, in seconds
+ * @type {number}
+ */
+const DEFAULT_LEASE_SECONDS = 15 * 60;
+
+/**
+ * Shortest lease that can be asked for, in seconds
+ * @type {number}
+ */
+const MIN_LEASE_SECONDS = 30;
+
+/**
+ * Longest lease that can be asked for, in seconds
+ * @type {number}
+ */
+const MAX_LEASE_SECONDS = 24 * 60 * 60;
+
+/**
+ * @typedef {Object} CardClaim
+ * @property {string} owner - ID of the agent or person holding the card
+ * @property {string} claimed_at - ISO timestamp when the card was claimed
+ * @property {string} expires_at - ISO timestamp when the lease runs out unless renewed
+ */
+
+/**
+ * Check whether a value is a valid card claim
+ * @param {*} claim - Value to check
+ * @returns {boolean} True if the claim is valid, or absent
+ */
+function isValidClaim(claim) {
+    if (claim === undefined || claim === null) return true;
+    return typeof claim === 'object' &&
+        typeof claim.owner === 'string' && claim.owner.trim() !== '' &&
+        !Number.isNaN(Date.parse(claim.claimed_at)) &&
+        !Number.isNaN(Date.parse(claim.expires_at));
+}
+
+/**
+ * Get the claim on a card, if it has one that hasn't expired
+ * @param {Object} card - Card
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {CardClaim|null} The active claim, or null if the card is free
+ */
+function getActiveClaim(card, now = Date.now()) {
+    const claim = card && card.claim;
+    return claim && Date.parse(claim.expires_at) > now ? claim : null;
+}
+
+/**
+ * Check whether someone other than the given owner holds a card
+ * @param {Object} card - Card
+ * @param {string} [owner] - Who is asking
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {boolean} True if the card has an active claim by someone else
+ */
+function isClaimedByOther(card, owner, now = Date.now()) {
+    const claim = getActiveClaim(card, now);
+    return Boolean(claim) && claim.owner !== owner;
+}
+
+/**
+ * Build the error for a card held by someone else
+ * @param {Object} card - Card
+ * @param {CardClaim} claim - Claim held by someone else
+ * @returns {CardClaimedError} Error naming the holder and when their lease runs out
+ */
+function claimedError(card, claim) {
+    return new CardClaimedError(`Card "${card.title}" is claimed by ${claim.owner} until ${claim.expires_at}`, {
+        cardId: card.id,
+        claim
+    });
+}
+
+/**
+ * Claim a card. Claiming a card the owner already holds renews the lease.
+ * @param {Object} card - Card to claim, changed in place
+ * @param {string} owner - Who is claiming the card
+ * @param {number} [leaseSeconds=DEFAULT_LEASE_SECONDS] - How long the lease lasts without heartbeats
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {CardClaim} The new claim
+ * @throws {CardClaimedError} If someone else holds the card
+ */
+function claimCard(card, owner, leaseSeconds = DEFAULT_LEASE_SECONDS, now = new Date()) {
+    const current = getActiveClaim(card, now.getTime());
+    if (current && current.owner !== owner) {
+        throw claimedError(card, current);
+    }
+
+    card.claim = {
+        owner,
+        claimed_at: current ? current.claimed_at : now.toISOString(),
+        expires_at: new Date(now.getTime() + leaseSeconds * 1000).toISOString()
+    };
+    return card.claim;
+}
+
+/**
+ * Renew the lease on a card the owner holds
+ * @param {Object} card - Card, changed in place
+ * @param {string} owner - Who holds the card
+ * @param {number} [leaseSeconds=DEFAULT_LEASE_SECONDS] - How long the renewed lease lasts
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {CardClaim} The renewed claim
+ * @throws {CardClaimedError} If someone else holds the card
+ * @throws {Error} If the owner's lease has already expired, since someone else may have taken the card up since
+ */
+function renewClaim(card, owner, leaseSeconds = DEFAULT_LEASE_SECONDS, now = new Date()) {
+    const current = getActiveClaim(card, now.getTime());
+    if (!current) {
+        throw new Error(`Card "${card.title}" is not claimed by ${owner}, or the lease has expired. Claim it again`);
+    }
+    if (current.owner !== owner) {
+        throw claimedError(card, current);
+    }
+
+    current.expires_at = new Date(now.getTime() + leaseSeconds * 1000).toISOString();
+    return current;
+}
+
+/**
+ * Release a card. Releasing a card nobody holds does nothing.
+ * @param {Object} card - Card, changed in place
+ * @param {string} owner - Who is releasing the card
+ * @param {Object} [options={}] - Release options
+ * @param {boolean} [options.force=false] - Release the card even if someone else holds it
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {CardClaim|null} The claim that was released, or null if the card was free
+ * @throws {CardClaimedError} If someone else holds the card and force isn't set
+ */
+function releaseClaim(card, owner, { force = false } = {}, now = Date.now()) {
+    const current = getActiveClaim(card, now);
+    if (current && current.owner !== owner && !force) {
+        throw claimedError(card, current);
+    }
+
+    delete card.claim;
+    return current;
+}
+
+/**
+ * Remove the expired claims from the cards of a board
+ * @param {Object} boardData - Board data, changed in place
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Array<string>} IDs of the cards whose claims expired
+ */
+function expireClaims(boardData, now = Date.now()) {
+    const cards = (boardData && Array.isArray(boardData.cards)) ? boardData.cards : [];
+    return cards
+        .filter(card => card.claim && !getActiveClaim(card, now))
+        .map(card => {
+            delete card.claim;
+            return card.id;
+        });
+}
+
+module.exports = {
+    DEFAULT_LEASE_SECONDS,
+    MIN_LEASE_SECONDS,
+    MAX_LEASE_SECONDS,
+    isValidClaim,
+    getActiveClaim,
+    isClaimedByOther,
+    claimCard,
+    renewClaim,
+    releaseClaim,
+    expireClaims
+};
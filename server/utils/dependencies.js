@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Analysis of the dependencies between cards.
+ * A card's `dependencies` lists the IDs of the cards it depends on: it is blocked until
+ * all of them are completed. Dependencies must not form a cycle, since the cards in it
+ * could never be started.
+ * @module utils/dependencies
+ */
+
+/**
+ * @typedef {Object} DanglingDependency
+ * @property {string} cardId - ID of the card with the dependency
+ * @property {string} cardTitle - Title of the card
+ * @property {string} dependencyId - ID of the card it depends on, which is not on the board
+ */
+
+/**
+ * @typedef {Object} DependencyNode
+ * @property {string} id - ID of the card
+ * @property {string} title - Title of the card
+ * @property {string} columnId - Column the card is in
+ * @property {Array<string>} dependencies - Cards it depends on that are on the board
+ * @property {Array<string>} dependents - Cards that depend on it
+ * @property {boolean} completed - Whether the card is completed
+ * @property {boolean} blocked - Whether any card it depends on is not completed yet
+ * @property {Array<string>} blockedBy - Cards it depends on that are not completed yet
+ */
+
+/**
+ * @typedef {Object} DependencyAnalysis
+ * @property {Array<DependencyNode>} cards - Every card, in board order
+ * @property {Array<{from: string, to: string}>} edges - One per dependency, from the card depended on to the card that depends on it
+ * @property {Array<string>} order - Card IDs in topological order: every card after the cards it depends on. Cards in or after a cycle are left out
+ * @property {{cardIds: Array<string>, length: number}} criticalPath - Longest chain of unfinished cards that depend on each other, first card first
+ * @property {Array<Array<string>>} cycles - One cycle of card IDs per group of cards that depend on each other in a circle
+ * @property {Array<DanglingDependency>} dangling - Dependencies on cards that are not on the board
+ */
+
+/**
+ * Get the dependencies of a card that are card IDs, without duplicates
+ * @param {Object} card - Card
+ * @returns {Array<string>} IDs of the cards it depends on
+ */
+function getCardDependencies(card) {
+    return Array.isArray(card.dependencies)
+        ? [...new Set(card.dependencies.filter(id => typeof id === 'string'))]
+        : [];
+}
+
+/**
+ * Map every card of a board to the cards on the board that it depends on
+ * @param {Object} boardData - Board data
+ * @returns {Map<string, Array<string>>} Dependencies by card ID, in board order
+ */
+function buildDependencyMap(boardData) {
+    const cards = (boardData && Array.isArray(boardData.cards)) ? boardData.cards : [];
+    const ids = new Set(cards.map(card => card.id));
+
+    return new Map(cards.map(card => [card.id, getCardDependencies(card).filter(id => ids.has(id))]));
+}
+
+/**
+ * Find dependencies on cards that are not on the board
+ * @param {Object} boardData - Board data
+ * @returns {Array<DanglingDependency>} Dangling dependencies, in board order
+ */
+function findDanglingDependencies(boardData) {
+    const cards = (boardData && Array.isArray(boardData.cards)) ? boardData.cards : [];
+    const ids = new Set(cards.map(card => card.id));
+
+    return cards.flatMap(card => getCardDependencies(card)
+        .filter(id => !ids.has(id))
+        .map(dependencyId => ({ cardId: card.id, cardTitle: card.title, dependencyId })));
+}
+
+/**
+ * Find the groups of cards that depend on each other in a circle (the strongly connected
+ * components of the dependency graph with more than one card, or one card depending on itself)
+ * @param {Map<string, Array<string>>} dependencyMap - Dependencies by card ID
+ * @returns {Array<Array<string>>} Card IDs of each group
+ */
+function findCyclicGroups(dependencyMap) {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const groups = [];
+    let next = 0;
+
+    // Tarjan's algorithm, iterative so long dependency chains can't overflow the call stack
+    for (const root of dependencyMap.keys()) {
+        if (index.has(root)) continue;
+
+        const frames = [{ id: root, children: dependencyMap.get(root), child: 0 }];
+        index.set(root, next);
+        lowLink.set(root, next++);
+        stack.push(root);
+        onStack.add(root);
+
+        while (frames.length) {
+            const frame = frames[frames.length - 1];
+            if (frame.child < frame.children.length) {
+                const childId = frame.children[frame.child++];
+                if (!index.has(childId)) {
+                    index.set(childId, next);
+                    lowLink.set(childId, next++);
+                    stack.push(childId);
+                    onStack.add(childId);
+                    frames.push({ id: childId, children: dependencyMap.get(childId), child: 0 });
+                } else if (onStack.has(childId)) {
+                    lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(childId)));
+                }
+                continue;
+            }
+
+            frames.pop();
+            if (frames.length) {
+                const parent = frames[frames.length - 1];
+                lowLink.set(parent.id, Math.min(lowLink.get(parent.id), lowLink.get(frame.id)));
+            }
+
+            if (lowLink.get(frame.id) === index.get(frame.id)) {
+                const group = [];
+                let id;
+                do {
+                    id = stack.pop();
+                    onStack.delete(id);
+                    group.push(id);
+                } while (id !== frame.id);
+
+                if (group.length > 1 || dependencyMap.get(frame.id).includes(frame.id)) {
+                    groups.push(group);
+                }
+            }
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Follow dependencies within a group of cards from its first card until they lead back to it
+ * @param {Map<string, Array<string>>} dependencyMap - Dependencies by card ID
+ * @param {Array<string>} group - Cards that depend on each other in a circle
+ * @returns {Array<string>} Card IDs of one cycle, each depending on the next and the last on the first
+ */
+function traceCycle(dependencyMap, group) {
+    const members = new Set(group);
+    const start = group[group.length - 1];
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    // Breadth-first, so the shortest way back to the start is found
+    while (queue.length) {
+        const id = queue.shift();
+        for (const dependencyId of dependencyMap.get(id)) {
+            if (dependencyId === start) {
+                const cycle = [];
+                for (let step = id; step !== null; step = previous.get(step)) {
+                    cycle.unshift(step);
+                }
+                return cycle;
+            }
+            if (members.has(dependencyId) && !previous.has(dependencyId)) {
+                previous.set(dependencyId, id);
+                queue.push(dependencyId);
+            }
+        }
+    }
+
+    return group;
+}
+
+/**
+ * Find the dependency cycles of a board, one per group of cards that depend on each other in a circle
+ * @param {Object} boardData - Board data
+ * @returns {Array<Array<string>>} Card IDs of each cycle, each depending on the next and the last on the first
+ */
+function findDependencyCycles(boardData) {
+    const dependencyMap = buildDependencyMap(boardData);
+    return findCyclicGroups(dependencyMap).map(group => traceCycle(dependencyMap, group));
+}
+
+/**
+ * Find the dependency cycles a change introduces. Cycles that were already on the board
+ * before the change are left alone, so boards saved before cycles were rejected can still be edited.
+ * @param {Object} boardData - Board data after the change
+ * @param {Object|null} previousData - Board data before the change
+ * @returns {Array<Array<string>>} Card IDs of each new cycle
+ */
+function findNewDependencyCycles(boardData, previousData) {
+    const dependencyMap = buildDependencyMap(boardData);
+    const groups = findCyclicGroups(dependencyMap);
+    if (!groups.length) return [];
+
+    const previousGroup = new Map();
+    findCyclicGroups(buildDependencyMap(previousData)).forEach((group, number) => {
+        group.forEach(id => previousGroup.set(id, number));
+    });
+
+    return groups
+        .filter(group => !group.every(id => previousGroup.has(id) && previousGroup.get(id) === previousGroup.get(group[0])))
+        .map(group => traceCycle(dependencyMap, group));
+}
+
+/**
+ * Describe a dependency cycle by card title, e.g. "A → B → A"
+ * @param {Object} boardData - Board data
+ * @param {Array<string>} cycle - Card IDs of the cycle
+ * @returns {string} Description of the cycle
+ */
+function formatDependencyCycle(boardData, cycle) {
+    const titles = new Map(((boardData && boardData.cards) || []).map(card => [card.id, card.title]));
+    return [...cycle, cycle[0]].map(id => `"${titles.get(id) || id}"`).join(' → ');
+}
+
+/**
+ * Analyze the dependencies of a board: what blocks each card, the order the cards can be
+ * done in, the critical path, cycles and dependencies on cards that are not on the board
+ * @param {Object} boardData - Board data
+ * @returns {DependencyAnalysis} Dependency analysis
+ */
+function analyzeDependencies(boardData) {
+    const cards = (boardData && Array.isArray(boardData.cards)) ? boardData.cards : [];
+    const dependencyMap = buildDependencyMap(boardData);
+    const completed = new Set(cards.filter(card => card.completed_at).map(card => card.id));
+
+    const dependents = new Map(cards.map(card => [card.id, []]));
+    for (const [id, dependencies] of dependencyMap) {
+        for (const dependencyId of dependencies) {
+            dependents.get(dependencyId).push(id);
+        }
+    }
+
+    // Kahn's algorithm: a card is placed once all the cards it depends on are
+    const remaining = new Map([...dependencyMap].map(([id, dependencies]) => [id, dependencies.length]));
+    const order = [...remaining.keys()].filter(id => remaining.get(id) === 0);
+    for (let position = 0; position < order.length; position++) {
+        for (const dependentId of dependents.get(order[position])) {
+            remaining.set(dependentId, remaining.get(dependentId) - 1);
+            if (remaining.get(dependentId) === 0) {
+                order.push(dependentId);
+            }
+        }
+    }
+
+    // Longest chain of unfinished cards ending at each card, in topological order
+    const chainLength = new Map();
+    const chainPrevious = new Map();
+    let criticalEnd = null;
+    for (const id of order) {
+        if (completed.has(id)) continue;
+
+        let length = 1;
+        let previous = null;
+        for (const dependencyId of dependencyMap.get(id)) {
+            if (chainLength.has(dependencyId) && chainLength.get(dependencyId) + 1 > length) {
+                length = chainLength.get(dependencyId) + 1;
+                previous = dependencyId;
+            }
+        }
+        chainLength.set(id, length);
+        chainPrevious.set(id, previous);
+        if (criticalEnd === null || length > chainLength.get(criticalEnd)) {
+            criticalEnd = id;
+        }
+    }
+
+    const criticalPath = [];
+    for (let id = criticalEnd; id !== null; id = chainPrevious.get(id)) {
+        criticalPath.unshift(id);
+    }
+
+    return {
+        cards: cards.map(card => {
+            const blockedBy = dependencyMap.get(card.id).filter(id => !completed.has(id));
+            return {
+                id: card.id,
+                title: card.title,
+                columnId: card.columnId,
+                dependencies: dependencyMap.get(card.id),
+                dependents: dependents.get(card.id),
+                completed: completed.has(card.id),
+                blocked: blockedBy.length > 0,
+                blockedBy
+            };
+        }),
+        edges: [...dependencyMap].flatMap(([id, dependencies]) => dependencies.map(dependencyId => ({ from: dependencyId, to: id }))),
+        order,
+        criticalPath: { cardIds: criticalPath, length: criticalPath.length },
+        cycles: findDependencyCycles(boardData),
+        dangling: findDanglingDependencies(boardData)
+    };
+}
+
+module.exports = {
+    findDanglingDependencies,
+    findDependencyCycles,
+    findNewDependencyCycles,
+    formatDependencyCycle,
+    analyzeDependencies
+};
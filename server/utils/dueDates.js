@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Start and due dates of cards, and overdue tracking.
+ * A card's `start_date` and `due_date` are either ISO timestamps or plain dates
+ * (YYYY-MM-DD). A plain due date lasts until the end of that day, and a plain start
+ * date begins at its start, in the server's local time. A card is overdue when it is
+ * past its due date and has not been completed.
+ * @module utils/dueDates
+ */
+
+/**
+ * Matches a plain date without a time
+ * @type {RegExp}
+ */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the time a card date stands for
+ * @param {string} value - ISO timestamp or plain date
+ * @param {boolean} [endOfDay=false] - Whether a plain date stands for the end of its day rather than the start
+ * @returns {number} Milliseconds since the epoch, or NaN if the value is not a date
+ */
+function getCardDateTime(value, endOfDay = false) {
+    if (typeof value !== 'string') return NaN;
+    if (DATE_ONLY.test(value)) {
+        return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`).getTime();
+    }
+    return new Date(value).getTime();
+}
+
+/**
+ * Check whether a value is a valid card date (or undefined/null for none)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the date is valid
+ */
+function isValidCardDate(value) {
+    return value === undefined || value === null || !Number.isNaN(getCardDateTime(value));
+}
+
+/**
+ * Check whether a card's start date is not after its due date
+ * @param {Object} card - Card
+ * @returns {boolean} True if the dates are in order, or the card lacks either
+ */
+function hasValidDateRange(card) {
+    if (!card.start_date || !card.due_date) return true;
+    return getCardDateTime(card.start_date) <= getCardDateTime(card.due_date, true);
+}
+
+/**
+ * Get the time a card is due
+ * @param {Object} card - Card
+ * @returns {number|null} Milliseconds since the epoch, or null if the card has no valid due date
+ */
+function getDueTime(card) {
+    const time = getCardDateTime(card.due_date, true);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Check whether a card is overdue: past its due date and not completed
+ * @param {Object} card - Card
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {boolean} True if the card is overdue
+ */
+function isOverdue(card, now = Date.now()) {
+    const dueTime = getDueTime(card);
+    return dueTime !== null && !card.completed_at && dueTime < now;
+}
+
+module.exports = {
+    getCardDateTime,
+    isValidCardDate,
+    hasValidDateRange,
+    getDueTime,
+    isOverdue
+};
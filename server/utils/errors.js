@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Error classes shared by the models and controllers
+ * @module utils/errors
+ */
+
+/**
+ * Error with an HTTP status and structured details that are returned to clients
+ * @class
+ * @extends Error
+ * @category Utils
+ */
+class AppError extends Error {
+    /**
+     * Create an AppError
+     * @param {string} message - Error message
+     * @param {string} type - Kind of error, e.g. 'conflict'
+     * @param {string} code - Machine-readable error code
+     * @param {number} status - HTTP status of the response
+     * @param {Object} [details={}] - Structured information returned to clients
+     */
+    constructor(message, type, code, status, details = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.type = type;
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+
+    /**
+     * Build the response payload sent to API clients
+     * @returns {Object} Payload with error message, code and details
+     */
+    toResponse() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...this.details
+        };
+    }
+}
+
+/**
+ * Error raised when a write is based on a stale version of a resource
+ * @class
+ * @extends AppError
+ * @category Utils
+ */
+class ConflictError extends AppError {
+    /**
+     * Create a ConflictError
+     * @param {string} message - Error message
+     * @param {Object} [details={}] - Structured conflict information returned to clients
+     */
+    constructor(message, details) {
+        super(message, 'conflict', 'CONFLICT', 409, details);
+    }
+}
+
+/**
+ * Error raised when a change would take a column over its WIP limit
+ * on a board that does not allow exceeding WIP limits
+ * @class
+ * @extends AppError
+ * @category Utils
+ */
+class WipLimitError extends AppError {
+    /**
+     * Create a WipLimitError
+     * @param {string} message - Error message
+     * @param {Object} [details={}] - Structured information about the columns over their limit
+     */
+    constructor(message, details) {
+        super(message, 'wip_limit', 'WIP_LIMIT_EXCEEDED', 422, details);
+    }
+}
+
+/**
+ * Error raised when a change would make cards depend on each other in a circle
+ * @class
+ * @extends AppError
+ * @category Utils
+ */
+class DependencyCycleError extends AppError {
+    /**
+     * Create a DependencyCycleError
+     * @param {string} message - Error message
+     * @param {Object} [details={}] - Structured information about the cycles
+     */
+    constructor(message, details) {
+        super(message, 'dependency_cycle', 'DEPENDENCY_CYCLE', 422, details);
+    }
+}
+
+/**
+ * Error raised when a change would make a card its own ancestor
+ * @class
+ * @extends AppError
+ * @category Utils
+ */
+class ParentCycleError extends AppError {
+    /**
+     * Create a ParentCycleError
+     * @param {string} message - Error message
+     * @param {Object} [details={}] - Structured information about the cycles
+     */
+    constructor(message, details) {
+        super(message, 'parent_cycle', 'PARENT_CYCLE', 422, details);
+    }
+}
+
+/**
+ * Error raised when a card is claimed by someone else
+ * @class
+ * @extends AppError
+ * @category Utils
+ */
+class CardClaimedError extends AppError {
+    /**
+     * Create a CardClaimedError
+     * @param {string} message - Error message
+     * @param {Object} [details={}] - Structured information about the claim
+     */
+    constructor(message, details) {
+        super(message, 'card_claimed', 'CARD_CLAIMED', 409, details);
+    }
+}
+
+module.exports = {
+    AppError,
+    ConflictError,
+    WipLimitError,
+    DependencyCycleError,
+    ParentCycleError,
+    CardClaimedError
+};
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview In-process event bus for board change events. The Board model
+ * publishes an event for every write, whichever process (web server, MCP server)
+ * performed it, and so does the TypeScript BoardRepository behind the CLI;
+ * subscribers such as the webhook dispatcher listen here.
+ * @module utils/eventBus
+ * @requires node:events
+ */
+
+const { EventEmitter } = require('node:events');
+
+/**
+ * Event name that receives every published event
+ * @type {string}
+ */
+const ALL_EVENTS = '*';
+
+/**
+ * Event emitter that dispatches board events by type and to catch-all listeners
+ * @class
+ * @extends EventEmitter
+ * @category Utils
+ */
+class BoardEventBus extends EventEmitter {
+    /**
+     * Publish a board event
+     * @param {module:utils/boardDiff~BoardChangeEvent} event - Event to publish
+     */
+    publish(event) {
+        try {
+            this.emit(event.type, event);
+            this.emit(ALL_EVENTS, event);
+        } catch (error) {
+            // A failing subscriber must never fail the write that published the event
+            console.error(`Error in ${event.type} event listener:`, error);
+        }
+    }
+}
+
+/**
+ * Shared event bus for the current process
+ * @type {BoardEventBus}
+ */
+const boardEvents = new BoardEventBus();
+
+module.exports = {
+    ALL_EVENTS,
+    BoardEventBus,
+    boardEvents
+};
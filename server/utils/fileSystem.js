@@ -3,13 +3,42 @@
  * @module utils/fileSystem
  * @requires node:fs
  * @requires node:path
+ * @requires node:os
+ * @requires node:crypto
  * @requires ../config/config
  */
 
 const fs = require('node:fs').promises;
 const path = require('node:path');
+const os = require('node:os');
+const crypto = require('node:crypto');
 const config = require('../config/config');
 
+/**
+ * Age after which a lock file is considered abandoned, in milliseconds
+ * @type {number}
+ */
+const LOCK_STALE_MS = 10000;
+
+/**
+ * Maximum time to wait for a lock before giving up, in milliseconds
+ * @type {number}
+ */
+const LOCK_TIMEOUT_MS = 5000;
+
+/**
+ * Delay between attempts to acquire a held lock, in milliseconds
+ * @type {number}
+ */
+const LOCK_RETRY_MS = 25;
+
+/**
+ * Interval at which a held lock's modification time is refreshed, in milliseconds,
+ * so that a long-running holder is never mistaken for an abandoned one
+ * @type {number}
+ */
+const LOCK_REFRESH_MS = 2000;
+
 /**
  * Ensure a directory exists, creating it if necessary
  * @async
@@ -74,10 +103,243 @@ async function ensureArchivesDir() {
     await ensureDir(path.join(config.boardsDir, 'archives'));
 }
 
+/**
+ * Check whether a process with the given ID is running on this host
+ * @function isProcessAlive
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ * @private
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // EPERM means the process exists but belongs to another user
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Find out whether an existing lock file was abandoned by its owner.
+ * A lock is stale if it is older than {@link LOCK_STALE_MS} or if it was
+ * taken on this host by a process that is no longer running.
+ * @async
+ * @function findStaleLock
+ * @param {string} lockPath - Path to the lock file
+ * @returns {Promise<fs.Stats|null>} Stats of the lock file if it can safely be broken, otherwise null
+ * @private
+ */
+async function findStaleLock(lockPath) {
+    let stats;
+    try {
+        stats = await fs.stat(lockPath);
+    } catch {
+        // Lock was released in the meantime
+        return null;
+    }
+
+    if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+        return stats;
+    }
+
+    try {
+        const owner = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+        return owner.hostname === os.hostname() && !isProcessAlive(owner.pid) ? stats : null;
+    } catch {
+        // Owner is still writing its details; rely on the age check
+        return null;
+    }
+}
+
+/**
+ * Break a stale lock. Unlinking it could remove a lock that another process took after
+ * breaking the same stale lock, so it is renamed to a unique name instead: only one
+ * process can do that. If the renamed file is not the lock found stale, it is put back.
+ * @async
+ * @function breakStaleLock
+ * @param {string} lockPath - Path to the lock file
+ * @param {fs.Stats} stale - Stats of the lock file when it was found stale
+ * @returns {Promise<void>}
+ * @private
+ */
+async function breakStaleLock(lockPath, stale) {
+    const brokenPath = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+    try {
+        await fs.rename(lockPath, brokenPath);
+    } catch {
+        // Broken or released by another process first
+        return;
+    }
+
+    const broken = await fs.stat(brokenPath);
+    if (broken.ino !== stale.ino || broken.mtimeMs !== stale.mtimeMs) {
+        await fs.link(brokenPath, lockPath).catch(() => {});
+    } else {
+        console.warn(`Removed stale lock file ${lockPath}`);
+    }
+    await fs.unlink(brokenPath).catch(() => {});
+}
+
+/**
+ * Check whether a lock file is still held by the owner that wrote the given token
+ * @async
+ * @function ownsLock
+ * @param {string} lockPath - Path to the lock file
+ * @param {string} token - Random token written into the lock by its owner
+ * @returns {Promise<boolean>} True if the lock file exists and holds the token
+ * @private
+ */
+async function ownsLock(lockPath, token) {
+    try {
+        return JSON.parse(await fs.readFile(lockPath, 'utf8')).token === token;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Touch a held lock so that it doesn't age into a stale one
+ * @async
+ * @function refreshLock
+ * @param {string} lockPath - Path to the lock file
+ * @param {string} token - Token of the lock's owner
+ * @returns {Promise<void>}
+ * @private
+ */
+async function refreshLock(lockPath, token) {
+    if (await ownsLock(lockPath, token)) {
+        const now = new Date();
+        await fs.utimes(lockPath, now, now);
+    }
+}
+
+/**
+ * Remove a lock, unless it was broken and taken by another process in the meantime
+ * @async
+ * @function releaseLock
+ * @param {string} lockPath - Path to the lock file
+ * @param {string} token - Token of the lock's owner
+ * @returns {Promise<void>}
+ * @private
+ */
+async function releaseLock(lockPath, token) {
+    if (await ownsLock(lockPath, token)) {
+        await fs.unlink(lockPath).catch(() => {});
+    } else {
+        console.warn(`Lock file ${lockPath} was taken over by another process while held`);
+    }
+}
+
+/**
+ * Run a function while holding an advisory lock on a file.
+ * The lock is a `<file>.lock` sibling created exclusively, so it is honoured by
+ * every process that writes board files (web server, MCP server, CLI). The lock
+ * records a random owner token and is refreshed while fn runs; it is only removed
+ * if it still holds that token.
+ * @async
+ * @function withFileLock
+ * @param {string} filePath - Path of the file to lock
+ * @param {Function} fn - Async function to run while the lock is held
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} If the lock cannot be acquired within {@link LOCK_TIMEOUT_MS}
+ */
+async function withFileLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    const token = crypto.randomBytes(16).toString('hex');
+    const owner = JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        acquired_at: new Date().toISOString(),
+        token
+    });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+        try {
+            await fs.writeFile(lockPath, owner, { flag: 'wx' });
+            break;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+
+        const stale = await findStaleLock(lockPath);
+        if (stale) {
+            await breakStaleLock(lockPath, stale);
+            continue;
+        }
+
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for lock on ${filePath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    let refreshing = Promise.resolve();
+    const refresher = setInterval(() => {
+        refreshing = refreshLock(lockPath, token).catch(() => {});
+    }, LOCK_REFRESH_MS);
+    refresher.unref();
+
+    try {
+        return await fn();
+    } finally {
+        clearInterval(refresher);
+        await refreshing;
+        await releaseLock(lockPath, token);
+    }
+}
+
+/**
+ * Write a file atomically: the contents are written and flushed to a temporary
+ * file in the same directory, which is then renamed over the target. Readers
+ * see either the old or the new contents, never a partial write.
+ * @async
+ * @function writeFileAtomic
+ * @param {string} filePath - Path of the file to write
+ * @param {string} contents - File contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, contents) {
+    const tempPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    );
+
+    try {
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(contents, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    } catch (err) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw err;
+    }
+}
+
+/**
+ * Serialize data as JSON and write it atomically while holding the file's lock
+ * @async
+ * @function writeJsonAtomic
+ * @param {string} filePath - Path of the file to write
+ * @param {*} data - Data to serialize
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomic(filePath, data) {
+    await withFileLock(filePath, () => writeFileAtomic(filePath, JSON.stringify(data, null, 2)));
+}
+
 module.exports = {
     ensureDir,
     ensureBoardsDir,
     ensureConfigDir,
     ensureWebhooksDir,
-    ensureArchivesDir
+    ensureArchivesDir,
+    withFileLock,
+    writeFileAtomic,
+    writeJsonAtomic
 };
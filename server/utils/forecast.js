@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Monte Carlo forecasts of when a set of cards will be completed.
+ * The board's throughput over recent days (cards completed per day, from `completed_at`) is
+ * sampled day by day until the remaining cards are used up. Repeated over many trials, this gives
+ * the number of days the cards take with 50%, 85% and 95% confidence.
+ * @module utils/forecast
+ * @requires ./hierarchy
+ */
+
+const { getDescendantIds } = require('./hierarchy');
+
+/**
+ * Milliseconds in a day
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of past days whose throughput is sampled by default
+ * @type {number}
+ */
+const DEFAULT_HISTORY_DAYS = 90;
+
+/**
+ * Number of simulated futures by default
+ * @type {number}
+ */
+const DEFAULT_TRIALS = 10000;
+
+/**
+ * Longest simulated future, in days; trials that take longer count as this long
+ * @type {number}
+ */
+const MAX_FORECAST_DAYS = 3650;
+
+/**
+ * Confidence levels reported
+ * @type {Array<number>}
+ */
+const CONFIDENCE_LEVELS = [50, 85, 95];
+
+/**
+ * @typedef {Object} ForecastFilter
+ * @property {Array<string>} [cardIds] - Only these cards
+ * @property {string} [columnId] - Only cards in this column
+ * @property {Array<string>} [tags] - Only cards with any of these tags
+ * @property {string} [assignee] - Only cards assigned to this person
+ * @property {string} [descendantOf] - Only cards below this card, e.g. an epic's cards
+ */
+
+/**
+ * @typedef {Object} ForecastDate
+ * @property {number} days - Days from today
+ * @property {string} date - Day the cards are done by (YYYY-MM-DD, UTC)
+ */
+
+/**
+ * @typedef {Object} Forecast
+ * @property {Array<string>} cardIds - IDs of the cards forecast that are not completed yet
+ * @property {number} remaining - Number of cards not completed yet
+ * @property {{historyDays: number, completed: number, averagePerDay: number}} throughput - Cards completed over the days sampled
+ * @property {number} trials - Number of simulated futures
+ * @property {Object<string, ForecastDate>|null} forecast - Completion date at each confidence level (p50, p85, p95); null if nothing was completed in the sampled days
+ */
+
+/**
+ * Check a forecast filter against a board
+ * @param {Object} boardData - Board data
+ * @param {ForecastFilter} filter - Filter to check
+ * @returns {string|null} What is wrong with the filter, or null if it is valid
+ */
+function getForecastFilterError(boardData, filter) {
+    const cards = boardData.cards || [];
+    if (filter.columnId && !(boardData.columns || []).some(column => column.id === filter.columnId)) {
+        return `Column ${filter.columnId} does not exist`;
+    }
+    if (filter.descendantOf && !cards.some(card => card.id === filter.descendantOf)) {
+        return `Card with ID ${filter.descendantOf} not found`;
+    }
+    const unknown = (filter.cardIds || []).filter(id => !cards.some(card => card.id === id));
+    if (unknown.length) {
+        return `Cards not found: ${unknown.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Select the cards a forecast is for
+ * @param {Object} boardData - Board data
+ * @param {ForecastFilter} [filter={}] - Which cards; every card on the board without one
+ * @returns {Array<Object>} Matching cards, completed or not
+ */
+function selectForecastCards(boardData, filter = {}) {
+    const descendants = filter.descendantOf ? new Set(getDescendantIds(boardData, filter.descendantOf)) : null;
+    return (boardData.cards || []).filter(card =>
+        (!filter.cardIds || filter.cardIds.includes(card.id)) &&
+        (!filter.columnId || card.columnId === filter.columnId) &&
+        (!filter.tags || !filter.tags.length || (card.tags || []).some(tag => filter.tags.includes(tag))) &&
+        (!filter.assignee || card.assignee === filter.assignee) &&
+        (!descendants || descendants.has(card.id))
+    );
+}
+
+/**
+ * Count the cards of a board completed on each of the days before today. Days before the
+ * board's oldest card was created are left out, so a new board isn't forecast from days it didn't exist.
+ * @param {Object} boardData - Board data
+ * @param {number} days - Most days to count
+ * @param {Date} now - Current time
+ * @returns {Array<number>} Cards completed per day, oldest day first
+ */
+function getDailyThroughput(boardData, days, now) {
+    const cards = boardData.cards || [];
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const oldest = Math.min(...cards.map(card => Date.parse(card.created_at || card.completed_at)).filter(time => !Number.isNaN(time)));
+    const earliest = Number.isFinite(oldest) ? Math.floor(oldest / DAY_MS) * DAY_MS : today;
+    const start = Math.max(today - days * DAY_MS, earliest);
+    const counts = new Array(Math.max(1, Math.round((today - start) / DAY_MS))).fill(0);
+    for (const card of cards) {
+        const time = Date.parse(card.completed_at);
+        if (time >= start && time < today) {
+            counts[Math.floor((time - start) / DAY_MS)]++;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Create a random number generator that gives the same numbers for the same seed (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {function(): number} Generator of numbers from 0 (inclusive) to 1 (exclusive)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Simulate how many days it takes to complete a number of cards
+ * @param {number} remaining - Cards to complete
+ * @param {Array<number>} samples - Past daily throughput to draw from, with at least one completion
+ * @param {function(): number} random - Random number generator
+ * @returns {number} Days taken
+ */
+function simulateDays(remaining, samples, random) {
+    let done = 0;
+    let days = 0;
+    while (done < remaining && days < MAX_FORECAST_DAYS) {
+        done += samples[Math.floor(random() * samples.length)];
+        days++;
+    }
+    return days;
+}
+
+/**
+ * Forecast when the matching cards that are not completed yet will be completed
+ * @param {Object} boardData - Board data
+ * @param {Object} [options={}] - Forecast options
+ * @param {ForecastFilter} [options.filter] - Which cards to forecast; every card without one
+ * @param {number} [options.historyDays=90] - Number of past days whose throughput is sampled
+ * @param {number} [options.trials=10000] - Number of simulated futures
+ * @param {number} [options.seed] - Seed for repeatable forecasts
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Forecast} The forecast
+ */
+function forecastCompletion(boardData, options = {}) {
+    const now = options.now || new Date();
+    const historyDays = options.historyDays || DEFAULT_HISTORY_DAYS;
+    const trials = options.trials || DEFAULT_TRIALS;
+    const random = options.seed === undefined ? Math.random : seededRandom(options.seed);
+
+    const open = selectForecastCards(boardData, options.filter).filter(card => !card.completed_at);
+    const samples = getDailyThroughput(boardData, historyDays, now);
+    const completed = samples.reduce((sum, count) => sum + count, 0);
+
+    let forecast = null;
+    if (open.length === 0 || completed > 0) {
+        const results = [];
+        for (let i = 0; i < trials; i++) {
+            results.push(open.length ? simulateDays(open.length, samples, random) : 0);
+        }
+        results.sort((a, b) => a - b);
+
+        const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+        forecast = {};
+        for (const level of CONFIDENCE_LEVELS) {
+            const days = results[Math.min(results.length, Math.ceil((level / 100) * results.length)) - 1];
+            forecast[`p${level}`] = { days, date: new Date(today + days * DAY_MS).toISOString().slice(0, 10) };
+        }
+    }
+
+    return {
+        cardIds: open.map(card => card.id),
+        remaining: open.length,
+        throughput: {
+            historyDays: samples.length,
+            completed,
+            averagePerDay: Math.round((completed / samples.length) * 100) / 100
+        },
+        trials,
+        forecast
+    };
+}
+
+module.exports = {
+    DEFAULT_HISTORY_DAYS,
+    DEFAULT_TRIALS,
+    getForecastFilterError,
+    selectForecastCards,
+    forecastCompletion
+};
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Parent/child relationships between cards.
+ * A card's `parentId` is the ID of the card it belongs to, such as an epic broken down into
+ * sub-cards that move through the columns on their own. Parent links must not form a cycle.
+ * A card whose parent is no longer on the board is treated as a top-level card.
+ * @module utils/hierarchy
+ */
+
+/**
+ * @typedef {Object} ChildProgress
+ * @property {number} total - Number of descendants of the card
+ * @property {number} completed - Number of those that are completed
+ */
+
+/**
+ * @typedef {Object} CardTreeNode
+ * @property {Object} card - The card
+ * @property {ChildProgress} progress - Completion of the card's descendants
+ * @property {Array<CardTreeNode>} children - Child cards, in board order. Left empty below the depth limit
+ * @property {number} childCount - Number of child cards, including any left out by the depth limit
+ */
+
+/**
+ * @typedef {Object} DanglingParent
+ * @property {string} cardId - ID of the card
+ * @property {string} cardTitle - Title of the card
+ * @property {string} parentId - ID of its parent, which is not on the board
+ */
+
+/**
+ * Check whether a value is a valid parent ID
+ * @param {*} parentId - Value to check
+ * @returns {boolean} True if the value is a card ID, or null or absent for a top-level card
+ */
+function isValidParentId(parentId) {
+    return parentId === undefined || parentId === null || (typeof parentId === 'string' && parentId !== '');
+}
+
+/**
+ * Get the cards of a board
+ * @param {Object} boardData - Board data
+ * @returns {Array<Object>} Cards, or an empty array for boards without cards
+ */
+function getCards(boardData) {
+    return (boardData && Array.isArray(boardData.cards)) ? boardData.cards : [];
+}
+
+/**
+ * Map every card of a board to its child cards
+ * @param {Object} boardData - Board data
+ * @returns {Map<string, Array<Object>>} Child cards by parent ID, in board order
+ */
+function buildChildMap(boardData) {
+    const childMap = new Map();
+    for (const card of getCards(boardData)) {
+        if (!card.parentId) continue;
+        if (!childMap.has(card.parentId)) childMap.set(card.parentId, []);
+        childMap.get(card.parentId).push(card);
+    }
+    return childMap;
+}
+
+/**
+ * Get the child cards of a card
+ * @param {Object} boardData - Board data
+ * @param {string} cardId - ID of the parent card
+ * @returns {Array<Object>} Child cards, in board order
+ */
+function getChildren(boardData, cardId) {
+    return getCards(boardData).filter(card => card.parentId === cardId);
+}
+
+/**
+ * Get the IDs of every card below a card: its children, their children and so on
+ * @param {Object} boardData - Board data
+ * @param {string} cardId - ID of the card
+ * @returns {Array<string>} Descendant IDs, nearest first. Never includes the card itself, even in a cycle
+ */
+function getDescendantIds(boardData, cardId) {
+    const childMap = buildChildMap(boardData);
+    const seen = new Set([cardId]);
+    const descendants = [];
+    const queue = [cardId];
+
+    while (queue.length) {
+        for (const child of childMap.get(queue.shift()) || []) {
+            if (seen.has(child.id)) continue;
+            seen.add(child.id);
+            descendants.push(child.id);
+            queue.push(child.id);
+        }
+    }
+    return descendants;
+}
+
+/**
+ * Get the IDs of the cards above a card: its parent, their parent and so on
+ * @param {Object} boardData - Board data
+ * @param {string} cardId - ID of the card
+ * @returns {Array<string>} Ancestor IDs, parent first. Stops at a parent that is not on the board, or where the chain loops
+ */
+function getAncestorIds(boardData, cardId) {
+    const cardsById = new Map(getCards(boardData).map(card => [card.id, card]));
+    const ancestors = [];
+    const seen = new Set([cardId]);
+
+    for (let card = cardsById.get(cardId); card && card.parentId && cardsById.has(card.parentId);) {
+        if (seen.has(card.parentId)) break;
+        seen.add(card.parentId);
+        ancestors.push(card.parentId);
+        card = cardsById.get(card.parentId);
+    }
+    return ancestors;
+}
+
+/**
+ * Count how many of a card's descendants are completed
+ * @param {Object} boardData - Board data
+ * @param {string} cardId - ID of the card
+ * @returns {ChildProgress} Completion of the card's descendants
+ */
+function getChildProgress(boardData, cardId) {
+    const cardsById = new Map(getCards(boardData).map(card => [card.id, card]));
+    const descendants = getDescendantIds(boardData, cardId).map(id => cardsById.get(id));
+    return {
+        total: descendants.length,
+        completed: descendants.filter(card => card.completed_at).length
+    };
+}
+
+/**
+ * Build the tree of cards below a card
+ * @param {Object} boardData - Board data
+ * @param {string} cardId - ID of the card at the top
+ * @param {Object} [options={}] - Tree options
+ * @param {number} [options.depth=Infinity] - How many levels of children to include
+ * @returns {CardTreeNode|null} The tree, or null if the card is not on the board
+ */
+function buildCardTree(boardData, cardId, { depth = Infinity } = {}) {
+    const card = getCards(boardData).find(c => c.id === cardId);
+    if (!card) return null;
+
+    const childMap = buildChildMap(boardData);
+    const buildNode = (node, level, seen) => {
+        const children = (childMap.get(node.id) || []).filter(child => !seen.has(child.id));
+        return {
+            card: node,
+            progress: getChildProgress(boardData, node.id),
+            childCount: children.length,
+            children: level < depth
+                ? children.map(child => buildNode(child, level + 1, new Set([...seen, child.id])))
+                : []
+        };
+    };
+    return buildNode(card, 0, new Set([card.id]));
+}
+
+/**
+ * Find the loops of cards whose parent links lead back to themselves
+ * @param {Object} boardData - Board data
+ * @returns {Array<Array<string>>} Card IDs of each loop, each card followed by its parent
+ */
+function findParentCycles(boardData) {
+    const cardsById = new Map(getCards(boardData).map(card => [card.id, card]));
+    const done = new Set();
+    const cycles = [];
+
+    for (const card of cardsById.values()) {
+        const path = [];
+        const onPath = new Map();
+        let current = card;
+        while (current && !done.has(current.id) && !onPath.has(current.id)) {
+            onPath.set(current.id, path.length);
+            path.push(current.id);
+            current = current.parentId ? cardsById.get(current.parentId) : null;
+        }
+        if (current && onPath.has(current.id)) {
+            cycles.push(path.slice(onPath.get(current.id)));
+        }
+        path.forEach(id => done.add(id));
+    }
+    return cycles;
+}
+
+/**
+ * Find the parent cycles of a board that were not already on the previous version of it,
+ * so a board saved with a cycle before they were rejected can still be edited
+ * @param {Object} boardData - Board data about to be saved
+ * @param {Object|null} previousData - Board data as last saved, or null for a new board
+ * @returns {Array<Array<string>>} Card IDs of each new cycle
+ */
+function findNewParentCycles(boardData, previousData) {
+    const cycles = findParentCycles(boardData);
+    if (!cycles.length) return [];
+
+    const cycleKey = cycle => [...cycle].sort().join('\n');
+    const previous = new Set(findParentCycles(previousData).map(cycleKey));
+    return cycles.filter(cycle => !previous.has(cycleKey(cycle)));
+}
+
+/**
+ * Describe a parent cycle by card title, e.g. "A → B → A", each card followed by its parent
+ * @param {Object} boardData - Board data
+ * @param {Array<string>} cycle - Card IDs of the cycle
+ * @returns {string} Description of the cycle
+ */
+function formatParentCycle(boardData, cycle) {
+    const titles = new Map(getCards(boardData).map(card => [card.id, card.title]));
+    return [...cycle, cycle[0]].map(id => `"${titles.get(id) || id}"`).join(' → ');
+}
+
+/**
+ * Find cards whose parent is not on the board
+ * @param {Object} boardData - Board data
+ * @returns {Array<DanglingParent>} Cards with a missing parent, in board order
+ */
+function findDanglingParents(boardData) {
+    const cards = getCards(boardData);
+    const ids = new Set(cards.map(card => card.id));
+    return cards
+        .filter(card => card.parentId && !ids.has(card.parentId))
+        .map(card => ({ cardId: card.id, cardTitle: card.title, parentId: card.parentId }));
+}
+
+module.exports = {
+    isValidParentId,
+    getChildren,
+    getDescendantIds,
+    getAncestorIds,
+    getChildProgress,
+    buildCardTree,
+    findParentCycles,
+    findNewParentCycles,
+    formatParentCycle,
+    findDanglingParents
+};
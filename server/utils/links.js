@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Typed links between cards.
+ * A card's `links` lists its relationships to other cards, e.g. `{ type: 'blocks', cardId }`.
+ * Each link is stored once, on the card it was added to; the other card shows it as the
+ * inverse type (A blocks B shows on B as blocked-by A). Links don't hold up the ready queue:
+ * `dependencies` remain what blocks a card from being started.
+ * @module utils/links
+ */
+
+/**
+ * Each link type and its inverse, as seen from the other card
+ * @type {Object<string, string>}
+ */
+const LINK_INVERSES = {
+    'blocks': 'blocked-by',
+    'blocked-by': 'blocks',
+    'relates-to': 'relates-to',
+    'duplicates': 'duplicated-by',
+    'duplicated-by': 'duplicates',
+    'follows-up': 'followed-up-by',
+    'followed-up-by': 'follows-up'
+};
+
+/**
+ * Link types a card can have
+ * @type {Array<string>}
+ */
+const LINK_TYPES = Object.keys(LINK_INVERSES);
+
+/**
+ * @typedef {Object} CardLink
+ * @property {string} type - Link type, one of LINK_TYPES
+ * @property {string} cardId - ID of the linked card
+ */
+
+/**
+ * @typedef {Object} ResolvedLink
+ * @property {string} type - Link type, as seen from the card
+ * @property {string} cardId - ID of the linked card
+ * @property {boolean} inverse - True if the link is stored on the other card
+ */
+
+/**
+ * Check whether a value is a valid list of links for a card
+ * @param {*} links - Value to check
+ * @param {string} [cardId] - ID of the card, which can't link to itself
+ * @returns {boolean} True if the links are valid, or absent
+ */
+function isValidLinks(links, cardId) {
+    if (links === undefined) return true;
+    return Array.isArray(links) && links.every(link =>
+        link && typeof link === 'object' &&
+        LINK_TYPES.includes(link.type) &&
+        typeof link.cardId === 'string' && link.cardId !== '' &&
+        link.cardId !== cardId
+    );
+}
+
+/**
+ * Get every link of a card: the ones stored on it, and the inverse of the ones other
+ * cards store to it. A link stored on both cards is listed once.
+ * @param {Object} boardData - Board data
+ * @param {string} cardId - ID of the card
+ * @returns {Array<ResolvedLink>} Links of the card
+ */
+function getCardLinks(boardData, cardId) {
+    const cards = (boardData && Array.isArray(boardData.cards)) ? boardData.cards : [];
+    const card = cards.find(c => c.id === cardId);
+    const resolved = ((card && card.links) || []).map(link => ({ type: link.type, cardId: link.cardId, inverse: false }));
+    const has = (type, id) => resolved.some(link => link.type === type && link.cardId === id);
+
+    for (const other of cards) {
+        if (other.id === cardId) continue;
+        for (const link of other.links || []) {
+            const type = LINK_INVERSES[link.type];
+            if (link.cardId === cardId && type && !has(type, other.id)) {
+                resolved.push({ type, cardId: other.id, inverse: true });
+            }
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Find a card, or throw if it is not on the board
+ * @param {Object} boardData - Board data
+ * @param {string} cardId - ID of the card
+ * @returns {Object} The card
+ * @throws {Error} If the card is not on the board
+ */
+function findCard(boardData, cardId) {
+    const card = ((boardData && boardData.cards) || []).find(c => c.id === cardId);
+    if (!card) {
+        throw new Error(`Card with ID ${cardId} not found`);
+    }
+    return card;
+}
+
+/**
+ * Link a card to another card. Adding a link the cards already have, from either side, does nothing.
+ * @param {Object} boardData - Board data, changed in place
+ * @param {string} cardId - ID of the card to add the link to
+ * @param {string} type - Link type, one of LINK_TYPES
+ * @param {string} targetId - ID of the card to link to
+ * @returns {boolean} True if the link was added, false if it was already there
+ * @throws {Error} If the type is unknown, a card is not on the board or the card would link to itself
+ */
+function addLink(boardData, cardId, type, targetId) {
+    if (!LINK_TYPES.includes(type)) {
+        throw new Error(`Unknown link type "${type}". Use one of: ${LINK_TYPES.join(', ')}`);
+    }
+    if (cardId === targetId) {
+        throw new Error('A card can\'t be linked to itself');
+    }
+    const card = findCard(boardData, cardId);
+    findCard(boardData, targetId);
+
+    if (getCardLinks(boardData, cardId).some(link => link.type === type && link.cardId === targetId)) {
+        return false;
+    }
+
+    card.links = [...(card.links || []), { type, cardId: targetId }];
+    return true;
+}
+
+/**
+ * Remove a link between two cards, from whichever card stores it
+ * @param {Object} boardData - Board data, changed in place
+ * @param {string} cardId - ID of the card the link is seen from
+ * @param {string} type - Link type, as seen from the card
+ * @param {string} targetId - ID of the linked card
+ * @returns {boolean} True if a link was removed, false if the cards had no such link
+ * @throws {Error} If the type is unknown or the card is not on the board
+ */
+function removeLink(boardData, cardId, type, targetId) {
+    if (!LINK_TYPES.includes(type)) {
+        throw new Error(`Unknown link type "${type}". Use one of: ${LINK_TYPES.join(', ')}`);
+    }
+    const card = findCard(boardData, cardId);
+    // The linked card may have been deleted, leaving a link that can still be removed
+    const target = (boardData.cards || []).find(c => c.id === targetId);
+
+    const without = (links, linkType, id) => (links || []).filter(link => !(link.type === linkType && link.cardId === id));
+    const cardLinks = without(card.links, type, targetId);
+    const targetLinks = target ? without(target.links, LINK_INVERSES[type], cardId) : [];
+    const removed = cardLinks.length !== (card.links || []).length ||
+        (target && targetLinks.length !== (target.links || []).length);
+
+    if (card.links) card.links = cardLinks;
+    if (target && target.links) target.links = targetLinks;
+    return Boolean(removed);
+}
+
+module.exports = {
+    LINK_TYPES,
+    LINK_INVERSES,
+    isValidLinks,
+    getCardLinks,
+    addLink,
+    removeLink
+};
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview The ready queue: the cards that can be picked up next.
+ * A card is ready when it is not completed, every card it depends on is completed,
+ * it is not blocked and nobody else has taken it. Ready cards are ranked by priority,
+ * then due date, then age, so the first card is the one to work on.
+ * @module utils/readyQueue
+ * @requires ./dueDates
+ * @requires ./claims
+ */
+
+const { getDueTime } = require('./dueDates');
+const { isClaimedByOther } = require('./claims');
+
+/**
+ * Rank of each priority, highest first. Cards without a priority count as medium.
+ * @type {Object<string, number>}
+ */
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * @typedef {Object} ReadyQueueOptions
+ * @property {string} [assignee] - Who is asking: cards assigned to or claimed by them count as ready, cards assigned to or claimed by anyone else don't
+ * @property {string} [columnId] - Only include cards in this column
+ * @property {number} [limit] - Most cards to return
+ */
+
+/**
+ * Check whether a card is blocked: marked blocked, or in a column named Blocked
+ * @param {Object} card - Card
+ * @param {Map<string, Object>} columnsById - Columns of the board by ID
+ * @returns {boolean} True if the card is blocked
+ */
+function isBlocked(card, columnsById) {
+    const column = columnsById.get(card.columnId);
+    return Boolean(card.blocked_at) || Boolean(column && String(column.name).toLowerCase() === 'blocked');
+}
+
+/**
+ * Compare two ready cards: higher priority first, then the earlier due date (cards
+ * without one last), then the older card
+ * @param {Object} a - First card
+ * @param {Object} b - Second card
+ * @returns {number} Negative if a comes first, positive if b does
+ */
+function compareReadyCards(a, b) {
+    const priority = (PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.medium) - (PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.medium);
+    if (priority !== 0) return priority;
+
+    const dueA = getDueTime(a) ?? Infinity;
+    const dueB = getDueTime(b) ?? Infinity;
+    if (dueA !== dueB) return dueA < dueB ? -1 : 1;
+
+    const createdA = Date.parse(a.created_at) || Infinity;
+    const createdB = Date.parse(b.created_at) || Infinity;
+    return createdA === createdB ? 0 : createdA < createdB ? -1 : 1;
+}
+
+/**
+ * Get the ranked cards of a board that can be worked on next
+ * @param {Object} boardData - Board data
+ * @param {ReadyQueueOptions} [options={}] - Who is asking, and which cards to include
+ * @returns {{cards: Array<Object>, total: number}} Ready cards in rank order, up to the limit, and how many are ready in all
+ */
+function getReadyCards(boardData, options = {}) {
+    const { assignee, columnId, limit } = options;
+    const cards = (boardData && Array.isArray(boardData.cards)) ? boardData.cards : [];
+    const columnsById = new Map(((boardData && boardData.columns) || []).map(column => [column.id, column]));
+    const cardsById = new Map(cards.map(card => [card.id, card]));
+
+    const ready = cards
+        .filter(card => !card.completed_at)
+        .filter(card => !columnId || card.columnId === columnId)
+        .filter(card => !isBlocked(card, columnsById))
+        .filter(card => !card.assignee || card.assignee === assignee)
+        .filter(card => !isClaimedByOther(card, assignee))
+        // Dependencies on cards that are no longer on the board don't hold a card up
+        .filter(card => (card.dependencies || []).every(id => !cardsById.has(id) || cardsById.get(id).completed_at))
+        .sort(compareReadyCards);
+
+    return {
+        cards: Number.isInteger(limit) ? ready.slice(0, limit) : ready,
+        total: ready.length
+    };
+}
+
+module.exports = {
+    getReadyCards
+};
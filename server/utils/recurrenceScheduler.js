@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Generates the cards of recurrences that are due, on every board, once a minute.
+ * Runs inside both the web server and the MCP server process, so two schedulers may see the same
+ * recurrence come due. Each saves against the board revision it read: the second save is rejected,
+ * and on reloading the board that scheduler finds the recurrence already generated, so a card is
+ * never generated twice. Generated cards are saved like any other change, so they are recorded in
+ * card history under the 'scheduler' actor and can be undone.
+ * @module utils/recurrenceScheduler
+ * @requires node:fs/promises
+ * @requires node:path
+ * @requires ../config/config
+ * @requires ../models/Board
+ * @requires ./recurrences
+ * @requires ./errors
+ */
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const config = require('../config/config');
+const Board = require('../models/Board');
+const { hasDueRecurrences, generateDueCards } = require('./recurrences');
+const { ConflictError } = require('./errors');
+
+/**
+ * How often to check for due recurrences, in milliseconds
+ * @type {number}
+ */
+const SCHEDULER_INTERVAL_MS = 60000;
+
+/**
+ * How many times to reload and retry a board that was changed while its cards were generated
+ * @type {number}
+ */
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Actor recorded in card history for generated cards
+ * @type {string}
+ */
+const SCHEDULER_ACTOR = 'scheduler';
+
+/**
+ * @typedef {Object} SchedulerLogger
+ * @property {function(string, *=): void} info - Log progress
+ * @property {function(string, *=): void} warn - Log a skipped run
+ * @property {function(string, *=): void} error - Log a failure
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Generate the due cards of one board. A board saved elsewhere in the meantime is reloaded and
+ * tried again, so a recurrence never runs twice for the same time.
+ * @async
+ * @param {string} boardId - ID of the board
+ * @param {Date} now - Current time
+ * @param {SchedulerLogger} logger - Where to log skipped runs
+ * @returns {Promise<Array<Object>>} Generated cards
+ */
+async function runBoardRecurrences(boardId, now, logger) {
+    for (let attempt = 1; ; attempt++) {
+        const board = await Board.load(boardId);
+        if (!hasDueRecurrences(board.data, now)) return [];
+
+        const runs = generateDueCards(board.data, now);
+        for (const { recurrence } of runs.filter(run => !run.card)) {
+            logger.warn(`Recurrence ${recurrence.id} on board ${boardId} skipped: column ${recurrence.columnId} no longer exists`);
+        }
+
+        try {
+            // Scheduled cards are due whatever a column's WIP limit, so the limit is not enforced
+            await board.save({ actor: SCHEDULER_ACTOR, checkWipLimits: false });
+            return runs.filter(run => run.card).map(run => run.card);
+        } catch (error) {
+            if (!(error instanceof ConflictError) || attempt >= MAX_ATTEMPTS) throw error;
+        }
+    }
+}
+
+/**
+ * Generate the cards of every recurrence that is due, on all boards
+ * @async
+ * @function runDueRecurrences
+ * @param {Date} [now=new Date()] - Current time
+ * @param {SchedulerLogger} [logger=console] - Where to log skipped runs and failures
+ * @returns {Promise<Array<{boardId: string, cards: Array<Object>}>>} Cards generated per board, for boards that had any
+ */
+async function runDueRecurrences(now = new Date(), logger = console) {
+    const results = [];
+
+    for (const { id } of await Board.list()) {
+        try {
+            // The default board file is listed by the ID inside it, which can't be loaded, so skip it
+            const stored = await fs.access(path.join(config.boardsDir, `${id}.json`)).then(() => true, () => false);
+            if (!stored) continue;
+
+            const cards = await runBoardRecurrences(id, now, logger);
+            if (cards.length) {
+                results.push({ boardId: id, cards });
+            }
+        } catch (error) {
+            logger.error(`Error generating recurring cards for board ${id}:`, error);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Check for due recurrences now and then once a minute. Safe to call more than once.
+ * @function startRecurrenceScheduler
+ * @param {Object} [options={}] - Scheduler options
+ * @param {SchedulerLogger} [options.logger=console] - Where to log; the MCP server must keep stdout free
+ */
+function startRecurrenceScheduler({ logger = console } = {}) {
+    if (timer) return;
+
+    const tick = async () => {
+        // Skip a tick if the previous one is still going
+        if (running) return;
+        running = true;
+        try {
+            for (const { boardId, cards } of await runDueRecurrences(new Date(), logger)) {
+                logger.info(`Generated ${cards.length} recurring card(s) on board ${boardId}`);
+            }
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    tick();
+}
+
+/**
+ * Stop checking for due recurrences
+ * @function stopRecurrenceScheduler
+ */
+function stopRecurrenceScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    runDueRecurrences,
+    startRecurrenceScheduler,
+    stopRecurrenceScheduler
+};
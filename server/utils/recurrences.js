@@ -0,0 +1,462 @@
+/**
+ * @fileoverview Recurring cards: card templates that are copied into a column on a schedule.
+ * A board's `recurrences` list holds each template with its target column, its schedule and
+ * the time of its next run. Schedules are daily, on weekdays, weekly, monthly or a five-field
+ * cron expression, in the server's local time. Missed runs are not made up: a recurrence that
+ * is overdue generates one card and moves on to its next run after the current time.
+ * @module utils/recurrences
+ */
+
+const crypto = require('node:crypto');
+const { normalizeSubtasks } = require('./subtasks');
+
+/**
+ * How often a recurrence can repeat
+ * @type {Array<string>}
+ */
+const FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly', 'cron'];
+
+/**
+ * Time of day of schedules that don't give one
+ * @type {string}
+ */
+const DEFAULT_TIME = '09:00';
+
+/**
+ * Names of the days of the week, from Sunday
+ * @type {Array<string>}
+ */
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Fields of a cron expression, in order, with their allowed values. Day of week 7 is Sunday, like 0.
+ * @type {Array<{name: string, min: number, max: number}>}
+ */
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * How far ahead to look for the next run, long enough for schedules that only fall on February 29
+ * @type {number}
+ */
+const MAX_SEARCH_DAYS = 8 * 366;
+
+/**
+ * Card fields that are set on each generated card rather than copied from the template,
+ * or that belong to one card only: its claim, sprint, parent card and links
+ * @type {Array<string>}
+ */
+const GENERATED_CARD_FIELDS = [
+    'id', 'columnId', 'position', 'created_at', 'updated_at', 'completed_at', 'blocked_at', 'recurrenceId', 'start_date', 'due_date',
+    'claim', 'sprintId', 'parentId', 'links'
+];
+
+/**
+ * @typedef {Object} RecurrenceSchedule
+ * @property {string} frequency - 'daily', 'weekdays', 'weekly', 'monthly' or 'cron'
+ * @property {string} [time='09:00'] - Time of day as HH:MM (all but 'cron')
+ * @property {number} [dayOfWeek=1] - Day of the week, 0 (Sunday) to 6 (for 'weekly')
+ * @property {number} [dayOfMonth=1] - Day of the month, 1 to 31; shorter months use their last day (for 'monthly')
+ * @property {string} [cron] - Cron expression: minute, hour, day of month, month and day of week (for 'cron')
+ */
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {string} id - Unique identifier of the recurrence
+ * @property {Object} card - Card template: the fields copied into every generated card (title required)
+ * @property {string} columnId - ID of the column cards are generated in
+ * @property {RecurrenceSchedule} schedule - When cards are generated
+ * @property {number} [dueInDays] - Days after generation that generated cards are due
+ * @property {string} created_at - ISO timestamp when the recurrence was created
+ * @property {string|null} next_run_at - ISO timestamp of the next run, or null if the schedule has no more runs
+ * @property {string|null} [last_run_at] - ISO timestamp of the last run
+ * @property {string|null} [last_card_id] - ID of the card generated by the last run
+ */
+
+/**
+ * Parse one field of a cron expression
+ * @param {string} text - Field text, e.g. '*', '1-5', '0,30' or '*\/15'
+ * @param {{name: string, min: number, max: number}} field - Field definition
+ * @returns {Set<number>} Values the field matches
+ * @throws {Error} If the field is not valid
+ */
+function parseCronField(text, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid ${name} field "${text}"`);
+        }
+
+        const [, start, end, step] = match;
+        const from = start === undefined ? min : Number(start);
+        // A single value with a step, such as 5/15, runs to the end of the range
+        const to = end !== undefined ? Number(end) : start === undefined || step ? max : from;
+        const increment = step === undefined ? 1 : Number(step);
+        if (from < min || to > max || from > to || increment < 1) {
+            throw new Error(`Invalid ${name} field "${text}": values must be between ${min} and ${max}`);
+        }
+
+        for (let value = from; value <= to; value += increment) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields: minute, hour, day of month, month and day of week
+ * @returns {{minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}} Parsed expression
+ * @throws {Error} If the expression is not valid
+ */
+function parseCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error('A cron expression needs five fields: minute, hour, day of month, month and day of week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseCronField(text, CRON_FIELDS[index]));
+    if (weekdays.delete(7)) weekdays.add(0);
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // As in cron, a day matches either field when both are restricted
+        anyDay: fields[2].startsWith('*'),
+        anyWeekday: fields[4].startsWith('*')
+    };
+}
+
+/**
+ * Parse a time of day
+ * @param {string} [time='09:00'] - Time as HH:MM
+ * @returns {number|null} Minutes after midnight, or null if the time is not valid
+ */
+function parseTime(time = DEFAULT_TIME) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Find what is wrong with a schedule
+ * @param {*} schedule - Schedule to check
+ * @returns {string|null} Description of the problem, or null if the schedule is valid
+ */
+function getScheduleError(schedule) {
+    if (!schedule || typeof schedule !== 'object') return 'A schedule is required';
+    if (!FREQUENCIES.includes(schedule.frequency)) {
+        return `The frequency must be one of ${FREQUENCIES.join(', ')}`;
+    }
+
+    if (schedule.frequency === 'cron') {
+        try {
+            parseCron(schedule.cron || '');
+        } catch (error) {
+            return error.message;
+        }
+        return getNextRun(schedule, new Date()) ? null : 'The cron expression never matches a date';
+    }
+
+    if (parseTime(schedule.time) === null) return 'The time must be given as HH:MM, from 00:00 to 23:59';
+    if (schedule.frequency === 'weekly' && schedule.dayOfWeek !== undefined &&
+        !(Number.isInteger(schedule.dayOfWeek) && schedule.dayOfWeek >= 0 && schedule.dayOfWeek <= 6)) {
+        return 'The day of the week must be a number from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (schedule.frequency === 'monthly' && schedule.dayOfMonth !== undefined &&
+        !(Number.isInteger(schedule.dayOfMonth) && schedule.dayOfMonth >= 1 && schedule.dayOfMonth <= 31)) {
+        return 'The day of the month must be a number from 1 to 31';
+    }
+    return null;
+}
+
+/**
+ * Keep only the fields of a schedule that apply to its frequency, with defaults filled in
+ * @param {RecurrenceSchedule} schedule - Valid schedule
+ * @returns {RecurrenceSchedule} Normalized schedule
+ */
+function normalizeSchedule(schedule) {
+    switch (schedule.frequency) {
+        case 'cron':
+            return { frequency: 'cron', cron: schedule.cron.trim().split(/\s+/).join(' ') };
+        case 'weekly':
+            return { frequency: 'weekly', dayOfWeek: schedule.dayOfWeek ?? 1, time: schedule.time || DEFAULT_TIME };
+        case 'monthly':
+            return { frequency: 'monthly', dayOfMonth: schedule.dayOfMonth ?? 1, time: schedule.time || DEFAULT_TIME };
+        default:
+            return { frequency: schedule.frequency, time: schedule.time || DEFAULT_TIME };
+    }
+}
+
+/**
+ * Get which days a schedule runs on and at which times
+ * @param {RecurrenceSchedule} schedule - Valid schedule
+ * @returns {{matchesDay: function(Date): boolean, times: Array<number>}} Day test, and run times in minutes after midnight, ascending
+ */
+function compileSchedule(schedule) {
+    if (schedule.frequency === 'cron') {
+        const cron = parseCron(schedule.cron);
+        const times = [];
+        for (const hour of [...cron.hours].sort((a, b) => a - b)) {
+            for (const minute of [...cron.minutes].sort((a, b) => a - b)) {
+                times.push(hour * 60 + minute);
+            }
+        }
+
+        return {
+            times,
+            matchesDay: date => {
+                if (!cron.months.has(date.getMonth() + 1)) return false;
+                const dayMatches = cron.days.has(date.getDate());
+                const weekdayMatches = cron.weekdays.has(date.getDay());
+                if (!cron.anyDay && !cron.anyWeekday) return dayMatches || weekdayMatches;
+                return dayMatches && weekdayMatches;
+            }
+        };
+    }
+
+    const { dayOfWeek = 1, dayOfMonth = 1 } = schedule;
+    const matchers = {
+        daily: () => true,
+        weekdays: date => date.getDay() >= 1 && date.getDay() <= 5,
+        weekly: date => date.getDay() === dayOfWeek,
+        monthly: date => {
+            const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+            return date.getDate() === Math.min(dayOfMonth, lastDay);
+        }
+    };
+
+    return { times: [parseTime(schedule.time)], matchesDay: matchers[schedule.frequency] };
+}
+
+/**
+ * Get the first time a schedule runs after a given time
+ * @param {RecurrenceSchedule} schedule - Valid schedule
+ * @param {Date} after - Time to look from; a run at exactly this time is not counted
+ * @returns {Date|null} Time of the next run, or null if there is none in the next eight years
+ */
+function getNextRun(schedule, after) {
+    const { matchesDay, times } = compileSchedule(schedule);
+
+    const start = new Date(after.getTime());
+    start.setSeconds(0, 0);
+    start.setMinutes(start.getMinutes() + 1);
+    const startMinute = start.getHours() * 60 + start.getMinutes();
+
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    for (let offset = 0; offset < MAX_SEARCH_DAYS; offset++) {
+        if (matchesDay(day)) {
+            const time = times.find(minute => offset > 0 || minute >= startMinute);
+            if (time !== undefined) {
+                return new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(time / 60), time % 60);
+            }
+        }
+        day.setDate(day.getDate() + 1);
+    }
+    return null;
+}
+
+/**
+ * Describe a schedule for people, e.g. "Weekly on Monday at 09:00"
+ * @param {RecurrenceSchedule} schedule - Valid schedule
+ * @returns {string} Description
+ */
+function describeSchedule(schedule) {
+    const time = schedule.time || DEFAULT_TIME;
+    switch (schedule.frequency) {
+        case 'daily':
+            return `Daily at ${time}`;
+        case 'weekdays':
+            return `Weekdays at ${time}`;
+        case 'weekly':
+            return `Weekly on ${WEEKDAY_NAMES[schedule.dayOfWeek ?? 1]} at ${time}`;
+        case 'monthly':
+            return `Monthly on day ${schedule.dayOfMonth ?? 1} at ${time}`;
+        default:
+            return `Cron "${schedule.cron}"`;
+    }
+}
+
+/**
+ * Check whether a value is a valid list of recurrences (or undefined for none)
+ * @param {*} recurrences - Value to check
+ * @returns {boolean} True if the recurrences are valid
+ */
+function isValidRecurrences(recurrences) {
+    if (recurrences === undefined) return true;
+    if (!Array.isArray(recurrences)) return false;
+
+    const ids = new Set();
+    for (const recurrence of recurrences) {
+        if (!recurrence || typeof recurrence !== 'object') return false;
+        if (typeof recurrence.id !== 'string' || !recurrence.id || ids.has(recurrence.id)) return false;
+        if (typeof recurrence.columnId !== 'string') return false;
+        if (!recurrence.card || typeof recurrence.card !== 'object' || typeof recurrence.card.title !== 'string' || !recurrence.card.title) return false;
+        if (getScheduleError(recurrence.schedule)) return false;
+        if (recurrence.dueInDays !== undefined && !(Number.isInteger(recurrence.dueInDays) && recurrence.dueInDays >= 0)) return false;
+        if (recurrence.next_run_at !== null && Number.isNaN(new Date(recurrence.next_run_at).getTime())) return false;
+        ids.add(recurrence.id);
+    }
+    return true;
+}
+
+/**
+ * Find what is wrong with the options for a new recurrence on a board.
+ * The types of the template's card fields are left to card validation.
+ * @param {Object} boardData - Board data
+ * @param {Object} options - Recurrence options, as for {@link createRecurrence}
+ * @returns {string|null} Description of the problem, or null if the options are valid
+ */
+function getRecurrenceInputError(boardData, { card, columnId, schedule, dueInDays }) {
+    if (!card || typeof card !== 'object' || typeof card.title !== 'string' || !card.title.trim()) {
+        return 'The card template needs a title';
+    }
+    if (!(boardData.columns || []).some(column => column.id === columnId)) {
+        return `Column ${columnId} does not exist`;
+    }
+    if (dueInDays !== undefined && !(Number.isInteger(dueInDays) && dueInDays >= 0)) {
+        return 'dueInDays must be a whole number of days, 0 or more';
+    }
+    return getScheduleError(schedule);
+}
+
+/**
+ * Copy a card without the fields listed in {@link GENERATED_CARD_FIELDS}
+ * @param {Object} card - Card or card template
+ * @returns {Object} Card template
+ * @private
+ */
+function toTemplate(card) {
+    return Object.fromEntries(
+        Object.entries(card).filter(([field]) => !GENERATED_CARD_FIELDS.includes(field))
+    );
+}
+
+/**
+ * Create a recurrence, scheduled for its first run after the given time.
+ * Fields of the template that every generated card gets afresh (IDs, positions, timestamps
+ * and dates) are dropped; use `dueInDays` to give generated cards a due date.
+ * @param {Object} options - Recurrence options
+ * @param {Object} options.card - Card template
+ * @param {string} options.columnId - ID of the column cards are generated in
+ * @param {RecurrenceSchedule} options.schedule - Valid schedule
+ * @param {number} [options.dueInDays] - Days after generation that generated cards are due
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Recurrence} The new recurrence
+ */
+function createRecurrence({ card, columnId, schedule, dueInDays }, now = new Date()) {
+    const template = toTemplate(card);
+    const normalized = normalizeSchedule(schedule);
+    const nextRun = getNextRun(normalized, now);
+
+    return {
+        id: crypto.randomUUID(),
+        card: template,
+        columnId,
+        schedule: normalized,
+        ...(dueInDays !== undefined ? { dueInDays } : {}),
+        created_at: now.toISOString(),
+        next_run_at: nextRun ? nextRun.toISOString() : null,
+        last_run_at: null,
+        last_card_id: null
+    };
+}
+
+/**
+ * Format a local date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Plain date
+ */
+function toPlainDate(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Check whether any recurrence of a board is due to run
+ * @param {Object} boardData - Board data
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} True if a recurrence is due
+ */
+function hasDueRecurrences(boardData, now = new Date()) {
+    return (boardData.recurrences || []).some(recurrence =>
+        recurrence.next_run_at && new Date(recurrence.next_run_at) <= now
+    );
+}
+
+/**
+ * Run every recurrence of a board that is due: add a copy of its template to the end of its
+ * column, and schedule its next run after the current time. Subtasks start undone.
+ * A recurrence whose column no longer exists generates nothing but is still rescheduled.
+ * @param {Object} boardData - Board data, changed in place
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array<{recurrence: Recurrence, card: Object|null}>} The runs, with the generated card or null if the column is gone
+ */
+function generateDueCards(boardData, now = new Date()) {
+    const runs = [];
+    const timestamp = now.toISOString();
+    boardData.cards = boardData.cards || [];
+
+    for (const recurrence of boardData.recurrences || []) {
+        if (!recurrence.next_run_at || new Date(recurrence.next_run_at) > now) continue;
+
+        let card = null;
+        if ((boardData.columns || []).some(column => column.id === recurrence.columnId)) {
+            // Templates saved before a field was excluded may still have it
+            const { subtasks, ...fields } = toTemplate(recurrence.card);
+            card = {
+                ...fields,
+                id: crypto.randomUUID(),
+                columnId: recurrence.columnId,
+                position: boardData.cards.filter(existing => existing.columnId === recurrence.columnId).length,
+                ...(subtasks ? {
+                    subtasks: normalizeSubtasks(subtasks).map(subtask => ({
+                        ...subtask,
+                        id: crypto.randomUUID(),
+                        done: false,
+                        completed_at: null
+                    }))
+                } : {}),
+                ...(recurrence.dueInDays !== undefined ? {
+                    due_date: toPlainDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + recurrence.dueInDays))
+                } : {}),
+                recurrenceId: recurrence.id,
+                created_at: timestamp,
+                updated_at: timestamp
+            };
+            boardData.cards.push(card);
+            recurrence.last_run_at = timestamp;
+            recurrence.last_card_id = card.id;
+        }
+
+        const nextRun = getNextRun(recurrence.schedule, now);
+        recurrence.next_run_at = nextRun ? nextRun.toISOString() : null;
+        runs.push({ recurrence, card });
+    }
+
+    return runs;
+}
+
+module.exports = {
+    FREQUENCIES,
+    parseCron,
+    getScheduleError,
+    getNextRun,
+    describeSchedule,
+    isValidRecurrences,
+    getRecurrenceInputError,
+    createRecurrence,
+    hasDueRecurrences,
+    generateDueCards
+};
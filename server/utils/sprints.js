@@ -0,0 +1,427 @@
+/**
+ * @fileoverview Sprints: time-boxed iterations of a board, such as two-week sprints.
+ * A board's `sprints` list holds each sprint with its name, goal and dates; cards join a
+ * sprint through their `sprintId`, and cards in no sprint are in the backlog. A sprint is
+ * planned, then active (at most one at a time), then closed. Starting a sprint records the
+ * cards committed to it; closing it records its velocity (the number of its cards completed)
+ * and carries its unfinished cards forward to the next planned sprint, or back to the backlog.
+ * Sprint dates are plain dates (YYYY-MM-DD) in the server's local time.
+ * @module utils/sprints
+ */
+
+const crypto = require('node:crypto');
+
+/**
+ * States a sprint goes through, in order
+ * @type {Array<string>}
+ */
+const SPRINT_STATUSES = ['planned', 'active', 'closed'];
+
+/**
+ * Length of a sprint whose end date isn't given, in days
+ * @type {number}
+ */
+const DEFAULT_SPRINT_DAYS = 14;
+
+/**
+ * Number of recent closed sprints whose velocity is averaged
+ * @type {number}
+ */
+const VELOCITY_SPRINTS = 3;
+
+/**
+ * Matches a plain date without a time
+ * @type {RegExp}
+ */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} Sprint
+ * @property {string} id - Unique identifier of the sprint
+ * @property {string} name - Display name, e.g. 'Sprint 12'
+ * @property {string} [goal] - What the sprint sets out to achieve
+ * @property {string} start_date - First day of the sprint (YYYY-MM-DD)
+ * @property {string} end_date - Last day of the sprint (YYYY-MM-DD)
+ * @property {'planned'|'active'|'closed'} status - Where the sprint is in its life
+ * @property {string} created_at - ISO timestamp when the sprint was created
+ * @property {string|null} started_at - ISO timestamp when the sprint was started
+ * @property {string|null} closed_at - ISO timestamp when the sprint was closed
+ * @property {Array<string>} [committedCardIds] - IDs of the cards in the sprint when it started
+ * @property {Array<string>} [completedCardIds] - IDs of the sprint's cards completed by the time it closed
+ * @property {Array<string>} [carriedOverCardIds] - IDs of the unfinished cards moved on when it closed
+ * @property {string|null} [carriedOverTo] - ID of the sprint the unfinished cards moved to, or null for the backlog
+ * @property {number|null} velocity - Number of the sprint's cards completed, once closed
+ */
+
+/**
+ * @typedef {Object} SprintReport
+ * @property {Sprint} sprint - The sprint
+ * @property {{total: number, elapsed: number, remaining: number}} days - Length of the sprint and the days elapsed and left, counting today as elapsed
+ * @property {number|null} committed - Number of cards in the sprint when it started; null if it hasn't started
+ * @property {number} added - Number of cards that joined the sprint after it started
+ * @property {number} completed - Number of the sprint's cards that are completed
+ * @property {number} remaining - Number of the sprint's cards that are not completed (carried over, once closed)
+ * @property {number|null} completionRate - Percentage of the sprint's cards that are completed; null if it has none
+ * @property {number|null} velocity - Cards completed in the sprint, once closed
+ * @property {number|null} averageVelocity - Average velocity of the last VELOCITY_SPRINTS closed sprints; null before any has closed
+ * @property {Array<{id: string, title: string|null, columnId: string|null, completed: boolean, added: boolean}>} cards - The sprint's cards; the title and column are null for cards no longer on the board
+ */
+
+/**
+ * Parse a plain date, rejecting days that don't exist such as 2026-02-31
+ * @param {*} value - Value to parse
+ * @returns {Date|null} Local midnight of the day, or null if the value is not a plain date
+ */
+function parsePlainDate(value) {
+    if (typeof value !== 'string' || !DATE_ONLY.test(value)) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Format a local date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Plain date
+ */
+function toPlainDate(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Count the days from one plain date to another, both included
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {number} Number of days; 0 if the last day is before the first
+ */
+function countDays(from, to) {
+    // Rounded, since a daylight saving change makes a day an hour shorter or longer
+    return Math.max(0, Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1);
+}
+
+/**
+ * Check whether a value is a valid list of sprints (or undefined for none), with at most one active
+ * @param {*} sprints - Value to check
+ * @returns {boolean} True if the sprints are valid
+ */
+function isValidSprints(sprints) {
+    if (sprints === undefined) return true;
+    if (!Array.isArray(sprints)) return false;
+
+    const ids = new Set();
+    for (const sprint of sprints) {
+        if (!sprint || typeof sprint !== 'object') return false;
+        if (typeof sprint.id !== 'string' || !sprint.id || ids.has(sprint.id)) return false;
+        if (typeof sprint.name !== 'string' || !sprint.name.trim()) return false;
+        if (sprint.goal !== undefined && sprint.goal !== null && typeof sprint.goal !== 'string') return false;
+        if (!SPRINT_STATUSES.includes(sprint.status)) return false;
+        const start = parsePlainDate(sprint.start_date);
+        const end = parsePlainDate(sprint.end_date);
+        if (!start || !end || end < start) return false;
+        ids.add(sprint.id);
+    }
+    return sprints.filter(sprint => sprint.status === 'active').length <= 1;
+}
+
+/**
+ * Check whether a value is a valid sprint ID for a card (or undefined/null for the backlog)
+ * @param {*} sprintId - Value to check
+ * @returns {boolean} True if the sprint ID is valid
+ */
+function isValidSprintId(sprintId) {
+    return sprintId === undefined || sprintId === null || (typeof sprintId === 'string' && sprintId !== '');
+}
+
+/**
+ * Find what is wrong with the options for a new sprint
+ * @param {Object} options - Sprint options, as for {@link createSprint}
+ * @returns {string|null} Description of the problem, or null if the options are valid
+ */
+function getSprintInputError({ name, goal, startDate, endDate }) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'The sprint needs a name';
+    }
+    if (goal !== undefined && goal !== null && typeof goal !== 'string') {
+        return 'The sprint goal must be text';
+    }
+    const start = startDate === undefined ? null : parsePlainDate(startDate);
+    if (startDate !== undefined && !start) {
+        return 'startDate must be a date (YYYY-MM-DD)';
+    }
+    const end = endDate === undefined ? null : parsePlainDate(endDate);
+    if (endDate !== undefined && !end) {
+        return 'endDate must be a date (YYYY-MM-DD)';
+    }
+    if (end && end < (start || parsePlainDate(toPlainDate(new Date())))) {
+        return 'The sprint must not end before it starts';
+    }
+    return null;
+}
+
+/**
+ * Create a planned sprint
+ * @param {Object} options - Sprint options
+ * @param {string} options.name - Display name
+ * @param {string} [options.goal] - What the sprint sets out to achieve
+ * @param {string} [options.startDate] - First day (YYYY-MM-DD); today without one
+ * @param {string} [options.endDate] - Last day (YYYY-MM-DD); DEFAULT_SPRINT_DAYS after the start without one
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Sprint} The new sprint
+ */
+function createSprint({ name, goal, startDate, endDate }, now = new Date()) {
+    const start = parsePlainDate(startDate) || new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const end = parsePlainDate(endDate) ||
+        new Date(start.getFullYear(), start.getMonth(), start.getDate() + DEFAULT_SPRINT_DAYS - 1);
+
+    return {
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        ...(goal ? { goal } : {}),
+        start_date: toPlainDate(start),
+        end_date: toPlainDate(end),
+        status: 'planned',
+        created_at: now.toISOString(),
+        started_at: null,
+        closed_at: null,
+        velocity: null
+    };
+}
+
+/**
+ * Find a sprint, or throw if it is not on the board
+ * @param {Object} boardData - Board data
+ * @param {string} sprintId - ID of the sprint
+ * @returns {Sprint} The sprint
+ * @throws {Error} If the sprint is not on the board
+ */
+function findSprint(boardData, sprintId) {
+    const sprint = (boardData.sprints || []).find(s => s.id === sprintId);
+    if (!sprint) {
+        throw new Error(`Sprint ${sprintId} not found`);
+    }
+    return sprint;
+}
+
+/**
+ * Get the active sprint of a board
+ * @param {Object} boardData - Board data
+ * @returns {Sprint|null} The active sprint, or null if none is running
+ */
+function getActiveSprint(boardData) {
+    return (boardData.sprints || []).find(sprint => sprint.status === 'active') || null;
+}
+
+/**
+ * Get the cards of a sprint
+ * @param {Object} boardData - Board data
+ * @param {string} sprintId - ID of the sprint
+ * @returns {Array<Object>} Cards whose sprintId is the sprint's
+ */
+function getSprintCards(boardData, sprintId) {
+    return (boardData.cards || []).filter(card => card.sprintId === sprintId);
+}
+
+/**
+ * Move cards into a sprint, or back to the backlog. Cards can't join a closed sprint.
+ * @param {Object} boardData - Board data, changed in place
+ * @param {string|null} sprintId - ID of the sprint, or null for the backlog
+ * @param {Array<string>} cardIds - IDs of the cards
+ * @returns {Array<string>} IDs of the cards that moved; cards already there are left out
+ * @throws {Error} If the sprint or a card is not on the board, or the sprint is closed
+ */
+function assignCardsToSprint(boardData, sprintId, cardIds) {
+    if (sprintId !== null && findSprint(boardData, sprintId).status === 'closed') {
+        throw new Error('Cards can\'t be added to a closed sprint');
+    }
+    const cards = cardIds.map(cardId => {
+        const card = (boardData.cards || []).find(c => c.id === cardId);
+        if (!card) {
+            throw new Error(`Card with ID ${cardId} not found`);
+        }
+        return card;
+    });
+
+    return cards
+        .filter(card => (card.sprintId || null) !== sprintId)
+        .map(card => {
+            if (sprintId === null) {
+                delete card.sprintId;
+            } else {
+                card.sprintId = sprintId;
+            }
+            return card.id;
+        });
+}
+
+/**
+ * Start a planned sprint, recording the cards committed to it
+ * @param {Object} boardData - Board data, changed in place
+ * @param {string} sprintId - ID of the sprint
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Sprint} The started sprint
+ * @throws {Error} If the sprint is not on the board or not planned, or another sprint is active
+ */
+function startSprint(boardData, sprintId, now = new Date()) {
+    const sprint = findSprint(boardData, sprintId);
+    if (sprint.status !== 'planned') {
+        throw new Error(`Sprint "${sprint.name}" is ${sprint.status}; only a planned sprint can be started`);
+    }
+    const active = getActiveSprint(boardData);
+    if (active) {
+        throw new Error(`Sprint "${active.name}" is still active. Close it first`);
+    }
+
+    sprint.status = 'active';
+    sprint.started_at = now.toISOString();
+    sprint.committedCardIds = getSprintCards(boardData, sprintId).map(card => card.id);
+    return sprint;
+}
+
+/**
+ * Close the active sprint: record its velocity and carry its unfinished cards forward, to the
+ * given sprint, or else to the planned sprint that starts first, or else back to the backlog
+ * @param {Object} boardData - Board data, changed in place
+ * @param {string} sprintId - ID of the sprint
+ * @param {Object} [options={}] - Close options
+ * @param {string|null} [options.carryOverTo] - ID of the planned sprint the unfinished cards move to, or null for the backlog
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {{sprint: Sprint, carriedOverTo: Sprint|null}} The closed sprint, and the sprint its unfinished cards moved to
+ * @throws {Error} If a sprint is not on the board, the sprint is not active, or the unfinished cards can't move to the given sprint
+ */
+function closeSprint(boardData, sprintId, { carryOverTo } = {}, now = new Date()) {
+    const sprint = findSprint(boardData, sprintId);
+    if (sprint.status !== 'active') {
+        throw new Error(`Sprint "${sprint.name}" is ${sprint.status}; only the active sprint can be closed`);
+    }
+
+    let target = null;
+    if (carryOverTo) {
+        target = findSprint(boardData, carryOverTo);
+        if (target.status !== 'planned') {
+            throw new Error(`Unfinished cards can only be carried over to a planned sprint, and "${target.name}" is ${target.status}`);
+        }
+    } else if (carryOverTo === undefined) {
+        target = (boardData.sprints || [])
+            .filter(s => s.status === 'planned')
+            .sort((a, b) => a.start_date.localeCompare(b.start_date))[0] || null;
+    }
+
+    const cards = getSprintCards(boardData, sprintId);
+    const completed = cards.filter(card => card.completed_at);
+    const unfinished = cards.filter(card => !card.completed_at);
+    assignCardsToSprint(boardData, target ? target.id : null, unfinished.map(card => card.id));
+
+    sprint.status = 'closed';
+    sprint.closed_at = now.toISOString();
+    sprint.completedCardIds = completed.map(card => card.id);
+    sprint.carriedOverCardIds = unfinished.map(card => card.id);
+    sprint.carriedOverTo = target ? target.id : null;
+    sprint.velocity = completed.length;
+    return { sprint, carriedOverTo: target };
+}
+
+/**
+ * Delete a sprint that isn't active. Its cards go back to the backlog.
+ * @param {Object} boardData - Board data, changed in place
+ * @param {string} sprintId - ID of the sprint
+ * @returns {Sprint} The deleted sprint
+ * @throws {Error} If the sprint is not on the board or is active
+ */
+function deleteSprint(boardData, sprintId) {
+    const sprint = findSprint(boardData, sprintId);
+    if (sprint.status === 'active') {
+        throw new Error(`Sprint "${sprint.name}" is active. Close it first`);
+    }
+
+    for (const card of getSprintCards(boardData, sprintId)) {
+        delete card.sprintId;
+    }
+    boardData.sprints = boardData.sprints.filter(s => s.id !== sprintId);
+    return sprint;
+}
+
+/**
+ * Get the average velocity of the last closed sprints
+ * @param {Object} boardData - Board data
+ * @param {number} [count=VELOCITY_SPRINTS] - Number of sprints to average
+ * @returns {number|null} Average cards completed per sprint, or null if no sprint has closed
+ */
+function getAverageVelocity(boardData, count = VELOCITY_SPRINTS) {
+    const recent = (boardData.sprints || [])
+        .filter(sprint => sprint.status === 'closed' && typeof sprint.velocity === 'number')
+        .sort((a, b) => a.closed_at.localeCompare(b.closed_at))
+        .slice(-count);
+    if (recent.length === 0) return null;
+    return Math.round((recent.reduce((sum, sprint) => sum + sprint.velocity, 0) / recent.length) * 10) / 10;
+}
+
+/**
+ * Report on a sprint: its days, its committed, added, completed and remaining cards and its velocity.
+ * A closed sprint reports the cards it had when it closed.
+ * @param {Object} boardData - Board data
+ * @param {string} sprintId - ID of the sprint
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {SprintReport} The report
+ * @throws {Error} If the sprint is not on the board
+ */
+function getSprintReport(boardData, sprintId, now = new Date()) {
+    const sprint = findSprint(boardData, sprintId);
+    const byId = new Map((boardData.cards || []).map(card => [card.id, card]));
+
+    const completedIds = sprint.status === 'closed'
+        ? sprint.completedCardIds || []
+        : getSprintCards(boardData, sprintId).filter(card => card.completed_at).map(card => card.id);
+    const remainingIds = sprint.status === 'closed'
+        ? sprint.carriedOverCardIds || []
+        : getSprintCards(boardData, sprintId).filter(card => !card.completed_at).map(card => card.id);
+    const committed = sprint.status === 'planned' ? null : new Set(sprint.committedCardIds || []);
+
+    const cards = [...completedIds, ...remainingIds].map(id => {
+        const card = byId.get(id);
+        return {
+            id,
+            title: card ? card.title : null,
+            columnId: card ? card.columnId : null,
+            completed: completedIds.includes(id),
+            added: Boolean(committed) && !committed.has(id)
+        };
+    });
+
+    const start = parsePlainDate(sprint.start_date);
+    const end = parsePlainDate(sprint.end_date);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const total = countDays(start, end);
+    const elapsed = Math.min(total, countDays(start, today));
+
+    return {
+        sprint,
+        days: { total, elapsed, remaining: total - elapsed },
+        committed: committed ? committed.size : null,
+        added: cards.filter(card => card.added).length,
+        completed: completedIds.length,
+        remaining: remainingIds.length,
+        completionRate: cards.length ? Math.round((completedIds.length / cards.length) * 100) : null,
+        velocity: sprint.velocity ?? null,
+        averageVelocity: getAverageVelocity(boardData),
+        cards
+    };
+}
+
+module.exports = {
+    SPRINT_STATUSES,
+    DEFAULT_SPRINT_DAYS,
+    isValidSprints,
+    isValidSprintId,
+    getSprintInputError,
+    createSprint,
+    findSprint,
+    getActiveSprint,
+    getSprintCards,
+    assignCardsToSprint,
+    startSprint,
+    closeSprint,
+    deleteSprint,
+    getAverageVelocity,
+    getSprintReport
+};
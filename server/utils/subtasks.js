@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Structured card subtasks, and reading of the legacy string form.
+ * @module utils/subtasks
+ */
+
+const crypto = require('node:crypto');
+
+/**
+ * Prefix marking a legacy string subtask as done (e.g. "✓ Write tests")
+ * @type {string}
+ */
+const DONE_PREFIX = '✓';
+
+/**
+ * @typedef {Object} Subtask
+ * @property {string} id - Identifier of the subtask, unique within its card
+ * @property {string} text - What needs doing
+ * @property {boolean} done - Whether the subtask is done
+ * @property {string|null} completed_at - ISO timestamp when the subtask was done, if known
+ * @property {string} [assignee] - Who the subtask is assigned to
+ */
+
+/**
+ * Check whether a value is a valid subtask, in either the object or the legacy string form
+ * @param {*} subtask - Value to check
+ * @returns {boolean} True if the subtask is valid
+ */
+function isValidSubtask(subtask) {
+    if (typeof subtask === 'string') return true;
+    if (!subtask || typeof subtask !== 'object') return false;
+    if (subtask.id !== undefined && (typeof subtask.id !== 'string' || !subtask.id)) return false;
+    if (typeof subtask.text !== 'string') return false;
+    if (subtask.done !== undefined && typeof subtask.done !== 'boolean') return false;
+    if (subtask.assignee !== undefined && subtask.assignee !== null && typeof subtask.assignee !== 'string') return false;
+    if (subtask.completed_at !== undefined && subtask.completed_at !== null &&
+        Number.isNaN(new Date(subtask.completed_at).getTime())) return false;
+    return true;
+}
+
+/**
+ * Convert a subtask to the object form. Legacy strings get an ID derived from
+ * their position, so the same unconverted board always yields the same IDs.
+ * @param {string|Object} subtask - Subtask in either form
+ * @param {number} index - Position of the subtask in its card
+ * @returns {Subtask} The subtask object
+ */
+function normalizeSubtask(subtask, index) {
+    if (typeof subtask === 'string') {
+        const done = subtask.startsWith(DONE_PREFIX);
+        return {
+            id: `st-${index + 1}`,
+            text: done ? subtask.substring(DONE_PREFIX.length).trim() : subtask,
+            done,
+            completed_at: null
+        };
+    }
+
+    const { id, text, done, completed_at, assignee, ...rest } = subtask;
+    return {
+        ...rest,
+        id: id || crypto.randomUUID(),
+        text,
+        done: done === true,
+        completed_at: done === true ? completed_at || null : null,
+        ...(assignee ? { assignee } : {})
+    };
+}
+
+/**
+ * Convert a list of subtasks to the object form
+ * @param {Array<string|Object>} subtasks - Subtasks in either form
+ * @returns {Array<Subtask>} Subtask objects
+ */
+function normalizeSubtasks(subtasks) {
+    return subtasks.map(normalizeSubtask);
+}
+
+/**
+ * Convert the subtasks of every card of a board to the object form, in place
+ * @param {Object|null} boardData - Board data (card-first or legacy column-based)
+ * @returns {Object|null} The same board data
+ */
+function normalizeBoardSubtasks(boardData) {
+    if (!boardData || typeof boardData !== 'object') return boardData;
+
+    const cards = Array.isArray(boardData.cards)
+        ? boardData.cards
+        : (boardData.columns || []).flatMap(column => (column && Array.isArray(column.items)) ? column.items : []);
+
+    for (const card of cards) {
+        if (card && Array.isArray(card.subtasks) && card.subtasks.every(isValidSubtask)) {
+            card.subtasks = normalizeSubtasks(card.subtasks);
+        }
+    }
+    return boardData;
+}
+
+/**
+ * Set completed_at on subtasks ticked since the previous version of the board,
+ * and clear it on subtasks that are not done
+ * @param {Array<Object>} cards - Current cards, with normalized subtasks
+ * @param {Array<Object>} [previousCards=[]] - Cards of the previous version, with normalized subtasks
+ * @param {string} [now] - Completion timestamp to use
+ */
+function stampSubtaskCompletion(cards, previousCards = [], now = new Date().toISOString()) {
+    const previousById = new Map(previousCards.map(card => [card.id, card]));
+
+    for (const card of cards) {
+        if (!Array.isArray(card.subtasks)) continue;
+
+        const previous = previousById.get(card.id);
+        const wasDone = new Set(((previous && previous.subtasks) || [])
+            .filter(subtask => subtask && subtask.done)
+            .map(subtask => subtask.id));
+
+        for (const subtask of card.subtasks) {
+            if (!subtask.done) {
+                subtask.completed_at = null;
+            } else if (!subtask.completed_at && !wasDone.has(subtask.id)) {
+                subtask.completed_at = now;
+            }
+        }
+    }
+}
+
+/**
+ * Find a subtask of a card by its ID or by its 1-based number in the list
+ * @param {Object} card - Card with normalized subtasks
+ * @param {string|number} ref - Subtask ID or number
+ * @returns {number} Index of the subtask
+ * @throws {Error} If the card has no such subtask
+ */
+function findSubtaskIndex(card, ref) {
+    const subtasks = card.subtasks || [];
+    let index = subtasks.findIndex(subtask => subtask.id === String(ref));
+
+    if (index === -1 && /^\d+$/.test(String(ref))) {
+        const number = Number(ref);
+        if (number >= 1 && number <= subtasks.length) index = number - 1;
+    }
+
+    if (index === -1) {
+        throw new Error(`Subtask ${ref} not found on card ${card.id}`);
+    }
+    return index;
+}
+
+/**
+ * Resolve a position within a list
+ * @param {number|string} position - Index, or 'first', 'last', 'up' or 'down'
+ * @param {number} currentIndex - Current index of the item (-1 for a new item)
+ * @param {number} length - Number of items the list will have
+ * @returns {number} Index clamped to the list
+ */
+function resolvePosition(position, currentIndex, length) {
+    let index;
+    if (position === 'first') index = 0;
+    else if (position === 'last' || position === undefined) index = length - 1;
+    else if (position === 'up') index = currentIndex - 1;
+    else if (position === 'down') index = currentIndex + 1;
+    else index = Number(position);
+
+    if (!Number.isInteger(index)) {
+        throw new Error(`Invalid subtask position: ${position}`);
+    }
+    return Math.min(Math.max(index, 0), length - 1);
+}
+
+/**
+ * Add a subtask to a card
+ * @param {Object} card - Card to add the subtask to
+ * @param {string} text - What needs doing
+ * @param {Object} [options={}] - Subtask options
+ * @param {number|string} [options.position] - Where to insert it (index, 'first' or 'last'; defaults to last)
+ * @param {string} [options.assignee] - Who the subtask is assigned to
+ * @returns {Subtask} The new subtask
+ */
+function addSubtask(card, text, options = {}) {
+    const subtasks = normalizeSubtasks(card.subtasks || []);
+    const subtask = {
+        id: crypto.randomUUID(),
+        text,
+        done: false,
+        completed_at: null,
+        ...(options.assignee ? { assignee: options.assignee } : {})
+    };
+
+    subtasks.splice(resolvePosition(options.position, -1, subtasks.length + 1), 0, subtask);
+    card.subtasks = subtasks;
+    return subtask;
+}
+
+/**
+ * Mark a subtask of a card done or not done
+ * @param {Object} card - Card containing the subtask
+ * @param {string|number} ref - Subtask ID or 1-based number
+ * @param {boolean} [done] - New state (defaults to the opposite of the current one)
+ * @returns {Subtask} The updated subtask
+ * @throws {Error} If the card has no such subtask
+ */
+function toggleSubtask(card, ref, done) {
+    card.subtasks = normalizeSubtasks(card.subtasks || []);
+    const subtask = card.subtasks[findSubtaskIndex(card, ref)];
+
+    subtask.done = done === undefined ? !subtask.done : done;
+    subtask.completed_at = subtask.done ? subtask.completed_at || new Date().toISOString() : null;
+    return subtask;
+}
+
+/**
+ * Move a subtask to another position within its card
+ * @param {Object} card - Card containing the subtask
+ * @param {string|number} ref - Subtask ID or 1-based number
+ * @param {number|string} position - New index, or 'first', 'last', 'up' or 'down'
+ * @returns {Subtask} The moved subtask
+ * @throws {Error} If the card has no such subtask
+ */
+function moveSubtask(card, ref, position) {
+    card.subtasks = normalizeSubtasks(card.subtasks || []);
+    const index = findSubtaskIndex(card, ref);
+    const [subtask] = card.subtasks.splice(index, 1);
+
+    card.subtasks.splice(resolvePosition(position, index, card.subtasks.length + 1), 0, subtask);
+    return subtask;
+}
+
+module.exports = {
+    DONE_PREFIX,
+    isValidSubtask,
+    normalizeSubtask,
+    normalizeSubtasks,
+    normalizeBoardSubtasks,
+    stampSubtaskCompletion,
+    findSubtaskIndex,
+    addSubtask,
+    toggleSubtask,
+    moveSubtask
+};
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Swimlanes: horizontal groupings of a board's cards that cut across its columns.
+ * A board's `swimlanes` setting either lists lanes that cards join through their `laneId`,
+ * or groups cards dynamically by their first tag, their priority or their assignee.
+ * Cards that belong to no lane are grouped in a lane of their own, with a null ID.
+ * Without a `groupBy`, the board shows no lanes but keeps the lanes it lists.
+ * @module utils/swimlanes
+ */
+
+/**
+ * Ways of grouping cards into lanes
+ * @type {Array<string>}
+ */
+const GROUP_BY = ['lane', 'tag', 'priority', 'assignee'];
+
+/**
+ * Priorities in lane order
+ * @type {Array<string>}
+ */
+const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Names of the lane holding the cards that belong to no other lane, by grouping
+ * @type {Object<string, string>}
+ */
+const NO_LANE_NAMES = {
+    lane: 'No lane',
+    tag: 'Untagged',
+    priority: 'No priority',
+    assignee: 'Unassigned'
+};
+
+/**
+ * @typedef {Object} SwimlaneSettings
+ * @property {string|null} [groupBy] - 'lane', 'tag', 'priority' or 'assignee'; without one, lanes are off
+ * @property {Array<{id: string, name: string}>} [lanes] - Lanes cards join through their laneId, in display order (for 'lane')
+ */
+
+/**
+ * @typedef {Object} Lane
+ * @property {string|null} id - Lane ID (the lane's id, tag, priority or assignee), or null for cards in no lane
+ * @property {string} name - Display name of the lane
+ */
+
+/**
+ * Check whether a value is valid swimlane settings (or undefined/null for none)
+ * @param {*} swimlanes - Value to check
+ * @returns {boolean} True if the settings are valid
+ */
+function isValidSwimlanes(swimlanes) {
+    if (swimlanes === undefined || swimlanes === null) return true;
+    if (typeof swimlanes !== 'object') return false;
+    if (swimlanes.groupBy !== undefined && swimlanes.groupBy !== null && !GROUP_BY.includes(swimlanes.groupBy)) return false;
+    if (swimlanes.lanes === undefined) return true;
+    if (!Array.isArray(swimlanes.lanes)) return false;
+
+    const ids = new Set();
+    for (const lane of swimlanes.lanes) {
+        if (!lane || typeof lane !== 'object') return false;
+        if (typeof lane.id !== 'string' || !lane.id || ids.has(lane.id)) return false;
+        if (typeof lane.name !== 'string') return false;
+        ids.add(lane.id);
+    }
+    return true;
+}
+
+/**
+ * Get the swimlane settings of a board, if it uses swimlanes
+ * @param {Object} boardData - Board data
+ * @returns {SwimlaneSettings|null} Swimlane settings, or null if the board has no lanes
+ */
+function getSwimlanes(boardData) {
+    const swimlanes = boardData && boardData.swimlanes;
+    return swimlanes && GROUP_BY.includes(swimlanes.groupBy) ? swimlanes : null;
+}
+
+/**
+ * Get the ID of the lane a card is in
+ * @param {Object} card - Card
+ * @param {SwimlaneSettings} swimlanes - Swimlane settings of the card's board
+ * @returns {string|null} Lane ID, or null if the card is in no lane
+ */
+function getCardLaneId(card, swimlanes) {
+    switch (swimlanes.groupBy) {
+        case 'lane':
+            return (swimlanes.lanes || []).some(lane => lane.id === card.laneId) ? card.laneId : null;
+        case 'tag':
+            return (card.tags && card.tags[0]) || null;
+        case 'priority':
+            return PRIORITIES.includes(card.priority) ? card.priority : null;
+        case 'assignee':
+            return card.assignee || null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the lanes of a board in display order. Defined lanes keep their order, priorities go
+ * from high to low, and tags and assignees are sorted by name. The lane for cards in no lane
+ * comes last.
+ * @param {Object} boardData - Board data
+ * @returns {Array<Lane>} Lanes, or an empty list if the board has no lanes
+ */
+function getLanes(boardData) {
+    const swimlanes = getSwimlanes(boardData);
+    if (!swimlanes) return [];
+
+    let lanes;
+    if (swimlanes.groupBy === 'lane') {
+        lanes = (swimlanes.lanes || []).map(lane => ({ id: lane.id, name: lane.name }));
+    } else if (swimlanes.groupBy === 'priority') {
+        lanes = PRIORITIES.map(priority => ({ id: priority, name: priority[0].toUpperCase() + priority.slice(1) }));
+    } else {
+        const values = new Set((boardData.cards || []).map(card => getCardLaneId(card, swimlanes)).filter(Boolean));
+        lanes = [...values]
+            .sort((a, b) => a.localeCompare(b))
+            .map(value => ({ id: value, name: value }));
+    }
+
+    return [...lanes, { id: null, name: NO_LANE_NAMES[swimlanes.groupBy] }];
+}
+
+/**
+ * Find a lane of a board by its ID or name (case-insensitive). 'none' finds the lane
+ * of cards in no lane, unless a lane has that ID.
+ * @param {Object} boardData - Board data
+ * @param {string} ref - Lane ID or name
+ * @returns {Lane|null} The lane, or null if the board has no such lane
+ */
+function findLane(boardData, ref) {
+    const lanes = getLanes(boardData);
+    const lowerRef = String(ref).toLowerCase();
+
+    return lanes.find(lane => lane.id === ref) ||
+        lanes.find(lane => lane.name.toLowerCase() === lowerRef) ||
+        (lowerRef === 'none' ? lanes.find(lane => lane.id === null) : null) ||
+        null;
+}
+
+module.exports = {
+    GROUP_BY,
+    isValidSwimlanes,
+    getSwimlanes,
+    getCardLaneId,
+    getLanes,
+    findLane
+};
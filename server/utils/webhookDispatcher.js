@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Delivers board events from the event bus to matching webhooks.
+ * @module utils/webhookDispatcher
+ * @requires ../models/Webhook
+ * @requires ./eventBus
+ */
+
+const Webhook = require('../models/Webhook');
+const { ALL_EVENTS, boardEvents } = require('./eventBus');
+
+/**
+ * Event names used by webhooks created before card-first boards, mapped to current names
+ * @type {Object<string, string>}
+ */
+const LEGACY_EVENT_NAMES = {
+    'item.created': 'card.created',
+    'item.moved': 'card.moved',
+    'item.completed': 'card.completed',
+    'item.deleted': 'card.deleted'
+};
+
+let started = false;
+
+/**
+ * Check whether a webhook subscribes to an event type.
+ * Webhooks can name an exact type, a prefix wildcard such as `card.*`, or `*` for all events.
+ * @param {string} subscription - Event field of the webhook
+ * @param {string} type - Type of the published event
+ * @returns {boolean} True if the webhook should receive the event
+ */
+function matchesEvent(subscription, type) {
+    const event = LEGACY_EVENT_NAMES[subscription] || subscription;
+    if (event === ALL_EVENTS || event === type) return true;
+    return event.endsWith('.*') && type.startsWith(event.slice(0, -1));
+}
+
+/**
+ * Build the JSON payload sent to webhooks for an event
+ * @param {module:utils/boardDiff~BoardChangeEvent} event - Published event
+ * @returns {Object} Payload with event type, timestamp, board metadata and event details
+ */
+function buildPayload(event) {
+    const { type, boardId, projectName, revision, last_updated, ...details } = event;
+    return {
+        event: type,
+        timestamp: new Date().toISOString(),
+        board: {
+            id: boardId,
+            projectName,
+            revision,
+            last_updated
+        },
+        data: details
+    };
+}
+
+/**
+ * Deliver an event to every webhook subscribed to it.
+ * Retries, signing and the delivery log are handled by {@link Webhook#deliver}.
+ * @async
+ * @param {module:utils/boardDiff~BoardChangeEvent} event - Published event
+ * @returns {Promise<void>}
+ */
+async function dispatch(event) {
+    const subscribed = (await Webhook.getAll()).filter(webhook =>
+        webhook.url && webhook.event && matchesEvent(webhook.event, event.type)
+    );
+    if (subscribed.length === 0) return;
+
+    const payload = buildPayload(event);
+
+    await Promise.all(subscribed.map(async ({ id }) => {
+        try {
+            const webhook = await Webhook.getById(id);
+            const delivery = await webhook.deliver(payload);
+            if (delivery.status === 'failed') {
+                console.error(`Webhook ${id} delivery of ${event.type} failed:`, delivery.error);
+            }
+        } catch (error) {
+            console.error(`Webhook ${id} delivery of ${event.type} failed:`, error.message);
+        }
+    }));
+}
+
+/**
+ * Start delivering board events to webhooks. Safe to call more than once.
+ * Deliveries that an earlier process left pending are marked as failed first.
+ * @function startWebhookDispatcher
+ */
+function startWebhookDispatcher() {
+    if (started) return;
+    started = true;
+
+    Webhook.failAbandonedDeliveries().catch(error => {
+        console.error('Error failing abandoned webhook deliveries:', error);
+    });
+
+    boardEvents.on(ALL_EVENTS, (event) => {
+        dispatch(event).catch(error => {
+            console.error(`Error dispatching ${event.type} to webhooks:`, error);
+        });
+    });
+}
+
+module.exports = {
+    startWebhookDispatcher,
+    matchesEvent,
+    buildPayload
+};
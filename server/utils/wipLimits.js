@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Work-in-progress limits on board columns.
+ * A column's `wipLimit` caps how many cards it should hold. Whether a change that
+ * takes a column over its limit is rejected or only warned about is decided by the
+ * board's `settings.allowWipLimitExceeding`.
+ * @module utils/wipLimits
+ */
+
+/**
+ * @typedef {Object} WipStatus
+ * @property {string} columnId - ID of the column
+ * @property {string} columnName - Display name of the column
+ * @property {number} count - Number of cards in the column
+ * @property {number|null} limit - WIP limit of the column, or null if it has none
+ * @property {boolean} exceeded - Whether the column holds more cards than its limit
+ */
+
+/**
+ * Check whether a value is a valid WIP limit (a positive integer, or null/undefined for none)
+ * @param {*} limit - Value to check
+ * @returns {boolean} True if the limit is valid
+ */
+function isValidWipLimit(limit) {
+    return limit === undefined || limit === null || (Number.isInteger(limit) && limit >= 1);
+}
+
+/**
+ * Check whether a board only warns about, rather than rejects, changes that exceed WIP limits
+ * @param {Object} boardData - Board data
+ * @returns {boolean} True if exceeding WIP limits is allowed
+ */
+function allowsWipLimitExceeding(boardData) {
+    return Boolean(boardData && boardData.settings && boardData.settings.allowWipLimitExceeding === true);
+}
+
+/**
+ * Get the card count and WIP limit of every column of a card-first board
+ * @param {Object} boardData - Board data
+ * @returns {Array<WipStatus>} Status of each column, in column order
+ */
+function getWipStatus(boardData) {
+    if (!boardData || !Array.isArray(boardData.columns) || !Array.isArray(boardData.cards)) {
+        return [];
+    }
+
+    const counts = new Map();
+    for (const card of boardData.cards) {
+        counts.set(card.columnId, (counts.get(card.columnId) || 0) + 1);
+    }
+
+    return boardData.columns.map(column => {
+        const count = counts.get(column.id) || 0;
+        const limit = Number.isInteger(column.wipLimit) ? column.wipLimit : null;
+        return {
+            columnId: column.id,
+            columnName: column.name,
+            count,
+            limit,
+            exceeded: limit !== null && count > limit
+        };
+    });
+}
+
+/**
+ * Find the columns a change takes over their WIP limit: columns that are over their
+ * limit and hold more cards than before. Columns that were already over their limit
+ * can still be reordered and emptied, and a new board has nothing to compare against.
+ * @param {Object} boardData - Board data after the change
+ * @param {Object|null} previousData - Board data before the change
+ * @returns {Array<WipStatus>} Columns over their limit because of the change
+ */
+function findWipViolations(boardData, previousData) {
+    if (!previousData) return [];
+
+    const previousCounts = new Map(getWipStatus(previousData).map(status => [status.columnId, status.count]));
+    return getWipStatus(boardData)
+        .filter(status => status.exceeded && status.count > (previousCounts.get(status.columnId) || 0));
+}
+
+/**
+ * Describe a column that is over its WIP limit
+ * @param {WipStatus} status - Status of the column
+ * @returns {string} Human readable message
+ */
+function formatWipViolation(status) {
+    return `Column "${status.columnName}" is over its WIP limit (${status.count}/${status.limit})`;
+}
+
+module.exports = {
+    isValidWipLimit,
+    allowsWipLimitExceeding,
+    getWipStatus,
+    findWipViolations,
+    formatWipViolation
+};
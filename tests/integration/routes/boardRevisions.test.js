@@ -0,0 +1,102 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const express = require('express');
+const request = require('supertest');
+
+// Boards are kept under ~/.taskboardai, so point the home directory somewhere temporary before loading config
+const mockHomeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskboard-test-'));
+jest.mock('node:os', () => ({
+    ...jest.requireActual('node:os'),
+    homedir: () => mockHomeDir
+}));
+delete process.env.USE_LOCAL_BOARDS;
+
+const boardRoutes = require('../../../server/routes/boardRoutes');
+const errorHandler = require('../../../server/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api', boardRoutes);
+app.use(errorHandler);
+
+let boardCount = 0;
+
+// Create a board through the API and return it with its revision
+async function createBoard() {
+    const board = {
+        id: `test-board-${++boardCount}`,
+        projectName: 'Test',
+        columns: [{ id: 'todo', name: 'To Do' }],
+        cards: [{ id: 'a', title: 'A', columnId: 'todo', position: 0 }]
+    };
+    const response = await request(app).post('/api/kanban').send(board).expect(200);
+    return { ...board, revision: response.body.revision };
+}
+
+beforeAll(() => {
+    // The error handler logs every error it answers
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    console.error.mockRestore();
+    fs.rmSync(mockHomeDir, { recursive: true, force: true });
+});
+
+describe('POST /api/kanban', () => {
+    it('returns the new revision and its ETag', async () => {
+        const board = await createBoard();
+
+        const response = await request(app).post('/api/kanban').send(board).expect(200);
+        expect(response.body.revision).toBe(board.revision + 1);
+        expect(response.headers.etag).toBe(`"${board.revision + 1}"`);
+    });
+
+    it('rejects a board whose revision field is stale with a 409', async () => {
+        const board = await createBoard();
+        await request(app).post('/api/kanban').send(board).expect(200);
+
+        const response = await request(app)
+            .post('/api/kanban')
+            .send({ ...board, projectName: 'Stale' })
+            .expect(409);
+        expect(response.body).toEqual({
+            error: expect.stringContaining(board.id),
+            code: 'CONFLICT',
+            boardId: board.id,
+            expectedRevision: board.revision,
+            currentRevision: board.revision + 1
+        });
+
+        const stored = await request(app).get(`/api/boards/${board.id}`).expect(200);
+        expect(stored.body.projectName).toBe('Test');
+    });
+
+    it('checks the revision in an If-Match header before the one in the body', async () => {
+        const board = await createBoard();
+        const { headers } = await request(app).post('/api/kanban').send(board).expect(200);
+
+        await request(app)
+            .post('/api/kanban')
+            .set('If-Match', `"${board.revision}"`)
+            .send({ ...board, revision: board.revision + 1 })
+            .expect(409);
+        await request(app)
+            .post('/api/kanban')
+            .set('If-Match', headers.etag)
+            .send(board)
+            .expect(200);
+    });
+
+    it('treats an If-Match header that is not a revision as stale', async () => {
+        const board = await createBoard();
+
+        const response = await request(app)
+            .post('/api/kanban')
+            .set('If-Match', '"not-a-revision"')
+            .send(board)
+            .expect(409);
+        expect(response.body.code).toBe('CONFLICT');
+    });
+});
@@ -0,0 +1,70 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const express = require('express');
+const request = require('supertest');
+
+// Webhooks are kept under ~/.taskboardai, so point the home directory somewhere temporary before loading config
+const mockHomeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskboard-test-'));
+jest.mock('node:os', () => ({
+    ...jest.requireActual('node:os'),
+    homedir: () => mockHomeDir
+}));
+jest.mock('axios');
+delete process.env.USE_LOCAL_WEBHOOKS;
+
+const axios = require('axios');
+const webhookRoutes = require('../../../server/routes/webhookRoutes');
+const Webhook = require('../../../server/models/Webhook');
+const WebhookDelivery = require('../../../server/models/WebhookDelivery');
+
+const app = express();
+app.use(express.json());
+app.use('/api', webhookRoutes);
+
+let webhook;
+let delivery;
+
+beforeAll(async () => {
+    axios.post.mockResolvedValue({ status: 200 });
+    webhook = await Webhook.getById((await Webhook.create({ name: 'Test', url: 'http://receiver.test/hook', event: '*' })).id);
+    delivery = await webhook.deliver({ event: 'card.created', data: {} });
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    fs.rmSync(mockHomeDir, { recursive: true, force: true });
+});
+
+describe('POST /api/webhooks/:id/deliveries/:deliveryId/redeliver', () => {
+    it('answers 202 with the queued delivery', async () => {
+        const response = await request(app)
+            .post(`/api/webhooks/${webhook.data.id}/deliveries/${delivery.id}/redeliver`)
+            .expect(202);
+        expect(response.body).toMatchObject({ status: 'pending', redelivery_of: delivery.id });
+    });
+
+    it('answers 404 for an unknown webhook or delivery', async () => {
+        await request(app).post(`/api/webhooks/missing/deliveries/${delivery.id}/redeliver`).expect(404);
+        const response = await request(app)
+            .post(`/api/webhooks/${webhook.data.id}/deliveries/missing/redeliver`)
+            .expect(404);
+        expect(response.body.error).toBe('Delivery with ID missing not found');
+    });
+
+    it('answers 500 when the delivery log cannot be written', async () => {
+        jest.spyOn(WebhookDelivery, 'record').mockRejectedValue(new Error('Timed out waiting for lock'));
+
+        const response = await request(app)
+            .post(`/api/webhooks/${webhook.data.id}/deliveries/${delivery.id}/redeliver`)
+            .expect(500);
+        expect(response.body.error).toBe('Failed to redeliver webhook');
+    });
+});
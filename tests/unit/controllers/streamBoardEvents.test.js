@@ -0,0 +1,73 @@
+const { EventEmitter } = require('node:events');
+const Board = require('../../../server/models/Board');
+const { boardWatcher } = require('../../../server/utils/boardWatcher');
+const { streamBoardEvents } = require('../../../server/controllers/boardController');
+
+const createRequest = () => Object.assign(new EventEmitter(), { params: { id: 'board' } });
+
+const createResponse = () => ({
+    writeHead: jest.fn(),
+    write: jest.fn(),
+    end: jest.fn()
+});
+
+let unsubscribe;
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Board, 'load').mockResolvedValue(new Board({ id: 'board' }));
+    unsubscribe = jest.fn();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('streamBoardEvents', () => {
+    it('unsubscribes and stops the heartbeat when the client disconnects', async () => {
+        jest.spyOn(boardWatcher, 'subscribe').mockResolvedValue(unsubscribe);
+        const req = createRequest();
+        const res = createResponse();
+
+        await streamBoardEvents(req, res);
+        expect(res.write).toHaveBeenCalledWith(expect.stringContaining('"type":"connected"'));
+
+        req.emit('close');
+        expect(unsubscribe).toHaveBeenCalledTimes(1);
+
+        res.write.mockClear();
+        jest.advanceTimersByTime(60 * 60 * 1000);
+        expect(res.write).not.toHaveBeenCalled();
+    });
+
+    it('unsubscribes when the client disconnects while the subscription starts', async () => {
+        let resolveSubscribe;
+        jest.spyOn(boardWatcher, 'subscribe').mockReturnValue(new Promise(resolve => { resolveSubscribe = resolve; }));
+        const req = createRequest();
+        const res = createResponse();
+
+        const streaming = streamBoardEvents(req, res);
+        await Promise.resolve();
+        req.emit('close');
+        resolveSubscribe(unsubscribe);
+        await streaming;
+
+        expect(unsubscribe).toHaveBeenCalledTimes(1);
+        expect(res.write).not.toHaveBeenCalledWith(expect.stringContaining('"type":"connected"'));
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('does not subscribe when the client disconnects while the board loads', async () => {
+        const subscribe = jest.spyOn(boardWatcher, 'subscribe').mockResolvedValue(unsubscribe);
+        const req = createRequest();
+        const res = createResponse();
+
+        const streaming = streamBoardEvents(req, res);
+        req.emit('close');
+        await streaming;
+
+        expect(subscribe).not.toHaveBeenCalled();
+        expect(res.writeHead).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,159 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Boards are kept under ~/.taskboardai, so point the home directory somewhere temporary before loading config
+const mockHomeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskboard-test-'));
+jest.mock('node:os', () => ({
+    ...jest.requireActual('node:os'),
+    homedir: () => mockHomeDir
+}));
+delete process.env.USE_LOCAL_BOARDS;
+
+const config = require('../../../../server/config/config');
+const Board = require('../../../../server/models/Board');
+const CardHistory = require('../../../../server/models/CardHistory');
+const { ALL_EVENTS, boardEvents } = require('../../../../server/utils/eventBus');
+const { registerClaimTools } = require('../../../../server/mcp/tools/claims');
+const { registerCardTools } = require('../../../../server/mcp/tools/cards');
+
+// Collect the tool handlers as the MCP server would register them
+const tools = {};
+const server = { tool: (name, schema, handler) => { tools[name] = handler; } };
+registerClaimTools(server, { checkRateLimit: () => {} });
+registerCardTools(server, { checkRateLimit: () => {} });
+
+const call = async (tool, args) => {
+    const result = await tools[tool](args);
+    const { text } = result.content[0];
+    return { isError: Boolean(result.isError), body: text.startsWith('Error') ? text : JSON.parse(text) };
+};
+
+let boardCount = 0;
+
+// Save a board with a To Do and Done column and one open card
+async function createBoard() {
+    const board = new Board({
+        id: `test-board-${++boardCount}`,
+        projectName: 'Test',
+        columns: [{ id: 'todo', name: 'To Do' }, { id: 'done', name: 'Done' }],
+        cards: [{ id: 'card', title: 'Card', columnId: 'todo', position: 0 }]
+    });
+    await board.save();
+    return board.data.id;
+}
+
+const loadCard = async (boardId) => (await Board.load(boardId)).data.cards.find(card => card.id === 'card');
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    fs.rmSync(mockHomeDir, { recursive: true, force: true });
+});
+
+describe('claim-card', () => {
+    it('claims a card without changing the board revision, history or events', async () => {
+        const boardId = await createBoard();
+        const events = [];
+        const listener = event => events.push(event);
+        boardEvents.on(ALL_EVENTS, listener);
+
+        try {
+            const { isError, body } = await call('claim-card', { boardId, cardId: 'card', owner: 'agent-1', leaseSeconds: 60 });
+            expect(isError).toBe(false);
+            expect(body.revision).toBe(1);
+            expect(body.claim.owner).toBe('agent-1');
+
+            await call('heartbeat-card', { boardId, cardId: 'card', owner: 'agent-1', leaseSeconds: 120 });
+            await call('release-card', { boardId, cardId: 'card', owner: 'agent-1', force: false });
+        } finally {
+            boardEvents.off(ALL_EVENTS, listener);
+        }
+
+        const board = await Board.load(boardId);
+        expect(board.revision).toBe(1);
+        expect(events).toEqual([]);
+        expect((await CardHistory.forCard(boardId, 'card')).map(entry => entry.action)).not.toContain('claim');
+    });
+
+    it('keeps the claim out of the board file', async () => {
+        const boardId = await createBoard();
+
+        await call('claim-card', { boardId, cardId: 'card', owner: 'agent-1', leaseSeconds: 60 });
+
+        const stored = JSON.parse(fs.readFileSync(path.join(config.boardsDir, `${boardId}.json`), 'utf8'));
+        expect(stored.cards[0].claim).toBeUndefined();
+        expect((await loadCard(boardId)).claim.owner).toBe('agent-1');
+    });
+
+    it('rejects a claim on a card someone else holds', async () => {
+        const boardId = await createBoard();
+        await call('claim-card', { boardId, cardId: 'card', owner: 'agent-1', leaseSeconds: 60 });
+
+        const { isError, body } = await call('claim-card', { boardId, cardId: 'card', owner: 'agent-2', leaseSeconds: 60 });
+
+        expect(isError).toBe(true);
+        expect(body.code).toBe('CARD_CLAIMED');
+        expect((await loadCard(boardId)).claim.owner).toBe('agent-1');
+    });
+
+    it('lets only one of two agents claiming at once succeed', async () => {
+        const boardId = await createBoard();
+
+        const results = await Promise.all(['agent-1', 'agent-2'].map(owner =>
+            call('claim-card', { boardId, cardId: 'card', owner, leaseSeconds: 60 })));
+
+        expect(results.filter(result => !result.isError)).toHaveLength(1);
+    });
+
+    it('survives saves of the board and is dropped once the card is completed', async () => {
+        const boardId = await createBoard();
+        await call('claim-card', { boardId, cardId: 'card', owner: 'agent-1', leaseSeconds: 60 });
+
+        const board = await Board.load(boardId);
+        board.data.cards[0].title = 'Renamed';
+        await board.save();
+        expect((await loadCard(boardId)).claim.owner).toBe('agent-1');
+
+        board.data.cards[0].columnId = 'done';
+        await board.save();
+        expect((await loadCard(boardId)).claim).toBeUndefined();
+    });
+});
+
+describe('update-card', () => {
+    it('cannot overwrite or remove a claim', async () => {
+        const boardId = await createBoard();
+        await call('claim-card', { boardId, cardId: 'card', owner: 'agent-1', leaseSeconds: 60 });
+        const claim = (await loadCard(boardId)).claim;
+
+        const { isError, body } = await call('update-card', {
+            boardId,
+            cardId: 'card',
+            cardData: { title: 'Taken', claim: { ...claim, owner: 'agent-2' } }
+        });
+        expect(isError).toBe(false);
+        expect(body.claim).toEqual(claim);
+
+        await call('update-card', { boardId, cardId: 'card', cardData: { claim: null } });
+
+        const card = await loadCard(boardId);
+        expect(card.title).toBe('Taken');
+        expect(card.claim).toEqual(claim);
+    });
+
+    it('cannot claim an unclaimed card', async () => {
+        const boardId = await createBoard();
+        const claim = { owner: 'agent-2', claimed_at: new Date().toISOString(), expires_at: new Date(Date.now() + 60000).toISOString() };
+
+        await call('update-card', { boardId, cardId: 'card', cardData: { claim } });
+
+        expect((await loadCard(boardId)).claim).toBeUndefined();
+    });
+});
@@ -0,0 +1,141 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Boards are kept under ~/.taskboardai, so point the home directory somewhere temporary before loading config
+const mockHomeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskboard-test-'));
+jest.mock('node:os', () => ({
+    ...jest.requireActual('node:os'),
+    homedir: () => mockHomeDir
+}));
+delete process.env.USE_LOCAL_BOARDS;
+
+const Board = require('../../../../server/models/Board');
+const { registerCardTools } = require('../../../../server/mcp/tools/cards');
+
+// Collect the tool handlers as the MCP server would register them
+const tools = {};
+registerCardTools({ tool: (name, schema, handler) => { tools[name] = handler; } }, { checkRateLimit: () => {} });
+
+const call = async (tool, args) => {
+    const result = await tools[tool](args);
+    const { text } = result.content[0];
+    return { isError: Boolean(result.isError), body: text.startsWith('Error:') ? text : JSON.parse(text) };
+};
+
+let boardCount = 0;
+
+// Save a board with one card holding the given subtasks
+async function createBoard(subtasks) {
+    const board = new Board({
+        id: `test-board-${++boardCount}`,
+        projectName: 'Test',
+        columns: [{ id: 'todo', name: 'To Do' }],
+        cards: [{ id: 'card', title: 'Card', columnId: 'todo', position: 0, subtasks }]
+    });
+    await board.save();
+    return board.data.id;
+}
+
+const texts = async (boardId) => (await Board.load(boardId)).data.cards[0].subtasks.map(subtask => subtask.text);
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    fs.rmSync(mockHomeDir, { recursive: true, force: true });
+});
+
+describe('add-subtask', () => {
+    it('adds a subtask at the end of the checklist by default', async () => {
+        const boardId = await createBoard(['One']);
+
+        const { isError, body } = await call('add-subtask', { boardId, cardId: 'card', text: 'Two', assignee: 'alice' });
+
+        expect(isError).toBe(false);
+        expect(body).toMatchObject({
+            success: true,
+            revision: 2,
+            subtask: { id: expect.any(String), text: 'Two', done: false, assignee: 'alice' }
+        });
+        expect(await texts(boardId)).toEqual(['One', 'Two']);
+    });
+
+    it('inserts a subtask at the given position', async () => {
+        const boardId = await createBoard(['One', 'Two']);
+
+        await call('add-subtask', { boardId, cardId: 'card', text: 'Zero', position: 'first' });
+        await call('add-subtask', { boardId, cardId: 'card', text: 'Half', position: 1 });
+
+        expect(await texts(boardId)).toEqual(['Zero', 'Half', 'One', 'Two']);
+    });
+
+    it('rejects a change based on a stale revision', async () => {
+        const boardId = await createBoard([]);
+        await call('add-subtask', { boardId, cardId: 'card', text: 'First' });
+
+        const { isError, body } = await call('add-subtask', { boardId, cardId: 'card', text: 'Second', expectedRevision: 1 });
+
+        expect(isError).toBe(true);
+        expect(body).toMatchObject({ success: false, code: 'CONFLICT', expectedRevision: 1, currentRevision: 2 });
+        expect(await texts(boardId)).toEqual(['First']);
+    });
+
+    it('reports a missing card', async () => {
+        const boardId = await createBoard([]);
+
+        const { isError, body } = await call('add-subtask', { boardId, cardId: 'missing', text: 'Task' });
+
+        expect(isError).toBe(true);
+        expect(body).toBe('Error: Card with ID missing not found');
+    });
+});
+
+describe('toggle-subtask', () => {
+    it('toggles a subtask by number and records when it was completed', async () => {
+        const boardId = await createBoard(['One', 'Two']);
+
+        const { body } = await call('toggle-subtask', { boardId, cardId: 'card', subtaskId: 2 });
+        expect(body.subtask).toMatchObject({ text: 'Two', done: true, completed_at: expect.any(String) });
+
+        const { body: undone } = await call('toggle-subtask', { boardId, cardId: 'card', subtaskId: body.subtask.id });
+        expect(undone.subtask).toMatchObject({ done: false, completed_at: null });
+    });
+
+    it('sets the state it is given', async () => {
+        const boardId = await createBoard([{ text: 'One', done: true }]);
+
+        await call('toggle-subtask', { boardId, cardId: 'card', subtaskId: 1, done: true });
+
+        expect((await Board.load(boardId)).data.cards[0].subtasks[0].done).toBe(true);
+    });
+
+    it('reports a missing subtask', async () => {
+        const boardId = await createBoard(['One']);
+
+        const { isError, body } = await call('toggle-subtask', { boardId, cardId: 'card', subtaskId: 5 });
+
+        expect(isError).toBe(true);
+        expect(body).toBe('Error: Subtask 5 not found on card card');
+    });
+});
+
+describe('reorder-subtask', () => {
+    it('moves a subtask to an index or relative to its place', async () => {
+        const boardId = await createBoard(['One', 'Two', 'Three']);
+
+        await call('reorder-subtask', { boardId, cardId: 'card', subtaskId: 3, position: 0 });
+        expect(await texts(boardId)).toEqual(['Three', 'One', 'Two']);
+
+        await call('reorder-subtask', { boardId, cardId: 'card', subtaskId: 1, position: 'down' });
+        expect(await texts(boardId)).toEqual(['One', 'Three', 'Two']);
+
+        await call('reorder-subtask', { boardId, cardId: 'card', subtaskId: 1, position: 'last' });
+        expect(await texts(boardId)).toEqual(['Three', 'Two', 'One']);
+    });
+});
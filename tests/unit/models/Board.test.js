@@ -0,0 +1,213 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Boards are kept under ~/.taskboardai, so point the home directory somewhere temporary before loading config
+const mockHomeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskboard-test-'));
+jest.mock('node:os', () => ({
+    ...jest.requireActual('node:os'),
+    homedir: () => mockHomeDir
+}));
+delete process.env.USE_LOCAL_BOARDS;
+
+const config = require('../../../server/config/config');
+const Board = require('../../../server/models/Board');
+const UndoHistory = require('../../../server/models/UndoHistory');
+const CardClaims = require('../../../server/models/CardClaims');
+const { ConflictError, WipLimitError, DependencyCycleError, ParentCycleError } = require('../../../server/utils/errors');
+
+let boardCount = 0;
+
+// Save a new board with a To Do and Done column and the given cards, and load it back
+async function createBoard({ cards = [], wipLimit, settings } = {}) {
+    const board = new Board({
+        id: `test-board-${++boardCount}`,
+        projectName: 'Test',
+        columns: [
+            { id: 'todo', name: 'To Do', ...(wipLimit !== undefined ? { wipLimit } : {}) },
+            { id: 'done', name: 'Done' }
+        ],
+        cards: cards.map((card, index) => ({ title: card.id, columnId: 'todo', position: index, ...card })),
+        ...(settings ? { settings } : {})
+    });
+    await board.save();
+    return Board.load(board.data.id);
+}
+
+const card = (board, id) => board.data.cards.find(item => item.id === id);
+
+afterAll(() => {
+    fs.rmSync(mockHomeDir, { recursive: true, force: true });
+});
+
+describe('Board.save', () => {
+    it('increments the revision on every write', async () => {
+        const board = await createBoard();
+        expect(board.revision).toBe(1);
+
+        await board.save();
+        expect((await Board.load(board.data.id)).revision).toBe(2);
+    });
+
+    it('rejects a write based on a revision that has since been replaced', async () => {
+        const board = await createBoard({ cards: [{ id: 'a' }] });
+        const stale = await Board.load(board.data.id);
+
+        card(board, 'a').title = 'First';
+        await board.save();
+
+        card(stale, 'a').title = 'Second';
+        const error = await stale.save().catch(err => err);
+        expect(error).toBeInstanceOf(ConflictError);
+        expect(error.details).toEqual({ boardId: board.data.id, expectedRevision: 1, currentRevision: 2 });
+        expect(card(await Board.load(board.data.id), 'a').title).toBe('First');
+    });
+
+    it('overwrites a newer revision when forced', async () => {
+        const board = await createBoard();
+        const stale = await Board.load(board.data.id);
+        await board.save();
+
+        await stale.save({ force: true });
+        expect((await Board.load(board.data.id)).revision).toBe(3);
+    });
+
+    it('rejects a change that takes a column over its WIP limit', async () => {
+        const board = await createBoard({ cards: [{ id: 'a' }], wipLimit: 1 });
+
+        board.data.cards.push({ id: 'b', title: 'b', columnId: 'todo', position: 1 });
+        await expect(board.save()).rejects.toBeInstanceOf(WipLimitError);
+        expect((await Board.load(board.data.id)).data.cards).toHaveLength(1);
+    });
+
+    it('warns about, rather than rejects, exceeding a WIP limit when the board allows it', async () => {
+        const board = await createBoard({ cards: [{ id: 'a' }], wipLimit: 1, settings: { allowWipLimitExceeding: true } });
+
+        board.data.cards.push({ id: 'b', title: 'b', columnId: 'todo', position: 1 });
+        const { warnings } = await board.save();
+        expect(warnings).toHaveLength(1);
+        expect(warnings[0]).toContain('To Do');
+        expect((await Board.load(board.data.id)).data.cards).toHaveLength(2);
+    });
+
+    it('skips the WIP check when asked to', async () => {
+        const board = await createBoard({ cards: [{ id: 'a' }], wipLimit: 1 });
+
+        board.data.cards.push({ id: 'b', title: 'b', columnId: 'todo', position: 1 });
+        await expect(board.save({ checkWipLimits: false })).resolves.toEqual({ warnings: [] });
+    });
+
+    it('rejects dependencies that would form a cycle', async () => {
+        const board = await createBoard({ cards: [{ id: 'a', dependencies: ['b'] }, { id: 'b' }] });
+
+        card(board, 'b').dependencies = ['a'];
+        const error = await board.save().catch(err => err);
+        expect(error).toBeInstanceOf(DependencyCycleError);
+        expect(error.status).toBe(422);
+        expect(card(await Board.load(board.data.id), 'b').dependencies).toBeUndefined();
+    });
+
+    it('keeps claims in the claims file and drops those of completed cards', async () => {
+        const hour = 60 * 60 * 1000;
+        const claim = (owner, expiresIn) => ({
+            owner,
+            claimed_at: new Date(Date.now() - hour).toISOString(),
+            expires_at: new Date(Date.now() + expiresIn).toISOString()
+        });
+        const created = await createBoard({ cards: [{ id: 'active' }, { id: 'expired' }, { id: 'finished' }] });
+        await CardClaims.update(created.data.id, claims => {
+            claims.active = claim('agent-1', hour);
+            claims.expired = claim('agent-1', -1000);
+            claims.finished = claim('agent-1', hour);
+        });
+
+        const board = await Board.load(created.data.id);
+        expect(card(board, 'active').claim.owner).toBe('agent-1');
+        expect(card(board, 'expired').claim).toBeUndefined();
+
+        // A claim in the saved data is not written, and doesn't replace the lease
+        card(board, 'active').claim = claim('agent-2', hour);
+        card(board, 'finished').columnId = 'done';
+        await board.save();
+
+        const stored = JSON.parse(fs.readFileSync(path.join(config.boardsDir, `${board.data.id}.json`), 'utf8'));
+        expect(stored.cards.some(item => item.claim)).toBe(false);
+
+        const saved = await Board.load(board.data.id);
+        expect(card(saved, 'finished').completed_at).toEqual(expect.any(String));
+        expect(card(saved, 'finished').claim).toBeUndefined();
+        expect(card(saved, 'active').claim.owner).toBe('agent-1');
+        expect(Object.keys(await CardClaims.read(board.data.id))).toEqual(['active']);
+    });
+
+    it('rejects parent links that would make a card its own ancestor', async () => {
+        const board = await createBoard({ cards: [{ id: 'a', parentId: 'b' }, { id: 'b' }] });
+
+        card(board, 'b').parentId = 'a';
+        const error = await board.save().catch(err => err);
+        expect(error).toBeInstanceOf(ParentCycleError);
+        expect(error.status).toBe(422);
+    });
+});
+
+describe('Board.undo and Board.redo', () => {
+    it('steps back through recorded changes and forward again', async () => {
+        const board = await createBoard({ cards: [{ id: 'a' }] });
+        card(board, 'a').title = 'First';
+        await board.save();
+        card(board, 'a').title = 'Second';
+        await board.save();
+
+        const undone = await Board.undo(board.data.id, { actor: 'test' });
+        expect(card(undone.board, 'a').title).toBe('First');
+        expect(undone.operation.revision).toBe(3);
+        expect(card(await Board.load(board.data.id), 'a').title).toBe('First');
+
+        await Board.undo(board.data.id);
+        expect(card(await Board.load(board.data.id), 'a').title).toBe('a');
+
+        await Board.redo(board.data.id);
+        const redone = await Board.load(board.data.id);
+        expect(card(redone, 'a').title).toBe('First');
+        expect(redone.revision).toBe(6);
+        expect(await UndoHistory.status(board.data.id)).toEqual({ undoable: 1, redoable: 1 });
+
+        await Board.undo(board.data.id);
+        await Board.redo(board.data.id);
+        await Board.redo(board.data.id);
+        expect(card(await Board.load(board.data.id), 'a').title).toBe('Second');
+        expect(await UndoHistory.status(board.data.id)).toEqual({ undoable: 2, redoable: 0 });
+    });
+
+    it('returns null when there is nothing to undo or redo', async () => {
+        const board = await createBoard();
+
+        await expect(Board.undo(board.data.id)).resolves.toBeNull();
+        await expect(Board.redo(board.data.id)).resolves.toBeNull();
+    });
+
+    it('discards what could be redone once a new change is saved', async () => {
+        const board = await createBoard({ cards: [{ id: 'a' }] });
+        card(board, 'a').title = 'First';
+        await board.save();
+        await Board.undo(board.data.id);
+
+        const latest = await Board.load(board.data.id);
+        card(latest, 'a').title = 'Other';
+        await latest.save();
+
+        await expect(Board.redo(board.data.id)).resolves.toBeNull();
+    });
+
+    it('clears the history when the board was written without recording the change', async () => {
+        const board = await createBoard({ cards: [{ id: 'a' }] });
+        card(board, 'a').title = 'First';
+        await board.save();
+        card(board, 'a').title = 'Unrecorded';
+        await board.save({ recordUndo: false });
+
+        await expect(Board.undo(board.data.id)).rejects.toBeInstanceOf(ConflictError);
+        expect(await UndoHistory.status(board.data.id)).toEqual({ undoable: 0, redoable: 0 });
+        expect(card(await Board.load(board.data.id), 'a').title).toBe('Unrecorded');
+    });
+});
@@ -0,0 +1,126 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Boards are kept under ~/.taskboardai, so point the home directory somewhere temporary before loading config
+const mockHomeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskboard-test-'));
+jest.mock('node:os', () => ({
+    ...jest.requireActual('node:os'),
+    homedir: () => mockHomeDir
+}));
+delete process.env.USE_LOCAL_BOARDS;
+
+const Board = require('../../../server/models/Board');
+const BoardBackup = require('../../../server/models/BoardBackup');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let boardCount = 0;
+const nextBoardId = () => `test-board-${++boardCount}`;
+
+// Write a backup file as if it had been taken at the given time
+function writeBackup(boardId, date, operation = 'pre_test') {
+    const id = `${boardId}_${date.toISOString().replace(/[:.]/g, '-')}_${operation}`;
+    fs.mkdirSync(BoardBackup.backupsDir, { recursive: true });
+    fs.writeFileSync(path.join(BoardBackup.backupsDir, `${id}.json`), JSON.stringify({ id: boardId }));
+    return id;
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    fs.rmSync(mockHomeDir, { recursive: true, force: true });
+});
+
+describe('BoardBackup.create', () => {
+    it('writes a backup that can be listed and read back', async () => {
+        const boardId = nextBoardId();
+        const data = { id: boardId, projectName: 'Test', columns: [], cards: [] };
+
+        const backup = await BoardBackup.create(boardId, data, 'pre_test');
+
+        expect(backup).toMatchObject({ boardId, operation: 'pre_test', size: expect.any(Number) });
+        expect(await BoardBackup.list(boardId)).toEqual([backup]);
+        expect(await BoardBackup.get(boardId, backup.id)).toEqual({ ...backup, board: data });
+        expect(fs.existsSync(path.join(BoardBackup.backupsDir, '..', `${boardId}.json.lock`))).toBe(false);
+    });
+});
+
+describe('BoardBackup.get', () => {
+    it('only reads backups of the given board by the names create() gives them', async () => {
+        const boardId = nextBoardId();
+        const id = writeBackup(boardId, new Date());
+
+        expect(await BoardBackup.get('other-board', id)).toBeNull();
+        expect(await BoardBackup.get(boardId, `../${id}`)).toBeNull();
+        expect(await BoardBackup.get(boardId, `${boardId}_2020-01-01T00-00-00-000Z_pre_test`)).toBeNull();
+    });
+});
+
+describe('BoardBackup.prune', () => {
+    it('keeps the most recent backups up to the retention count', async () => {
+        jest.spyOn(BoardBackup, 'retention', 'get').mockReturnValue({ maxCount: 2, maxAgeDays: 0 });
+        const boardId = nextBoardId();
+        const ids = [3, 2, 1].map(days => writeBackup(boardId, new Date(Date.now() - days * DAY_MS)));
+
+        await expect(BoardBackup.prune(boardId)).resolves.toBe(1);
+        expect((await BoardBackup.list(boardId)).map(backup => backup.id)).toEqual([ids[2], ids[1]]);
+    });
+
+    it('deletes backups older than the retention age but always keeps the latest', async () => {
+        jest.spyOn(BoardBackup, 'retention', 'get').mockReturnValue({ maxCount: 0, maxAgeDays: 7 });
+        const boardId = nextBoardId();
+        const ids = [30, 20, 1].map(days => writeBackup(boardId, new Date(Date.now() - days * DAY_MS)));
+
+        await BoardBackup.prune(boardId);
+        expect((await BoardBackup.list(boardId)).map(backup => backup.id)).toEqual([ids[2]]);
+
+        const old = nextBoardId();
+        const only = writeBackup(old, new Date(Date.now() - 30 * DAY_MS));
+        await BoardBackup.prune(old);
+        expect((await BoardBackup.list(old)).map(backup => backup.id)).toEqual([only]);
+    });
+
+    it('leaves the backups of other boards alone', async () => {
+        jest.spyOn(BoardBackup, 'retention', 'get').mockReturnValue({ maxCount: 1, maxAgeDays: 0 });
+        const boardId = nextBoardId();
+        const other = nextBoardId();
+        writeBackup(boardId, new Date(Date.now() - DAY_MS));
+        writeBackup(other, new Date(Date.now() - 2 * DAY_MS));
+        writeBackup(other, new Date(Date.now() - 3 * DAY_MS));
+
+        await BoardBackup.prune(boardId);
+        expect(await BoardBackup.list(other)).toHaveLength(2);
+    });
+});
+
+describe('Board.restoreBackup', () => {
+    it('restores the backed up board as a new revision that can be undone', async () => {
+        const board = new Board({
+            id: nextBoardId(),
+            projectName: 'Before',
+            columns: [{ id: 'todo', name: 'To Do' }],
+            cards: []
+        });
+        await board.save();
+        const backup = await BoardBackup.create(board.data.id, board.data, 'pre_test');
+        board.data.projectName = 'After';
+        await board.save();
+
+        const { board: restored } = await Board.restoreBackup(board.data.id, backup.id);
+
+        expect(restored.data.projectName).toBe('Before');
+        expect(restored.revision).toBe(3);
+        expect((await BoardBackup.list(board.data.id)).map(item => item.operation)).toContain('pre_restore');
+
+        await Board.undo(board.data.id);
+        expect((await Board.load(board.data.id)).data.projectName).toBe('After');
+    });
+
+    it('rejects backups that do not exist', async () => {
+        await expect(Board.restoreBackup('test-board-x', 'test-board-x_2020-01-01T00-00-00-000Z_pre_test'))
+            .rejects.toThrow('not found');
+    });
+});
@@ -0,0 +1,172 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+// Webhooks are kept under ~/.taskboardai, so point the home directory somewhere temporary before loading config
+const mockHomeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskboard-test-'));
+jest.mock('node:os', () => ({
+    ...jest.requireActual('node:os'),
+    homedir: () => mockHomeDir
+}));
+jest.mock('axios');
+delete process.env.USE_LOCAL_WEBHOOKS;
+
+const axios = require('axios');
+const Webhook = require('../../../server/models/Webhook');
+const WebhookDelivery = require('../../../server/models/WebhookDelivery');
+const { RetryHandler } = require('../../../server/core/errors/recovery');
+
+const payload = { event: 'card.created', data: { id: 'a' } };
+
+// Error thrown by axios for a response with the given status
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    code: status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST',
+    response: { status }
+});
+
+const createWebhook = async (secret) => Webhook.getById((await Webhook.create({
+    name: 'Test',
+    url: 'http://receiver.test/hook',
+    event: 'card.*',
+    secret
+})).id);
+
+// Wait for a delivery sent in the background to complete
+async function waitForDelivery(webhookId, deliveryId) {
+    for (let i = 0; i < 100; i++) {
+        const delivery = await WebhookDelivery.getById(webhookId, deliveryId);
+        if (delivery.status !== 'pending') return delivery;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Delivery ${deliveryId} is still pending`);
+}
+
+beforeEach(() => {
+    axios.post.mockReset();
+    // Retries back off for seconds between attempts
+    jest.spyOn(RetryHandler.prototype, 'delay').mockResolvedValue();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    fs.rmSync(mockHomeDir, { recursive: true, force: true });
+});
+
+describe('Webhook#signatureHeaders', () => {
+    it('signs the timestamp and body with the webhook secret', async () => {
+        const webhook = await createWebhook('s3cret');
+        const body = JSON.stringify(payload);
+
+        const headers = webhook.signatureHeaders(body);
+        const expected = crypto.createHmac('sha256', 's3cret')
+            .update(`${headers['X-Webhook-Timestamp']}.${body}`)
+            .digest('hex');
+        expect(headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+        expect(Math.abs(Number(headers['X-Webhook-Timestamp']) - Date.now() / 1000)).toBeLessThan(5);
+    });
+
+    it('adds no headers to webhooks without a secret', async () => {
+        expect((await createWebhook()).signatureHeaders('{}')).toEqual({});
+    });
+});
+
+describe('Webhook#deliver', () => {
+    it('posts the signed payload and logs the delivery', async () => {
+        const webhook = await createWebhook('s3cret');
+        axios.post.mockResolvedValue({ status: 200 });
+
+        const delivery = await webhook.deliver(payload);
+
+        const [url, body, { headers }] = axios.post.mock.calls[0];
+        expect(url).toBe('http://receiver.test/hook');
+        expect(JSON.parse(body)).toEqual(payload);
+        expect(headers).toMatchObject({
+            'X-Webhook-Event': 'card.created',
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Signature': expect.stringMatching(/^sha256=[0-9a-f]{64}$/)
+        });
+        expect(delivery).toMatchObject({ status: 'succeeded', attempts: [{ attempt: 1, statusCode: 200 }] });
+        expect(await WebhookDelivery.list(webhook.data.id)).toEqual([delivery]);
+    });
+
+    it('retries server errors until the receiver accepts the delivery', async () => {
+        const webhook = await createWebhook();
+        axios.post
+            .mockRejectedValueOnce(httpError(503))
+            .mockRejectedValueOnce(httpError(502))
+            .mockResolvedValue({ status: 204 });
+
+        const delivery = await webhook.deliver(payload);
+
+        expect(delivery.status).toBe('succeeded');
+        expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([503, 502, 204]);
+        expect(RetryHandler.prototype.delay.mock.calls).toEqual([[1000], [2000]]);
+    });
+
+    it('gives up after the last attempt and logs the error', async () => {
+        const webhook = await createWebhook();
+        axios.post.mockRejectedValue(httpError(500));
+
+        const delivery = await webhook.deliver(payload);
+
+        expect(delivery.status).toBe('failed');
+        expect(delivery.error).toBe('Request failed with status code 500');
+        expect(delivery.attempts).toHaveLength(5);
+        expect((await WebhookDelivery.getById(webhook.data.id, delivery.id)).status).toBe('failed');
+    });
+
+    it('does not retry deliveries the receiver rejects', async () => {
+        const webhook = await createWebhook();
+        axios.post.mockRejectedValue(httpError(400));
+
+        const delivery = await webhook.deliver(payload);
+
+        expect(delivery.status).toBe('failed');
+        expect(delivery.attempts).toHaveLength(1);
+    });
+});
+
+describe('Webhook.redeliver', () => {
+    it('queues the logged payload as a new delivery and logs its result', async () => {
+        const webhook = await createWebhook();
+        axios.post.mockRejectedValueOnce(httpError(400)).mockResolvedValue({ status: 200 });
+        const original = await webhook.deliver(payload);
+
+        const queued = await Webhook.redeliver(webhook.data.id, original.id);
+        expect(queued).toMatchObject({ status: 'pending', redelivery_of: original.id, payload, attempts: [] });
+
+        const delivered = await waitForDelivery(webhook.data.id, queued.id);
+        expect(delivered).toMatchObject({ status: 'succeeded', attempts: [{ statusCode: 200 }] });
+    });
+
+    it('rejects deliveries that are not in the log', async () => {
+        const webhook = await createWebhook();
+
+        await expect(Webhook.redeliver(webhook.data.id, 'missing')).rejects.toThrow('Delivery with ID missing not found');
+    });
+});
+
+describe('WebhookDelivery.failAbandoned', () => {
+    it('fails pending deliveries that have not been attempted for longer than the given age', async () => {
+        const webhook = await createWebhook();
+        const now = Date.now();
+        const pending = (id, created) => ({
+            ...webhook.createDelivery(payload),
+            id,
+            created_at: new Date(created).toISOString()
+        });
+        await WebhookDelivery.record(pending('old', now - 60000));
+        await WebhookDelivery.record(pending('recent', now - 1000));
+
+        await expect(WebhookDelivery.failAbandoned(webhook.data.id, 30000, now)).resolves.toBe(1);
+        expect(await WebhookDelivery.getById(webhook.data.id, 'old')).toMatchObject({
+            status: 'failed',
+            error: 'Delivery was interrupted before it completed'
+        });
+        expect((await WebhookDelivery.getById(webhook.data.id, 'recent')).status).toBe('pending');
+    });
+});
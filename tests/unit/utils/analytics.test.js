@@ -0,0 +1,102 @@
+const { computeBoardAnalytics, buildFlowSeries } = require('../../../server/utils/analytics');
+
+const columns = [
+    { id: 'todo', name: 'To Do' },
+    { id: 'doing', name: 'Doing' },
+    { id: 'done', name: 'Done' }
+];
+
+const moved = (cardId, to, timestamp) => ({ cardId, timestamp, changes: [{ field: 'columnId', from: 'todo', to }] });
+
+describe('computeBoardAnalytics', () => {
+    // Wednesday; its UTC week starts on Monday 12 January
+    const now = new Date('2026-01-14T12:00:00.000Z');
+    const boardData = {
+        id: 'board-1',
+        columns,
+        cards: [
+            { id: 'shipped', title: 'Shipped', columnId: 'done', created_at: '2026-01-01T00:00:00.000Z', completed_at: '2026-01-05T00:00:00.000Z' },
+            { id: 'quick', title: 'Quick', columnId: 'done', created_at: '2026-01-10T00:00:00.000Z', completed_at: '2026-01-13T00:00:00.000Z' },
+            { id: 'started', title: 'Started', columnId: 'doing', created_at: '2026-01-11T12:00:00.000Z' },
+            { id: 'waiting', title: 'Waiting', columnId: 'todo', created_at: '2026-01-12T00:00:00.000Z' },
+            { id: 'untracked', title: 'Untracked', columnId: 'doing', created_at: '2026-01-13T12:00:00.000Z' }
+        ]
+    };
+    const history = [
+        moved('shipped', 'doing', '2026-01-03T00:00:00.000Z'),
+        moved('shipped', 'done', '2026-01-05T00:00:00.000Z'),
+        moved('started', 'doing', '2026-01-12T12:00:00.000Z')
+    ];
+
+    it('measures lead time from creation and cycle time from the first move out of the first column', () => {
+        const analytics = computeBoardAnalytics(boardData, history, { now, weeks: 2 });
+
+        expect(analytics.leadTime).toEqual({ count: 2, average: 3.5, p50: 3, p85: 4, p95: 4 });
+        expect(analytics.cycleTime).toEqual({ count: 1, average: 2, p50: 2, p85: 2, p95: 2 });
+        expect(analytics.cards.map(card => [card.id, card.leadTime, card.cycleTime])).toEqual([
+            ['quick', 3, null],
+            ['shipped', 4, 2]
+        ]);
+    });
+
+    it('counts completed cards per UTC week, oldest week first', () => {
+        const { throughput } = computeBoardAnalytics(boardData, history, { now, weeks: 2 });
+
+        expect(throughput).toEqual({
+            weeks: [{ weekStart: '2026-01-05', completed: 1 }, { weekStart: '2026-01-12', completed: 1 }],
+            average: 1
+        });
+    });
+
+    it('ages the cards in progress from their start, or their creation without one', () => {
+        const { wip } = computeBoardAnalytics(boardData, history, { now, weeks: 2 });
+
+        expect(wip.cards.map(card => [card.id, card.age])).toEqual([['started', 2], ['untracked', 1]]);
+        expect(wip).toMatchObject({ count: 2, average: 1.5, p50: 1, p95: 2 });
+    });
+
+    it('reports empty stats for a board without cards', () => {
+        const analytics = computeBoardAnalytics({ id: 'empty', columns, cards: [] }, [], { now });
+
+        expect(analytics.leadTime).toEqual({ count: 0, average: null, p50: null, p85: null, p95: null });
+        expect(analytics.throughput.weeks).toHaveLength(8);
+        expect(analytics.throughput.average).toBe(0);
+    });
+});
+
+describe('buildFlowSeries', () => {
+    const boardData = { id: 'board-1', columns };
+    const snapshots = [
+        { date: '2026-01-08', columns: { todo: 1 }, total: 1, completed: 0 },
+        { date: '2026-01-10', columns: { todo: 2 }, total: 2, completed: 0 },
+        { date: '2026-01-12', columns: { todo: 1, done: 1 }, total: 2, completed: 1 },
+        { date: '2026-01-13', columns: { todo: 2 }, total: 2, completed: 0 }
+    ];
+    const today = { date: '2026-01-13', columns: { todo: 1, done: 2 }, total: 3, completed: 2 };
+
+    it('carries each snapshot forward to the days without one and uses today\'s board for today', () => {
+        const series = buildFlowSeries(boardData, snapshots, { from: '2026-01-09', to: '2026-01-13', today });
+
+        expect(series.dates).toEqual(['2026-01-09', '2026-01-10', '2026-01-11', '2026-01-12', '2026-01-13']);
+        expect(series.recordedFrom).toBe('2026-01-08');
+        expect(series.columns).toEqual([
+            { id: 'todo', name: 'To Do', counts: [1, 2, 2, 1, 1] },
+            { id: 'doing', name: 'Doing', counts: [0, 0, 0, 0, 0] },
+            { id: 'done', name: 'Done', counts: [0, 0, 0, 1, 2] }
+        ]);
+        expect(series.burnup).toEqual({ scope: [1, 2, 2, 2, 3], completed: [0, 0, 0, 1, 2] });
+    });
+
+    it('draws the ideal burndown from the first day\'s remaining cards to none', () => {
+        const { burndown } = buildFlowSeries(boardData, snapshots, { from: '2026-01-10', to: '2026-01-13', today });
+
+        expect(burndown).toEqual({ remaining: [2, 2, 1, 1], ideal: [2, 1.33, 0.67, 0] });
+    });
+
+    it('counts no cards before the first snapshot', () => {
+        const series = buildFlowSeries(boardData, [], { from: '2026-01-01', to: '2026-01-02' });
+
+        expect(series.recordedFrom).toBeNull();
+        expect(series.burnup).toEqual({ scope: [0, 0], completed: [0, 0] });
+    });
+});
@@ -0,0 +1,91 @@
+const { diffBoards, changedCardFields } = require('../../../server/utils/boardDiff');
+
+const board = (cards, extra = {}) => ({
+    id: 'board-1',
+    projectName: 'Project',
+    revision: 2,
+    last_updated: '2026-01-01T00:00:00.000Z',
+    columns: [{ id: 'todo', name: 'To Do' }, { id: 'done', name: 'Done' }],
+    cards,
+    ...extra
+});
+
+describe('changedCardFields', () => {
+    it('lists the fields that differ, ignoring updated_at', () => {
+        const before = { id: 'a', title: 'A', tags: ['x'], updated_at: '1' };
+        const after = { id: 'a', title: 'B', tags: ['x'], priority: 'high', updated_at: '2' };
+
+        expect(changedCardFields(before, after)).toEqual(['title', 'priority']);
+    });
+
+    it('compares nested values structurally', () => {
+        expect(changedCardFields({ tags: ['x'] }, { tags: ['x'] })).toEqual([]);
+        expect(changedCardFields({ tags: ['x'] }, { tags: ['y'] })).toEqual(['tags']);
+    });
+});
+
+describe('diffBoards', () => {
+    it('reports a deleted board', () => {
+        expect(diffBoards(board([]), null)).toEqual([{ type: 'board.deleted', boardId: 'board-1' }]);
+    });
+
+    it('replaces the board when there is no previous snapshot', () => {
+        const after = board([]);
+        const [event] = diffBoards(null, after);
+
+        expect(event).toMatchObject({ type: 'board.replaced', boardId: 'board-1', revision: 2, board: after });
+    });
+
+    it('returns no events for identical boards', () => {
+        const cards = [{ id: 'a', title: 'A', columnId: 'todo', position: 0 }];
+        expect(diffBoards(board(cards), board(cards))).toEqual([]);
+    });
+
+    it('reports created, updated and deleted cards', () => {
+        const before = board([
+            { id: 'a', title: 'A', columnId: 'todo', position: 0 },
+            { id: 'b', title: 'B', columnId: 'todo', position: 1 }
+        ]);
+        const after = board([
+            { id: 'a', title: 'A2', columnId: 'todo', position: 0 },
+            { id: 'c', title: 'C', columnId: 'todo', position: 1 }
+        ]);
+
+        const events = diffBoards(before, after);
+
+        expect(events.map(event => [event.type, event.cardId])).toEqual([
+            ['card.updated', 'a'],
+            ['card.created', 'c'],
+            ['card.deleted', 'b']
+        ]);
+        expect(events[0]).toMatchObject({ changes: ['title'], previous: { title: 'A' } });
+        expect(events[2].previous).toMatchObject({ id: 'b', title: 'B' });
+    });
+
+    it('reports a move to the last column as a move and a completion, not an update', () => {
+        const before = board([{ id: 'a', title: 'A', columnId: 'todo', position: 0 }]);
+        const after = board([{ id: 'a', title: 'A', columnId: 'done', position: 0, completed_at: '2026-01-02T00:00:00.000Z' }]);
+
+        const events = diffBoards(before, after);
+
+        expect(events.map(event => event.type)).toEqual(['card.moved', 'card.completed']);
+        expect(events[0]).toMatchObject({ fromColumnId: 'todo', toColumnId: 'done', fromPosition: 0, toPosition: 0 });
+    });
+
+    it('reports board field and column changes', () => {
+        const before = board([], { settings: { allowWipLimitExceeding: false } });
+        const after = board([], {
+            settings: { allowWipLimitExceeding: true },
+            columns: [{ id: 'todo', name: 'Backlog' }, { id: 'done', name: 'Done' }]
+        });
+
+        const events = diffBoards(before, after);
+
+        expect(events[0]).toMatchObject({
+            type: 'board.updated',
+            changes: { settings: { allowWipLimitExceeding: true } },
+            previous: { settings: { allowWipLimitExceeding: false } }
+        });
+        expect(events[1]).toMatchObject({ type: 'columns.updated', columns: after.columns });
+    });
+});
@@ -0,0 +1,115 @@
+const {
+    DEFAULT_LEASE_SECONDS,
+    isValidClaim,
+    getActiveClaim,
+    isClaimedByOther,
+    claimCard,
+    renewClaim,
+    releaseClaim,
+    expireClaims
+} = require('../../../server/utils/claims');
+const { CardClaimedError } = require('../../../server/utils/errors');
+
+const NOW = new Date('2026-01-05T10:00:00.000Z');
+const later = seconds => new Date(NOW.getTime() + seconds * 1000);
+
+describe('isValidClaim', () => {
+    it('accepts a complete claim or none', () => {
+        expect(isValidClaim(undefined)).toBe(true);
+        expect(isValidClaim({ owner: 'agent', claimed_at: NOW.toISOString(), expires_at: later(60).toISOString() })).toBe(true);
+    });
+
+    it('rejects claims without an owner or with invalid timestamps', () => {
+        expect(isValidClaim({ owner: ' ', claimed_at: NOW.toISOString(), expires_at: NOW.toISOString() })).toBe(false);
+        expect(isValidClaim({ owner: 'agent', claimed_at: 'soon', expires_at: NOW.toISOString() })).toBe(false);
+        expect(isValidClaim('agent')).toBe(false);
+    });
+});
+
+describe('claimCard', () => {
+    it('claims a free card for the lease', () => {
+        const card = { id: 'a', title: 'A' };
+
+        const claim = claimCard(card, 'agent-1', undefined, NOW);
+
+        expect(claim).toEqual({ owner: 'agent-1', claimed_at: NOW.toISOString(), expires_at: later(DEFAULT_LEASE_SECONDS).toISOString() });
+        expect(card.claim).toBe(claim);
+        expect(getActiveClaim(card, NOW.getTime())).toBe(claim);
+    });
+
+    it('renews the lease when the owner claims the card again, keeping when it was claimed', () => {
+        const card = { id: 'a', title: 'A' };
+        claimCard(card, 'agent-1', 60, NOW);
+
+        const claim = claimCard(card, 'agent-1', 60, later(30));
+
+        expect(claim).toMatchObject({ claimed_at: NOW.toISOString(), expires_at: later(90).toISOString() });
+    });
+
+    it('refuses a card someone else holds', () => {
+        const card = { id: 'a', title: 'A' };
+        claimCard(card, 'agent-1', 60, NOW);
+
+        expect(() => claimCard(card, 'agent-2', 60, later(30))).toThrow(CardClaimedError);
+        expect(isClaimedByOther(card, 'agent-2', later(30).getTime())).toBe(true);
+        expect(isClaimedByOther(card, 'agent-1', later(30).getTime())).toBe(false);
+    });
+
+    it('lets anyone claim a card whose lease has expired', () => {
+        const card = { id: 'a', title: 'A' };
+        claimCard(card, 'agent-1', 60, NOW);
+
+        expect(claimCard(card, 'agent-2', 60, later(61))).toMatchObject({ owner: 'agent-2', claimed_at: later(61).toISOString() });
+    });
+});
+
+describe('renewClaim', () => {
+    it('extends the lease of the owner', () => {
+        const card = { id: 'a', title: 'A' };
+        claimCard(card, 'agent-1', 60, NOW);
+
+        expect(renewClaim(card, 'agent-1', 120, later(30)).expires_at).toBe(later(150).toISOString());
+    });
+
+    it('refuses to renew an expired lease or someone else\'s', () => {
+        const card = { id: 'a', title: 'A' };
+        claimCard(card, 'agent-1', 60, NOW);
+
+        expect(() => renewClaim(card, 'agent-2', 60, later(30))).toThrow(CardClaimedError);
+        expect(() => renewClaim(card, 'agent-1', 60, later(61))).toThrow('the lease has expired');
+    });
+});
+
+describe('releaseClaim', () => {
+    it('releases the owner\'s claim', () => {
+        const card = { id: 'a', title: 'A' };
+        const claim = claimCard(card, 'agent-1', 60, NOW);
+
+        expect(releaseClaim(card, 'agent-1', {}, later(10).getTime())).toBe(claim);
+        expect(card.claim).toBeUndefined();
+    });
+
+    it('only releases someone else\'s claim when forced', () => {
+        const card = { id: 'a', title: 'A' };
+        claimCard(card, 'agent-1', 60, NOW);
+
+        expect(() => releaseClaim(card, 'agent-2', {}, later(10).getTime())).toThrow(CardClaimedError);
+        expect(releaseClaim(card, 'agent-2', { force: true }, later(10).getTime())).toMatchObject({ owner: 'agent-1' });
+    });
+
+    it('does nothing for a free card', () => {
+        expect(releaseClaim({ id: 'a', title: 'A' }, 'agent-1')).toBeNull();
+    });
+});
+
+describe('expireClaims', () => {
+    it('removes expired claims and reports their cards', () => {
+        const boardData = { cards: [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }, { id: 'c', title: 'C' }] };
+        claimCard(boardData.cards[0], 'agent-1', 60, NOW);
+        claimCard(boardData.cards[1], 'agent-2', 600, NOW);
+
+        expect(expireClaims(boardData, later(61).getTime())).toEqual(['a']);
+        expect(boardData.cards[0].claim).toBeUndefined();
+        expect(boardData.cards[1].claim).toMatchObject({ owner: 'agent-2' });
+    });
+});
@@ -0,0 +1,127 @@
+const {
+    findDanglingDependencies,
+    findDependencyCycles,
+    findNewDependencyCycles,
+    formatDependencyCycle,
+    analyzeDependencies
+} = require('../../../server/utils/dependencies');
+
+const card = (id, dependencies = [], extra = {}) => ({ id, title: id.toUpperCase(), columnId: 'todo', dependencies, ...extra });
+
+// Sort each cycle's IDs, so cycles compare regardless of the card they start from
+const normalize = cycles => cycles.map(cycle => [...cycle].sort()).sort();
+
+describe('findDependencyCycles', () => {
+    it('finds nothing in a graph without cycles', () => {
+        const boardData = { cards: [card('a'), card('b', ['a']), card('c', ['a', 'b'])] };
+
+        expect(findDependencyCycles(boardData)).toEqual([]);
+    });
+
+    it('finds one cycle per group of cards that depend on each other', () => {
+        const boardData = {
+            cards: [card('a', ['b']), card('b', ['c']), card('c', ['a']), card('d', ['e']), card('e', ['d']), card('f', ['a'])]
+        };
+
+        expect(normalize(findDependencyCycles(boardData))).toEqual([['a', 'b', 'c'], ['d', 'e']]);
+    });
+
+    it('traces each cycle in dependency order', () => {
+        const [cycle] = findDependencyCycles({ cards: [card('a', ['b']), card('b', ['c']), card('c', ['a'])] });
+        const next = new Map(cycle.map((id, index) => [id, cycle[(index + 1) % cycle.length]]));
+
+        expect(next).toEqual(new Map([['a', 'b'], ['b', 'c'], ['c', 'a']]));
+    });
+
+    it('finds a card that depends on itself', () => {
+        expect(findDependencyCycles({ cards: [card('a', ['a'])] })).toEqual([['a']]);
+    });
+
+    it('ignores dependencies on cards that are not on the board', () => {
+        expect(findDependencyCycles({ cards: [card('a', ['gone'])] })).toEqual([]);
+    });
+});
+
+describe('findNewDependencyCycles', () => {
+    it('reports cycles a change introduces', () => {
+        const before = { cards: [card('a', ['b']), card('b')] };
+        const after = { cards: [card('a', ['b']), card('b', ['a'])] };
+
+        expect(normalize(findNewDependencyCycles(after, before))).toEqual([['a', 'b']]);
+    });
+
+    it('leaves cycles that were already on the board alone', () => {
+        const before = { cards: [card('a', ['b']), card('b', ['a']), card('c')] };
+        const after = { cards: [card('a', ['b']), card('b', ['a']), card('c', ['a'])] };
+
+        expect(findNewDependencyCycles(after, before)).toEqual([]);
+    });
+
+    it('reports every cycle of a new board', () => {
+        expect(findNewDependencyCycles({ cards: [card('a', ['a'])] }, null)).toEqual([['a']]);
+    });
+});
+
+describe('findDanglingDependencies', () => {
+    it('lists dependencies on cards that are not on the board', () => {
+        expect(findDanglingDependencies({ cards: [card('a', ['b', 'gone']), card('b')] }))
+            .toEqual([{ cardId: 'a', cardTitle: 'A', dependencyId: 'gone' }]);
+    });
+});
+
+describe('formatDependencyCycle', () => {
+    it('describes a cycle by card title', () => {
+        const boardData = { cards: [card('a'), card('b')] };
+
+        expect(formatDependencyCycle(boardData, ['a', 'b'])).toBe('"A" → "B" → "A"');
+    });
+});
+
+describe('analyzeDependencies', () => {
+    const boardData = {
+        cards: [
+            card('design', [], { completed_at: '2026-01-01T00:00:00.000Z' }),
+            card('build', ['design']),
+            card('test', ['build']),
+            card('docs', ['design']),
+            card('release', ['test', 'docs', 'gone'])
+        ]
+    };
+
+    it('orders the cards so each comes after the cards it depends on', () => {
+        const { order } = analyzeDependencies(boardData);
+
+        expect(order).toHaveLength(5);
+        expect(order.indexOf('design')).toBeLessThan(order.indexOf('build'));
+        expect(order.indexOf('build')).toBeLessThan(order.indexOf('test'));
+        expect(order.indexOf('test')).toBeLessThan(order.indexOf('release'));
+        expect(order.indexOf('docs')).toBeLessThan(order.indexOf('release'));
+    });
+
+    it('finds the longest chain of unfinished cards', () => {
+        expect(analyzeDependencies(boardData).criticalPath).toEqual({ cardIds: ['build', 'test', 'release'], length: 3 });
+    });
+
+    it('marks cards blocked by unfinished dependencies', () => {
+        const nodes = new Map(analyzeDependencies(boardData).cards.map(node => [node.id, node]));
+
+        expect(nodes.get('build')).toMatchObject({ blocked: false, blockedBy: [], dependents: ['test'] });
+        expect(nodes.get('release')).toMatchObject({ blocked: true, blockedBy: ['test', 'docs'], dependencies: ['test', 'docs'] });
+    });
+
+    it('lists edges, cycles and dangling dependencies', () => {
+        const analysis = analyzeDependencies(boardData);
+
+        expect(analysis.edges).toContainEqual({ from: 'design', to: 'build' });
+        expect(analysis.edges).toHaveLength(5);
+        expect(analysis.cycles).toEqual([]);
+        expect(analysis.dangling).toEqual([{ cardId: 'release', cardTitle: 'RELEASE', dependencyId: 'gone' }]);
+    });
+
+    it('leaves cards in a cycle out of the order', () => {
+        const { order, cycles } = analyzeDependencies({ cards: [card('a', ['b']), card('b', ['a']), card('c')] });
+
+        expect(order).toEqual(['c']);
+        expect(cycles).toHaveLength(1);
+    });
+});
@@ -0,0 +1,115 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { withFileLock } = require('../../../server/utils/fileSystem');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let dir;
+let filePath;
+let lockPath;
+
+const writeLock = owner => fs.writeFileSync(lockPath, JSON.stringify({ hostname: os.hostname(), ...owner }));
+const readLock = () => JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskboard-lock-'));
+    filePath = path.join(dir, 'board.json');
+    lockPath = `${filePath}.lock`;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.warn.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('withFileLock', () => {
+    it('holds the lock file while the function runs and removes it afterwards', async () => {
+        const result = await withFileLock(filePath, async () => {
+            expect(readLock()).toMatchObject({ pid: process.pid, token: expect.any(String) });
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    it('releases the lock when the function throws', async () => {
+        await expect(withFileLock(filePath, async () => {
+            throw new Error('failed');
+        })).rejects.toThrow('failed');
+        expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    it('lets only one holder run at a time', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const order = [];
+
+        await Promise.all([1, 2, 3, 4].map(n => withFileLock(filePath, async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await sleep(20);
+            order.push(n);
+            running--;
+        })));
+
+        expect(maxRunning).toBe(1);
+        expect(order.sort()).toEqual([1, 2, 3, 4]);
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    it('breaks a lock left by a process that is no longer running', async () => {
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        writeLock({ pid, token: 'dead' });
+
+        await expect(withFileLock(filePath, async () => readLock().pid)).resolves.toBe(process.pid);
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    it('breaks a lock that has not been refreshed for longer than the stale age', async () => {
+        writeLock({ pid: process.pid, token: 'old' });
+        const past = new Date(Date.now() - 60000);
+        fs.utimesSync(lockPath, past, past);
+
+        await expect(withFileLock(filePath, async () => readLock().token)).resolves.not.toBe('old');
+    });
+
+    it('lets one of several waiters break a stale lock', async () => {
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        writeLock({ pid, token: 'dead' });
+        let running = 0;
+        let maxRunning = 0;
+
+        await Promise.all([1, 2, 3].map(() => withFileLock(filePath, async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await sleep(20);
+            running--;
+        })));
+
+        expect(maxRunning).toBe(1);
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    it('refreshes the lock while it is held', async () => {
+        await withFileLock(filePath, async () => {
+            const past = new Date(Date.now() - 60000);
+            fs.utimesSync(lockPath, past, past);
+            await sleep(2200);
+            expect(Date.now() - fs.statSync(lockPath).mtimeMs).toBeLessThan(1000);
+        });
+    });
+
+    it('leaves a lock that another process took over in place', async () => {
+        await withFileLock(filePath, async () => {
+            fs.unlinkSync(lockPath);
+            writeLock({ pid: process.pid, token: 'other' });
+        });
+
+        expect(readLock().token).toBe('other');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('taken over'));
+    });
+});
@@ -0,0 +1,101 @@
+const { getForecastFilterError, selectForecastCards, forecastCompletion } = require('../../../server/utils/forecast');
+
+const now = new Date('2026-01-20T12:00:00.000Z');
+
+// One card completed on each of the ten days before today, and open cards in the backlog
+const boardData = (open, completedPerDay = () => 1) => {
+    const cards = [];
+    for (let day = 10; day < 20; day++) {
+        for (let i = 0; i < completedPerDay(day); i++) {
+            cards.push({
+                id: `done-${day}-${i}`,
+                columnId: 'done',
+                created_at: '2026-01-10T00:00:00.000Z',
+                completed_at: `2026-01-${day}T12:00:00.000Z`
+            });
+        }
+    }
+    for (let i = 0; i < open; i++) {
+        cards.push({ id: `open-${i}`, columnId: 'todo', created_at: '2026-01-10T00:00:00.000Z' });
+    }
+    return { columns: [{ id: 'todo' }, { id: 'done' }], cards };
+};
+
+describe('forecastCompletion', () => {
+    it('samples the daily throughput since the board\'s oldest card', () => {
+        const result = forecastCompletion(boardData(3), { now, trials: 100 });
+
+        expect(result.remaining).toBe(3);
+        expect(result.cardIds).toEqual(['open-0', 'open-1', 'open-2']);
+        expect(result.throughput).toEqual({ historyDays: 10, completed: 10, averagePerDay: 1 });
+    });
+
+    it('forecasts the days the remaining cards take at each confidence level', () => {
+        const { forecast } = forecastCompletion(boardData(3), { now, trials: 100 });
+
+        expect(forecast).toEqual({
+            p50: { days: 3, date: '2026-01-23' },
+            p85: { days: 3, date: '2026-01-23' },
+            p95: { days: 3, date: '2026-01-23' }
+        });
+    });
+
+    it('gives the same forecast for the same seed', () => {
+        const data = boardData(20, day => day % 3);
+        const first = forecastCompletion(data, { now, trials: 500, seed: 42 });
+        const second = forecastCompletion(data, { now, trials: 500, seed: 42 });
+
+        expect(second.forecast).toEqual(first.forecast);
+        expect(first.forecast.p50.days).toBeLessThanOrEqual(first.forecast.p85.days);
+        expect(first.forecast.p85.days).toBeLessThanOrEqual(first.forecast.p95.days);
+    });
+
+    it('cannot forecast open cards without any completed in the sampled days', () => {
+        expect(forecastCompletion(boardData(3, () => 0), { now }).forecast).toBeNull();
+    });
+
+    it('forecasts no days when every card is completed', () => {
+        const { forecast, remaining } = forecastCompletion(boardData(0), { now, trials: 10 });
+
+        expect(remaining).toBe(0);
+        expect(forecast.p95).toEqual({ days: 0, date: '2026-01-20' });
+    });
+});
+
+describe('selectForecastCards', () => {
+    const data = {
+        cards: [
+            { id: 'epic', columnId: 'todo' },
+            { id: 'story', columnId: 'todo', parentId: 'epic', tags: ['api'] },
+            { id: 'task', columnId: 'doing', parentId: 'story', assignee: 'alice' },
+            { id: 'other', columnId: 'doing', tags: ['ui'], assignee: 'alice' }
+        ]
+    };
+    const select = filter => selectForecastCards(data, filter).map(card => card.id);
+
+    it('selects every card without a filter', () => {
+        expect(select()).toEqual(['epic', 'story', 'task', 'other']);
+    });
+
+    it('filters by card, column, tag, assignee and parent card', () => {
+        expect(select({ cardIds: ['story', 'other'] })).toEqual(['story', 'other']);
+        expect(select({ columnId: 'doing' })).toEqual(['task', 'other']);
+        expect(select({ tags: ['api', 'ui'] })).toEqual(['story', 'other']);
+        expect(select({ assignee: 'alice', columnId: 'doing' })).toEqual(['task', 'other']);
+        expect(select({ descendantOf: 'epic' })).toEqual(['story', 'task']);
+    });
+});
+
+describe('getForecastFilterError', () => {
+    const data = { columns: [{ id: 'todo' }], cards: [{ id: 'a' }] };
+
+    it('accepts filters that match the board', () => {
+        expect(getForecastFilterError(data, { columnId: 'todo', cardIds: ['a'], descendantOf: 'a' })).toBeNull();
+    });
+
+    it('names missing columns and cards', () => {
+        expect(getForecastFilterError(data, { columnId: 'gone' })).toBe('Column gone does not exist');
+        expect(getForecastFilterError(data, { descendantOf: 'gone' })).toBe('Card with ID gone not found');
+        expect(getForecastFilterError(data, { cardIds: ['a', 'x', 'y'] })).toBe('Cards not found: x, y');
+    });
+});
@@ -0,0 +1,80 @@
+const { isValidLinks, getCardLinks, addLink, removeLink } = require('../../../server/utils/links');
+
+const boardData = () => ({
+    cards: [
+        { id: 'a', title: 'A' },
+        { id: 'b', title: 'B' },
+        { id: 'c', title: 'C' }
+    ]
+});
+
+describe('isValidLinks', () => {
+    it('accepts known link types to other cards', () => {
+        expect(isValidLinks(undefined)).toBe(true);
+        expect(isValidLinks([{ type: 'blocks', cardId: 'b' }], 'a')).toBe(true);
+    });
+
+    it('rejects unknown types, missing card IDs and links to the card itself', () => {
+        expect(isValidLinks([{ type: 'owns', cardId: 'b' }], 'a')).toBe(false);
+        expect(isValidLinks([{ type: 'blocks', cardId: '' }], 'a')).toBe(false);
+        expect(isValidLinks([{ type: 'blocks', cardId: 'a' }], 'a')).toBe(false);
+        expect(isValidLinks({ type: 'blocks', cardId: 'b' }, 'a')).toBe(false);
+    });
+});
+
+describe('addLink', () => {
+    it('stores the link on the card and shows the inverse on the other card', () => {
+        const data = boardData();
+
+        expect(addLink(data, 'a', 'blocks', 'b')).toBe(true);
+
+        expect(data.cards[0].links).toEqual([{ type: 'blocks', cardId: 'b' }]);
+        expect(getCardLinks(data, 'a')).toEqual([{ type: 'blocks', cardId: 'b', inverse: false }]);
+        expect(getCardLinks(data, 'b')).toEqual([{ type: 'blocked-by', cardId: 'a', inverse: true }]);
+    });
+
+    it('does nothing when the cards already have the link, from either side', () => {
+        const data = boardData();
+        addLink(data, 'a', 'blocks', 'b');
+
+        expect(addLink(data, 'a', 'blocks', 'b')).toBe(false);
+        expect(addLink(data, 'b', 'blocked-by', 'a')).toBe(false);
+        expect(data.cards[1].links).toBeUndefined();
+    });
+
+    it('rejects unknown types, missing cards and links to the card itself', () => {
+        const data = boardData();
+
+        expect(() => addLink(data, 'a', 'owns', 'b')).toThrow('Unknown link type "owns"');
+        expect(() => addLink(data, 'a', 'blocks', 'a')).toThrow('linked to itself');
+        expect(() => addLink(data, 'a', 'blocks', 'gone')).toThrow('Card with ID gone not found');
+    });
+});
+
+describe('removeLink', () => {
+    it('removes a link from whichever card stores it', () => {
+        const data = boardData();
+        addLink(data, 'a', 'duplicates', 'b');
+
+        expect(removeLink(data, 'b', 'duplicated-by', 'a')).toBe(true);
+
+        expect(data.cards[0].links).toEqual([]);
+        expect(getCardLinks(data, 'b')).toEqual([]);
+    });
+
+    it('removes links to cards that are no longer on the board', () => {
+        const data = boardData();
+        data.cards[0].links = [{ type: 'relates-to', cardId: 'gone' }];
+
+        expect(removeLink(data, 'a', 'relates-to', 'gone')).toBe(true);
+        expect(data.cards[0].links).toEqual([]);
+    });
+
+    it('reports when the cards had no such link', () => {
+        const data = boardData();
+        addLink(data, 'a', 'relates-to', 'b');
+
+        expect(removeLink(data, 'a', 'blocks', 'b')).toBe(false);
+        expect(removeLink(data, 'a', 'relates-to', 'c')).toBe(false);
+    });
+});
@@ -0,0 +1,69 @@
+const { getReadyCards } = require('../../../server/utils/readyQueue');
+
+const NOW = Date.now();
+const inMinutes = minutes => new Date(NOW + minutes * 60000).toISOString();
+
+const boardData = cards => ({
+    columns: [
+        { id: 'todo', name: 'To Do' },
+        { id: 'blocked', name: 'Blocked' },
+        { id: 'done', name: 'Done' }
+    ],
+    cards
+});
+
+const ids = result => result.cards.map(card => card.id);
+
+describe('getReadyCards', () => {
+    it('leaves out completed and blocked cards and cards waiting on dependencies', () => {
+        const result = getReadyCards(boardData([
+            { id: 'ready', columnId: 'todo' },
+            { id: 'completed', columnId: 'done', completed_at: inMinutes(-60) },
+            { id: 'marked-blocked', columnId: 'todo', blocked_at: inMinutes(-60) },
+            { id: 'in-blocked-column', columnId: 'blocked' },
+            { id: 'waiting', columnId: 'todo', dependencies: ['ready'] },
+            { id: 'unblocked', columnId: 'todo', dependencies: ['completed', 'gone'] }
+        ]));
+
+        expect(ids(result).sort()).toEqual(['ready', 'unblocked']);
+        expect(result.total).toBe(2);
+    });
+
+    it('ranks by priority, then due date, then age', () => {
+        const result = getReadyCards(boardData([
+            { id: 'low', columnId: 'todo', priority: 'low' },
+            { id: 'medium-old', columnId: 'todo', created_at: '2026-01-01T00:00:00.000Z' },
+            { id: 'medium-new', columnId: 'todo', created_at: '2026-01-02T00:00:00.000Z' },
+            { id: 'medium-due', columnId: 'todo', priority: 'medium', due_date: '2026-03-01' },
+            { id: 'high', columnId: 'todo', priority: 'high' }
+        ]));
+
+        expect(ids(result)).toEqual(['high', 'medium-due', 'medium-old', 'medium-new', 'low']);
+    });
+
+    it('only includes cards assigned to or claimed by whoever is asking', () => {
+        const cards = [
+            { id: 'free', columnId: 'todo' },
+            { id: 'mine', columnId: 'todo', assignee: 'alice' },
+            { id: 'theirs', columnId: 'todo', assignee: 'bob' },
+            { id: 'claimed-by-me', columnId: 'todo', claim: { owner: 'alice', claimed_at: inMinutes(-1), expires_at: inMinutes(10) } },
+            { id: 'claimed-by-them', columnId: 'todo', claim: { owner: 'bob', claimed_at: inMinutes(-1), expires_at: inMinutes(10) } },
+            { id: 'claim-expired', columnId: 'todo', claim: { owner: 'bob', claimed_at: inMinutes(-20), expires_at: inMinutes(-5) } }
+        ];
+
+        expect(ids(getReadyCards(boardData(cards), { assignee: 'alice' })).sort())
+            .toEqual(['claim-expired', 'claimed-by-me', 'free', 'mine']);
+        expect(ids(getReadyCards(boardData(cards))).sort()).toEqual(['claim-expired', 'free']);
+    });
+
+    it('filters by column and applies the limit after counting', () => {
+        const result = getReadyCards(boardData([
+            { id: 'a', columnId: 'todo' },
+            { id: 'b', columnId: 'todo' },
+            { id: 'c', columnId: 'done' }
+        ]), { columnId: 'todo', limit: 1 });
+
+        expect(result.cards).toHaveLength(1);
+        expect(result.total).toBe(2);
+    });
+});
@@ -0,0 +1,170 @@
+const {
+    parseCron,
+    getScheduleError,
+    getNextRun,
+    describeSchedule,
+    getRecurrenceInputError,
+    createRecurrence,
+    hasDueRecurrences,
+    generateDueCards
+} = require('../../../server/utils/recurrences');
+
+// Schedules use local time; Monday 5 January 2026, 10:30
+const MONDAY = new Date(2026, 0, 5, 10, 30);
+const at = (day, hours, minutes = 0) => new Date(2026, 0, day, hours, minutes);
+
+describe('parseCron', () => {
+    it('parses lists, ranges and steps', () => {
+        const cron = parseCron('0,30 9-17/4 * * 1-5');
+
+        expect([...cron.minutes]).toEqual([0, 30]);
+        expect([...cron.hours]).toEqual([9, 13, 17]);
+        expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+        expect(cron.days.size).toBe(31);
+        expect(cron.anyDay).toBe(true);
+        expect(cron.anyWeekday).toBe(false);
+    });
+
+    it('runs a single value with a step to the end of the range', () => {
+        expect([...parseCron('50/5 * * * *').minutes]).toEqual([50, 55]);
+    });
+
+    it('reads day of week 7 as Sunday', () => {
+        expect([...parseCron('0 9 * * 7').weekdays]).toEqual([0]);
+    });
+
+    it('rejects expressions with the wrong number of fields or values out of range', () => {
+        expect(() => parseCron('0 9 * *')).toThrow('five fields');
+        expect(() => parseCron('60 9 * * *')).toThrow('Invalid minute field "60"');
+        expect(() => parseCron('0 9 * 13 *')).toThrow('Invalid month field');
+        expect(() => parseCron('0 9 x * *')).toThrow('Invalid day of month field');
+    });
+});
+
+describe('getScheduleError', () => {
+    it('accepts valid schedules', () => {
+        expect(getScheduleError({ frequency: 'daily', time: '09:00' })).toBeNull();
+        expect(getScheduleError({ frequency: 'weekly', dayOfWeek: 0 })).toBeNull();
+        expect(getScheduleError({ frequency: 'cron', cron: '*/15 * * * *' })).toBeNull();
+    });
+
+    it('describes what is wrong with invalid schedules', () => {
+        expect(getScheduleError(null)).toBe('A schedule is required');
+        expect(getScheduleError({ frequency: 'hourly' })).toMatch(/^The frequency must be one of/);
+        expect(getScheduleError({ frequency: 'daily', time: '24:00' })).toMatch(/HH:MM/);
+        expect(getScheduleError({ frequency: 'weekly', dayOfWeek: 7 })).toMatch(/day of the week/);
+        expect(getScheduleError({ frequency: 'monthly', dayOfMonth: 0 })).toMatch(/day of the month/);
+        expect(getScheduleError({ frequency: 'cron', cron: '0 0 31 2 *' })).toBe('The cron expression never matches a date');
+    });
+});
+
+describe('getNextRun', () => {
+    it('runs daily schedules later the same day or the next day', () => {
+        expect(getNextRun({ frequency: 'daily', time: '11:00' }, MONDAY)).toEqual(at(5, 11));
+        expect(getNextRun({ frequency: 'daily', time: '09:00' }, MONDAY)).toEqual(at(6, 9));
+    });
+
+    it('does not count a run at exactly the given time', () => {
+        expect(getNextRun({ frequency: 'daily', time: '10:30' }, MONDAY)).toEqual(at(6, 10, 30));
+    });
+
+    it('skips weekends for weekday schedules', () => {
+        expect(getNextRun({ frequency: 'weekdays', time: '09:00' }, at(9, 10))).toEqual(at(12, 9));
+    });
+
+    it('runs weekly schedules on their day of the week', () => {
+        expect(getNextRun({ frequency: 'weekly', dayOfWeek: 3, time: '08:00' }, MONDAY)).toEqual(at(7, 8));
+    });
+
+    it('runs monthly schedules on the last day of shorter months', () => {
+        expect(getNextRun({ frequency: 'monthly', dayOfMonth: 31, time: '09:00' }, new Date(2026, 1, 1)))
+            .toEqual(new Date(2026, 1, 28, 9, 0));
+    });
+
+    it('runs cron schedules at their next matching minute', () => {
+        expect(getNextRun({ frequency: 'cron', cron: '*/20 * * * *' }, MONDAY)).toEqual(at(5, 10, 40));
+        expect(getNextRun({ frequency: 'cron', cron: '0 9 * * 1' }, MONDAY)).toEqual(at(12, 9));
+    });
+
+    it('matches either the day of month or the day of week when cron restricts both', () => {
+        // The 10th is a Saturday; Friday the 9th comes first
+        expect(getNextRun({ frequency: 'cron', cron: '0 9 10 * 5' }, MONDAY)).toEqual(at(9, 9));
+    });
+
+    it('finds runs that only fall on February 29', () => {
+        expect(getNextRun({ frequency: 'cron', cron: '0 0 29 2 *' }, MONDAY)).toEqual(new Date(2028, 1, 29, 0, 0));
+    });
+});
+
+describe('describeSchedule', () => {
+    it('describes each frequency', () => {
+        expect(describeSchedule({ frequency: 'daily', time: '07:15' })).toBe('Daily at 07:15');
+        expect(describeSchedule({ frequency: 'weekly' })).toBe('Weekly on Monday at 09:00');
+        expect(describeSchedule({ frequency: 'monthly', dayOfMonth: 15, time: '12:00' })).toBe('Monthly on day 15 at 12:00');
+        expect(describeSchedule({ frequency: 'cron', cron: '0 9 * * 1' })).toBe('Cron "0 9 * * 1"');
+    });
+});
+
+describe('recurring cards', () => {
+    const boardData = () => ({
+        columns: [{ id: 'todo', name: 'To Do' }],
+        cards: [{ id: 'existing', title: 'Existing', columnId: 'todo', position: 0 }]
+    });
+
+    it('checks the options for a new recurrence', () => {
+        const options = { card: { title: 'Standup' }, columnId: 'todo', schedule: { frequency: 'daily' } };
+
+        expect(getRecurrenceInputError(boardData(), options)).toBeNull();
+        expect(getRecurrenceInputError(boardData(), { ...options, columnId: 'missing' })).toMatch(/missing/);
+    });
+
+    it('keeps only the template fields of the card and schedules the first run', () => {
+        const recurrence = createRecurrence({
+            card: {
+                id: 'card-1', title: 'Standup', tags: ['team'], columnId: 'todo', position: 3, completed_at: 'x',
+                claim: { owner: 'agent' }, sprintId: 'sprint-1', parentId: 'epic', links: [{ type: 'relates-to', cardId: 'existing' }]
+            },
+            columnId: 'todo',
+            schedule: { frequency: 'daily', time: '09:00', dayOfWeek: 2 },
+            dueInDays: 1
+        }, MONDAY);
+
+        expect(recurrence.card).toEqual({ title: 'Standup', tags: ['team'] });
+        expect(recurrence.schedule).toEqual({ frequency: 'daily', time: '09:00' });
+        expect(recurrence.next_run_at).toBe(at(6, 9).toISOString());
+        expect(recurrence.dueInDays).toBe(1);
+    });
+
+    it('generates one card per due recurrence and schedules the next run', () => {
+        const data = boardData();
+        const recurrence = createRecurrence({
+            card: { title: 'Standup', subtasks: [{ id: 's', text: 'Notes', done: true }] },
+            columnId: 'todo',
+            schedule: { frequency: 'daily', time: '09:00' },
+            dueInDays: 2
+        }, at(1, 12));
+        data.recurrences = [recurrence];
+
+        expect(hasDueRecurrences(data, at(2, 8))).toBe(false);
+        expect(hasDueRecurrences(data, MONDAY)).toBe(true);
+
+        const [run] = generateDueCards(data, MONDAY);
+
+        expect(run.card).toMatchObject({ title: 'Standup', columnId: 'todo', position: 1, recurrenceId: recurrence.id, due_date: '2026-01-07' });
+        expect(run.card.subtasks).toEqual([expect.objectContaining({ text: 'Notes', done: false })]);
+        expect(run.card.subtasks[0].id).not.toBe('s');
+        expect(data.cards).toHaveLength(2);
+        expect(recurrence.last_card_id).toBe(run.card.id);
+        expect(recurrence.next_run_at).toBe(at(6, 9).toISOString());
+    });
+
+    it('reschedules recurrences whose column is gone without generating a card', () => {
+        const data = boardData();
+        const recurrence = createRecurrence({ card: { title: 'Orphan' }, columnId: 'gone', schedule: { frequency: 'daily' } }, at(1, 12));
+        data.recurrences = [recurrence];
+
+        expect(generateDueCards(data, MONDAY)).toEqual([{ recurrence, card: null }]);
+        expect(data.cards).toHaveLength(1);
+        expect(recurrence.next_run_at).toBe(at(6, 9).toISOString());
+    });
+});
@@ -0,0 +1,183 @@
+const {
+    isValidSprints,
+    getSprintInputError,
+    createSprint,
+    assignCardsToSprint,
+    startSprint,
+    closeSprint,
+    deleteSprint,
+    getSprintReport
+} = require('../../../server/utils/sprints');
+
+// Local times, since sprint dates are plain dates in local time
+const now = new Date(2026, 2, 10, 9, 0);
+
+// A board with a planned sprint holding two cards, a third card in the backlog and a later planned sprint
+function createBoard() {
+    const sprint = { ...createSprint({ name: 'Sprint 1', startDate: '2026-03-09' }, now), id: 's1' };
+    const next = { ...createSprint({ name: 'Sprint 2', startDate: '2026-03-23' }, now), id: 's2' };
+    return {
+        sprints: [sprint, next],
+        cards: [
+            { id: 'a', title: 'A', columnId: 'todo', sprintId: 's1' },
+            { id: 'b', title: 'B', columnId: 'todo', sprintId: 's1' },
+            { id: 'c', title: 'C', columnId: 'todo' }
+        ]
+    };
+}
+
+const card = (board, id) => board.cards.find(item => item.id === id);
+
+describe('createSprint', () => {
+    it('plans a sprint of the default length starting today', () => {
+        expect(createSprint({ name: ' Sprint 1 ', goal: 'Ship' }, now)).toMatchObject({
+            name: 'Sprint 1',
+            goal: 'Ship',
+            start_date: '2026-03-10',
+            end_date: '2026-03-23',
+            status: 'planned',
+            velocity: null
+        });
+    });
+});
+
+describe('getSprintInputError', () => {
+    it('names what is wrong with the sprint options', () => {
+        expect(getSprintInputError({ name: 'Sprint', startDate: '2026-03-01', endDate: '2026-03-14' })).toBeNull();
+        expect(getSprintInputError({ name: ' ' })).toBe('The sprint needs a name');
+        expect(getSprintInputError({ name: 'Sprint', startDate: '2026-02-31' })).toBe('startDate must be a date (YYYY-MM-DD)');
+        expect(getSprintInputError({ name: 'Sprint', startDate: '2026-03-14', endDate: '2026-03-01' }))
+            .toBe('The sprint must not end before it starts');
+    });
+});
+
+describe('isValidSprints', () => {
+    it('allows at most one active sprint', () => {
+        const board = createBoard();
+        expect(isValidSprints(board.sprints)).toBe(true);
+
+        board.sprints.forEach(sprint => { sprint.status = 'active'; });
+        expect(isValidSprints(board.sprints)).toBe(false);
+    });
+});
+
+describe('assignCardsToSprint', () => {
+    it('moves cards into a sprint or back to the backlog, leaving out those already there', () => {
+        const board = createBoard();
+
+        expect(assignCardsToSprint(board, 's1', ['b', 'c'])).toEqual(['c']);
+        expect(card(board, 'c').sprintId).toBe('s1');
+
+        expect(assignCardsToSprint(board, null, ['a'])).toEqual(['a']);
+        expect(card(board, 'a')).not.toHaveProperty('sprintId');
+    });
+
+    it('rejects closed sprints and unknown cards', () => {
+        const board = createBoard();
+        board.sprints[0].status = 'closed';
+
+        expect(() => assignCardsToSprint(board, 's1', ['c'])).toThrow('Cards can\'t be added to a closed sprint');
+        expect(() => assignCardsToSprint(board, 's2', ['x'])).toThrow('Card with ID x not found');
+    });
+});
+
+describe('startSprint', () => {
+    it('records the cards committed to the sprint', () => {
+        const board = createBoard();
+
+        expect(startSprint(board, 's1', now)).toMatchObject({
+            status: 'active',
+            started_at: now.toISOString(),
+            committedCardIds: ['a', 'b']
+        });
+    });
+
+    it('only starts a planned sprint while no other is active', () => {
+        const board = createBoard();
+        startSprint(board, 's1', now);
+
+        expect(() => startSprint(board, 's1', now)).toThrow('only a planned sprint can be started');
+        expect(() => startSprint(board, 's2', now)).toThrow('Sprint "Sprint 1" is still active');
+    });
+});
+
+describe('closeSprint', () => {
+    it('records the velocity and carries unfinished cards to the next planned sprint', () => {
+        const board = createBoard();
+        startSprint(board, 's1', now);
+        card(board, 'a').completed_at = now.toISOString();
+
+        const { sprint, carriedOverTo } = closeSprint(board, 's1', {}, now);
+
+        expect(sprint).toMatchObject({
+            status: 'closed',
+            velocity: 1,
+            completedCardIds: ['a'],
+            carriedOverCardIds: ['b'],
+            carriedOverTo: 's2'
+        });
+        expect(carriedOverTo.id).toBe('s2');
+        expect(card(board, 'b').sprintId).toBe('s2');
+        expect(card(board, 'a').sprintId).toBe('s1');
+    });
+
+    it('carries unfinished cards back to the backlog when asked to', () => {
+        const board = createBoard();
+        startSprint(board, 's1', now);
+
+        closeSprint(board, 's1', { carryOverTo: null }, now);
+
+        expect(card(board, 'b')).not.toHaveProperty('sprintId');
+    });
+
+    it('only closes the active sprint', () => {
+        expect(() => closeSprint(createBoard(), 's1', {}, now)).toThrow('only the active sprint can be closed');
+    });
+});
+
+describe('deleteSprint', () => {
+    it('returns the sprint\'s cards to the backlog, but not while it is active', () => {
+        const board = createBoard();
+        deleteSprint(board, 's1');
+
+        expect(board.sprints.map(sprint => sprint.id)).toEqual(['s2']);
+        expect(card(board, 'a')).not.toHaveProperty('sprintId');
+
+        startSprint(board, 's2', now);
+        expect(() => deleteSprint(board, 's2')).toThrow('Close it first');
+    });
+});
+
+describe('getSprintReport', () => {
+    it('reports days, committed and added cards and the completion rate', () => {
+        const board = createBoard();
+        startSprint(board, 's1', now);
+        assignCardsToSprint(board, 's1', ['c']);
+        card(board, 'a').completed_at = now.toISOString();
+
+        const report = getSprintReport(board, 's1', now);
+
+        expect(report).toMatchObject({
+            days: { total: 14, elapsed: 2, remaining: 12 },
+            committed: 2,
+            added: 1,
+            completed: 1,
+            remaining: 2,
+            completionRate: 33,
+            velocity: null,
+            averageVelocity: null
+        });
+        expect(report.cards.find(item => item.id === 'c')).toEqual({
+            id: 'c', title: 'C', columnId: 'todo', completed: false, added: true
+        });
+    });
+
+    it('reports the velocity of closed sprints', () => {
+        const board = createBoard();
+        startSprint(board, 's1', now);
+        card(board, 'a').completed_at = now.toISOString();
+        closeSprint(board, 's1', {}, now);
+
+        expect(getSprintReport(board, 's1', now)).toMatchObject({ velocity: 1, averageVelocity: 1, completed: 1, remaining: 1 });
+    });
+});
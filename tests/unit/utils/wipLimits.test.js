@@ -0,0 +1,73 @@
+const {
+    isValidWipLimit,
+    allowsWipLimitExceeding,
+    getWipStatus,
+    findWipViolations,
+    formatWipViolation
+} = require('../../../server/utils/wipLimits');
+
+const board = (cards) => ({
+    columns: [
+        { id: 'todo', name: 'To Do' },
+        { id: 'doing', name: 'Doing', wipLimit: 2 }
+    ],
+    cards: cards.map((columnId, index) => ({ id: `card-${index}`, columnId }))
+});
+
+describe('isValidWipLimit', () => {
+    it('accepts positive integers and no limit', () => {
+        [1, 5, null, undefined].forEach(limit => expect(isValidWipLimit(limit)).toBe(true));
+    });
+
+    it('rejects zero, negative, fractional and non-numeric limits', () => {
+        [0, -1, 1.5, '2', NaN].forEach(limit => expect(isValidWipLimit(limit)).toBe(false));
+    });
+});
+
+describe('allowsWipLimitExceeding', () => {
+    it('is only true when the board setting is true', () => {
+        expect(allowsWipLimitExceeding({ settings: { allowWipLimitExceeding: true } })).toBe(true);
+        expect(allowsWipLimitExceeding({ settings: { allowWipLimitExceeding: 'yes' } })).toBe(false);
+        expect(allowsWipLimitExceeding({})).toBe(false);
+        expect(allowsWipLimitExceeding(null)).toBe(false);
+    });
+});
+
+describe('getWipStatus', () => {
+    it('counts the cards of each column against its limit', () => {
+        expect(getWipStatus(board(['todo', 'doing', 'doing', 'doing']))).toEqual([
+            { columnId: 'todo', columnName: 'To Do', count: 1, limit: null, exceeded: false },
+            { columnId: 'doing', columnName: 'Doing', count: 3, limit: 2, exceeded: true }
+        ]);
+    });
+
+    it('returns nothing for legacy boards without cards', () => {
+        expect(getWipStatus({ columns: [{ id: 'todo', items: [] }] })).toEqual([]);
+    });
+});
+
+describe('findWipViolations', () => {
+    it('reports columns a change takes over their limit', () => {
+        const violations = findWipViolations(board(['doing', 'doing', 'doing']), board(['todo', 'doing', 'doing']));
+
+        expect(violations.map(status => status.columnId)).toEqual(['doing']);
+    });
+
+    it('allows columns already over their limit to be reordered or emptied', () => {
+        const previous = board(['doing', 'doing', 'doing', 'doing']);
+
+        expect(findWipViolations(board(['doing', 'doing', 'doing', 'doing']), previous)).toEqual([]);
+        expect(findWipViolations(board(['todo', 'doing', 'doing', 'doing']), previous)).toEqual([]);
+    });
+
+    it('does not check new boards', () => {
+        expect(findWipViolations(board(['doing', 'doing', 'doing']), null)).toEqual([]);
+    });
+});
+
+describe('formatWipViolation', () => {
+    it('names the column with its count and limit', () => {
+        expect(formatWipViolation({ columnName: 'Doing', count: 3, limit: 2 }))
+            .toBe('Column "Doing" is over its WIP limit (3/2)');
+    });
+});